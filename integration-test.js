@@ -8,6 +8,12 @@
 // Using built-in fetch (Node.js 18+) or fallback to https module
 const https = require('https');
 const http = require('http');
+const { base32Encode, generateTotp } = require('./src/utils/totp');
+
+// The server's database, for states the API cannot produce (an admin
+// account, an expired access token); the server must use the default database file
+const models = require('./src/models');
+models.sequelize.options.logging = false;
 
 const API_BASE_URL = 'http://localhost:7007';
 const FRONTEND_URL = 'http://localhost:3000';
@@ -115,7 +121,7 @@ async function testAPI() {
       isRevision: false
     };
 
-    const problemResponse = await fetch(`${API_BASE_URL}/api/users/${userId}/problems`, {
+    const problemResponse = await fetch(`${API_BASE_URL}/api/problems/users/${userId}/problems`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -135,7 +141,7 @@ async function testAPI() {
 
     // Test 6: Get User Problems
     console.log('6️⃣ Testing Get User Problems...');
-    const getProblemsResponse = await fetch(`${API_BASE_URL}/api/users/${userId}/problems`, {
+    const getProblemsResponse = await fetch(`${API_BASE_URL}/api/problems/users/${userId}/problems`, {
       headers: {
         'Authorization': `Bearer ${authToken}`
       }
@@ -170,7 +176,7 @@ async function testAPI() {
       platform: 'Example Platform'
     };
 
-    const learningResponse = await fetch(`${API_BASE_URL}/api/users/${userId}/learning-items`, {
+    const learningResponse = await fetch(`${API_BASE_URL}/api/learning/users/${userId}/learning-items`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -197,7 +203,7 @@ async function testAPI() {
       isPublic: false
     };
 
-    const roadmapResponse = await fetch(`${API_BASE_URL}/api/users/${userId}/roadmaps`, {
+    const roadmapResponse = await fetch(`${API_BASE_URL}/api/roadmap/users/${userId}/roadmaps`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -251,6 +257,905 @@ async function testAPI() {
     }
     console.log('');
 
+    // Test 11: Cross-user access is rejected
+    console.log('1️⃣1️⃣ Testing Cross-User Access...');
+    const otherRegisterResponse = await fetch(`${API_BASE_URL}/api/auth/register`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...testUser, email: 'integration.other@example.com' })
+    });
+    const otherRegisterData = await otherRegisterResponse.json();
+    const otherToken = otherRegisterData.token;
+
+    const otherUserId = otherRegisterData.data?.id;
+
+    // Resources of the first user the second one tries to reach
+    const ownerHeaders = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${authToken}`
+    };
+    const createAsOwner = async (path, body) => {
+      const response = await fetch(`${API_BASE_URL}${path}`, { method: 'POST', headers: ownerHeaders, body: JSON.stringify(body) });
+      return (await response.json()).data || {};
+    };
+    const problemId = problemResult.data?.id;
+    const learningItemId = learningResult.data?.id;
+    const roadmapId = roadmapResult.data?.id;
+    const revisionProblem = await createAsOwner('/api/me/problems', { ...problemData, title: 'Revision Test Problem', link: 'https://leetcode.com/problems/revision-test', isRevision: true });
+    const attempt = await createAsOwner(`/api/problems/${problemId}/attempts`, { timeSpent: 10, outcome: 'attempted' });
+    const snippet = await createAsOwner(`/api/problems/${problemId}/snippets`, { language: 'javascript', code: 'return 1;' });
+    const topic = await createAsOwner(`/api/roadmap/roadmaps/${roadmapId}/topics`, { title: 'Integration Topic' });
+    const subtopic = await createAsOwner(`/api/roadmap/topics/${topic.id}/subtopics`, { title: 'Integration Subtopic' });
+    const problemList = await createAsOwner('/api/me/problem-lists', { title: 'Integration List', problemIds: [problemId] });
+    const accessToken = await createAsOwner('/api/me/tokens', { name: 'Integration Token', scopes: ['problems:read'] });
+
+    const ownerGet = async (path) => (await (await fetch(`${API_BASE_URL}${path}`, { headers: ownerHeaders })).json()).data || [];
+    const revisionItem = (await ownerGet(`/api/revision/users/${userId}/revision-items`))
+      .find(item => item.itemType === 'problem' && item.itemId === revisionProblem.id) || {};
+    const tag = (await ownerGet('/api/me/tags'))[0] || {};
+    const session = (await ownerGet('/api/me/sessions'))[0] || {};
+
+    // Resources checked through their owner get 403; lookups scoped to the
+    // caller (their own sessions, tokens, trash) cannot see them and get 404
+    const crossUserChecks = [
+      // Per-user collections
+      { name: 'List problems', method: 'GET', url: `/api/problems/users/${userId}/problems` },
+      { name: 'Create problem for another user', method: 'POST', url: `/api/problems/users/${userId}/problems`, body: problemData },
+      { name: 'List learning items', method: 'GET', url: `/api/learning/users/${userId}/learning-items` },
+      { name: 'List roadmaps', method: 'GET', url: `/api/roadmap/users/${userId}/roadmaps` },
+      { name: 'List revision items', method: 'GET', url: `/api/revision/users/${userId}/revision-items` },
+      { name: 'Get user stats', method: 'GET', url: `/api/users/${userId}/stats` },
+      { name: 'Get user', method: 'GET', url: `/api/users/${userId}` },
+      { name: 'Delete user', method: 'DELETE', url: `/api/users/${userId}` },
+      { name: 'Get analytics', method: 'GET', url: `/api/analytics?userId=${userId}` },
+
+      // Problems and their attempts, notes and snippets
+      { name: 'Get problem', method: 'GET', url: `/api/problems/${problemId}` },
+      { name: 'Update problem', method: 'PUT', url: `/api/problems/${problemId}` },
+      { name: 'Delete problem', method: 'DELETE', url: `/api/problems/${problemId}` },
+      { name: 'Get problem (me)', method: 'GET', url: `/api/me/problems/${problemId}` },
+      { name: 'Update problem (me)', method: 'PUT', url: `/api/me/problems/${problemId}` },
+      { name: 'Delete problem (me)', method: 'DELETE', url: `/api/me/problems/${problemId}` },
+      { name: 'Merge problem', method: 'POST', url: `/api/problems/${problemId}/merge`, body: { sourceId: revisionProblem.id } },
+      { name: 'List attempts', method: 'GET', url: `/api/problems/${problemId}/attempts` },
+      { name: 'Add attempt', method: 'POST', url: `/api/problems/${problemId}/attempts`, body: { timeSpent: 5, outcome: 'solved' } },
+      { name: 'Update attempt', method: 'PUT', url: `/api/problems/${problemId}/attempts/${attempt.id}`, body: { timeSpent: 5 } },
+      { name: 'Delete attempt', method: 'DELETE', url: `/api/problems/${problemId}/attempts/${attempt.id}` },
+      { name: 'Get notes', method: 'GET', url: `/api/problems/${problemId}/notes` },
+      { name: 'Update notes', method: 'PUT', url: `/api/problems/${problemId}/notes`, body: { content: 'Hijacked' } },
+      { name: 'List note versions', method: 'GET', url: `/api/problems/${problemId}/notes/versions` },
+      { name: 'Diff notes', method: 'GET', url: `/api/problems/${problemId}/notes/diff` },
+      { name: 'List snippets', method: 'GET', url: `/api/problems/${problemId}/snippets` },
+      { name: 'Add snippet', method: 'POST', url: `/api/problems/${problemId}/snippets`, body: { language: 'python', code: 'pass' } },
+      { name: 'Get snippet', method: 'GET', url: `/api/problems/${problemId}/snippets/${snippet.id}` },
+      { name: 'Update snippet', method: 'PUT', url: `/api/problems/${problemId}/snippets/${snippet.id}`, body: { code: 'hijacked' } },
+      { name: 'Delete snippet', method: 'DELETE', url: `/api/problems/${problemId}/snippets/${snippet.id}` },
+      { name: 'List snippet versions', method: 'GET', url: `/api/problems/${problemId}/snippets/${snippet.id}/versions` },
+      { name: 'Diff snippet', method: 'GET', url: `/api/problems/${problemId}/snippets/${snippet.id}/diff` },
+
+      // Learning items and revision items
+      { name: 'Update learning item', method: 'PUT', url: `/api/learning/learning-items/${learningItemId}` },
+      { name: 'Delete learning item', method: 'DELETE', url: `/api/learning/learning-items/${learningItemId}` },
+      { name: 'Update learning item (me)', method: 'PUT', url: `/api/me/learning-items/${learningItemId}` },
+      { name: 'Complete revision item', method: 'PUT', url: `/api/revision/revision-items/${revisionItem.id}/complete` },
+      { name: 'Schedule revision of another user\'s problem', method: 'POST', url: `/api/revision/users/${otherUserId}/revision-items`, body: { itemId: revisionProblem.id, itemType: 'problem' } },
+
+      // Roadmaps, topics, subtopics and subtopic links
+      { name: 'Get roadmap', method: 'GET', url: `/api/roadmap/roadmaps/${roadmapId}` },
+      { name: 'Delete roadmap', method: 'DELETE', url: `/api/roadmap/roadmaps/${roadmapId}` },
+      { name: 'Add topic', method: 'POST', url: `/api/roadmap/roadmaps/${roadmapId}/topics`, body: { title: 'Hijacked' } },
+      { name: 'Complete topic', method: 'PUT', url: `/api/roadmap/topics/${topic.id}/complete` },
+      { name: 'Uncomplete topic', method: 'PUT', url: `/api/roadmap/topics/${topic.id}/uncomplete` },
+      { name: 'Delete topic', method: 'DELETE', url: `/api/roadmap/topics/${topic.id}` },
+      { name: 'Add subtopic', method: 'POST', url: `/api/roadmap/topics/${topic.id}/subtopics`, body: { title: 'Hijacked' } },
+      { name: 'Complete subtopic', method: 'PUT', url: `/api/roadmap/subtopics/${subtopic.id}/complete` },
+      { name: 'Uncomplete subtopic', method: 'PUT', url: `/api/roadmap/subtopics/${subtopic.id}/uncomplete` },
+      { name: 'Set subtopic auto-complete', method: 'PUT', url: `/api/roadmap/subtopics/${subtopic.id}/auto-complete`, body: { autoComplete: true } },
+      { name: 'Delete subtopic', method: 'DELETE', url: `/api/roadmap/subtopics/${subtopic.id}` },
+      { name: 'Link work to subtopic', method: 'POST', url: `/api/roadmap/subtopics/${subtopic.id}/links`, body: { problemIds: [problemId] } },
+      { name: 'Unlink problem from subtopic', method: 'DELETE', url: `/api/roadmap/subtopics/${subtopic.id}/links/problems/${problemId}` },
+      { name: 'Unlink learning item from subtopic', method: 'DELETE', url: `/api/roadmap/subtopics/${subtopic.id}/links/learning-items/${learningItemId}` },
+
+      // Problem lists (private lists are hidden from other users)
+      { name: 'Get private problem list', method: 'GET', url: `/api/problem-lists/${problemList.id}`, expect: 404 },
+      { name: 'Export private problem list', method: 'GET', url: `/api/problem-lists/${problemList.id}/export`, expect: 404 },
+      { name: 'Update problem list', method: 'PUT', url: `/api/problem-lists/${problemList.id}` },
+      { name: 'Delete problem list', method: 'DELETE', url: `/api/problem-lists/${problemList.id}` },
+      { name: 'Add list entry', method: 'POST', url: `/api/problem-lists/${problemList.id}/items` },
+      { name: 'Delete list entry', method: 'DELETE', url: `/api/problem-lists/${problemList.id}/items/${problemList.items?.[0]?.id}` },
+      { name: 'Reorder list', method: 'PUT', url: `/api/problem-lists/${problemList.id}/order`, body: { itemIds: (problemList.items || []).map(item => item.id) } },
+      { name: 'Add another user\'s problem to a list', method: 'POST', url: '/api/me/problem-lists', body: { title: 'Hijacked', problemIds: [problemId] }, expect: 404 },
+
+      // Tags, sessions, access tokens and the trash
+      { name: 'Rename tag', method: 'PUT', url: `/api/me/tags/${tag.id}`, body: { name: 'hijacked' } },
+      { name: 'Merge tags', method: 'POST', url: `/api/me/tags/${tag.id}/merge`, body: { sourceIds: [tag.id] } },
+      { name: 'Log out session', method: 'DELETE', url: `/api/me/sessions/${session.id}`, expect: 404 },
+      { name: 'Revoke access token', method: 'DELETE', url: `/api/me/tokens/${accessToken.id}`, expect: 404 },
+      { name: 'Restore from trash', method: 'POST', url: `/api/me/trash/problem/${problemId}/restore`, expect: 404 },
+      { name: 'Purge from trash', method: 'DELETE', url: `/api/me/trash/problem/${problemId}`, expect: 404 },
+
+      // Taxonomy changes are for admins only
+      { name: 'Create taxonomy topic', method: 'POST', url: '/api/taxonomy', body: { name: 'Hijacked' } },
+      { name: 'Rename taxonomy topic', method: 'PUT', url: '/api/taxonomy/1', body: { name: 'Hijacked' } },
+      { name: 'Delete taxonomy topic', method: 'DELETE', url: '/api/taxonomy/1' }
+    ];
+
+    for (const check of crossUserChecks) {
+      const expected = check.expect || 403;
+      const crossUserResponse = await fetch(`${API_BASE_URL}${check.url}`, {
+        method: check.method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${otherToken}`
+        },
+        body: check.method === 'GET' ? undefined : JSON.stringify(check.body || { title: 'Hijacked' })
+      });
+
+      if (crossUserResponse.status === expected) {
+        console.log(`✅ ${check.name}: rejected with ${expected}`);
+      } else {
+        console.log(`❌ ${check.name}: expected ${expected}, got ${crossUserResponse.status}`);
+      }
+    }
+    console.log('');
+
+    // Test 12: TOTP two-factor authentication
+    console.log('1️⃣2️⃣ Testing Two-Factor Authentication...');
+    // RFC 6238 appendix B vectors (SHA1), checked against a fixed clock
+    const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+    const rfcVectors = [[59, '287082'], [1111111109, '081804'], [1234567890, '005924'], [2000000000, '279037']];
+    const vectorsPass = rfcVectors.every(([seconds, code]) => generateTotp(rfcSecret, seconds * 1000) === code);
+    console.log(vectorsPass ? '✅ RFC 6238 test vectors match' : '❌ RFC 6238 test vectors do not match');
+
+    const authHeaders = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${otherToken}`
+    };
+    const setupResponse = await fetch(`${API_BASE_URL}/api/me/2fa/setup`, { method: 'POST', headers: authHeaders });
+    const setupData = await setupResponse.json();
+    const enableResponse = await fetch(`${API_BASE_URL}/api/me/2fa/enable`, {
+      method: 'POST',
+      headers: authHeaders,
+      body: JSON.stringify({ code: generateTotp(setupData.data.secret) })
+    });
+    const enableData = await enableResponse.json();
+
+    const mfaLoginResponse = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: 'integration.other@example.com', password: testUser.password })
+    });
+    const mfaLoginData = await mfaLoginResponse.json();
+
+    if (enableResponse.ok && mfaLoginData.mfaRequired) {
+      const secondStepResponse = await fetch(`${API_BASE_URL}/api/auth/login/2fa`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mfaToken: mfaLoginData.mfaToken, code: enableData.data.recoveryCodes[0] })
+      });
+      console.log(secondStepResponse.ok ? '✅ Two-factor login successful' : '❌ Two-factor login failed');
+    } else {
+      console.log('❌ Two-factor enrollment failed:', enableData.message || mfaLoginData.message);
+    }
+    console.log('');
+
+    // Test 13: Access tokens of a logged-out session are rejected
+    console.log('1️⃣3️⃣ Testing Revoked Session Tokens...');
+    const sessionLoginResponse = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: testUser.email, password: testUser.password })
+    });
+    const sessionLogin = await sessionLoginResponse.json();
+
+    await fetch(`${API_BASE_URL}/api/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: sessionLogin.refreshToken })
+    });
+
+    const revokedVerifyResponse = await fetch(`${API_BASE_URL}/api/auth/verify`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${sessionLogin.token}` }
+    });
+    const revokedOAuthResponse = await fetch(`${API_BASE_URL}/api/auth/verify-oauth`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: sessionLogin.token, provider: 'local' })
+    });
+
+    for (const [name, response] of [['/api/auth/verify', revokedVerifyResponse], ['/api/auth/verify-oauth', revokedOAuthResponse]]) {
+      if (response.status === 401) {
+        console.log(`✅ ${name}: revoked session rejected with 401`);
+      } else {
+        console.log(`❌ ${name}: expected 401 for a revoked session, got ${response.status}`);
+      }
+    }
+    console.log('');
+
+    // Test 14: Account lockout after repeated failed logins
+    console.log('1️⃣4️⃣ Testing Account Lockout...');
+    const lockoutUser = { ...testUser, email: 'integration.lockout@example.com' };
+    await fetch(`${API_BASE_URL}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(lockoutUser)
+    });
+
+    // Parallel attempts must not get past the limit while their outcomes are pending
+    const failedLoginResponses = await Promise.all(Array.from({ length: 6 }, () => fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: lockoutUser.email, password: 'wrong-password' })
+    })));
+    const failedStatuses = failedLoginResponses.map(response => response.status);
+    const rejectedCount = failedStatuses.filter(status => status === 401).length;
+    if (rejectedCount === 5 && failedStatuses.filter(status => status === 429).length === 1) {
+      console.log('✅ Five failed logins allowed, the sixth locked out');
+    } else {
+      console.log('❌ Expected five 401s and one 429, got', failedStatuses.join(', '));
+    }
+
+    const lockedLoginResponse = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: lockoutUser.email, password: lockoutUser.password })
+    });
+    if (lockedLoginResponse.status === 429 && lockedLoginResponse.headers.get('retry-after')) {
+      console.log('✅ Locked account rejects the correct password with 429');
+      console.log('   Retry-After:', lockedLoginResponse.headers.get('retry-after'));
+    } else {
+      console.log(`❌ Expected 429 with Retry-After for a locked account, got ${lockedLoginResponse.status}`);
+    }
+    console.log('');
+
+    // Test 15: Data export leaves out trashed records and imports into another account
+    console.log('1️⃣5️⃣ Testing Data Export and Import...');
+    const archiveHeaders = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${authToken}`
+    };
+    const keptProblemResponse = await fetch(`${API_BASE_URL}/api/me/problems`, {
+      method: 'POST',
+      headers: archiveHeaders,
+      body: JSON.stringify({ ...problemData, title: 'Archive Kept Problem', link: 'https://leetcode.com/problems/archive-kept' })
+    });
+    const trashedProblemResponse = await fetch(`${API_BASE_URL}/api/me/problems`, {
+      method: 'POST',
+      headers: archiveHeaders,
+      body: JSON.stringify({ ...problemData, title: 'Archive Trashed Problem', link: 'https://leetcode.com/problems/archive-trashed' })
+    });
+    const trashedProblem = (await trashedProblemResponse.json()).data;
+    await fetch(`${API_BASE_URL}/api/me/problems/${trashedProblem?.id}`, { method: 'DELETE', headers: archiveHeaders });
+
+    const exportResponse = await fetch(`${API_BASE_URL}/api/me/export`, { headers: archiveHeaders });
+    const archive = await exportResponse.json();
+    const exportedTitles = (archive.problems || []).map(problem => problem.title);
+
+    if (keptProblemResponse.ok && exportedTitles.includes('Archive Kept Problem') && !exportedTitles.includes('Archive Trashed Problem')) {
+      console.log('✅ Export leaves out trashed problems');
+    } else {
+      console.log('❌ Export should contain the kept problem only, got:', exportedTitles.join(', '));
+    }
+    if ((archive.problems || []).some(problem => 'deletedAt' in problem)) {
+      console.log('❌ Export includes the deletedAt field');
+    } else {
+      console.log('✅ Export omits the deletedAt field');
+    }
+
+    const importResponse = await fetch(`${API_BASE_URL}/api/me/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${otherToken}`
+      },
+      body: JSON.stringify(archive)
+    });
+    const importData = await importResponse.json();
+    if (importResponse.status === 201 && importData.data.imported.problems === exportedTitles.length) {
+      console.log('✅ Archive imported into another account');
+      console.log('   Problems imported:', importData.data.imported.problems);
+    } else {
+      console.log(`❌ Archive import failed (${importResponse.status}):`, importData.message);
+    }
+    console.log('');
+
+    // Test 16: Problem list import
+    console.log('1️⃣6️⃣ Testing Problem List Import...');
+    const listDocument = {
+      format: 'mindstack-problem-list',
+      version: 1,
+      title: 'Integration Test List',
+      problems: [
+        { title: 'Archive Kept Problem', platform: 'LeetCode', link: 'https://leetcode.com/problems/archive-kept' },
+        { title: 'Not Logged Yet', platform: 'LeetCode' }
+      ]
+    };
+    const listImportResponse = await fetch(`${API_BASE_URL}/api/me/problem-lists/import`, {
+      method: 'POST',
+      headers: archiveHeaders,
+      body: JSON.stringify(listDocument)
+    });
+    const listImport = await listImportResponse.json();
+    if (listImportResponse.status === 201 && listImport.matched === 1 && listImport.pending === 1) {
+      console.log('✅ List imported: one entry matched, one pending');
+    } else {
+      console.log(`❌ List import failed (${listImportResponse.status}):`, listImport.message);
+    }
+
+    const invalidListDocuments = [
+      ['missing title', { ...listDocument, title: undefined }],
+      ['entries not an array', { ...listDocument, problems: 'Two Sum' }],
+      ['too many entries', { ...listDocument, problems: Array.from({ length: 501 }, (_, index) => ({ title: `Problem ${index}` })) }]
+    ];
+    for (const [name, document] of invalidListDocuments) {
+      const invalidResponse = await fetch(`${API_BASE_URL}/api/me/problem-lists/import`, {
+        method: 'POST',
+        headers: archiveHeaders,
+        body: JSON.stringify(document)
+      });
+      if (invalidResponse.status === 400) {
+        console.log(`✅ List import with ${name}: rejected with 400`);
+      } else {
+        console.log(`❌ List import with ${name}: expected 400, got ${invalidResponse.status}`);
+      }
+    }
+    console.log('');
+
+    // Test 17: Problem updates and the trash
+    console.log('1️⃣7️⃣ Testing Problem Updates and Trash...');
+    const trashProblemResponse = await fetch(`${API_BASE_URL}/api/me/problems`, {
+      method: 'POST',
+      headers: archiveHeaders,
+      body: JSON.stringify({ ...problemData, title: 'Trash Test Problem', link: 'https://leetcode.com/problems/trash-test' })
+    });
+    const trashProblemId = (await trashProblemResponse.json()).data?.id;
+    const problemUrl = `${API_BASE_URL}/api/me/problems/${trashProblemId}`;
+    const problemStatus = async () => (await fetch(problemUrl, { headers: archiveHeaders })).status;
+
+    // Fields outside the editable ones are ignored, so an update cannot trash or move a problem
+    const protectedUpdateResponse = await fetch(problemUrl, {
+      method: 'PUT',
+      headers: archiveHeaders,
+      body: JSON.stringify({ title: 'Trash Test Problem (edited)', deletedAt: new Date().toISOString(), userId: 999999 })
+    });
+    if (protectedUpdateResponse.ok && await problemStatus() === 200) {
+      console.log('✅ Update ignores deletedAt and userId');
+    } else {
+      console.log(`❌ Update with protected fields: got ${protectedUpdateResponse.status}, problem now ${await problemStatus()}`);
+    }
+
+    const invalidUpdateResponse = await fetch(problemUrl, {
+      method: 'PUT',
+      headers: archiveHeaders,
+      body: JSON.stringify({ difficulty: 'impossible' })
+    });
+    console.log(invalidUpdateResponse.status === 400
+      ? '✅ Invalid update rejected with 400'
+      : `❌ Invalid update: expected 400, got ${invalidUpdateResponse.status}`);
+
+    await fetch(problemUrl, { method: 'DELETE', headers: archiveHeaders });
+    const trashList = await (await fetch(`${API_BASE_URL}/api/me/trash`, { headers: archiveHeaders })).json();
+    const inTrash = (trashList.data || []).some(item => item.type === 'problem' && item.id === trashProblemId);
+    console.log(inTrash && await problemStatus() === 404
+      ? '✅ Deleted problem moved to the trash'
+      : '❌ Deleted problem should be hidden and listed in the trash');
+
+    const restoreResponse = await fetch(`${API_BASE_URL}/api/me/trash/problem/${trashProblemId}/restore`, { method: 'POST', headers: archiveHeaders });
+    console.log(restoreResponse.ok && await problemStatus() === 200
+      ? '✅ Problem restored from the trash'
+      : `❌ Restore failed with ${restoreResponse.status}`);
+
+    await fetch(problemUrl, { method: 'DELETE', headers: archiveHeaders });
+    const purgeResponse = await fetch(`${API_BASE_URL}/api/me/trash/problem/${trashProblemId}`, { method: 'DELETE', headers: archiveHeaders });
+    const restorePurgedResponse = await fetch(`${API_BASE_URL}/api/me/trash/problem/${trashProblemId}/restore`, { method: 'POST', headers: archiveHeaders });
+    console.log(purgeResponse.ok && restorePurgedResponse.status === 404
+      ? '✅ Purged problem is gone for good'
+      : `❌ Purge: got ${purgeResponse.status}, restoring afterwards got ${restorePurgedResponse.status}`);
+    console.log('');
+
+    // Test 18: Bulk actions run all-or-nothing and return canonical tags
+    console.log('1️⃣8️⃣ Testing Bulk Actions...');
+    const bulkProblemResponse = await fetch(`${API_BASE_URL}/api/me/problems`, {
+      method: 'POST',
+      headers: archiveHeaders,
+      body: JSON.stringify({ ...problemData, title: 'Bulk Test Problem', link: 'https://leetcode.com/problems/bulk-test', tags: [] })
+    });
+    const bulkProblemId = (await bulkProblemResponse.json()).data?.id;
+    const otherProblems = await (await fetch(`${API_BASE_URL}/api/me/problems`, {
+      headers: { 'Authorization': `Bearer ${otherToken}` }
+    })).json();
+    const otherProblemId = otherProblems.data?.[0]?.id;
+
+    const mixedBulkResponse = await fetch(`${API_BASE_URL}/api/me/problems/bulk`, {
+      method: 'POST',
+      headers: archiveHeaders,
+      body: JSON.stringify({ action: 'add-tags', ids: [bulkProblemId, otherProblemId], tags: ['bulk'] })
+    });
+    const bulkProblem = await (await fetch(`${API_BASE_URL}/api/me/problems/${bulkProblemId}`, { headers: archiveHeaders })).json();
+    if (mixedBulkResponse.status === 403 && bulkProblem.data?.tags?.length === 0) {
+      console.log('✅ Batch with another user\'s problem rejected with 403 and rolled back');
+    } else {
+      console.log(`❌ Mixed batch: expected 403 and no change, got ${mixedBulkResponse.status} with tags`, bulkProblem.data?.tags);
+    }
+
+    // 'array' was first used by the earlier problems, so that spelling wins
+    const tagBulkResponse = await fetch(`${API_BASE_URL}/api/me/problems/bulk`, {
+      method: 'POST',
+      headers: archiveHeaders,
+      body: JSON.stringify({ action: 'add-tags', ids: [bulkProblemId], tags: ['ARRAY'] })
+    });
+    const tagBulk = await tagBulkResponse.json();
+    const returnedTags = tagBulk.data?.results?.[0]?.tags || [];
+    if (tagBulkResponse.ok && returnedTags.length === 1 && returnedTags[0] === 'array') {
+      console.log('✅ Bulk add-tags returns tags in their canonical spelling');
+    } else {
+      console.log('❌ Bulk add-tags returned', returnedTags);
+    }
+    console.log('');
+
+    // Test 19: Filing a problem under a taxonomy topic on update
+    console.log('1️⃣9️⃣ Testing Taxonomy Topic Updates...');
+    const taxonomy = await (await fetch(`${API_BASE_URL}/api/taxonomy`, { headers: archiveHeaders })).json();
+    const taxonomyTopicId = taxonomy.data?.[0]?.id;
+    const filedUrl = `${API_BASE_URL}/api/me/problems/${bulkProblemId}`;
+
+    const fileResponse = await fetch(filedUrl, {
+      method: 'PUT',
+      headers: archiveHeaders,
+      body: JSON.stringify({ taxonomyTopicId })
+    });
+    const filed = await fileResponse.json();
+    console.log(fileResponse.ok && filed.data?.taxonomyTopicId === taxonomyTopicId
+      ? '✅ Problem filed under an existing taxonomy topic'
+      : `❌ Filing under taxonomy topic ${taxonomyTopicId} failed with ${fileResponse.status}`);
+
+    for (const invalidTopicId of ['graphs', 999999]) {
+      const invalidTopicResponse = await fetch(filedUrl, {
+        method: 'PUT',
+        headers: archiveHeaders,
+        body: JSON.stringify({ taxonomyTopicId: invalidTopicId })
+      });
+      console.log(invalidTopicResponse.status === 400
+        ? `✅ taxonomyTopicId ${JSON.stringify(invalidTopicId)} rejected with 400`
+        : `❌ taxonomyTopicId ${JSON.stringify(invalidTopicId)}: expected 400, got ${invalidTopicResponse.status}`);
+    }
+    console.log('');
+
+    // Test 20: Reusing a rotated refresh token revokes the whole session
+    console.log('2️⃣0️⃣ Testing Refresh Token Reuse Detection...');
+    const reuseLoginResponse = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: testUser.email, password: testUser.password })
+    });
+    const reuseLogin = await reuseLoginResponse.json();
+    const rotate = (refreshToken) => fetch(`${API_BASE_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    const rotatedResponse = await rotate(reuseLogin.refreshToken);
+    const rotated = await rotatedResponse.json();
+    console.log(rotatedResponse.ok && rotated.refreshToken && rotated.refreshToken !== reuseLogin.refreshToken
+      ? '✅ Refresh token rotated'
+      : `❌ Refresh token rotation failed with ${rotatedResponse.status}`);
+
+    const replayResponse = await rotate(reuseLogin.refreshToken);
+    console.log(replayResponse.status === 401
+      ? '✅ Reused refresh token rejected with 401'
+      : `❌ Reused refresh token: expected 401, got ${replayResponse.status}`);
+
+    const revokedRotationResponse = await rotate(rotated.refreshToken);
+    const revokedAccessResponse = await fetch(`${API_BASE_URL}/api/auth/verify`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${rotated.token}` }
+    });
+    console.log(revokedRotationResponse.status === 401 && revokedAccessResponse.status === 401
+      ? '✅ Reuse revoked the rest of the session'
+      : `❌ Session still usable after reuse: refresh ${revokedRotationResponse.status}, verify ${revokedAccessResponse.status}`);
+    console.log('');
+
+    // Test 21: Importing problem history from CSV
+    console.log('2️⃣1️⃣ Testing Problem Import...');
+    const importDate = new Date().toISOString().split('T')[0];
+    const importCsv = [
+      'Title,Platform,Difficulty,Topic,Time Spent,Outcome,Date,Link',
+      `Imported Problem,LeetCode,medium,Graphs,25,solved,${importDate},https://leetcode.com/problems/imported-problem`,
+      `Integration Test Problem,LeetCode,easy,Arrays,30,solved,${importDate},${problemData.link}`
+    ].join('\n');
+    const importProblems = (query, csv) => fetch(`${API_BASE_URL}/api/me/problems/import${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv', 'Authorization': `Bearer ${authToken}` },
+      body: csv
+    });
+
+    const dryRunResponse = await importProblems('?dryRun=true', importCsv);
+    const dryRun = (await dryRunResponse.json()).data || {};
+    console.log(dryRunResponse.status === 200 && dryRun.valid === 1 && dryRun.duplicates?.length === 1 && dryRun.imported === 0
+      ? '✅ Dry run reports one new row and one duplicate without importing'
+      : `❌ Dry run returned ${dryRunResponse.status}: ${JSON.stringify(dryRun)}`);
+
+    const historyImportResponse = await importProblems('', importCsv);
+    const importReport = (await historyImportResponse.json()).data || {};
+    console.log(historyImportResponse.status === 201 && importReport.imported === 1
+      ? '✅ Import added the new row and skipped the duplicate'
+      : `❌ Import returned ${historyImportResponse.status}: ${JSON.stringify(importReport)}`);
+
+    const repeatResponse = await importProblems('', importCsv);
+    const repeatReport = (await repeatResponse.json()).data || {};
+    console.log(repeatReport.imported === 0 && repeatReport.duplicates?.length === 2
+      ? '✅ Importing the same file again adds nothing'
+      : `❌ Repeated import returned ${repeatResponse.status}: ${JSON.stringify(repeatReport)}`);
+
+    const invalidImportResponse = await importProblems('', importCsv.replace('medium', 'impossible'));
+    const invalidImport = (await invalidImportResponse.json()).data || {};
+    console.log(invalidImportResponse.status === 400 && invalidImport.errors?.[0]?.row === 1
+      ? '✅ Import with an invalid row rejected with 400'
+      : `❌ Invalid import: expected 400, got ${invalidImportResponse.status}`);
+    console.log('');
+
+    // Test 22: A subtopic completes itself once its linked problem is solved
+    console.log('2️⃣2️⃣ Testing Subtopic Auto-Completion...');
+    const autoSubtopic = await createAsOwner(`/api/roadmap/topics/${topic.id}/subtopics`, { title: 'Auto-Completing Subtopic', autoComplete: true });
+    const linkedProblem = await createAsOwner('/api/me/problems', {
+      ...problemData,
+      title: 'Linked Problem',
+      link: 'https://leetcode.com/problems/linked-problem',
+      outcome: 'failed'
+    });
+    const linkResponse = await fetch(`${API_BASE_URL}/api/roadmap/subtopics/${autoSubtopic.id}/links`, {
+      method: 'POST',
+      headers: ownerHeaders,
+      body: JSON.stringify({ problemIds: [linkedProblem.id] })
+    });
+    const linked = (await linkResponse.json()).data || {};
+    console.log(linkResponse.ok && linked.isCompleted === false
+      ? '✅ Subtopic linked to an unsolved problem stays open'
+      : `❌ Linking returned ${linkResponse.status}: ${JSON.stringify(linked)}`);
+
+    await createAsOwner(`/api/problems/${linkedProblem.id}/attempts`, { timeSpent: 15, outcome: 'solved' });
+    const autoRoadmap = await ownerGet(`/api/roadmap/roadmaps/${roadmapId}`);
+    const completedSubtopic = (autoRoadmap.topics || [])
+      .flatMap(roadmapTopic => roadmapTopic.subtopics || [])
+      .find(subtopic => subtopic.id === autoSubtopic.id);
+    console.log(completedSubtopic?.isCompleted === true
+      ? '✅ Solving the linked problem completed the subtopic'
+      : '❌ Subtopic was not completed after its linked problem was solved');
+    console.log('');
+
+    // Test 23: First-try solve rate comes from attempts, not the current outcome
+    console.log('2️⃣3️⃣ Testing First-Try Analytics...');
+    const attemptsUserResponse = await fetch(`${API_BASE_URL}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...testUser, email: 'integration.attempts@example.com' })
+    });
+    const attemptsHeaders = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${(await attemptsUserResponse.json()).token}`
+    };
+    const createAttemptsProblem = async (title, outcome) => {
+      const response = await fetch(`${API_BASE_URL}/api/me/problems`, {
+        method: 'POST',
+        headers: attemptsHeaders,
+        body: JSON.stringify({ ...problemData, title, outcome, link: undefined })
+      });
+      return (await response.json()).data || {};
+    };
+    await createAttemptsProblem('Solved First Try', 'solved');
+    const retriedProblem = await createAttemptsProblem('Solved On Retry', 'failed');
+    const retryResponse = await fetch(`${API_BASE_URL}/api/problems/${retriedProblem.id}/attempts`, {
+      method: 'POST',
+      headers: attemptsHeaders,
+      body: JSON.stringify({ timeSpent: 20, outcome: 'solved' })
+    });
+
+    const firstTryResponse = await fetch(`${API_BASE_URL}/api/me/analytics`, { headers: attemptsHeaders });
+    const attemptAnalysis = (await firstTryResponse.json()).data?.attemptAnalysis || {};
+    console.log(retryResponse.status === 201 &&
+      attemptAnalysis.totalAttempts === 3 &&
+      attemptAnalysis.firstTrySolved === 1 &&
+      attemptAnalysis.firstTrySolveRate === 50
+      ? '✅ Only the problem solved on its first attempt counts as solved first try'
+      : `❌ Unexpected first-try analytics: ${JSON.stringify(attemptAnalysis)}`);
+    console.log('');
+
+    // Test 24: Personal access tokens are limited to their scopes
+    console.log('2️⃣4️⃣ Testing Personal Access Tokens...');
+    const createAccessToken = async (body) => {
+      const response = await fetch(`${API_BASE_URL}/api/me/tokens`, { method: 'POST', headers: ownerHeaders, body: JSON.stringify(body) });
+      return (await response.json()).data || {};
+    };
+    const withAccessToken = (token) => ({
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    });
+    const readToken = await createAccessToken({ name: 'Read Only', scopes: ['problems:read'] });
+    const readHeaders = withAccessToken(readToken.token);
+
+    const patChecks = [
+      { name: 'Read problems with problems:read', method: 'GET', url: '/api/me/problems', expect: 200 },
+      { name: 'Create problem without problems:write', method: 'POST', url: '/api/me/problems', body: problemData, expect: 403 },
+      { name: 'Read learning items without learning:read', method: 'GET', url: '/api/me/learning-items', expect: 403 },
+      { name: 'List access tokens (login session only)', method: 'GET', url: '/api/me/tokens', expect: 403 },
+      { name: 'Create access token (login session only)', method: 'POST', url: '/api/me/tokens', body: { name: 'Escalated', scopes: ['problems:write'] }, expect: 403 },
+      { name: 'Delete account (login session only)', method: 'DELETE', url: '/api/me', body: { password: testUser.password }, expect: 403 }
+    ];
+    for (const check of patChecks) {
+      const response = await fetch(`${API_BASE_URL}${check.url}`, {
+        method: check.method,
+        headers: readHeaders,
+        body: check.body ? JSON.stringify(check.body) : undefined
+      });
+      console.log(response.status === check.expect
+        ? `✅ ${check.name}: ${check.expect}`
+        : `❌ ${check.name}: expected ${check.expect}, got ${response.status}`);
+    }
+
+    const expiringToken = await createAccessToken({ name: 'Expiring', scopes: ['problems:read'], expiresInDays: 1 });
+    await models.PersonalAccessToken.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { id: expiringToken.id } });
+    const expiredResponse = await fetch(`${API_BASE_URL}/api/me/problems`, { headers: withAccessToken(expiringToken.token) });
+    console.log(expiredResponse.status === 401
+      ? '✅ Expired access token rejected with 401'
+      : `❌ Expired access token: expected 401, got ${expiredResponse.status}`);
+
+    const revokeResponse = await fetch(`${API_BASE_URL}/api/me/tokens/${readToken.id}`, { method: 'DELETE', headers: ownerHeaders });
+    const revokedTokenResponse = await fetch(`${API_BASE_URL}/api/me/problems`, { headers: readHeaders });
+    console.log(revokeResponse.ok && revokedTokenResponse.status === 401
+      ? '✅ Revoked access token rejected with 401'
+      : `❌ Revoked access token: revoke ${revokeResponse.status}, then ${revokedTokenResponse.status}`);
+    console.log('');
+
+    // Test 25: Admin routes need the admin role and a login session
+    console.log('2️⃣5️⃣ Testing Roles and Permissions...');
+    const adminChecks = [
+      { name: 'List users', method: 'GET', url: '/api/users' },
+      { name: 'Get another user', method: 'GET', url: `/api/users/${otherUserId}` },
+      { name: 'Get another user\'s stats', method: 'GET', url: `/api/users/${otherUserId}/stats` },
+      { name: 'Change a role', method: 'PATCH', url: `/api/users/${otherUserId}/role`, body: { role: 'admin' } },
+      { name: 'Delete another user', method: 'DELETE', url: `/api/users/${otherUserId}` }
+    ];
+    const runAdminChecks = async (checks, label, headers, expected) => {
+      for (const check of checks) {
+        const response = await fetch(`${API_BASE_URL}${check.url}`, {
+          method: check.method,
+          headers,
+          body: check.body ? JSON.stringify(check.body) : undefined
+        });
+        console.log(response.status === expected
+          ? `✅ ${check.name} as ${label}: ${expected}`
+          : `❌ ${check.name} as ${label}: expected ${expected}, got ${response.status}`);
+      }
+    };
+    await runAdminChecks(adminChecks, 'a normal user', ownerHeaders, 403);
+
+    const adminRegisterResponse = await fetch(`${API_BASE_URL}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...testUser, email: 'integration.admin@example.com' })
+    });
+    const adminRegister = await adminRegisterResponse.json();
+    await models.User.update({ role: 'admin' }, { where: { id: adminRegister.data?.id } });
+    const adminHeaders = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${adminRegister.token}`
+    };
+    const adminTokenResponse = await fetch(`${API_BASE_URL}/api/me/tokens`, {
+      method: 'POST',
+      headers: adminHeaders,
+      body: JSON.stringify({ name: 'Admin Token', scopes: ['profile:read', 'analytics:read'] })
+    });
+    const adminToken = (await adminTokenResponse.json()).data || {};
+
+    // Only the read-only checks for the admin, so the other user and their role stay as they are
+    const adminReadChecks = adminChecks.filter(check => check.method === 'GET');
+    await runAdminChecks(adminReadChecks, 'an admin', adminHeaders, 200);
+    await runAdminChecks(adminReadChecks, 'an admin\'s access token', withAccessToken(adminToken.token), 403);
+    console.log('');
+
+    // Test 26: Listing and revoking login sessions
+    console.log('2️⃣6️⃣ Testing Session Management...');
+    const sessionsUser = { ...testUser, email: 'integration.sessions@example.com' };
+    const sessionsRegisterResponse = await fetch(`${API_BASE_URL}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(sessionsUser)
+    });
+    const firstSessionHeaders = withAccessToken((await sessionsRegisterResponse.json()).token);
+    const secondLoginResponse = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: sessionsUser.email, password: sessionsUser.password })
+    });
+    const secondSessionHeaders = withAccessToken((await secondLoginResponse.json()).token);
+
+    const listSessions = async (headers) => {
+      const response = await fetch(`${API_BASE_URL}/api/me/sessions`, { headers });
+      return (await response.json()).data || [];
+    };
+    const firstView = await listSessions(firstSessionHeaders);
+    const secondView = await listSessions(secondSessionHeaders);
+    const currentOf = (sessions) => sessions.filter(session => session.current).map(session => session.id);
+    console.log(firstView.length === 2 &&
+      currentOf(firstView).length === 1 &&
+      currentOf(secondView).length === 1 &&
+      currentOf(firstView)[0] !== currentOf(secondView)[0]
+      ? '✅ Each session sees itself marked as current'
+      : `❌ Unexpected session list: ${JSON.stringify(firstView)}`);
+
+    const logoutOthersResponse = await fetch(`${API_BASE_URL}/api/me/sessions`, { method: 'DELETE', headers: firstSessionHeaders });
+    const keptResponse = await fetch(`${API_BASE_URL}/api/me`, { headers: firstSessionHeaders });
+    const revokedSessionResponse = await fetch(`${API_BASE_URL}/api/me`, { headers: secondSessionHeaders });
+    const remainingSessions = await listSessions(firstSessionHeaders);
+    console.log(logoutOthersResponse.ok && keptResponse.ok && remainingSessions.length === 1 && remainingSessions[0].current
+      ? '✅ Logging out other sessions keeps the current one'
+      : `❌ Logging out other sessions: ${logoutOthersResponse.status}, current session ${keptResponse.status}`);
+    console.log(revokedSessionResponse.status === 401
+      ? '✅ Access token of a revoked session rejected with 401'
+      : `❌ Revoked session: expected 401, got ${revokedSessionResponse.status}`);
+    console.log('');
+
+    // Test 27: Password changes and account deletion
+    console.log('2️⃣7️⃣ Testing Password Change and Account Deletion...');
+    const deletedUser = { ...testUser, email: 'integration.delete@example.com' };
+    const deletedRegisterResponse = await fetch(`${API_BASE_URL}/api/auth/register`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(deletedUser)
+    });
+    const deletedRegister = await deletedRegisterResponse.json();
+    const deletedUserHeaders = withAccessToken(deletedRegister.token);
+    const otherDeviceResponse = await fetch(`${API_BASE_URL}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: deletedUser.email, password: deletedUser.password })
+    });
+    const otherDeviceHeaders = withAccessToken((await otherDeviceResponse.json()).token);
+
+    const newPassword = 'newpassword456';
+    const passwordResponse = await fetch(`${API_BASE_URL}/api/me/password`, {
+      method: 'POST',
+      headers: deletedUserHeaders,
+      body: JSON.stringify({ currentPassword: deletedUser.password, newPassword })
+    });
+    const otherDeviceAfterResponse = await fetch(`${API_BASE_URL}/api/me`, { headers: otherDeviceHeaders });
+    const sameDeviceAfterResponse = await fetch(`${API_BASE_URL}/api/me`, { headers: deletedUserHeaders });
+    console.log(passwordResponse.ok && otherDeviceAfterResponse.status === 401 && sameDeviceAfterResponse.ok
+      ? '✅ Changing the password signs out the other sessions only'
+      : `❌ Password change: ${passwordResponse.status}, other session ${otherDeviceAfterResponse.status}, this session ${sameDeviceAfterResponse.status}`);
+
+    await fetch(`${API_BASE_URL}/api/me/problems`, {
+      method: 'POST',
+      headers: deletedUserHeaders,
+      body: JSON.stringify({ ...problemData, isRevision: true })
+    });
+    const deletedUserId = deletedRegister.data?.id;
+    const revisionItemsBefore = await models.RevisionItem.count({ where: { userId: deletedUserId } });
+
+    for (const [label, body] of [['no password', {}], ['a wrong password', { password: 'wrongpassword' }]]) {
+      const response = await fetch(`${API_BASE_URL}/api/me`, { method: 'DELETE', headers: deletedUserHeaders, body: JSON.stringify(body) });
+      console.log(response.status === 401
+        ? `✅ Account deletion with ${label} rejected with 401`
+        : `❌ Account deletion with ${label}: expected 401, got ${response.status}`);
+    }
+
+    const deleteAccountResponse = await fetch(`${API_BASE_URL}/api/me`, {
+      method: 'DELETE',
+      headers: deletedUserHeaders,
+      body: JSON.stringify({ password: newPassword })
+    });
+    const revisionItemsAfter = await models.RevisionItem.count({ where: { userId: deletedUserId } });
+    console.log(deleteAccountResponse.ok && revisionItemsBefore === 1 && revisionItemsAfter === 0
+      ? '✅ Deleting the account removes its revision items'
+      : `❌ Account deletion: ${deleteAccountResponse.status}, revision items ${revisionItemsBefore} before and ${revisionItemsAfter} after`);
+    console.log('');
+
+    // Test 28: Cursor pagination, tag filters and search on the problem listing
+    console.log('2️⃣8️⃣ Testing Problem Listing Pagination and Filters...');
+    const bothTagsProblem = await createAsOwner('/api/me/problems', { ...problemData, title: 'Paging Needle Alpha', link: 'https://leetcode.com/problems/paging-alpha', tags: ['paging-a', 'paging-b'] });
+    const oneTagProblem = await createAsOwner('/api/me/problems', { ...problemData, title: 'Paging Needle Beta', link: 'https://leetcode.com/problems/paging-beta', tags: ['paging-a'] });
+    const listProblems = async (query) => {
+      const response = await fetch(`${API_BASE_URL}/api/me/problems?${query}`, { headers: ownerHeaders });
+      return response.json();
+    };
+    const idsOf = (page) => (page.data || []).map(problem => problem.id);
+    const sameIds = (left, right) => left.length === right.length && left.every((id, index) => id === right[index]);
+
+    for (const sorting of ['', '&sort=title&order=asc']) {
+      const everyId = idsOf(await listProblems(`limit=100${sorting}`));
+      const walkedIds = [];
+      const pages = [];
+      let page = await listProblems(`limit=2${sorting}`);
+      while (page.data?.length && pages.length <= everyId.length) {
+        pages.push(page);
+        walkedIds.push(...idsOf(page));
+        if (!page.pagination.nextCursor) break;
+        page = await listProblems(`limit=2${sorting}&cursor=${page.pagination.nextCursor}`);
+      }
+      console.log(everyId.length > 4 && sameIds(walkedIds, everyId)
+        ? `✅ Following nextCursor visits every problem once${sorting ? ' (sorted by title)' : ''}`
+        : `❌ Cursor walk${sorting}: got ${JSON.stringify(walkedIds)}, expected ${JSON.stringify(everyId)}`);
+
+      const backToFirst = await listProblems(`limit=2${sorting}&cursor=${pages[1]?.pagination.prevCursor}`);
+      const backFromThird = await listProblems(`limit=2${sorting}&cursor=${pages[2]?.pagination.prevCursor}`);
+      console.log(sameIds(idsOf(backToFirst), idsOf(pages[0])) && sameIds(idsOf(backFromThird), idsOf(pages[1])) && !backToFirst.pagination.hasPrevPage
+        ? `✅ prevCursor returns to the previous page${sorting ? ' (sorted by title)' : ''}`
+        : `❌ prevCursor${sorting}: got ${JSON.stringify(idsOf(backToFirst))}, expected ${JSON.stringify(idsOf(pages[0]))}`);
+    }
+
+    const foreignCursorResponse = await fetch(`${API_BASE_URL}/api/me/problems?sort=title&cursor=${(await listProblems('limit=2')).pagination.nextCursor}`, { headers: ownerHeaders });
+    console.log(foreignCursorResponse.status === 400
+      ? '✅ Cursor from another sorting rejected with 400'
+      : `❌ Cursor from another sorting: expected 400, got ${foreignCursorResponse.status}`);
+
+    const sortIds = (ids) => [...ids].sort((a, b) => a - b);
+    const tagFilters = [
+      ['tags=paging-a', [bothTagsProblem.id, oneTagProblem.id]],
+      ['tags=PAGING-A,paging-b&tagMode=all', [bothTagsProblem.id]],
+      ['tags=paging-b,missing-tag&tagMode=any', [bothTagsProblem.id]],
+      ['q=needle beta', [oneTagProblem.id]],
+      ['q=paging needle&tags=paging-b', [bothTagsProblem.id]]
+    ];
+    for (const [query, expected] of tagFilters) {
+      const filtered = await listProblems(`limit=100&${query}`);
+      console.log(sameIds(sortIds(idsOf(filtered)), sortIds(expected)) && filtered.pagination?.totalItems === expected.length
+        ? `✅ Filter ${query} returns only the matching problems`
+        : `❌ Filter ${query}: got ${JSON.stringify(idsOf(filtered))}, expected ${JSON.stringify(expected)}`);
+    }
+    console.log('');
+
+    // Test 29: Note and snippet versions and their diffs
+    console.log('2️⃣9️⃣ Testing Note and Snippet Versioning...');
+    const versionedProblem = await createAsOwner('/api/me/problems', { ...problemData, title: 'Versioned Notes Problem', link: 'https://leetcode.com/problems/versioned-notes' });
+    const notesPath = `/api/problems/${versionedProblem.id}/notes`;
+    const firstTry = await createAsOwner(`/api/problems/${versionedProblem.id}/attempts`, { timeSpent: 20, outcome: 'attempted' });
+    const secondTry = await createAsOwner(`/api/problems/${versionedProblem.id}/attempts`, { timeSpent: 10, outcome: 'solved' });
+    const saveNotes = (content, attemptId) => fetch(`${API_BASE_URL}${notesPath}`, {
+      method: 'PUT',
+      headers: ownerHeaders,
+      body: JSON.stringify({ content, attemptId })
+    });
+    const getDiff = (query) => fetch(`${API_BASE_URL}${notesPath}/diff?${query}`, { headers: ownerHeaders });
+
+    await saveNotes('Approach: brute force', firstTry.id);
+    await saveNotes('Approach: brute force', secondTry.id);
+    const unchangedVersions = await ownerGet(`${notesPath}/versions`);
+    console.log(unchangedVersions.length === 1
+      ? '✅ Saving unchanged notes creates no new version'
+      : `❌ Saving unchanged notes: expected 1 version, got ${unchangedVersions.length}`);
+
+    await saveNotes('Approach: two pointers\nComplexity: O(n)', secondTry.id);
+    const versionDiff = await (await getDiff('from=1&to=2')).json();
+    const attemptDiff = await (await getDiff(`fromAttempt=${firstTry.id}&toAttempt=${secondTry.id}`)).json();
+    console.log(versionDiff.data?.added === 2 && versionDiff.data?.removed === 1 && versionDiff.data?.to?.version === 2
+      ? '✅ Notes diff between version numbers'
+      : `❌ Notes diff between versions: ${JSON.stringify(versionDiff)}`);
+    console.log(attemptDiff.data?.from?.attemptId === firstTry.id && attemptDiff.data?.to?.attemptId === secondTry.id && attemptDiff.data?.added === 2
+      ? '✅ Notes diff between attempts'
+      : `❌ Notes diff between attempts: ${JSON.stringify(attemptDiff)}`);
+
+    await saveNotes(Array.from({ length: 2001 }, () => 'x').join('\n'), secondTry.id);
+    const longDiffResponse = await getDiff('');
+    console.log(longDiffResponse.status === 400
+      ? '✅ Diff of notes longer than the line limit rejected with 400'
+      : `❌ Long notes diff: expected 400, got ${longDiffResponse.status}`);
+
+    const versionedSnippet = await createAsOwner(`/api/problems/${versionedProblem.id}/snippets`, { language: 'javascript', code: 'return a + b;' });
+    const snippetPath = `/api/problems/${versionedProblem.id}/snippets/${versionedSnippet.id}`;
+    const updateSnippet = (body) => fetch(`${API_BASE_URL}${snippetPath}`, { method: 'PUT', headers: ownerHeaders, body: JSON.stringify(body) });
+    await updateSnippet({ title: 'Renamed', code: 'return a + b;' });
+    const renamedVersions = await ownerGet(`${snippetPath}/versions`);
+    await updateSnippet({ code: 'return b + a;' });
+    const snippetDiff = (await ownerGet(`${snippetPath}/diff`)) || {};
+    console.log(renamedVersions.length === 1 && snippetDiff.to?.version === 2 && snippetDiff.added === 1 && snippetDiff.removed === 1
+      ? '✅ Snippet versions only change with the code'
+      : `❌ Snippet versions: ${renamedVersions.length} after rename, diff ${JSON.stringify(snippetDiff)}`);
+    console.log('');
+
     console.log('🎉 Integration Tests Completed Successfully!');
     console.log('');
     console.log('📊 Test Summary:');
@@ -269,4 +1174,4 @@ async function testAPI() {
 }
 
 // Run the tests
-testAPI();
+testAPI().finally(() => models.sequelize.close());
@@ -0,0 +1,123 @@
+/**
+ * MAILER CONFIGURATION
+ *
+ * Pluggable mail transports. MAIL_TRANSPORT selects one of:
+ * - smtp:    deliver through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ * - file:    write each message as JSON into MAIL_OUTPUT_DIR (default ./mail-outbox)
+ * - console: print each message to the console (default outside production)
+ *
+ * Production has no default: MAIL_TRANSPORT must be set, since the console
+ * transport would put reset and verification links into the server logs.
+ * Outside development the console transport leaves the message body out.
+ *
+ * A transport is any object with an async send(message) method, where
+ * message is { from, to, subject, text, html }.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Whether the server runs in development (NODE_ENV unset counts as development)
+ * @returns {boolean} True in development
+ */
+const isDevelopment = () => (process.env.NODE_ENV || 'development') === 'development';
+
+/**
+ * SMTP transport backed by nodemailer
+ * @returns {Object} Transport
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+/**
+ * File transport that stores messages on disk for local testing
+ * @returns {Object} Transport
+ */
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'mail-outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.-]/gi, '_')}.json`;
+      const filePath = path.join(outputDir, fileName);
+      await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { filePath };
+    }
+  };
+};
+
+/**
+ * Console transport that prints messages instead of sending them
+ * @returns {Object} Transport
+ */
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      const body = isDevelopment() ? message.text : '(body hidden outside development)';
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${body}`);
+      return {};
+    }
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport (e.g. with a custom or in-memory one)
+ * @param {Object} transport - Object with an async send(message) method
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
@@ -2,76 +2,49 @@
  * OAUTH AUTHENTICATION CONFIGURATION
  * 
  * This file configures Passport.js for OAuth authentication with Google and GitHub.
- * It handles user creation, account linking, and session management for social login.
+ * User resolution and provider linking live in authService.handleOAuthUser;
+ * this file wires them into the strategies and handles session management.
  */
 
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const GitHubStrategy = require('passport-github2').Strategy;
 const { User } = require('../models');
+const { handleOAuthUser } = require('../services/authService');
 
-// Configure Google OAuth Strategy (only if credentials are provided)
-if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
-  passport.use(new GoogleStrategy({
-    clientID: process.env.GOOGLE_CLIENT_ID,
-    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-    callbackURL: process.env.GOOGLE_CALLBACK_URL || "http://localhost:7007/api/auth/google/callback"
-  }, async (accessToken, refreshToken, profile, done) => {
-  try {
-    // Check if user already exists with this Google ID
-    let user = await User.findOne({
-      where: {
-        providerId: profile.id,
-        authProvider: 'google'
+/**
+ * Build the passport verify callback for a provider.
+ * When the session carries a link intent (started from /api/me/identities),
+ * the provider is linked to that user instead of logging in.
+ * @param {string} provider - OAuth provider
+ * @returns {Function} Passport verify callback
+ */
+const verifyOAuthProfile = (provider) => {
+  return async (req, accessToken, refreshToken, profile, done) => {
+    try {
+      const linkUserId = req.session?.linkUserId;
+      if (req.session) {
+        delete req.session.linkUserId;
       }
-    });
 
-    if (user) {
-      // Update last login and refresh token for existing user
-      await user.update({
-        lastLoginAt: new Date(),
-        refreshToken: refreshToken
-      });
+      const user = await handleOAuthUser(profile, provider, { linkUserId });
+      req.oauthLinked = Boolean(linkUserId);
       return done(null, user);
+    } catch (error) {
+      console.error(`${provider} OAuth error:`, error);
+      return done(error, null);
     }
+  };
+};
 
-    // Check if user exists with same email but different provider (account linking)
-    const existingUser = await User.findOne({
-      where: { email: profile.emails[0].value }
-    });
-
-    if (existingUser) {
-      // Link the OAuth account to existing user account
-      await existingUser.update({
-        authProvider: 'google',
-        providerId: profile.id,
-        profilePicture: profile.photos[0]?.value,
-        isEmailVerified: true,
-        lastLoginAt: new Date(),
-        refreshToken: refreshToken
-      });
-      return done(null, existingUser);
-    }
-
-    // Create new user account from Google profile
-    const newUser = await User.create({
-      firstName: profile.name.givenName,
-      lastName: profile.name.familyName,
-      email: profile.emails[0].value,
-      authProvider: 'google',
-      providerId: profile.id,
-      profilePicture: profile.photos[0]?.value,
-      isEmailVerified: true,
-      lastLoginAt: new Date(),
-      refreshToken: refreshToken
-    });
-
-    return done(null, newUser);
-  } catch (error) {
-    console.error('Google OAuth error:', error);
-    return done(error, null);
-  }
-  }));
+// Configure Google OAuth Strategy (only if credentials are provided)
+if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+  passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: process.env.GOOGLE_CALLBACK_URL || "http://localhost:7007/api/auth/google/callback",
+    passReqToCallback: true
+  }, verifyOAuthProfile('google')));
 }
 
 // Configure GitHub OAuth Strategy (only if credentials are provided)
@@ -79,63 +52,9 @@ if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
   passport.use(new GitHubStrategy({
     clientID: process.env.GITHUB_CLIENT_ID,
     clientSecret: process.env.GITHUB_CLIENT_SECRET,
-    callbackURL: process.env.GITHUB_CALLBACK_URL || "http://localhost:7007/api/auth/github/callback"
-  }, async (accessToken, refreshToken, profile, done) => {
-  try {
-    // Check if user already exists with this GitHub ID
-    let user = await User.findOne({
-      where: {
-        providerId: profile.id,
-        authProvider: 'github'
-      }
-    });
-
-    if (user) {
-      // Update last login and refresh token
-      await user.update({
-        lastLoginAt: new Date(),
-        refreshToken: refreshToken
-      });
-      return done(null, user);
-    }
-
-    // Check if user exists with same email but different provider
-    const existingUser = await User.findOne({
-      where: { email: profile.emails[0].value }
-    });
-
-    if (existingUser) {
-      // Link the OAuth account to existing user
-      await existingUser.update({
-        authProvider: 'github',
-        providerId: profile.id,
-        profilePicture: profile.photos[0]?.value,
-        isEmailVerified: true,
-        lastLoginAt: new Date(),
-        refreshToken: refreshToken
-      });
-      return done(null, existingUser);
-    }
-
-    // Create new user
-    const newUser = await User.create({
-      firstName: profile.displayName.split(' ')[0] || profile.username,
-      lastName: profile.displayName.split(' ').slice(1).join(' ') || '',
-      email: profile.emails[0].value,
-      authProvider: 'github',
-      providerId: profile.id,
-      profilePicture: profile.photos[0]?.value,
-      isEmailVerified: true,
-      lastLoginAt: new Date(),
-      refreshToken: refreshToken
-    });
-
-    return done(null, newUser);
-  } catch (error) {
-    console.error('GitHub OAuth error:', error);
-    return done(error, null);
-  }
-  }));
+    callbackURL: process.env.GITHUB_CALLBACK_URL || "http://localhost:7007/api/auth/github/callback",
+    passReqToCallback: true
+  }, verifyOAuthProfile('github')));
 }
 
 // Serialize user for session storage
@@ -0,0 +1,221 @@
+/**
+ * RATE LIMIT STORE CONFIGURATION
+ *
+ * Pluggable stores for the rate limiter. RATE_LIMIT_STORE selects one of:
+ * - database: keep entries in the rate_limit_entries table so limits and
+ *             lockouts survive restarts (default)
+ * - memory:   keep entries in process memory (single instance, lost on restart)
+ *
+ * A store is any object with async get(key), set(key, entry), delete(key)
+ * and update(key, mutate) methods, where entry is { hits, lockedUntil, lockoutCount }:
+ * hits are Unix timestamps in milliseconds and lockedUntil is a Date or null.
+ * update applies mutate(entry or null) => entry atomically, so concurrent
+ * requests for the same key cannot overwrite each other's hits.
+ */
+
+const { Op, OptimisticLockError, UniqueConstraintError } = require('sequelize');
+const { RateLimitEntry } = require('../models');
+const { RATE_LIMIT_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Check whether an entry no longer carries any state worth keeping
+ * @param {Object} entry - Store entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the entry can be discarded
+ */
+const isStale = (entry, now) => {
+  const lastHit = entry.hits.length ? Math.max(...entry.hits) : 0;
+  const lockEnd = entry.lockedUntil ? new Date(entry.lockedUntil).getTime() : 0;
+  return Math.max(lastHit, lockEnd) + RATE_LIMIT_CONSTANTS.STALE_AFTER_MS < now;
+};
+
+/**
+ * In-memory store
+ * @returns {Object} Store
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    return entry ? { ...entry, hits: [...entry.hits] } : null;
+  };
+
+  const write = (key, entry) => {
+    // Drop stale keys now and then so memory does not grow without bound
+    if (entries.size >= RATE_LIMIT_CONSTANTS.MEMORY_SWEEP_THRESHOLD) {
+      const now = Date.now();
+      for (const [storedKey, storedEntry] of entries) {
+        if (isStale(storedEntry, now)) {
+          entries.delete(storedKey);
+        }
+      }
+    }
+    entries.set(key, { ...entry, hits: [...entry.hits] });
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => read(key),
+    set: async (key, entry) => write(key, entry),
+    delete: async (key) => {
+      entries.delete(key);
+    },
+    // Read and write happen without yielding, so the update is atomic
+    update: async (key, mutate) => {
+      const entry = mutate(read(key));
+      write(key, entry);
+      return read(key);
+    }
+  };
+};
+
+/**
+ * Convert a RateLimitEntry record into a store entry
+ * @param {Object} record - RateLimitEntry instance
+ * @returns {Object} Entry
+ */
+const toEntry = (record) => ({
+  hits: [...record.hits],
+  lockedUntil: record.lockedUntil,
+  lockoutCount: record.lockoutCount
+});
+
+/**
+ * Database store backed by the RateLimitEntry model
+ * @returns {Object} Store
+ */
+const createDatabaseStore = () => {
+  const pending = new Map();
+  let lastSweepAt = 0;
+
+  /**
+   * Delete rows that no longer carry any state, at most once per sweep interval
+   * @param {number} now - Current time in milliseconds
+   */
+  const sweep = async (now) => {
+    if (now - lastSweepAt < RATE_LIMIT_CONSTANTS.DATABASE_SWEEP_INTERVAL_MS) {
+      return;
+    }
+    lastSweepAt = now;
+
+    // Every hit updates the row, so updatedAt is never older than its last hit
+    const staleBefore = new Date(now - RATE_LIMIT_CONSTANTS.STALE_AFTER_MS);
+    await RateLimitEntry.destroy({
+      where: {
+        updatedAt: { [Op.lt]: staleBefore },
+        [Op.or]: [
+          { lockedUntil: null },
+          { lockedUntil: { [Op.lt]: staleBefore } }
+        ]
+      }
+    });
+  };
+
+  /**
+   * Read, change and write an entry, retrying when another write got in first
+   * @param {string} key - Store key
+   * @param {Function} mutate - (entry or null) => entry
+   * @returns {Object} Entry as written
+   */
+  const updateEntry = async (key, mutate) => {
+    await sweep(Date.now());
+
+    for (let attempt = 0; attempt < RATE_LIMIT_CONSTANTS.UPDATE_MAX_RETRIES; attempt += 1) {
+      const record = await RateLimitEntry.findOne({ where: { key } });
+      const entry = mutate(record ? toEntry(record) : null);
+
+      try {
+        if (record) {
+          // Saving checks the row version, so a concurrent write makes this fail
+          await record.update({
+            hits: entry.hits,
+            lockedUntil: entry.lockedUntil,
+            lockoutCount: entry.lockoutCount
+          });
+        } else {
+          await RateLimitEntry.create({ key, ...entry });
+        }
+        return entry;
+      } catch (error) {
+        if (!(error instanceof OptimisticLockError) && !(error instanceof UniqueConstraintError)) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error(`Rate limit entry ${key} is being updated too often`);
+  };
+
+  return {
+    name: 'database',
+    get: async (key) => {
+      const record = await RateLimitEntry.findOne({ where: { key } });
+      return record ? toEntry(record) : null;
+    },
+    set: async (key, entry) => {
+      await sweep(Date.now());
+      await RateLimitEntry.upsert({
+        key,
+        hits: entry.hits,
+        lockedUntil: entry.lockedUntil,
+        lockoutCount: entry.lockoutCount
+      });
+    },
+    delete: async (key) => {
+      await RateLimitEntry.destroy({ where: { key } });
+    },
+    update: (key, mutate) => {
+      // Updates of one key run one after another in this process; the
+      // version check catches writes from other processes sharing the database
+      const previous = pending.get(key) || Promise.resolve();
+      const result = previous.then(() => updateEntry(key, mutate));
+      const settled = result.catch(() => {});
+      pending.set(key, settled);
+      settled.then(() => {
+        if (pending.get(key) === settled) {
+          pending.delete(key);
+        }
+      });
+      return result;
+    }
+  };
+};
+
+const storeFactories = {
+  database: createDatabaseStore,
+  memory: createMemoryStore
+};
+
+let activeStore = null;
+
+/**
+ * Get the configured store, creating it on first use
+ * @returns {Object} Store
+ */
+const getStore = () => {
+  if (!activeStore) {
+    const name = process.env.RATE_LIMIT_STORE || 'database';
+    const factory = storeFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    activeStore = factory();
+  }
+  return activeStore;
+};
+
+/**
+ * Replace the active store (e.g. with a shared cache)
+ * @param {Object} store - Object with async get, set, delete and update methods
+ */
+const setStore = (store) => {
+  activeStore = store;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  createMemoryStore,
+  createDatabaseStore
+};
@@ -0,0 +1,70 @@
+/**
+ * PERSONAL ACCESS TOKEN CONTROLLER
+ *
+ * Handles creating, listing and revoking the current user's
+ * personal access tokens.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken
+} = require('../services/accessTokenService');
+
+/**
+ * GET /api/me/tokens
+ * List the current user's active personal access tokens
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAccessTokens = asyncHandler(async (req, res) => {
+  const tokens = await listAccessTokens(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: tokens,
+    count: tokens.length
+  });
+});
+
+/**
+ * POST /api/me/tokens
+ * Create a personal access token; the raw token is only returned here
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+  const token = await createAccessToken(req.user, { name, scopes, expiresInDays });
+
+  res.status(201).json({
+    success: true,
+    message: 'Access token created. Copy it now; it will not be shown again',
+    data: token
+  });
+});
+
+/**
+ * DELETE /api/me/tokens/:id
+ * Revoke one of the current user's personal access tokens
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const revokeToken = asyncHandler(async (req, res) => {
+  await revokeAccessToken(req.user, parseInt(req.params.id));
+
+  res.status(200).json({
+    success: true,
+    message: 'Access token revoked successfully'
+  });
+});
+
+module.exports = {
+  getAccessTokens,
+  createToken,
+  revokeToken
+};
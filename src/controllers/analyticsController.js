@@ -7,9 +7,13 @@
 
 const { Problem, LearningItem, RevisionItem, Roadmap } = require('../models');
 const { Op } = require('sequelize');
+const { getFirstTryStats } = require('../services/problemAttemptService');
+const { calculateTopicAnalysis } = require('../services/analyticsService');
+const { loadTaxonomy } = require('../services/taxonomyService');
 
 /**
- * GET /api/analytics
+ * GET /api/me/analytics
+ * GET /api/analytics?userId= (deprecated)
  * Get comprehensive analytics for a user
  * 
  * @param {Object} req - Express request object
@@ -17,8 +21,8 @@ const { Op } = require('sequelize');
  */
 const getAnalytics = async (req, res) => {
   try {
-    const userId = req.query.userId;
-    console.log(userId);
+    // /api/me/analytics binds the user from the token; ?userId= is deprecated
+    const userId = req.params.userId || req.query.userId;
     const { timeframe, startDate, endDate } = req.query;
 
     if (!userId) {
@@ -236,13 +240,13 @@ const getAnalytics = async (req, res) => {
     const lastMonthSuccessRate = lastMonthTotal > 0 ? Math.round((lastMonthProblems / lastMonthTotal) * 100) : 0;
     const rateChange = currentMonthSuccessRate - lastMonthSuccessRate;
 
+    // First-try analysis: problems whose earliest attempt was already solved
+    const firstTryStats = await getFirstTryStats(problems);
+
     // Calculate advanced analytics
     const totalLearningHours = learningItems.reduce((total, item) => total + (item.timeSpent || 0), 0) / 60; // Convert minutes to hours
     const averageTimePerProblem = totalProblems > 0 ? Math.round(problems.reduce((total, p) => total + (p.timeSpent || 0), 0) / totalProblems) : 0;
 
-    // Get unique topics
-    const uniqueTopics = [...new Set(problems.map(p => p.topic))].length;
-
     // Get completed roadmaps
     const roadmaps = await Roadmap.findAll({
       where: { userId: userId }
@@ -299,32 +303,9 @@ const getAnalytics = async (req, res) => {
       });
     }
 
-    // Topic analysis
-    const topicStats = {};
-    problems.forEach(problem => {
-      if (!topicStats[problem.topic]) {
-        topicStats[problem.topic] = { total: 0, solved: 0 };
-      }
-      topicStats[problem.topic].total++;
-      if (problem.outcome === 'solved') {
-        topicStats[problem.topic].solved++;
-      }
-    });
-
-    const topicAnalysis = Object.entries(topicStats)
-      .map(([topic, stats]) => ({
-        topic,
-        totalProblems: stats.total,
-        solvedProblems: stats.solved,
-        successRate: Math.round((stats.solved / stats.total) * 100),
-        averageTime: Math.round(problems
-          .filter(p => p.topic === topic)
-          .reduce((total, p) => total + (p.timeSpent || 0), 0) / stats.total)
-      }))
-      .sort((a, b) => b.successRate - a.successRate);
-
-    const strongestTopics = topicAnalysis.slice(0, 5);
-    const weakestTopics = topicAnalysis.slice(-5).reverse();
+    // Topic analysis, grouped by taxonomy topic where problems are filed under one
+    const taxonomy = await loadTaxonomy();
+    const { strongestTopics, weakestTopics, topicDistribution, topicHierarchy } = calculateTopicAnalysis(problems, taxonomy);
 
     // Difficulty analysis
     const difficultyStats = {
@@ -382,15 +363,6 @@ const getAnalytics = async (req, res) => {
       }
     };
 
-    // Generate topic distribution
-    const topicDistribution = Object.entries(topicStats)
-      .map(([topic, stats]) => ({
-        topic,
-        count: stats.total,
-        percentage: Math.round((stats.total / totalProblems) * 100) || 0
-      }))
-      .sort((a, b) => b.count - a.count);
-
     // Generate time analysis (mock data for now)
     const timeAnalysis = {
       bestPerformingHours: [
@@ -491,8 +463,9 @@ const getAnalytics = async (req, res) => {
         currentStreak,
         successRate,
         averageTimePerProblem,
-        totalTopics: uniqueTopics,
-        completedRoadmaps
+        totalTopics: topicDistribution.length,
+        completedRoadmaps,
+        firstTrySolveRate: firstTryStats.firstTrySolveRate
       },
 
       // Added compact stats for problems screen
@@ -503,7 +476,15 @@ const getAnalytics = async (req, res) => {
         successRate,
         weeklyChange,
         streakChange,
-        rateChange
+        rateChange,
+        firstTrySolveRate: firstTryStats.firstTrySolveRate
+      },
+
+      attemptAnalysis: {
+        totalAttempts: firstTryStats.totalAttempts,
+        averageAttemptsPerProblem: firstTryStats.averageAttempts,
+        firstTrySolved: firstTryStats.firstTrySolved,
+        firstTrySolveRate: firstTryStats.firstTrySolveRate
       },
 
       performanceMetrics: {
@@ -515,7 +496,8 @@ const getAnalytics = async (req, res) => {
       topicAnalysis: {
         strongestTopics,
         weakestTopics,
-        topicDistribution
+        topicDistribution,
+        topicHierarchy
       },
 
       difficultyAnalysis,
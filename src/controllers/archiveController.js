@@ -0,0 +1,61 @@
+/**
+ * ARCHIVE CONTROLLER
+ *
+ * Handles the full data export of the current user and restoring
+ * an exported archive into the current account.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { streamArchive, importArchive } = require('../services/archiveService');
+
+/**
+ * GET /api/me/export
+ * Download everything the current user owns as a versioned JSON archive
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const exportData = async (req, res, next) => {
+  const filename = `mindstack-export-${new Date().toISOString().split('T')[0]}.json`;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  try {
+    await streamArchive(req.user, res);
+    res.end();
+  } catch (error) {
+    // Once streaming has started the status is sent; abort so the client sees a broken download
+    if (res.headersSent) {
+      console.error('Export failed:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * POST /api/me/import
+ * Restore an archive into the current account, assigning new ids
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importData = asyncHandler(async (req, res) => {
+  const result = await importArchive(req.user, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Archive imported successfully',
+    data: result
+  });
+});
+
+module.exports = {
+  exportData,
+  importData
+};
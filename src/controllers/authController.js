@@ -6,7 +6,20 @@
  */
 
 const { asyncHandler } = require('../middleware/errorHandler');
-const { registerUser, loginUser, verifyToken } = require('../services/authService');
+const {
+  registerUser,
+  loginUser,
+  loginWithSecondFactor,
+  verifyToken,
+  rotateRefreshToken,
+  logoutUser,
+  logoutAllSessions,
+  requestPasswordReset,
+  resetPassword: completePasswordReset,
+  sendEmailVerification,
+  verifyEmail: confirmEmail
+} = require('../services/authService');
+const { getClientInfo } = require('../utils/helpers');
 
 /**
  * POST /api/auth/login
@@ -17,13 +30,43 @@ const { registerUser, loginUser, verifyToken } = require('../services/authServic
  */
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
-  const result = await loginUser({ email, password });
+  const result = await loginUser({ email, password }, getClientInfo(req));
+
+  if (result.mfaRequired) {
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication required',
+      mfaRequired: true,
+      mfaToken: result.mfaToken
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: result.user,
+    token: result.token,
+    refreshToken: result.refreshToken
+  });
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Exchange an mfa-pending token and a TOTP or recovery code for real tokens
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { mfaToken, code } = req.body;
+  const result = await loginWithSecondFactor(mfaToken, code, getClientInfo(req));
 
   res.status(200).json({
     success: true,
     message: 'Login successful',
     data: result.user,
-    token: result.token
+    token: result.token,
+    refreshToken: result.refreshToken
   });
 });
 
@@ -36,13 +79,14 @@ const login = asyncHandler(async (req, res) => {
  */
 const register = asyncHandler(async (req, res) => {
   const { firstName, lastName, email, password } = req.body;
-  const result = await registerUser({ firstName, lastName, email, password });
+  const result = await registerUser({ firstName, lastName, email, password }, getClientInfo(req));
 
   res.status(201).json({
     success: true,
     message: 'User created successfully',
     data: result.user,
-    token: result.token
+    token: result.token,
+    refreshToken: result.refreshToken
   });
 });
 
@@ -73,8 +117,138 @@ const verify = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and refresh token
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  const result = await rotateRefreshToken(refreshToken, getClientInfo(req));
+
+  res.status(200).json({
+    success: true,
+    message: 'Token refreshed successfully',
+    token: result.token,
+    refreshToken: result.refreshToken
+  });
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the refresh token family of the current session
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  await logoutUser(refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every refresh token of the authenticated user
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const revokedCount = await logoutAllSessions(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all sessions successfully',
+    data: { revokedCount }
+  });
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a password reset link if the account exists
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  // Not awaited: the reply must not take longer for registered addresses
+  requestPasswordReset(email);
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a password reset token
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  await completePasswordReset(token, password);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password reset successfully. Please log in with your new password'
+  });
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address using a verification token
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  const user = await confirmEmail(token);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+    data: user
+  });
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new email verification link to the authenticated user
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  await sendEmailVerification(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verification email sent'
+  });
+});
+
 module.exports = {
   login,
+  loginTwoFactor,
   register,
-  verify
+  verify,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
 };
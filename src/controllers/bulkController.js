@@ -0,0 +1,60 @@
+/**
+ * BULK CONTROLLER
+ *
+ * Handles bulk actions on the current user's problems and learning
+ * items: update, delete, add-tags, remove-tags and mark-for-revision.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { applyBulkAction } = require('../services/bulkService');
+
+/**
+ * Send a bulk action report; a batch with a missing or foreign id is
+ * refused as a whole
+ * @param {Object} res - Express response object
+ * @param {Object} report - Report from applyBulkAction
+ */
+const sendBulkReport = (res, report) => {
+  if (!report.applied) {
+    const forbidden = report.results.some(result => result.status === 'forbidden');
+
+    return res.status(forbidden ? 403 : 404).json({
+      success: false,
+      message: 'Some items were not found or are not yours; nothing was changed',
+      data: report
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Applied ${report.action} to ${report.succeeded} items`,
+    data: report
+  });
+};
+
+/**
+ * POST /api/me/problems/bulk
+ * Apply one action to several problems in one transaction
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const bulkUpdateProblems = asyncHandler(async (req, res) => {
+  sendBulkReport(res, await applyBulkAction(req.user, 'problem', req.body));
+});
+
+/**
+ * POST /api/me/learning-items/bulk
+ * Apply one action to several learning items in one transaction
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const bulkUpdateLearningItems = asyncHandler(async (req, res) => {
+  sendBulkReport(res, await applyBulkAction(req.user, 'learning', req.body));
+});
+
+module.exports = {
+  bulkUpdateProblems,
+  bulkUpdateLearningItems
+};
@@ -0,0 +1,64 @@
+/**
+ * IDENTITY CONTROLLER
+ *
+ * Handles the login methods linked to the current user's account
+ * (password, Google, GitHub).
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { listIdentities, createLinkIntent, unlinkIdentity } = require('../services/identityService');
+
+/**
+ * GET /api/me/identities
+ * List the current user's login methods
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getIdentities = asyncHandler(async (req, res) => {
+  const result = await listIdentities(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * POST /api/me/identities/:provider/link
+ * Start linking a provider; returns the URL to open in the browser
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const linkIdentity = asyncHandler(async (req, res) => {
+  const result = await createLinkIntent(req.user, req.params.provider);
+
+  res.status(200).json({
+    success: true,
+    message: 'Open the returned URL to finish linking',
+    data: result
+  });
+});
+
+/**
+ * DELETE /api/me/identities/:provider
+ * Unlink a provider from the current user's account
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unlinkProvider = asyncHandler(async (req, res) => {
+  await unlinkIdentity(req.user, req.params.provider);
+
+  res.status(200).json({
+    success: true,
+    message: 'Login method unlinked successfully'
+  });
+});
+
+module.exports = {
+  getIdentities,
+  linkIdentity,
+  unlinkProvider
+};
@@ -7,6 +7,14 @@
 
 const { User, LearningItem, RevisionItem } = require('../models');
 const { Op } = require('sequelize');
+const { moveToTrash } = require('../services/trashService');
+
+// Fields a client may change through PUT /learning-items/:id; ownership,
+// ids, timestamps and the trash state are never taken from the request
+const EDITABLE_FIELDS = [
+  'title', 'type', 'category', 'subtopic', 'taxonomyTopicId', 'timeSpent', 'progress', 'status', 'date',
+  'link', 'tags', 'notes', 'resourceLink', 'isRevision', 'difficulty', 'platform'
+];
 
 /**
  * POST /api/users/:userId/learning-items
@@ -18,7 +26,7 @@ const { Op } = require('sequelize');
 const createLearningItem = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { title, type, category, subtopic, timeSpent, progress, status, link, tags, notes, resourceLink, isRevision, difficulty, platform } = req.body;
+    const { title, type, category, subtopic, taxonomyTopicId, timeSpent, progress, status, link, tags, notes, resourceLink, isRevision, difficulty, platform } = req.body;
 
     // Check if user exists
     const user = await User.findByPk(userId);
@@ -34,6 +42,7 @@ const createLearningItem = async (req, res) => {
       type,
       category,
       subtopic,
+      taxonomyTopicId,
       timeSpent: timeSpent || 0,
       progress: progress || 0,
       status: status || 'not-started',
@@ -140,7 +149,13 @@ const updateLearningItem = async (req, res) => {
       });
     }
 
-    await learningItem.update(req.body);
+    const updates = EDITABLE_FIELDS.reduce((fields, field) => {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+      return fields;
+    }, {});
+    await learningItem.update(updates);
 
     res.status(200).json({
       success: true,
@@ -158,7 +173,7 @@ const updateLearningItem = async (req, res) => {
 
 /**
  * DELETE /api/learning-items/:id
- * Delete learning item
+ * Move a learning item and its revision items to the trash
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -174,11 +189,11 @@ const deleteLearningItem = async (req, res) => {
       });
     }
 
-    await learningItem.destroy();
+    await moveToTrash('learning', learningItem);
 
     res.status(200).json({
       success: true,
-      message: 'Learning item deleted successfully'
+      message: 'Learning item moved to trash'
     });
   } catch (error) {
     res.status(500).json({
@@ -0,0 +1,102 @@
+/**
+ * PROBLEM ATTEMPT CONTROLLER
+ *
+ * Handles recording, listing, updating and deleting the attempts
+ * under a problem. The problem is loaded by authorizeResource('problem').
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  listAttempts,
+  createAttempt,
+  updateAttempt,
+  deleteAttempt
+} = require('../services/problemAttemptService');
+
+/**
+ * Summarize the fields of a problem that are derived from its attempts
+ * @param {Object} problem - Problem instance
+ * @returns {Object} { id, outcome, timeSpent }
+ */
+const toDerivedProblem = (problem) => ({
+  id: problem.id,
+  outcome: problem.outcome,
+  timeSpent: problem.timeSpent
+});
+
+/**
+ * GET /api/problems/:id/attempts
+ * List the attempts of a problem, oldest first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProblemAttempts = asyncHandler(async (req, res) => {
+  const attempts = await listAttempts(req.resource);
+
+  res.status(200).json({
+    success: true,
+    data: attempts,
+    count: attempts.length
+  });
+});
+
+/**
+ * POST /api/problems/:id/attempts
+ * Record a new attempt at a problem
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createProblemAttempt = asyncHandler(async (req, res) => {
+  const { attempt, problem } = await createAttempt(req.resource, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Attempt recorded successfully',
+    data: attempt,
+    problem: toDerivedProblem(problem)
+  });
+});
+
+/**
+ * PUT /api/problems/:id/attempts/:attemptId
+ * Update an attempt
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProblemAttempt = asyncHandler(async (req, res) => {
+  const { attempt, problem } = await updateAttempt(req.resource, parseInt(req.params.attemptId), req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Attempt updated successfully',
+    data: attempt,
+    problem: toDerivedProblem(problem)
+  });
+});
+
+/**
+ * DELETE /api/problems/:id/attempts/:attemptId
+ * Delete an attempt (a problem keeps at least one)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProblemAttempt = asyncHandler(async (req, res) => {
+  const problem = await deleteAttempt(req.resource, parseInt(req.params.attemptId));
+
+  res.status(200).json({
+    success: true,
+    message: 'Attempt deleted successfully',
+    problem: toDerivedProblem(problem)
+  });
+});
+
+module.exports = {
+  getProblemAttempts,
+  createProblemAttempt,
+  updateProblemAttempt,
+  deleteProblemAttempt
+};
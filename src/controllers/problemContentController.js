@@ -0,0 +1,229 @@
+/**
+ * PROBLEM CONTENT CONTROLLER
+ *
+ * Handles a problem's markdown notes and solution snippets, their
+ * version history and diffs between versions. The problem is loaded
+ * by authorizeResource('problem').
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  getNotes,
+  updateNotes,
+  listNoteVersions,
+  diffNoteVersions,
+  listSnippets,
+  getSnippet,
+  createSnippet,
+  updateSnippet,
+  deleteSnippet,
+  listSnippetVersions,
+  diffSnippetVersions
+} = require('../services/problemContentService');
+
+/**
+ * Read the version selectors of a diff request
+ * @param {Object} query - Validated query parameters
+ * @returns {Object} { from, to, fromAttempt, toAttempt }
+ */
+const toDiffQuery = ({ from, to, fromAttempt, toAttempt }) => ({ from, to, fromAttempt, toAttempt });
+
+// ========== NOTES ==========
+
+/**
+ * GET /api/problems/:id/notes
+ * Get a problem's current notes
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProblemNotes = asyncHandler(async (req, res) => {
+  const notes = await getNotes(req.resource);
+
+  res.status(200).json({
+    success: true,
+    data: notes
+  });
+});
+
+/**
+ * PUT /api/problems/:id/notes
+ * Replace a problem's notes; a changed text is saved as a new version
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProblemNotes = asyncHandler(async (req, res) => {
+  const notes = await updateNotes(req.resource, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Notes saved successfully',
+    data: notes
+  });
+});
+
+/**
+ * GET /api/problems/:id/notes/versions
+ * List the saved versions of a problem's notes, oldest first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProblemNoteVersions = asyncHandler(async (req, res) => {
+  const versions = await listNoteVersions(req.resource);
+
+  res.status(200).json({
+    success: true,
+    data: versions,
+    count: versions.length
+  });
+});
+
+/**
+ * GET /api/problems/:id/notes/diff
+ * Diff two versions of a problem's notes
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const diffProblemNotes = asyncHandler(async (req, res) => {
+  const diff = await diffNoteVersions(req.resource, toDiffQuery(req.query));
+
+  res.status(200).json({
+    success: true,
+    data: diff
+  });
+});
+
+// ========== SNIPPETS ==========
+
+/**
+ * GET /api/problems/:id/snippets
+ * List a problem's solution snippets
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProblemSnippets = asyncHandler(async (req, res) => {
+  const snippets = await listSnippets(req.resource);
+
+  res.status(200).json({
+    success: true,
+    data: snippets,
+    count: snippets.length
+  });
+});
+
+/**
+ * POST /api/problems/:id/snippets
+ * Add a solution snippet to a problem
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createProblemSnippet = asyncHandler(async (req, res) => {
+  const snippet = await createSnippet(req.resource, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Snippet created successfully',
+    data: snippet
+  });
+});
+
+/**
+ * GET /api/problems/:id/snippets/:snippetId
+ * Get one solution snippet
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProblemSnippet = asyncHandler(async (req, res) => {
+  const snippet = await getSnippet(req.resource, parseInt(req.params.snippetId));
+
+  res.status(200).json({
+    success: true,
+    data: snippet
+  });
+});
+
+/**
+ * PUT /api/problems/:id/snippets/:snippetId
+ * Update a snippet; changed code or language is saved as a new version
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProblemSnippet = asyncHandler(async (req, res) => {
+  const snippet = await updateSnippet(req.resource, parseInt(req.params.snippetId), req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Snippet updated successfully',
+    data: snippet
+  });
+});
+
+/**
+ * DELETE /api/problems/:id/snippets/:snippetId
+ * Delete a snippet and its history
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProblemSnippet = asyncHandler(async (req, res) => {
+  await deleteSnippet(req.resource, parseInt(req.params.snippetId));
+
+  res.status(200).json({
+    success: true,
+    message: 'Snippet deleted successfully'
+  });
+});
+
+/**
+ * GET /api/problems/:id/snippets/:snippetId/versions
+ * List the saved versions of a snippet, oldest first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProblemSnippetVersions = asyncHandler(async (req, res) => {
+  const versions = await listSnippetVersions(req.resource, parseInt(req.params.snippetId));
+
+  res.status(200).json({
+    success: true,
+    data: versions,
+    count: versions.length
+  });
+});
+
+/**
+ * GET /api/problems/:id/snippets/:snippetId/diff
+ * Diff two versions of a snippet
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const diffProblemSnippet = asyncHandler(async (req, res) => {
+  const diff = await diffSnippetVersions(req.resource, parseInt(req.params.snippetId), toDiffQuery(req.query));
+
+  res.status(200).json({
+    success: true,
+    data: diff
+  });
+});
+
+module.exports = {
+  getProblemNotes,
+  updateProblemNotes,
+  getProblemNoteVersions,
+  diffProblemNotes,
+  getProblemSnippets,
+  createProblemSnippet,
+  getProblemSnippet,
+  updateProblemSnippet,
+  deleteProblemSnippet,
+  getProblemSnippetVersions,
+  diffProblemSnippet
+};
@@ -5,12 +5,27 @@
  * CRUD operations, filtering, and spaced repetition integration.
  */
 
-const { User, Problem, RevisionItem } = require('../models');
-const { Op } = require('sequelize');
+const { User, Problem, ProblemAttempt, ProblemSnippet, RevisionItem, sequelize } = require('../models');
+const { recordInitialAttempt, updateLatestAttempt } = require('../services/problemAttemptService');
+const { saveNotes } = require('../services/problemContentService');
+const { findDuplicateCandidates, mergeProblems } = require('../services/problemDuplicateService');
+const { listUserProblems } = require('../services/problemService');
+const { moveToTrash } = require('../services/trashService');
+const { buildPageLink } = require('../utils/helpers');
+const { parseProblemLink } = require('../utils/problemLinks');
+
+// Fields a client may change through PUT /problems/:id; ownership, ids,
+// timestamps and the trash state are never taken from the request
+const EDITABLE_FIELDS = [
+  'title', 'platform', 'difficulty', 'topic', 'taxonomyTopicId', 'date',
+  'link', 'tags', 'isRevision', 'codeLink', 'timeSpent', 'outcome', 'notes'
+];
 
 /**
  * POST /api/users/:userId/problems
- * Create a new coding problem for a user
+ * Create a new coding problem for a user. A problem with the same link
+ * is refused with 409 unless allowDuplicate is set; similar titles on
+ * the same platform are returned as a warning.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -18,7 +33,7 @@ const { Op } = require('sequelize');
 const createProblem = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { title, platform, difficulty, topic, timeSpent, outcome, date, link, tags, isRevision, codeLink } = req.body;
+    const { title, platform, difficulty, topic, taxonomyTopicId, timeSpent, outcome, date, link, tags, isRevision, codeLink, notes, allowDuplicate } = req.body;
 
     // Check if user exists
     const user = await User.findByPk(userId);
@@ -29,20 +44,38 @@ const createProblem = async (req, res) => {
       });
     }
 
-    // Create the problem in database
-    const problem = await Problem.create({
-      title,
-      platform,
-      difficulty,
-      topic,
-      timeSpent,
-      outcome,
-      date: date || new Date(),
-      link,
-      tags: tags || [],
-      isRevision: isRevision || false,
-      userId,
-      codeLink
+    const duplicates = await findDuplicateCandidates(userId, { title, platform, link });
+    if (!allowDuplicate && duplicates.some(candidate => candidate.reason === 'link')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This problem is already logged',
+        duplicates
+      });
+    }
+
+    // Create the problem in database along with its first attempt and notes
+    const problem = await sequelize.transaction(async (transaction) => {
+      const created = await Problem.create({
+        title,
+        platform,
+        difficulty,
+        topic,
+        taxonomyTopicId,
+        timeSpent,
+        outcome,
+        date: date || new Date(),
+        link,
+        tags: tags || [],
+        isRevision: isRevision || false,
+        userId,
+        codeLink
+      }, { transaction });
+
+      await recordInitialAttempt(created, transaction);
+      if (notes) {
+        await saveNotes(created, notes, { transaction });
+      }
+      return created;
     });
 
     // If marked for revision, create spaced repetition schedule
@@ -66,7 +99,11 @@ const createProblem = async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Problem created successfully',
-      data: problem
+      data: problem,
+      ...(duplicates.length > 0 && {
+        warning: 'Similar problems are already logged',
+        duplicates
+      })
     });
   } catch (error) {
     res.status(400).json({
@@ -79,7 +116,8 @@ const createProblem = async (req, res) => {
 
 /**
  * GET /api/users/:userId/problems
- * Get all problems for a specific user with optional filters
+ * Get a page of a user's problems with optional filters, sorting and search.
+ * Pages are addressed by page number or by the cursors returned with each page.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -87,33 +125,25 @@ const createProblem = async (req, res) => {
 const getUserProblems = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { difficulty, platform, outcome, topic } = req.query;
-
-    // Build where clause for filtering
-    let whereClause = { userId };
+    const { problems, pagination } = await listUserProblems(userId, req.query);
 
-    // Add filters if provided in query params
-    if (difficulty) whereClause.difficulty = difficulty;
-    if (platform) whereClause.platform = platform;
-    if (outcome) whereClause.outcome = outcome;
-    if (topic) whereClause.topic = { [Op.like]: `%${topic}%` }; // Case-insensitive partial match
-
-    const problems = await Problem.findAll({
-      where: whereClause,
-      include: [{
-        model: User,
-        as: 'user',
-        attributes: ['firstName', 'lastName']
-      }],
-      order: [['date', 'DESC']]
-    });
+    // Cursor requests link to cursors, page requests to page numbers
+    const links = req.query.cursor ? {
+      next: pagination.nextCursor ? buildPageLink(req, { cursor: pagination.nextCursor, page: null }) : null,
+      prev: pagination.prevCursor ? buildPageLink(req, { cursor: pagination.prevCursor, page: null }) : null
+    } : {
+      next: pagination.hasNextPage ? buildPageLink(req, { page: pagination.nextPage }) : null,
+      prev: pagination.hasPrevPage ? buildPageLink(req, { page: pagination.prevPage }) : null
+    };
 
     res.status(200).json({
       success: true,
-      data: problems
+      data: problems,
+      pagination,
+      links
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error retrieving problems',
       error: error.message
@@ -123,7 +153,7 @@ const getUserProblems = async (req, res) => {
 
 /**
  * GET /problems/:id
- * Get problem by ID
+ * Get problem by ID with its attempts and solution snippets
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -135,7 +165,18 @@ const getProblemById = async (req, res) => {
         model: User,
         as: 'user',
         attributes: ['firstName', 'lastName', 'email']
-      }]
+      }, {
+        model: ProblemAttempt,
+        as: 'attempts'
+      }, {
+        model: ProblemSnippet,
+        as: 'snippets'
+      }],
+      order: [
+        [{ model: ProblemAttempt, as: 'attempts' }, 'date', 'ASC'],
+        [{ model: ProblemAttempt, as: 'attempts' }, 'id', 'ASC'],
+        [{ model: ProblemSnippet, as: 'snippets' }, 'id', 'ASC']
+      ]
     });
 
     if (!problem) {
@@ -176,7 +217,26 @@ const updateProblem = async (req, res) => {
       });
     }
 
-    await problem.update(req.body);
+    // Outcome and time spent are derived from attempts, so they edit the
+    // latest attempt; notes are versioned
+    const editable = EDITABLE_FIELDS.reduce((fields, field) => {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+      return fields;
+    }, {});
+    const { outcome, timeSpent, notes, ...updates } = editable;
+    await sequelize.transaction(async (transaction) => {
+      await problem.update(updates, { transaction });
+
+      if (notes !== undefined) {
+        await saveNotes(problem, notes, { transaction });
+      }
+
+      if (outcome !== undefined || timeSpent !== undefined) {
+        await updateLatestAttempt(problem, { outcome, timeSpent }, transaction);
+      }
+    });
 
     res.status(200).json({
       success: true,
@@ -194,7 +254,7 @@ const updateProblem = async (req, res) => {
 
 /**
  * DELETE /problems/:id
- * Delete problem
+ * Move a problem and its revision items to the trash
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -210,11 +270,11 @@ const deleteProblem = async (req, res) => {
       });
     }
 
-    await problem.destroy();
+    await moveToTrash('problem', problem);
 
     res.status(200).json({
       success: true,
-      message: 'Problem deleted successfully'
+      message: 'Problem moved to trash'
     });
   } catch (error) {
     res.status(500).json({
@@ -225,10 +285,54 @@ const deleteProblem = async (req, res) => {
   }
 };
 
+/**
+ * POST /problems/:id/merge
+ * Fold a duplicate problem (sourceId) into this one: attempts and revision
+ * items move over, tags and time are combined, the duplicate is deleted
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const mergeProblem = async (req, res) => {
+  try {
+    const problem = await mergeProblems(req.resource, req.body.sourceId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Problems merged successfully',
+      data: problem
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error merging problems',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * GET /problems/parse-link?url=
+ * Preview what a pasted problem link resolves to (offline, no network calls)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const previewProblemLink = (req, res) => {
+  const parsed = parseProblemLink(req.query.url);
+
+  res.status(200).json({
+    success: true,
+    data: parsed ? { recognized: true, ...parsed } : { recognized: false }
+  });
+};
+
 module.exports = {
   createProblem,
   getUserProblems,
   getProblemById,
   updateProblem,
-  deleteProblem
+  deleteProblem,
+  mergeProblem,
+  previewProblemLink
 };
@@ -0,0 +1,68 @@
+/**
+ * PROBLEM IMPORT CONTROLLER
+ *
+ * Handles bulk imports of problem history from CSV or JSON.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { importProblems } = require('../services/problemImportService');
+
+/**
+ * Work out the format and content of an import request.
+ * Accepts a text/csv body, a JSON array of problems, or
+ * a JSON object { format: 'csv'|'json', data }.
+ * @param {Object} req - Express request object
+ * @returns {Object} { format, content }
+ */
+const readUpload = (req) => {
+  if (typeof req.body === 'string') {
+    return { format: 'csv', content: req.body };
+  }
+  if (Array.isArray(req.body)) {
+    return { format: 'json', content: req.body };
+  }
+
+  const { format, data } = req.body || {};
+  return {
+    format: format === 'csv' || (!format && typeof data === 'string') ? 'csv' : 'json',
+    content: data
+  };
+};
+
+/**
+ * POST /api/me/problems/import
+ * Import problems from CSV or JSON (?dryRun=true only reports per-row results)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importProblemHistory = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === true || req.body?.dryRun === true;
+  const report = await importProblems(req.user, readUpload(req), { dryRun });
+
+  if (report.dryRun) {
+    return res.status(200).json({
+      success: true,
+      message: `Dry run: ${report.valid} of ${report.total} rows can be imported`,
+      data: report
+    });
+  }
+
+  if (report.errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some rows are invalid; nothing was imported',
+      data: report
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Imported ${report.imported} problems`,
+    data: report
+  });
+});
+
+module.exports = {
+  importProblemHistory
+};
@@ -0,0 +1,203 @@
+/**
+ * PROBLEM LIST CONTROLLER
+ *
+ * Handles problem lists: creating and editing lists, adding, removing
+ * and reordering their problems, per-list progress, sharing public
+ * lists and exporting or importing a list as JSON.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  listUserLists,
+  getList,
+  createList,
+  updateList,
+  deleteList,
+  addItem,
+  removeItem,
+  reorderItems,
+  exportList,
+  importList
+} = require('../services/problemListService');
+
+/**
+ * GET /api/me/problem-lists
+ * List the current user's problem lists with their progress
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserProblemLists = asyncHandler(async (req, res) => {
+  const lists = await listUserLists(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: lists,
+    count: lists.length
+  });
+});
+
+/**
+ * POST /api/me/problem-lists
+ * Create a problem list, optionally with problems in order
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createProblemList = asyncHandler(async (req, res) => {
+  const list = await createList(req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Problem list created successfully',
+    data: list
+  });
+});
+
+/**
+ * POST /api/me/problem-lists/import
+ * Import an exported list as a new list of the current user
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const importProblemList = asyncHandler(async (req, res) => {
+  const { list, matched, pending } = await importList(req.user.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Problem list imported successfully',
+    data: list,
+    matched,
+    pending
+  });
+});
+
+/**
+ * GET /api/problem-lists/:id
+ * Get a list with its problems and progress; public lists can be
+ * viewed by anyone, without the owner's problems and progress
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProblemList = asyncHandler(async (req, res) => {
+  const list = await getList(parseInt(req.params.id), req.user || null);
+
+  res.status(200).json({
+    success: true,
+    data: list
+  });
+});
+
+/**
+ * GET /api/problem-lists/:id/export
+ * Download a list as a JSON document
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportProblemList = asyncHandler(async (req, res) => {
+  const document = await exportList(parseInt(req.params.id), req.user || null);
+
+  res.status(200)
+    .set('Content-Disposition', `attachment; filename="problem-list-${req.params.id}.json"`)
+    .json(document);
+});
+
+/**
+ * PUT /api/problem-lists/:id
+ * Update a list's title, description or visibility
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProblemList = asyncHandler(async (req, res) => {
+  const list = await updateList(req.resource, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Problem list updated successfully',
+    data: list
+  });
+});
+
+/**
+ * DELETE /api/problem-lists/:id
+ * Delete a list; its problems are kept
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProblemList = asyncHandler(async (req, res) => {
+  await deleteList(req.resource);
+
+  res.status(200).json({
+    success: true,
+    message: 'Problem list deleted successfully'
+  });
+});
+
+/**
+ * POST /api/problem-lists/:id/items
+ * Add a problem, or a problem not logged yet, to a list
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addProblemListItem = asyncHandler(async (req, res) => {
+  const list = await addItem(req.resource, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Problem added to list',
+    data: list
+  });
+});
+
+/**
+ * DELETE /api/problem-lists/:id/items/:itemId
+ * Remove an entry from a list
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeProblemListItem = asyncHandler(async (req, res) => {
+  const list = await removeItem(req.resource, parseInt(req.params.itemId));
+
+  res.status(200).json({
+    success: true,
+    message: 'Problem removed from list',
+    data: list
+  });
+});
+
+/**
+ * PUT /api/problem-lists/:id/order
+ * Reorder a list's entries
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reorderProblemList = asyncHandler(async (req, res) => {
+  const list = await reorderItems(req.resource, req.body.itemIds);
+
+  res.status(200).json({
+    success: true,
+    message: 'Problem list reordered successfully',
+    data: list
+  });
+});
+
+module.exports = {
+  getUserProblemLists,
+  createProblemList,
+  importProblemList,
+  getProblemList,
+  exportProblemList,
+  updateProblemList,
+  deleteProblemList,
+  addProblemListItem,
+  removeProblemListItem,
+  reorderProblemList
+};
@@ -5,7 +5,8 @@
  * revision item creation, retrieval, and completion tracking.
  */
 
-const { User, RevisionItem, Problem, LearningItem } = require('../models');
+const { User, RevisionItem, Problem, ProblemSnippet, LearningItem } = require('../models');
+const { checkOwnership } = require('../middleware/ownership');
 
 /**
  * POST /api/users/:userId/revision-items
@@ -28,6 +29,21 @@ const createRevisionItem = async (req, res) => {
       });
     }
 
+    // The scheduled item must exist and belong to the same user
+    const { resource, isOwner } = await checkOwnership(itemType === 'problem' ? 'problem' : 'learning', itemId, userId);
+    if (!resource) {
+      return res.status(404).json({
+        success: false,
+        message: itemType === 'problem' ? 'Problem not found' : 'Learning item not found'
+      });
+    }
+    if (!isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this resource'
+      });
+    }
+
     const revisionItem = await RevisionItem.create({
       itemId,
       itemType,
@@ -88,7 +104,11 @@ const getUserRevisionItems = async (req, res) => {
         const itemData = item.toJSON();
 
         if (item.itemType === 'problem') {
-          const problem = await Problem.findByPk(item.itemId);
+          // Notes and snippets show what the user wrote last time
+          const problem = await Problem.findByPk(item.itemId, {
+            include: [{ model: ProblemSnippet, as: 'snippets' }],
+            order: [[{ model: ProblemSnippet, as: 'snippets' }, 'id', 'ASC']]
+          });
           itemData.problem = problem;
         } else if (item.itemType === 'learning') {
           const learningItem = await LearningItem.findByPk(item.itemId);
@@ -2,43 +2,19 @@
  * ROADMAP CONTROLLER
  * 
  * Handles all roadmap-related operations including
- * roadmap creation, topic/subtopic management, and progress tracking.
+ * roadmap creation, topic/subtopic management, progress tracking, and
+ * linking subtopics to the problems and learning items that cover them.
  */
 
 const { User, Roadmap, Topic, Subtopic } = require('../models');
-
-/**
- * Helper function to update topic progress
- * @param {number} topicId - Topic ID to update
- * @returns {Object} Progress statistics
- */
-const updateTopicProgress = async (topicId) => {
-  try {
-    const totalSubtopics = await Subtopic.count({
-      where: { topicId: parseInt(topicId) }
-    });
-
-    const completedSubtopics = await Subtopic.count({
-      where: {
-        topicId: parseInt(topicId),
-        isCompleted: true
-      }
-    });
-
-    await Topic.update(
-      {
-        totalSubtopics,
-        completedSubtopics
-      },
-      { where: { id: topicId } }
-    );
-
-    return { totalSubtopics, completedSubtopics };
-  } catch (error) {
-    console.error('Error updating topic progress:', error);
-    return { totalSubtopics: 0, completedSubtopics: 0 };
-  }
-};
+const {
+  updateTopicProgress,
+  linkedWorkIncludes,
+  linkSubtopicItems,
+  unlinkSubtopicItem,
+  setSubtopicAutoComplete
+} = require('../services/roadmapService');
+const { moveToTrash } = require('../services/trashService');
 
 /**
  * POST /api/users/:userId/roadmaps
@@ -128,7 +104,8 @@ const getUserRoadmaps = async (req, res) => {
 
 /**
  * GET /api/roadmaps/:roadmapId
- * Get single roadmap with topics and subtopics
+ * Get single roadmap with topics and subtopics, and the problems and
+ * learning items linked to each subtopic
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -152,6 +129,7 @@ const getRoadmapById = async (req, res) => {
             {
               model: Subtopic,
               as: 'subtopics',
+              include: linkedWorkIncludes(),
               order: [['order', 'ASC']]
             }
           ],
@@ -232,7 +210,7 @@ const createTopic = async (req, res) => {
 const createSubtopic = async (req, res) => {
   try {
     const { topicId } = req.params;
-    const { title, description, order, difficulty, estimatedTime } = req.body;
+    const { title, description, order, difficulty, estimatedTime, autoComplete } = req.body;
 
     if (!title || title.trim() === '') {
       return res.status(400).json({
@@ -247,7 +225,8 @@ const createSubtopic = async (req, res) => {
       order: order || 0,
       topicId: parseInt(topicId),
       difficulty: difficulty || 'beginner',
-      estimatedTime: estimatedTime || null
+      estimatedTime: estimatedTime || null,
+      autoComplete: autoComplete || false
     });
 
     // Update topic progress
@@ -417,6 +396,188 @@ const uncompleteSubtopic = async (req, res) => {
   }
 };
 
+/**
+ * DELETE /api/roadmaps/:roadmapId
+ * Move a roadmap with its topics and subtopics to the trash
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteRoadmap = async (req, res) => {
+  try {
+    const roadmap = await Roadmap.findByPk(req.params.roadmapId);
+    if (!roadmap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Roadmap not found'
+      });
+    }
+
+    await moveToTrash('roadmap', roadmap);
+
+    res.status(200).json({
+      success: true,
+      message: 'Roadmap moved to trash'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting roadmap',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/topics/:id
+ * Move a topic with its subtopics to the trash
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTopic = async (req, res) => {
+  try {
+    const topic = await Topic.findByPk(req.params.id);
+    if (!topic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Topic not found'
+      });
+    }
+
+    await moveToTrash('topic', topic);
+
+    res.status(200).json({
+      success: true,
+      message: 'Topic moved to trash'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting topic',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/subtopics/:id
+ * Move a subtopic to the trash
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteSubtopic = async (req, res) => {
+  try {
+    const subtopic = await Subtopic.findByPk(req.params.id);
+    if (!subtopic) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subtopic not found'
+      });
+    }
+
+    await moveToTrash('subtopic', subtopic);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtopic moved to trash'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting subtopic',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * POST /api/subtopics/:id/links
+ * Link problems and learning items to a subtopic
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const linkSubtopicWork = async (req, res) => {
+  try {
+    const { problemIds, learningItemIds } = req.body;
+    const subtopic = await linkSubtopicItems(req.resource, { problemIds, learningItemIds });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtopic links updated successfully',
+      data: subtopic
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error linking subtopic',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Build the handler that unlinks one problem or learning item from a subtopic
+ * @param {string} type - 'problem' or 'learning'
+ * @returns {Function} Express handler for DELETE /api/subtopics/:id/links/...
+ */
+const unlinkSubtopicWork = (type) => async (req, res) => {
+  try {
+    const subtopic = await unlinkSubtopicItem(req.resource, type, parseInt(req.params.itemId));
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtopic links updated successfully',
+      data: subtopic
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error unlinking subtopic',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * DELETE /api/subtopics/:id/links/problems/:itemId
+ * Unlink a problem from a subtopic
+ */
+const unlinkSubtopicProblem = unlinkSubtopicWork('problem');
+
+/**
+ * DELETE /api/subtopics/:id/links/learning-items/:itemId
+ * Unlink a learning item from a subtopic
+ */
+const unlinkSubtopicLearningItem = unlinkSubtopicWork('learning');
+
+/**
+ * PUT /api/subtopics/:id/auto-complete
+ * Turn completing the subtopic from its linked work on or off
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateSubtopicAutoComplete = async (req, res) => {
+  try {
+    const subtopic = await setSubtopicAutoComplete(req.resource, req.body.autoComplete);
+
+    res.status(200).json({
+      success: true,
+      message: 'Subtopic updated successfully',
+      data: subtopic
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error updating subtopic',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createRoadmap,
   getUserRoadmaps,
@@ -426,5 +587,12 @@ module.exports = {
   completeTopic,
   completeSubtopic,
   uncompleteTopic,
-  uncompleteSubtopic
+  uncompleteSubtopic,
+  deleteRoadmap,
+  deleteTopic,
+  deleteSubtopic,
+  linkSubtopicWork,
+  unlinkSubtopicProblem,
+  unlinkSubtopicLearningItem,
+  updateSubtopicAutoComplete
 };
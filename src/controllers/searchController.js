@@ -0,0 +1,32 @@
+/**
+ * SEARCH CONTROLLER
+ *
+ * Handles searching across all of the current user's content.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { searchUserContent } = require('../services/searchService');
+
+/**
+ * GET /api/me/search?q=
+ * Search problems, learning items and roadmaps (with topics and subtopics), best matches first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const searchContent = asyncHandler(async (req, res) => {
+  const { q, types, limit } = req.query;
+  const result = await searchUserContent(req.user, { q, types, limit });
+
+  res.status(200).json({
+    success: true,
+    data: result.results,
+    query: result.query,
+    total: result.total,
+    count: result.results.length
+  });
+});
+
+module.exports = {
+  searchContent
+};
@@ -0,0 +1,69 @@
+/**
+ * SESSION CONTROLLER
+ *
+ * Handles listing and revoking the current user's login sessions
+ * (one per device or browser).
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../services/sessionService');
+
+/**
+ * GET /api/me/sessions
+ * List the current user's active sessions; the caller's own session is marked current
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.user, req.auth.sid);
+
+  res.status(200).json({
+    success: true,
+    data: sessions,
+    count: sessions.length
+  });
+});
+
+/**
+ * DELETE /api/me/sessions/:id
+ * Revoke one of the current user's sessions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteSession = asyncHandler(async (req, res) => {
+  await revokeSession(req.user, parseInt(req.params.id));
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+/**
+ * DELETE /api/me/sessions
+ * Revoke every session of the current user except the one making the request
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteOtherSessions = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeOtherSessions(req.user, req.auth.sid);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all other sessions successfully',
+    data: { revokedCount }
+  });
+});
+
+module.exports = {
+  getSessions,
+  deleteSession,
+  deleteOtherSessions
+};
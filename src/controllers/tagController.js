@@ -0,0 +1,69 @@
+/**
+ * TAG CONTROLLER
+ *
+ * Handles the current user's tags: autocomplete with usage counts,
+ * renaming a tag and merging tags into one.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const { listTags, renameTag, mergeTags } = require('../services/tagService');
+
+/**
+ * GET /api/me/tags
+ * List the current user's tags, most used first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTags = asyncHandler(async (req, res) => {
+  const tags = await listTags(req.user, req.query);
+
+  res.status(200).json({
+    success: true,
+    data: tags,
+    count: tags.length
+  });
+});
+
+/**
+ * PUT /api/me/tags/:id
+ * Rename a tag on every item that uses it
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const renameUserTag = asyncHandler(async (req, res) => {
+  const { tag, updatedItems } = await renameTag(req.resource, req.body.name);
+
+  res.status(200).json({
+    success: true,
+    message: 'Tag renamed successfully',
+    data: tag,
+    updatedItems
+  });
+});
+
+/**
+ * POST /api/me/tags/:id/merge
+ * Merge other tags into the tag in the URL
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const mergeUserTags = asyncHandler(async (req, res) => {
+  const { tag, mergedTags, updatedItems } = await mergeTags(req.resource, req.body.sourceIds);
+
+  res.status(200).json({
+    success: true,
+    message: `Merged ${mergedTags.length} tags into "${tag.name}"`,
+    data: tag,
+    mergedTags,
+    updatedItems
+  });
+});
+
+module.exports = {
+  getTags,
+  renameUserTag,
+  mergeUserTags
+};
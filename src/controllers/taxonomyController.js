@@ -0,0 +1,149 @@
+/**
+ * TAXONOMY CONTROLLER
+ *
+ * Handles the shared topic taxonomy: browsing and searching it, and
+ * (for admins) adding, changing and deleting topics and their aliases.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  getTaxonomyTree,
+  searchTaxonomy,
+  getTaxonomyTopic,
+  createTaxonomyTopic,
+  updateTaxonomyTopic,
+  deleteTaxonomyTopic,
+  addTaxonomyAlias,
+  removeTaxonomyAlias
+} = require('../services/taxonomyService');
+
+/**
+ * GET /api/taxonomy
+ * Get the whole taxonomy as a tree, or topics matching ?q=
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTaxonomy = asyncHandler(async (req, res) => {
+  const { q, limit } = req.query;
+  const topics = q ? await searchTaxonomy(q, limit) : await getTaxonomyTree();
+
+  res.status(200).json({
+    success: true,
+    data: topics,
+    count: topics.length
+  });
+});
+
+/**
+ * GET /api/taxonomy/:id
+ * Get a topic with its path, aliases and subtopics
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTopic = asyncHandler(async (req, res) => {
+  const topic = await getTaxonomyTopic(parseInt(req.params.id));
+
+  res.status(200).json({
+    success: true,
+    data: topic
+  });
+});
+
+/**
+ * POST /api/taxonomy
+ * Add a topic (admin only)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createTopic = asyncHandler(async (req, res) => {
+  const { name, description, parentId, aliases } = req.body;
+  const topic = await createTaxonomyTopic({ name, description, parentId, aliases });
+
+  res.status(201).json({
+    success: true,
+    message: 'Topic created successfully',
+    data: topic
+  });
+});
+
+/**
+ * PUT /api/taxonomy/:id
+ * Rename, describe or move a topic (admin only)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateTopic = asyncHandler(async (req, res) => {
+  const { name, description, parentId } = req.body;
+  const topic = await updateTaxonomyTopic(parseInt(req.params.id), { name, description, parentId });
+
+  res.status(200).json({
+    success: true,
+    message: 'Topic updated successfully',
+    data: topic
+  });
+});
+
+/**
+ * DELETE /api/taxonomy/:id
+ * Delete a topic; its subtopics and items move to its parent (admin only)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTopic = asyncHandler(async (req, res) => {
+  const result = await deleteTaxonomyTopic(parseInt(req.params.id));
+
+  res.status(200).json({
+    success: true,
+    message: 'Topic deleted successfully',
+    data: result
+  });
+});
+
+/**
+ * POST /api/taxonomy/:id/aliases
+ * Add an alias to a topic (admin only)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addAlias = asyncHandler(async (req, res) => {
+  const topic = await addTaxonomyAlias(parseInt(req.params.id), req.body.name);
+
+  res.status(201).json({
+    success: true,
+    message: 'Alias added successfully',
+    data: topic
+  });
+});
+
+/**
+ * DELETE /api/taxonomy/:id/aliases/:aliasId
+ * Remove an alias from a topic (admin only)
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeAlias = asyncHandler(async (req, res) => {
+  const topic = await removeTaxonomyAlias(parseInt(req.params.id), parseInt(req.params.aliasId));
+
+  res.status(200).json({
+    success: true,
+    message: 'Alias removed successfully',
+    data: topic
+  });
+});
+
+module.exports = {
+  getTaxonomy,
+  getTopic,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+  addAlias,
+  removeAlias
+};
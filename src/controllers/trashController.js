@@ -0,0 +1,89 @@
+/**
+ * TRASH CONTROLLER
+ *
+ * Handles the current user's trash: listing deleted problems, learning
+ * items, roadmaps, topics and subtopics, restoring them, and deleting
+ * them for good.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  listTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  emptyTrash
+} = require('../services/trashService');
+
+/**
+ * GET /api/me/trash
+ * List the current user's trashed items, most recently deleted first
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTrash = asyncHandler(async (req, res) => {
+  const items = await listTrash(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: items,
+    count: items.length
+  });
+});
+
+/**
+ * POST /api/me/trash/:type/:id/restore
+ * Restore a trashed item with what was deleted along with it
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const restoreTrashItem = asyncHandler(async (req, res) => {
+  const item = await restoreFromTrash(req.user, req.params.type, parseInt(req.params.id));
+
+  res.status(200).json({
+    success: true,
+    message: 'Item restored successfully',
+    data: item
+  });
+});
+
+/**
+ * DELETE /api/me/trash/:type/:id
+ * Permanently delete a trashed item
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTrashItem = asyncHandler(async (req, res) => {
+  await purgeFromTrash(req.user, req.params.type, parseInt(req.params.id));
+
+  res.status(200).json({
+    success: true,
+    message: 'Item permanently deleted'
+  });
+});
+
+/**
+ * DELETE /api/me/trash
+ * Permanently delete everything in the trash
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const emptyUserTrash = asyncHandler(async (req, res) => {
+  const count = await emptyTrash(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Trash emptied',
+    count
+  });
+});
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  deleteTrashItem,
+  emptyUserTrash
+};
@@ -0,0 +1,106 @@
+/**
+ * TWO-FACTOR CONTROLLER
+ *
+ * Handles TOTP two-factor authentication settings
+ * for the current user.
+ */
+
+const { asyncHandler } = require('../middleware/errorHandler');
+const {
+  getTwoFactorStatus,
+  beginEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../services/twoFactorService');
+
+/**
+ * GET /api/me/2fa
+ * Get the current user's two-factor status
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTwoFactorSettings = asyncHandler(async (req, res) => {
+  const status = await getTwoFactorStatus(req.user);
+
+  res.status(200).json({
+    success: true,
+    data: status
+  });
+});
+
+/**
+ * POST /api/me/2fa/setup
+ * Start enrollment and return the secret and otpauth URI
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const startTwoFactorSetup = asyncHandler(async (req, res) => {
+  const result = await beginEnrollment(req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the otpauth URI with your authenticator app, then confirm with a code',
+    data: result
+  });
+});
+
+/**
+ * POST /api/me/2fa/enable
+ * Confirm enrollment with a code and return recovery codes
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const confirmTwoFactorSetup = asyncHandler(async (req, res) => {
+  const result = await enableTwoFactor(req.user, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+    data: result
+  });
+});
+
+/**
+ * POST /api/me/2fa/disable
+ * Turn two-factor authentication off
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const turnOffTwoFactor = asyncHandler(async (req, res) => {
+  await disableTwoFactor(req.user, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * POST /api/me/2fa/recovery-codes
+ * Replace the current user's recovery codes
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resetRecoveryCodes = asyncHandler(async (req, res) => {
+  const result = await regenerateRecoveryCodes(req.user, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Recovery codes regenerated',
+    data: result
+  });
+});
+
+module.exports = {
+  getTwoFactorSettings,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  turnOffTwoFactor,
+  resetRecoveryCodes
+};
@@ -8,16 +8,27 @@
 const { User, Problem, sequelize } = require('../models');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { getUserProblemStats } = require('../services/problemService');
+const {
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  updateUserRole,
+  deleteUserById
+} = require('../services/userService');
+
+// Secrets that must never leave the API
+const PRIVATE_USER_FIELDS = ['password', 'refreshToken'];
 
 /**
  * GET /api/users
- * Get all users with their associated problems
+ * Get all users with their associated problems (admin only)
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getAllUsers = asyncHandler(async (req, res) => {
   const users = await User.findAll({
+    attributes: { exclude: PRIVATE_USER_FIELDS },
     include: [{
       model: Problem,
       as: 'problems'
@@ -39,6 +50,7 @@ const getAllUsers = asyncHandler(async (req, res) => {
  */
 const getUserById = asyncHandler(async (req, res) => {
   const user = await User.findByPk(req.params.id, {
+    attributes: { exclude: PRIVATE_USER_FIELDS },
     include: [{
       model: Problem,
       as: 'problems',
@@ -76,8 +88,98 @@ const getUserStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * PATCH /api/me
+ * Update the current user's name and profile picture
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateCurrentUser = asyncHandler(async (req, res) => {
+  const { firstName, lastName, profilePicture } = req.body;
+  const profile = await updateProfile(req.user, { firstName, lastName, profilePicture });
+
+  res.status(200).json({
+    success: true,
+    message: 'Profile updated successfully',
+    data: profile
+  });
+});
+
+/**
+ * POST /api/me/password
+ * Change the current user's password
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const changeCurrentUserPassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  await changePassword(req.user, currentPassword, newPassword, req.auth?.sid);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password changed successfully'
+  });
+});
+
+/**
+ * DELETE /api/me
+ * Permanently delete the current user's account and data
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCurrentUser = asyncHandler(async (req, res) => {
+  const { password } = req.body || {};
+  await deleteAccount(req.user, password, req.auth);
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deleted successfully'
+  });
+});
+
+/**
+ * PATCH /api/users/:id/role
+ * Change a user's role (admin only)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const changeUserRole = asyncHandler(async (req, res) => {
+  const profile = await updateUserRole(parseInt(req.params.id), req.body.role);
+
+  res.status(200).json({
+    success: true,
+    message: 'User role updated successfully',
+    data: profile
+  });
+});
+
+/**
+ * DELETE /api/users/:id
+ * Delete another user's account and all its data (admin only)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+  await deleteUserById(req.user, parseInt(req.params.id));
+
+  res.status(200).json({
+    success: true,
+    message: 'User deleted successfully'
+  });
+});
+
 module.exports = {
   getAllUsers,
   getUserById,
-  getUserStats
+  getUserStats,
+  updateCurrentUser,
+  changeCurrentUserPassword,
+  deleteCurrentUser,
+  changeUserRole,
+  deleteUser
 };
@@ -0,0 +1,142 @@
+/**
+ * DEFAULT TOPIC TAXONOMY
+ *
+ * Data structures and algorithms topics seeded into the shared taxonomy
+ * by migration 009. Names and aliases must be unique once normalized
+ * (see normalizeTopicName), across the whole tree.
+ */
+
+module.exports = [
+  {
+    name: 'Arrays',
+    aliases: ['Array'],
+    children: [
+      { name: 'Two Pointers', aliases: ['Two Pointer'] },
+      { name: 'Sliding Window' },
+      { name: 'Prefix Sums', aliases: ['Prefix Sum', 'Cumulative Sum'] },
+      { name: 'Intervals', aliases: ['Interval', 'Merge Intervals'] },
+      { name: 'Matrix', aliases: ['Grid', '2D Array'] }
+    ]
+  },
+  {
+    name: 'Strings',
+    aliases: ['String'],
+    children: [
+      { name: 'String Matching', aliases: ['Pattern Matching', 'KMP', 'Rabin-Karp'] },
+      { name: 'Palindromes', aliases: ['Palindrome'] }
+    ]
+  },
+  {
+    name: 'Hashing',
+    aliases: ['Hash Table', 'Hash Map', 'Hashmap', 'Hash Set']
+  },
+  {
+    name: 'Linked Lists',
+    aliases: ['Linked List']
+  },
+  {
+    name: 'Stacks and Queues',
+    children: [
+      { name: 'Stacks', aliases: ['Stack'] },
+      { name: 'Monotonic Stack' },
+      { name: 'Queues', aliases: ['Queue', 'Deque'] }
+    ]
+  },
+  {
+    name: 'Trees',
+    aliases: ['Tree'],
+    children: [
+      { name: 'Binary Trees', aliases: ['Binary Tree'] },
+      { name: 'Binary Search Trees', aliases: ['Binary Search Tree', 'BST'] },
+      { name: 'Tries', aliases: ['Trie', 'Prefix Tree'] },
+      { name: 'Segment Trees', aliases: ['Segment Tree'] },
+      { name: 'Fenwick Trees', aliases: ['Fenwick Tree', 'Binary Indexed Tree', 'BIT'] }
+    ]
+  },
+  {
+    name: 'Heaps',
+    aliases: ['Heap', 'Priority Queue']
+  },
+  {
+    name: 'Graphs',
+    aliases: ['Graph', 'Graph Theory'],
+    children: [
+      {
+        name: 'Graph Traversal',
+        children: [
+          { name: 'Breadth-First Search', aliases: ['BFS'] },
+          { name: 'Depth-First Search', aliases: ['DFS'] }
+        ]
+      },
+      {
+        name: 'Shortest Paths',
+        aliases: ['Shortest Path'],
+        children: [
+          { name: "Dijkstra's Algorithm", aliases: ['Dijkstra'] },
+          { name: 'Bellman-Ford', aliases: ['Bellman Ford Algorithm'] },
+          { name: 'Floyd-Warshall', aliases: ['Floyd Warshall Algorithm'] }
+        ]
+      },
+      { name: 'Topological Sort', aliases: ['Topological Sorting', 'Topo Sort'] },
+      { name: 'Union Find', aliases: ['Disjoint Set', 'Disjoint Set Union', 'DSU'] },
+      {
+        name: 'Minimum Spanning Trees',
+        aliases: ['Minimum Spanning Tree', 'MST'],
+        children: [
+          { name: "Kruskal's Algorithm", aliases: ['Kruskal'] },
+          { name: "Prim's Algorithm", aliases: ['Prim'] }
+        ]
+      }
+    ]
+  },
+  {
+    name: 'Searching',
+    aliases: ['Search'],
+    children: [
+      { name: 'Binary Search' }
+    ]
+  },
+  {
+    name: 'Sorting',
+    aliases: ['Sort', 'Sorting Algorithms']
+  },
+  {
+    name: 'Recursion and Backtracking',
+    children: [
+      { name: 'Recursion' },
+      { name: 'Backtracking' }
+    ]
+  },
+  {
+    name: 'Dynamic Programming',
+    aliases: ['DP'],
+    children: [
+      { name: 'Knapsack', aliases: ['0/1 Knapsack'] },
+      { name: 'Subsequence DP', aliases: ['LIS', 'LCS', 'Longest Common Subsequence', 'Longest Increasing Subsequence'] },
+      { name: 'Interval DP' },
+      { name: 'Bitmask DP' },
+      { name: 'Tree DP', aliases: ['DP on Trees'] }
+    ]
+  },
+  {
+    name: 'Greedy',
+    aliases: ['Greedy Algorithms']
+  },
+  {
+    name: 'Math',
+    aliases: ['Mathematics'],
+    children: [
+      { name: 'Number Theory', aliases: ['Primes', 'GCD'] },
+      { name: 'Combinatorics', aliases: ['Counting'] },
+      { name: 'Geometry' }
+    ]
+  },
+  {
+    name: 'Bit Manipulation',
+    aliases: ['Bitwise Operations', 'Bits']
+  },
+  {
+    name: 'Design',
+    aliases: ['Data Structure Design']
+  }
+];
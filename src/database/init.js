@@ -5,7 +5,10 @@
  * It ensures all models are properly created and relationships are established.
  */
 
-const { sequelize } = require('../models');
+const models = require('../models');
+const { runMigrations } = require('./migrate');
+
+const { sequelize } = models;
 
 async function initializeDatabase() {
   try {
@@ -17,6 +20,9 @@ async function initializeDatabase() {
     await sequelize.sync({ force: false }); // Set force: true to drop existing tables
     console.log('✅ All models synchronized successfully.');
 
+    // Apply data/schema migrations that sync() cannot handle
+    await runMigrations(models);
+
   } catch (error) {
     console.error('❌ Unable to connect to database:', error);
     process.exit(1);
@@ -0,0 +1,95 @@
+/**
+ * DATABASE MIGRATIONS
+ *
+ * Runs the data and schema migrations in ./migrations that sequelize.sync()
+ * cannot express (backfills, columns added to existing tables).
+ * Each migration runs once; applied names are recorded in schema_migrations.
+ *
+ * A migration module exports { name, up }, where up receives
+ * { queryInterface, sequelize, models, transaction }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DataTypes } = require('sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Load migration modules in file name order
+ * @returns {Array} Migration modules
+ */
+const loadMigrations = () => {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => require(path.join(MIGRATIONS_DIR, file)));
+};
+
+/**
+ * Apply every pending migration
+ * @param {Object} models - Models index (includes sequelize)
+ * @returns {Array} Names of the migrations applied in this run
+ */
+const runMigrations = async (models) => {
+  const { sequelize } = models;
+  const queryInterface = sequelize.getQueryInterface();
+
+  await queryInterface.createTable('schema_migrations', {
+    name: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    appliedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  });
+
+  const [rows] = await sequelize.query('SELECT name FROM schema_migrations');
+  const applied = new Set(rows.map(row => row.name));
+  const appliedNow = [];
+
+  for (const migration of loadMigrations()) {
+    if (applied.has(migration.name)) {
+      continue;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await migration.up({ queryInterface, sequelize, models, transaction });
+      await queryInterface.bulkInsert('schema_migrations', [{
+        name: migration.name,
+        appliedAt: new Date()
+      }], { transaction });
+    });
+
+    console.log(`✅ Applied migration ${migration.name}`);
+    appliedNow.push(migration.name);
+  }
+
+  return appliedNow;
+};
+
+/**
+ * Add a column to an existing table unless it is already there
+ * @param {Object} queryInterface - Sequelize query interface
+ * @param {string} tableName - Table name
+ * @param {string} columnName - Column name
+ * @param {Object} definition - Column definition
+ * @param {Object} [options] - Query options (e.g. transaction)
+ */
+const addColumnIfMissing = async (queryInterface, tableName, columnName, definition, options = {}) => {
+  const columns = await queryInterface.describeTable(tableName, options);
+  if (!columns[columnName]) {
+    await queryInterface.addColumn(tableName, columnName, definition, options);
+  }
+};
+
+module.exports = {
+  runMigrations,
+  addColumnIfMissing
+};
@@ -0,0 +1,35 @@
+/**
+ * Copy the single provider stored on each OAuth user row
+ * (authProvider + providerId) into the user_identities table.
+ */
+
+module.exports = {
+  name: '001-backfill-user-identities',
+
+  up: async ({ models, transaction }) => {
+    const { User, UserIdentity } = models;
+    const { Op } = require('sequelize');
+
+    const oauthUsers = await User.findAll({
+      // Only columns that exist before later migrations run
+      attributes: ['id', 'email', 'authProvider', 'providerId', 'createdAt'],
+      where: {
+        authProvider: { [Op.ne]: 'local' },
+        providerId: { [Op.ne]: null }
+      },
+      transaction
+    });
+
+    for (const user of oauthUsers) {
+      await UserIdentity.findOrCreate({
+        where: { provider: user.authProvider, providerId: user.providerId },
+        defaults: {
+          email: user.email,
+          linkedAt: user.createdAt,
+          userId: user.id
+        },
+        transaction
+      });
+    }
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Add the role column used for role-based access control.
+ * Existing users become regular users; promote admins with
+ * `npm run create-admin -- <email>`.
+ */
+
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('../migrate');
+
+module.exports = {
+  name: '002-add-user-role',
+
+  up: async ({ queryInterface, transaction }) => {
+    await addColumnIfMissing(queryInterface, 'users', 'role', {
+      type: DataTypes.ENUM('user', 'admin'),
+      allowNull: false,
+      defaultValue: 'user'
+    }, { transaction });
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Register a session for every refresh token family that is still
+ * active, so logins made before the session registry existed show
+ * up in GET /api/me/sessions (without device details).
+ */
+
+module.exports = {
+  name: '003-backfill-user-sessions',
+
+  up: async ({ models, transaction }) => {
+    const { RefreshToken, UserSession } = models;
+    const { Op } = require('sequelize');
+
+    const tokens = await RefreshToken.findAll({
+      where: {
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['createdAt', 'ASC']],
+      transaction
+    });
+
+    for (const token of tokens) {
+      await UserSession.findOrCreate({
+        where: { familyId: token.familyId },
+        defaults: {
+          lastSeenAt: token.createdAt,
+          userId: token.userId
+        },
+        transaction
+      });
+    }
+  }
+};
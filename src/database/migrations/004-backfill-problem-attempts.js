@@ -0,0 +1,33 @@
+/**
+ * Give every existing problem its first attempt, built from the
+ * outcome, time spent and date stored on the problem row.
+ */
+
+module.exports = {
+  name: '004-backfill-problem-attempts',
+
+  up: async ({ models, transaction }) => {
+    const { Problem, ProblemAttempt } = models;
+
+    // Include trashed problems; this also runs before 007 adds deletedAt
+    const problems = await Problem.findAll({
+      attributes: ['id', 'timeSpent', 'outcome', 'date'],
+      paranoid: false,
+      transaction
+    });
+
+    for (const problem of problems) {
+      const attemptCount = await ProblemAttempt.count({ where: { problemId: problem.id }, transaction });
+      if (attemptCount > 0) {
+        continue;
+      }
+
+      await ProblemAttempt.create({
+        problemId: problem.id,
+        date: problem.date,
+        timeSpent: problem.timeSpent,
+        outcome: problem.outcome
+      }, { transaction });
+    }
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Fill the full-text search index with the problems, learning items
+ * and roadmaps that existed before search was added. The FTS5 table
+ * itself is created after sync(); without FTS5 there is nothing to do.
+ */
+
+const { rebuildSearchIndex } = require('../searchIndex');
+
+module.exports = {
+  name: '005-build-search-index',
+
+  up: async ({ models, transaction }) => {
+    await rebuildSearchIndex(models, { transaction });
+  }
+};
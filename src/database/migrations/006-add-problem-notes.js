@@ -0,0 +1,22 @@
+/**
+ * Add the notes column to problems and rebuild the search index so
+ * notes become searchable. Snippets and the version history tables
+ * are new and created by sync().
+ */
+
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('../migrate');
+const { rebuildSearchIndex } = require('../searchIndex');
+
+module.exports = {
+  name: '006-add-problem-notes',
+
+  up: async ({ queryInterface, models, transaction }) => {
+    await addColumnIfMissing(queryInterface, 'problems', 'notes', {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }, { transaction });
+
+    await rebuildSearchIndex(models, { transaction });
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Add the deletedAt column used by soft deletes (the trash) to
+ * problems, learning items, revision items and the roadmap hierarchy.
+ */
+
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('../migrate');
+
+const TABLES = ['problems', 'learning_items', 'revision_items', 'roadmaps', 'topics', 'subtopics'];
+
+module.exports = {
+  name: '007-add-soft-delete',
+
+  up: async ({ queryInterface, transaction }) => {
+    for (const tableName of TABLES) {
+      await addColumnIfMissing(queryInterface, tableName, 'deletedAt', {
+        type: DataTypes.DATE,
+        allowNull: true
+      }, { transaction });
+    }
+  }
+};
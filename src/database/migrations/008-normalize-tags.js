@@ -0,0 +1,34 @@
+/**
+ * Link the tags already stored on problems (a JSON array, or a
+ * comma-separated string on older rows) and learning items
+ * (comma-separated text) to shared Tag rows, and rewrite each tags
+ * column in the canonical form.
+ */
+
+const { TAGGED_TYPES, resolveTags, linkItemTags } = require('../tagIndex');
+
+module.exports = {
+  name: '008-normalize-tags',
+
+  up: async ({ models, transaction }) => {
+    for (const [type, tagged] of Object.entries(TAGGED_TYPES)) {
+      const model = models[tagged.model];
+      const items = await model.findAll({
+        attributes: ['id', 'userId', 'tags'],
+        paranoid: false,
+        transaction
+      });
+
+      for (const item of items) {
+        const tags = await resolveTags(models, item.userId, item.tags, transaction);
+        await linkItemTags(models, type, item.id, tags.map(tag => tag.id), transaction);
+
+        // A plain update skips the tag and search hooks and keeps updatedAt
+        await model.update(
+          { tags: tagged.formatTags(tags.map(tag => tag.name)) },
+          { where: { id: item.id }, hooks: false, paranoid: false, silent: true, transaction }
+        );
+      }
+    }
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Add taxonomyTopicId to problems and learning items, seed the default
+ * data structures and algorithms taxonomy, and file existing items
+ * whose free-text topic matches one of its topics or aliases.
+ */
+
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('../migrate');
+const { seedTaxonomy, linkUnmatchedItems } = require('../taxonomyIndex');
+const defaultTaxonomy = require('../defaultTaxonomy');
+
+const TABLES = ['problems', 'learning_items'];
+
+module.exports = {
+  name: '009-add-topic-taxonomy',
+
+  up: async ({ queryInterface, models, transaction }) => {
+    for (const tableName of TABLES) {
+      await addColumnIfMissing(queryInterface, tableName, 'taxonomyTopicId', {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'taxonomy_topics',
+          key: 'id'
+        }
+      }, { transaction });
+    }
+
+    await seedTaxonomy(models, defaultTaxonomy, transaction);
+    await linkUnmatchedItems(models, transaction);
+  }
+};
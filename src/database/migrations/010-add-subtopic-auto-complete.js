@@ -0,0 +1,20 @@
+/**
+ * Add the autoComplete flag to subtopics. Existing subtopics keep
+ * being completed by hand; the subtopic link tables are new and are
+ * created by sync.
+ */
+
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('../migrate');
+
+module.exports = {
+  name: '010-add-subtopic-auto-complete',
+
+  up: async ({ queryInterface, transaction }) => {
+    await addColumnIfMissing(queryInterface, 'subtopics', 'autoComplete', {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }, { transaction });
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Record when each session logged in. The login time of existing
+ * sessions is unknown, so it stays empty and passwordless accounts
+ * must log in again before a sensitive action.
+ */
+
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('../migrate');
+
+module.exports = {
+  name: '011-add-session-login-time',
+
+  up: async ({ queryInterface, transaction }) => {
+    await addColumnIfMissing(queryInterface, 'user_sessions', 'authenticatedAt', {
+      type: DataTypes.DATE,
+      allowNull: true
+    }, { transaction });
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Add the version column the rate limit store uses to update an
+ * entry atomically (optimistic locking).
+ */
+
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('../migrate');
+
+module.exports = {
+  name: '012-add-rate-limit-entry-version',
+
+  up: async ({ queryInterface, transaction }) => {
+    await addColumnIfMissing(queryInterface, 'rate_limit_entries', 'version', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }, { transaction });
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Add the version column two-factor verification uses to use up a
+ * recovery code with a conditional update.
+ */
+
+const { DataTypes } = require('sequelize');
+const { addColumnIfMissing } = require('../migrate');
+
+module.exports = {
+  name: '013-add-two-factor-version',
+
+  up: async ({ queryInterface, transaction }) => {
+    await addColumnIfMissing(queryInterface, 'user_two_factor', 'version', {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    }, { transaction });
+  }
+};
@@ -0,0 +1,239 @@
+/**
+ * SEARCH INDEX
+ *
+ * Full-text index over a user's content for /api/me/search. On SQLite
+ * the index is an FTS5 virtual table (search_index), created after
+ * sync() and kept up to date by model hooks. On other dialects, or
+ * when SQLite was built without FTS5, search falls back to LIKE
+ * queries on the source tables (see services/searchService).
+ *
+ * Each indexed record becomes one row: its type, id and owner, a
+ * title and a body with the other searchable text.
+ */
+
+const { SEARCH_CONSTANTS } = require('../utils/constants');
+
+const TABLE = SEARCH_CONSTANTS.TABLE;
+
+// Whether the FTS5 table exists; set after sync()
+let fullTextEnabled = false;
+
+/**
+ * Searchable content of each indexed type. `owner` resolves the user
+ * that owns a record (topics and subtopics belong to a roadmap); the
+ * lookup ignores the trash, which may not have its column yet while
+ * migrations run.
+ */
+const SEARCH_DOCUMENTS = {
+  problem: {
+    model: 'Problem',
+    fields: ['title', 'tags', 'notes'],
+    title: (problem) => problem.title,
+    // Older rows may hold tags as a single string instead of an array
+    body: (problem) => [[].concat(problem.tags || []).join(' '), problem.notes].filter(Boolean).join(' '),
+    owner: async (problem) => problem.userId
+  },
+  learning: {
+    model: 'LearningItem',
+    fields: ['title', 'notes', 'category'],
+    title: (item) => item.title,
+    body: (item) => [item.notes, item.category].filter(Boolean).join(' '),
+    owner: async (item) => item.userId
+  },
+  roadmap: {
+    model: 'Roadmap',
+    fields: ['title', 'description'],
+    title: (roadmap) => roadmap.title,
+    body: (roadmap) => roadmap.description || '',
+    owner: async (roadmap) => roadmap.userId
+  },
+  topic: {
+    model: 'Topic',
+    fields: ['title', 'description'],
+    title: (topic) => topic.title,
+    body: (topic) => topic.description || '',
+    owner: async (topic, models, transaction) => {
+      const roadmap = await models.Roadmap.findByPk(topic.roadmapId, { attributes: ['userId'], paranoid: false, transaction });
+      return roadmap ? roadmap.userId : null;
+    }
+  },
+  subtopic: {
+    model: 'Subtopic',
+    fields: ['title', 'description'],
+    title: (subtopic) => subtopic.title,
+    body: (subtopic) => subtopic.description || '',
+    owner: async (subtopic, models, transaction) => {
+      const topic = await models.Topic.findByPk(subtopic.topicId, { attributes: ['roadmapId'], paranoid: false, transaction });
+      return topic ? SEARCH_DOCUMENTS.topic.owner(topic, models, transaction) : null;
+    }
+  }
+};
+
+/**
+ * Check whether searches can use the FTS5 index
+ * @returns {boolean} True if the index exists
+ */
+const isFullTextEnabled = () => fullTextEnabled;
+
+/**
+ * Create the FTS5 table if the database supports it
+ * @param {Object} sequelize - Sequelize instance
+ */
+const createSearchIndex = async (sequelize) => {
+  if (sequelize.getDialect() !== 'sqlite') {
+    fullTextEnabled = false;
+    return;
+  }
+
+  try {
+    await sequelize.query(
+      `CREATE VIRTUAL TABLE IF NOT EXISTS ${TABLE} USING fts5(` +
+      'item_type UNINDEXED, item_id UNINDEXED, user_id UNINDEXED, title, body, ' +
+      "tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3')"
+    );
+    fullTextEnabled = true;
+  } catch (error) {
+    console.warn('⚠️  Full-text search unavailable, falling back to LIKE search:', error.message);
+    fullTextEnabled = false;
+  }
+};
+
+/**
+ * Remove a record from the index
+ * @param {Object} sequelize - Sequelize instance
+ * @param {string} type - Search document type
+ * @param {number} id - Record ID
+ * @param {Object} [options] - { transaction }
+ */
+const removeDocument = async (sequelize, type, id, options = {}) => {
+  if (!fullTextEnabled) {
+    return;
+  }
+
+  await sequelize.query(`DELETE FROM ${TABLE} WHERE item_type = ? AND item_id = ?`, {
+    replacements: [type, Number(id)],
+    transaction: options.transaction
+  });
+};
+
+/**
+ * Add or replace a record in the index
+ * @param {Object} models - Models (with sequelize)
+ * @param {string} type - Search document type
+ * @param {Object} instance - Model instance
+ * @param {Object} [options] - { transaction }
+ */
+const indexDocument = async (models, type, instance, options = {}) => {
+  if (!fullTextEnabled) {
+    return;
+  }
+
+  const document = SEARCH_DOCUMENTS[type];
+  const { transaction } = options;
+  const userId = await document.owner(instance, models, transaction);
+
+  await removeDocument(models.sequelize, type, instance.id, { transaction });
+  if (userId === null || userId === undefined) {
+    return;
+  }
+
+  await models.sequelize.query(
+    `INSERT INTO ${TABLE} (item_type, item_id, user_id, title, body) VALUES (?, ?, ?, ?, ?)`,
+    {
+      // FTS5 columns have no type affinity, so ids must be stored as numbers to match
+      replacements: [type, Number(instance.id), Number(userId), document.title(instance) || '', document.body(instance) || ''],
+      transaction
+    }
+  );
+};
+
+/**
+ * Remove every indexed record of a user
+ * @param {Object} sequelize - Sequelize instance
+ * @param {number} userId - User ID
+ * @param {Object} [options] - { transaction }
+ */
+const removeUserDocuments = async (sequelize, userId, options = {}) => {
+  if (!fullTextEnabled) {
+    return;
+  }
+
+  await sequelize.query(`DELETE FROM ${TABLE} WHERE user_id = ?`, {
+    replacements: [Number(userId)],
+    transaction: options.transaction
+  });
+};
+
+/**
+ * Rebuild the whole index from the source tables
+ * @param {Object} models - Models (with sequelize)
+ * @param {Object} [options] - { transaction }
+ * @returns {number} Number of indexed records
+ */
+const rebuildSearchIndex = async (models, options = {}) => {
+  if (!fullTextEnabled) {
+    return 0;
+  }
+
+  const { transaction } = options;
+  const queryInterface = models.sequelize.getQueryInterface();
+  await models.sequelize.query(`DELETE FROM ${TABLE}`, { transaction });
+
+  let indexed = 0;
+  for (const [type, document] of Object.entries(SEARCH_DOCUMENTS)) {
+    const model = models[document.model];
+
+    // Migrations rebuild the index before later ones add columns; read only existing
+    // columns, and leave out trashed records once deletedAt exists
+    const columns = await queryInterface.describeTable(model.getTableName(), { transaction });
+    const attributes = Object.keys(model.rawAttributes).filter(name => columns[model.rawAttributes[name].field]);
+
+    const records = await model.findAll({ attributes, paranoid: Boolean(columns.deletedAt), transaction });
+    for (const record of records) {
+      await indexDocument(models, type, record, { transaction });
+      indexed += 1;
+    }
+  }
+
+  return indexed;
+};
+
+/**
+ * Create the index after sync() and register the hooks that keep it current
+ * @param {Object} models - Models (with sequelize)
+ */
+const attachSearchIndex = (models) => {
+  const { sequelize } = models;
+
+  sequelize.addHook('afterBulkSync', () => createSearchIndex(sequelize));
+
+  Object.entries(SEARCH_DOCUMENTS).forEach(([type, document]) => {
+    const model = models[document.model];
+    const reindex = (instance, options) => indexDocument(models, type, instance, options);
+
+    model.addHook('afterCreate', reindex);
+    // Trashed records can still be updated (tag renames rewrite them) but stay out of the index
+    model.addHook('afterUpdate', async (instance, options) => {
+      if (!instance.deletedAt) {
+        await reindex(instance, options);
+      }
+    });
+    model.addHook('afterBulkCreate', async (instances, options) => {
+      for (const instance of instances) {
+        await reindex(instance, options);
+      }
+    });
+    // Soft deletes also run afterDestroy; restoring from the trash indexes the record again
+    model.addHook('afterDestroy', (instance, options) => removeDocument(sequelize, type, instance.id, options));
+    model.addHook('afterRestore', reindex);
+  });
+};
+
+module.exports = {
+  SEARCH_DOCUMENTS,
+  isFullTextEnabled,
+  attachSearchIndex,
+  removeDocument,
+  removeUserDocuments,
+  rebuildSearchIndex
+};
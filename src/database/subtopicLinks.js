@@ -0,0 +1,109 @@
+/**
+ * SUBTOPIC LINKS
+ *
+ * Roadmap subtopics can be linked to the problems and learning items
+ * that cover them (SubtopicProblem, SubtopicLearningItem). A subtopic
+ * with autoComplete set completes itself once every linked problem is
+ * solved and every linked learning item reaches 100% progress; trashed
+ * items do not count. A model hook re-checks the subtopics linked to a
+ * problem or learning item when it is saved as solved or finished.
+ * Completion only goes one way; a subtopic is never reopened when a
+ * linked item stops being done.
+ */
+
+/**
+ * Linked item types: their model, join model and what "done" means
+ */
+const LINKED_TYPES = {
+  problem: {
+    model: 'Problem',
+    join: 'SubtopicProblem',
+    foreignKey: 'problemId',
+    as: 'problems',
+    field: 'outcome',
+    isDone: (problem) => problem.outcome === 'solved'
+  },
+  learning: {
+    model: 'LearningItem',
+    join: 'SubtopicLearningItem',
+    foreignKey: 'learningItemId',
+    as: 'learningItems',
+    field: 'progress',
+    isDone: (item) => Number(item.progress) >= 100
+  }
+};
+
+/**
+ * Complete the auto-completing subtopics among the given ones whose
+ * linked work is all done, and recount their topics' progress
+ * @param {Object} models - Models from models/index.js
+ * @param {Array<number>} subtopicIds - Subtopics to check
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Array<number>} IDs of the subtopics that were completed
+ */
+const completeLinkedSubtopics = async (models, subtopicIds, transaction) => {
+  if (subtopicIds.length === 0) {
+    return [];
+  }
+
+  const subtopics = await models.Subtopic.findAll({
+    where: { id: subtopicIds, autoComplete: true, isCompleted: false },
+    include: Object.values(LINKED_TYPES).map(linked => ({
+      model: models[linked.model],
+      as: linked.as,
+      attributes: ['id', linked.field],
+      through: { attributes: [] }
+    })),
+    transaction
+  });
+
+  const completed = subtopics.filter((subtopic) => {
+    const checks = Object.values(LINKED_TYPES)
+      .flatMap(linked => subtopic[linked.as].map(item => linked.isDone(item)));
+    return checks.length > 0 && checks.every(Boolean);
+  });
+
+  const completedDate = new Date().toISOString().split('T')[0];
+  for (const subtopic of completed) {
+    await subtopic.update({ isCompleted: true, completedDate }, { transaction });
+  }
+
+  // Keep each topic's subtopic counts in step (trashed subtopics are not counted)
+  const topicIds = [...new Set(completed.map(subtopic => subtopic.topicId))];
+  for (const topicId of topicIds) {
+    const [totalSubtopics, completedSubtopics] = await Promise.all([
+      models.Subtopic.count({ where: { topicId }, transaction }),
+      models.Subtopic.count({ where: { topicId, isCompleted: true }, transaction })
+    ]);
+    await models.Topic.update({ totalSubtopics, completedSubtopics }, { where: { id: topicId }, transaction });
+  }
+
+  return completed.map(subtopic => subtopic.id);
+};
+
+/**
+ * Attach the hooks that complete subtopics when their linked work is done
+ * @param {Object} models - Models from models/index.js
+ */
+const attachSubtopicLinks = (models) => {
+  Object.values(LINKED_TYPES).forEach((linked) => {
+    models[linked.model].addHook('afterSave', async (instance, options) => {
+      if (!instance.changed(linked.field) || !linked.isDone(instance)) {
+        return;
+      }
+
+      const links = await models[linked.join].findAll({
+        where: { [linked.foreignKey]: instance.id },
+        attributes: ['subtopicId'],
+        transaction: options.transaction
+      });
+      await completeLinkedSubtopics(models, links.map(link => link.subtopicId), options.transaction);
+    });
+  });
+};
+
+module.exports = {
+  LINKED_TYPES,
+  completeLinkedSubtopics,
+  attachSubtopicLinks
+};
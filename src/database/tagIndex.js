@@ -0,0 +1,205 @@
+/**
+ * TAG INDEX
+ *
+ * Problems keep their tags as a JSON array and learning items as
+ * comma-separated text. Both are also linked to the user's Tag rows
+ * through ProblemTag and LearningItemTag, which is what tag filters,
+ * autocomplete and usage counts query.
+ *
+ * Model hooks keep the two in step: before an item is saved its tags
+ * are matched to the user's Tags, ignoring case and spacing, and
+ * written back in the Tag's spelling; after the save the join rows are
+ * replaced. Tags are only synced on instance saves, so bulk
+ * Model.update calls must not change tags.
+ */
+
+const { TAG_CONSTANTS } = require('../utils/constants');
+const { parseTags } = require('../utils/helpers');
+
+/**
+ * Tagged item types: their model, join model (and its alias for the item)
+ * and how the tags column is written
+ */
+const TAGGED_TYPES = {
+  problem: {
+    model: 'Problem',
+    join: 'ProblemTag',
+    foreignKey: 'problemId',
+    itemAlias: 'problem',
+    formatTags: (names) => names
+  },
+  learning: {
+    model: 'LearningItem',
+    join: 'LearningItemTag',
+    foreignKey: 'learningItemId',
+    itemAlias: 'learningItem',
+    formatTags: (names) => names.join(', ')
+  }
+};
+
+/**
+ * Tidy a tag for display: trimmed, single spaces, at most the maximum length
+ * @param {string} name - Raw tag
+ * @returns {string} Tag name
+ */
+const cleanTagName = (name) => String(name).trim().replace(/\s+/g, ' ').slice(0, TAG_CONSTANTS.MAX_NAME_LENGTH).trim();
+
+/**
+ * Key that identifies a tag regardless of case and spacing
+ * @param {string} name - Raw tag
+ * @returns {string} Normalized name
+ */
+const normalizeTagName = (name) => cleanTagName(name).toLowerCase();
+
+/**
+ * Read tags from an array or a separated string, keeping the first
+ * spelling of each
+ * @param {*} value - Raw tags
+ * @returns {Array<string>} Tag names
+ */
+const readTagNames = (value) => {
+  const seen = new Set();
+
+  return parseTags(value).map(cleanTagName).filter((name) => {
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Find a user's Tags for a list of names, creating the missing ones
+ * @param {Object} models - Models
+ * @param {number} userId - Owner ID
+ * @param {*} value - Raw tags
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Array<Object>} Tags, in the order of the names
+ */
+const resolveTags = async (models, userId, value, transaction) => {
+  const names = readTagNames(value);
+  if (names.length === 0) {
+    return [];
+  }
+
+  const existing = await models.Tag.findAll({
+    where: { userId, normalizedName: names.map(name => name.toLowerCase()) },
+    transaction
+  });
+  const tagsByKey = new Map(existing.map(tag => [tag.normalizedName, tag]));
+
+  const tags = [];
+  for (const name of names) {
+    const key = name.toLowerCase();
+    if (!tagsByKey.has(key)) {
+      tagsByKey.set(key, await models.Tag.create({ name, normalizedName: key, userId }, { transaction }));
+    }
+    tags.push(tagsByKey.get(key));
+  }
+
+  return tags;
+};
+
+/**
+ * Delete the given Tags that no problem or learning item uses any more
+ * @param {Object} models - Models
+ * @param {Array<number>} tagIds - Tag IDs to check
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const pruneUnusedTags = async (models, tagIds, transaction) => {
+  if (tagIds.length === 0) {
+    return;
+  }
+
+  const links = [
+    ...await models.ProblemTag.findAll({ where: { tagId: tagIds }, attributes: ['tagId'], transaction }),
+    ...await models.LearningItemTag.findAll({ where: { tagId: tagIds }, attributes: ['tagId'], transaction })
+  ];
+  const used = new Set(links.map(link => link.tagId));
+  const unused = tagIds.filter(id => !used.has(id));
+
+  if (unused.length > 0) {
+    await models.Tag.destroy({ where: { id: unused }, transaction });
+  }
+};
+
+/**
+ * Point an item's join rows at exactly the given Tags
+ * @param {Object} models - Models
+ * @param {string} type - 'problem' or 'learning'
+ * @param {number} itemId - Item ID
+ * @param {Array<number>} tagIds - Tag IDs
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const linkItemTags = async (models, type, itemId, tagIds, transaction) => {
+  const { join, foreignKey } = TAGGED_TYPES[type];
+  const links = await models[join].findAll({ where: { [foreignKey]: itemId }, transaction });
+  const linked = new Set(links.map(link => link.tagId));
+
+  const removed = links.filter(link => !tagIds.includes(link.tagId)).map(link => link.tagId);
+  if (removed.length > 0) {
+    await models[join].destroy({ where: { [foreignKey]: itemId, tagId: removed }, transaction });
+  }
+
+  const added = tagIds.filter(id => !linked.has(id));
+  if (added.length > 0) {
+    await models[join].bulkCreate(added.map(tagId => ({ [foreignKey]: itemId, tagId })), { transaction });
+  }
+
+  await pruneUnusedTags(models, removed, transaction);
+};
+
+/**
+ * Remove the join rows of permanently deleted items
+ * @param {Object} models - Models
+ * @param {string} type - 'problem' or 'learning'
+ * @param {Array<number>} itemIds - Item IDs
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const unlinkItemTags = async (models, type, itemIds, transaction) => {
+  const { join, foreignKey } = TAGGED_TYPES[type];
+  const links = await models[join].findAll({ where: { [foreignKey]: itemIds }, attributes: ['tagId'], transaction });
+
+  await models[join].destroy({ where: { [foreignKey]: itemIds }, transaction });
+  await pruneUnusedTags(models, [...new Set(links.map(link => link.tagId))], transaction);
+};
+
+/**
+ * Register the hooks that link saved tags to Tag rows
+ * @param {Object} models - Models (with sequelize)
+ */
+const attachTagIndex = (models) => {
+  Object.entries(TAGGED_TYPES).forEach(([type, tagged]) => {
+    const model = models[tagged.model];
+    const tagsChanged = (instance) => instance.isNewRecord || instance.changed('tags');
+
+    model.addHook('beforeSave', async (instance, options) => {
+      if (!tagsChanged(instance)) {
+        return;
+      }
+      const tags = await resolveTags(models, instance.userId, instance.tags, options.transaction);
+      instance.tags = tagged.formatTags(tags.map(tag => tag.name));
+    });
+
+    model.addHook('afterSave', async (instance, options) => {
+      if (!tagsChanged(instance)) {
+        return;
+      }
+      const tags = await resolveTags(models, instance.userId, instance.tags, options.transaction);
+      await linkItemTags(models, type, instance.id, tags.map(tag => tag.id), options.transaction);
+    });
+  });
+};
+
+module.exports = {
+  TAGGED_TYPES,
+  cleanTagName,
+  normalizeTagName,
+  resolveTags,
+  linkItemTags,
+  unlinkItemTags,
+  pruneUnusedTags,
+  attachTagIndex
+};
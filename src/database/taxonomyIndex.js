@@ -0,0 +1,195 @@
+/**
+ * TAXONOMY INDEX
+ *
+ * Problems keep a free-text topic and learning items a free-text
+ * category and subtopic. Each can also point at a node of the shared
+ * topic taxonomy through taxonomyTopicId, which analytics groups by.
+ *
+ * A model hook fills taxonomyTopicId whenever the free text changes,
+ * by matching it against topic names and aliases while ignoring case
+ * and punctuation, unless the same save chose a topic explicitly.
+ * Text that matches nothing leaves the item unfiled.
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Item types filed under taxonomy topics, with the free-text fields
+ * to match in order of preference
+ */
+const TAXONOMY_SOURCES = {
+  problem: {
+    model: 'Problem',
+    fields: ['topic']
+  },
+  learning: {
+    model: 'LearningItem',
+    fields: ['subtopic', 'category']
+  }
+};
+
+/**
+ * Key that identifies a topic name regardless of case, spacing and
+ * punctuation ("Shortest-Paths" and "shortest paths" are the same)
+ * @param {string} name - Topic name or alias
+ * @returns {string} Normalized name
+ */
+const normalizeTopicName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^\p{L}\p{N}+#]+/gu, ' ')
+  .trim();
+
+/**
+ * Find the taxonomy topic a name or alias refers to
+ * @param {Object} models - Models
+ * @param {string} text - Free text
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {number|null} Taxonomy topic ID
+ */
+const findTaxonomyTopicId = async (models, text, transaction) => {
+  const normalizedName = normalizeTopicName(text);
+  if (!normalizedName) {
+    return null;
+  }
+
+  const topic = await models.TaxonomyTopic.findOne({ where: { normalizedName }, attributes: ['id'], transaction });
+  if (topic) {
+    return topic.id;
+  }
+
+  const alias = await models.TaxonomyAlias.findOne({ where: { normalizedName }, attributes: ['taxonomyTopicId'], transaction });
+  return alias ? alias.taxonomyTopicId : null;
+};
+
+/**
+ * Find the taxonomy topic an item's free-text fields refer to
+ * @param {Object} models - Models
+ * @param {string} type - 'problem' or 'learning'
+ * @param {Object} item - Item instance or plain object
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {number|null} Taxonomy topic ID
+ */
+const resolveItemTopic = async (models, type, item, transaction) => {
+  for (const field of TAXONOMY_SOURCES[type].fields) {
+    const topicId = await findTaxonomyTopicId(models, item[field], transaction);
+    if (topicId) {
+      return topicId;
+    }
+  }
+  return null;
+};
+
+/**
+ * File every unfiled item (trashed ones included) whose text now
+ * matches a topic. Run after topics or aliases are added.
+ * @param {Object} models - Models
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {number} Number of items filed
+ */
+const linkUnmatchedItems = async (models, transaction) => {
+  let linked = 0;
+
+  for (const [type, source] of Object.entries(TAXONOMY_SOURCES)) {
+    const model = models[source.model];
+    const items = await model.findAll({
+      where: { taxonomyTopicId: null },
+      attributes: ['id', ...source.fields],
+      paranoid: false,
+      transaction
+    });
+
+    for (const item of items) {
+      const taxonomyTopicId = await resolveItemTopic(models, type, item, transaction);
+      if (!taxonomyTopicId) {
+        continue;
+      }
+
+      // Filing an item is not an edit: skip hooks and keep updatedAt
+      await model.update(
+        { taxonomyTopicId },
+        { where: { id: item.id }, hooks: false, paranoid: false, silent: true, transaction }
+      );
+      linked += 1;
+    }
+  }
+
+  return linked;
+};
+
+/**
+ * Create the topics and aliases of a taxonomy tree that do not exist
+ * yet. Existing topics are matched by name and left where they are.
+ * @param {Object} models - Models
+ * @param {Array<Object>} nodes - [{ name, description, aliases, children }]
+ * @param {Object} [transaction] - Sequelize transaction
+ * @param {number|null} [parentId] - Parent of the nodes
+ * @returns {number} Number of topics created
+ */
+const seedTaxonomy = async (models, nodes, transaction, parentId = null) => {
+  const { TaxonomyTopic, TaxonomyAlias } = models;
+  let created = 0;
+
+  for (const node of nodes) {
+    const normalizedName = normalizeTopicName(node.name);
+    let topic = await TaxonomyTopic.findOne({ where: { normalizedName }, transaction });
+
+    if (!topic) {
+      topic = await TaxonomyTopic.create({
+        name: node.name,
+        normalizedName,
+        description: node.description || null,
+        parentId
+      }, { transaction });
+      created += 1;
+    }
+
+    for (const alias of node.aliases || []) {
+      const aliasName = normalizeTopicName(alias);
+      const taken = await TaxonomyTopic.count({ where: { normalizedName: aliasName }, transaction }) +
+        await TaxonomyAlias.count({ where: { normalizedName: aliasName }, transaction });
+      if (!taken) {
+        await TaxonomyAlias.create({ name: alias, normalizedName: aliasName, taxonomyTopicId: topic.id }, { transaction });
+      }
+    }
+
+    created += await seedTaxonomy(models, node.children || [], transaction, topic.id);
+  }
+
+  return created;
+};
+
+/**
+ * Register the hooks that file problems and learning items under
+ * taxonomy topics
+ * @param {Object} models - Models
+ */
+const attachTaxonomyIndex = (models) => {
+  Object.entries(TAXONOMY_SOURCES).forEach(([type, source]) => {
+    models[source.model].addHook('beforeSave', async (instance, options) => {
+      const { transaction } = options;
+
+      // A topic chosen explicitly wins over the free text
+      if (instance.taxonomyTopicId !== null && instance.taxonomyTopicId !== undefined && instance.changed('taxonomyTopicId')) {
+        const topic = await models.TaxonomyTopic.findByPk(instance.taxonomyTopicId, { attributes: ['id'], transaction });
+        if (!topic) {
+          throw new AppError('Taxonomy topic not found', 400);
+        }
+        return;
+      }
+
+      if (instance.isNewRecord || source.fields.some(field => instance.changed(field))) {
+        instance.taxonomyTopicId = await resolveItemTopic(models, type, instance, transaction);
+      }
+    });
+  });
+};
+
+module.exports = {
+  TAXONOMY_SOURCES,
+  normalizeTopicName,
+  findTaxonomyTopicId,
+  linkUnmatchedItems,
+  seedTaxonomy,
+  attachTaxonomyIndex
+};
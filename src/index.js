@@ -29,6 +29,9 @@ const path = require('path');
 const dotenv = require('dotenv');
 const passport = require('./config/oauth');
 const initializeDatabase = require('./database/init');
+const { getTransport } = require('./config/mailer');
+const { purgeExpiredTrash } = require('./services/trashService');
+const { TRASH_CONSTANTS } = require('./utils/constants');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
@@ -111,9 +114,19 @@ app.use(errorHandler);
  */
 async function startServer() {
   try {
+    // Fail fast on a missing or unknown mail transport
+    getTransport();
+
     // Initialize database connection and sync models
     await initializeDatabase();
 
+    // Purge expired trash now and once a day
+    const purgeTrash = () => purgeExpiredTrash().catch((error) => {
+      console.error('❌ Failed to purge trash:', error);
+    });
+    purgeTrash();
+    setInterval(purgeTrash, TRASH_CONSTANTS.PURGE_INTERVAL_MS).unref();
+
     // Start the server
     app.listen(PORT, () => {
       console.log(`🚀 Brick By Brick API running on port ${PORT}`);
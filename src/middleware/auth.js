@@ -1,15 +1,41 @@
 /**
  * AUTHENTICATION MIDDLEWARE
  * 
- * Handles JWT token verification and user authentication
+ * Handles JWT and personal access token verification, user
+ * authentication, token scope checks and role-based access control
  * for protected routes.
  */
 
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { isSessionActive, touchSession } = require('../services/authService');
+const { getClientInfo } = require('../utils/helpers');
+const { isPersonalAccessToken, resolveAccessToken } = require('../services/accessTokenService');
+const { ROLE_CONSTANTS } = require('../utils/constants');
 
 /**
- * Verify JWT token and attach user to request
+ * Authenticate a personal access token
+ * @param {string} token - Raw bearer token
+ * @returns {Object|null} { user, auth }, or null if the token is not valid
+ */
+const authenticateAccessToken = async (token) => {
+  const resolved = await resolveAccessToken(token);
+  if (!resolved) {
+    return null;
+  }
+
+  return {
+    user: resolved.user,
+    auth: {
+      type: 'personal-access-token',
+      tokenId: resolved.record.id,
+      scopes: resolved.record.scopes
+    }
+  };
+};
+
+/**
+ * Verify JWT or personal access token and attach user to request
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
@@ -28,9 +54,40 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
+    // Personal access tokens are looked up by hash; their scopes are checked per route
+    if (isPersonalAccessToken(token)) {
+      const result = await authenticateAccessToken(token);
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or revoked access token'
+        });
+      }
+      
+      req.user = result.user;
+      req.auth = result.auth;
+      return next();
+    }
+    
     // Verify and decode JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // Single-use action tokens (password reset, email verification) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+    
+    // Reject access tokens whose refresh token family was revoked (logout)
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+    
     // Find user by email from token
     const { email } = decoded;
     const user = await User.findOne({ where: { email } });
@@ -42,8 +99,14 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    // Attach user to request object
+    // Keep the session registry's last-seen time and address current
+    if (decoded.sid) {
+      await touchSession(decoded.sid, getClientInfo(req));
+    }
+    
+    // Attach user and token claims to request object
     req.user = user;
+    req.auth = decoded;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -80,13 +143,21 @@ const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
     
-    if (token) {
+    if (token && isPersonalAccessToken(token)) {
+      const result = await authenticateAccessToken(token);
+      if (result) {
+        req.user = result.user;
+        req.auth = result.auth;
+      }
+    } else if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const { email } = decoded;
       const user = await User.findOne({ where: { email } });
+      const sessionActive = !decoded.purpose && (!decoded.sid || await isSessionActive(decoded.sid));
       
-      if (user) {
+      if (user && sessionActive) {
         req.user = user;
+        req.auth = decoded;
       }
     }
     
@@ -98,11 +169,22 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Check if user has specific role or permission
- * @param {string} role - Required role
+ * Check whether a user's role grants a permission
+ * @param {Object} user - User object
+ * @param {string} permission - Permission name (e.g. 'users:manage')
+ * @returns {boolean} True if the permission is granted
+ */
+const hasPermission = (user, permission) => {
+  const permissions = ROLE_CONSTANTS.PERMISSIONS[user?.role] || [];
+  return permissions.includes(permission);
+};
+
+/**
+ * Require the authenticated user to have one of the given roles
+ * @param {...string} roles - Allowed roles
  * @returns {Function} Middleware function
  */
-const requireRole = (role) => {
+const requireRole = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -111,14 +193,85 @@ const requireRole = (role) => {
       });
     }
     
-    // For now, all users have the same permissions
-    // This can be extended for role-based access control
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    
     next();
   };
 };
 
+/**
+ * Require the authenticated user's role to grant a permission
+ * @param {string} permission - Required permission
+ * @returns {Function} Middleware function
+ */
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+    
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Require a scope when the request is authenticated with a personal access token.
+ * Login sessions (JWT) have full access to the user's own data.
+ * @param {string} scope - Required scope (e.g. 'problems:write')
+ * @returns {Function} Middleware function
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.auth?.type === 'personal-access-token' && !req.auth.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access token is missing the required scope: ${scope}`
+      });
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Require a login session; personal access tokens are refused.
+ * Used for account management (passwords, 2FA, tokens, linked providers).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireSession = (req, res, next) => {
+  if (req.auth?.type === 'personal-access-token') {
+    return res.status(403).json({
+      success: false,
+      message: 'This action requires a login session, not an access token'
+    });
+  }
+  
+  next();
+};
+
 module.exports = {
   authenticateToken,
   optionalAuth,
-  requireRole
+  hasPermission,
+  requireRole,
+  requirePermission,
+  requireScope,
+  requireSession
 };
@@ -0,0 +1,204 @@
+/**
+ * OWNERSHIP MIDDLEWARE
+ *
+ * Authorization layer that makes sure the authenticated user
+ * only reads or changes resources that belong to them.
+ */
+
+const { Problem, ProblemList, LearningItem, RevisionItem, Roadmap, Topic, Subtopic, Tag } = require('../models');
+const { hasPermission } = require('./auth');
+
+/**
+ * Loaders that resolve a resource and the id of the user who owns it.
+ * Topics and subtopics are owned through their parent roadmap.
+ */
+const resourceLoaders = {
+  problem: {
+    label: 'Problem',
+    load: (id) => Problem.findByPk(id),
+    getOwnerId: (problem) => problem.userId
+  },
+  problemList: {
+    label: 'Problem list',
+    load: (id) => ProblemList.findByPk(id),
+    getOwnerId: (list) => list.userId
+  },
+  learning: {
+    label: 'Learning item',
+    load: (id) => LearningItem.findByPk(id),
+    getOwnerId: (learningItem) => learningItem.userId
+  },
+  tag: {
+    label: 'Tag',
+    load: (id) => Tag.findByPk(id),
+    getOwnerId: (tag) => tag.userId
+  },
+  revision: {
+    label: 'Revision item',
+    load: (id) => RevisionItem.findByPk(id),
+    getOwnerId: (revisionItem) => revisionItem.userId
+  },
+  roadmap: {
+    label: 'Roadmap',
+    load: (id) => Roadmap.findByPk(id),
+    getOwnerId: (roadmap) => roadmap.userId
+  },
+  topic: {
+    label: 'Topic',
+    load: (id) => Topic.findByPk(id, {
+      include: [{ model: Roadmap, as: 'roadmap', attributes: ['id', 'userId'] }]
+    }),
+    getOwnerId: (topic) => topic.roadmap?.userId
+  },
+  subtopic: {
+    label: 'Subtopic',
+    load: (id) => Subtopic.findByPk(id, {
+      include: [{
+        model: Topic,
+        as: 'topic',
+        attributes: ['id', 'roadmapId'],
+        include: [{ model: Roadmap, as: 'roadmap', attributes: ['id', 'userId'] }]
+      }]
+    }),
+    getOwnerId: (subtopic) => subtopic.topic?.roadmap?.userId
+  }
+};
+
+/**
+ * Send a 403 response for cross-user access
+ * @param {Object} res - Express response object
+ * @returns {Object} Express response
+ */
+const sendForbidden = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'You do not have permission to access this resource'
+  });
+};
+
+/**
+ * Check whether a resource exists and is owned by a user
+ * @param {string} resourceType - Key of resourceLoaders (problem, problemList, learning, tag, revision, roadmap, topic, subtopic)
+ * @param {number|string} resourceId - Resource ID
+ * @param {number} userId - ID of the user that should own the resource
+ * @returns {Object} { resource, isOwner } - resource is null when it does not exist
+ */
+const checkOwnership = async (resourceType, resourceId, userId) => {
+  const loader = resourceLoaders[resourceType];
+  if (!loader) {
+    throw new Error(`Unknown resource type: ${resourceType}`);
+  }
+
+  const resource = await loader.load(resourceId);
+  if (!resource) {
+    return { resource: null, isOwner: false };
+  }
+
+  return {
+    resource,
+    isOwner: Number(loader.getOwnerId(resource)) === Number(userId)
+  };
+};
+
+/**
+ * Ensure the user ID in the URL (or query string) matches the authenticated user.
+ * Must run after authenticateToken.
+ * @param {string} paramName - Name of the route/query parameter holding the user ID
+ * @param {Object} [options] - { permission } lets users whose role grants it (e.g. admins)
+ *   act on other users; only from a login session, never a personal access token
+ * @returns {Function} Middleware function
+ */
+const authorizeUser = (paramName = 'userId', options = {}) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const requestedId = req.params[paramName] ?? req.query[paramName];
+
+    const isSession = req.auth?.type !== 'personal-access-token';
+    const isPrivileged = options.permission && isSession && hasPermission(req.user, options.permission);
+
+    if (Number(requestedId) !== req.user.id && !isPrivileged) {
+      return sendForbidden(res);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Bind the authenticated user's ID to a route parameter so that
+ * user-scoped controllers can serve the /api/me routes unchanged.
+ * Must run after authenticateToken.
+ * @param {string} paramName - Name of the route parameter to populate
+ * @returns {Function} Middleware function
+ */
+const bindCurrentUser = (paramName = 'userId') => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    req.params[paramName] = String(req.user.id);
+    next();
+  };
+};
+
+/**
+ * Ensure the resource identified by a route parameter belongs to the authenticated user.
+ * Responds 404 when the resource does not exist and 403 when it belongs to someone else.
+ * The loaded resource is attached to req.resource for the controller.
+ * Must run after authenticateToken.
+ * @param {string} resourceType - Key of resourceLoaders (problem, problemList, learning, revision, roadmap, topic, subtopic)
+ * @param {string} paramName - Name of the route parameter holding the resource ID
+ * @returns {Function} Middleware function
+ */
+const authorizeResource = (resourceType, paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const { resource, isOwner } = await checkOwnership(resourceType, req.params[paramName], req.user.id);
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${resourceLoaders[resourceType].label} not found`
+        });
+      }
+
+      if (!isOwner) {
+        return sendForbidden(res);
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Authorization failed',
+        error: error.message
+      });
+    }
+  };
+};
+
+module.exports = {
+  checkOwnership,
+  authorizeUser,
+  authorizeResource,
+  bindCurrentUser
+};
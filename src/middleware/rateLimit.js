@@ -0,0 +1,268 @@
+/**
+ * RATE LIMIT MIDDLEWARE
+ *
+ * Brute-force protection for the login and registration endpoints:
+ * - per-IP sliding windows that cap how many attempts an address can make
+ * - per-account lockouts after repeated failed logins, getting longer
+ *   with each consecutive lockout
+ *
+ * State lives in the store from config/rateLimitStore (database or memory).
+ * Limited requests get 429 with a Retry-After header; every lockout is logged.
+ */
+
+const jwt = require('jsonwebtoken');
+const { getStore } = require('../config/rateLimitStore');
+const { RATE_LIMIT_CONSTANTS } = require('../utils/constants');
+
+/**
+ * Create an empty store entry
+ * @returns {Object} Entry
+ */
+const emptyEntry = () => ({ hits: [], lockedUntil: null, lockoutCount: 0 });
+
+/**
+ * Keep only the hits inside the sliding window
+ * @param {Array} hits - Hit timestamps in milliseconds
+ * @param {number} windowMs - Window length
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} Hits inside the window
+ */
+const pruneHits = (hits, windowMs, now) => hits.filter(hit => hit > now - windowMs);
+
+/**
+ * Get the remaining lock time of an entry
+ * @param {Object} entry - Store entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Milliseconds until the lock ends (0 if not locked)
+ */
+const getLockRemaining = (entry, now) => {
+  if (!entry || !entry.lockedUntil) {
+    return 0;
+  }
+  return Math.max(0, new Date(entry.lockedUntil).getTime() - now);
+};
+
+/**
+ * Log a lockout event
+ * @param {Object} event - { limiter, key, ip, durationMs, lockoutCount }
+ */
+const logLockout = (event) => {
+  console.warn(
+    `🔒 Lockout [${event.limiter}] ${event.key} from ${event.ip} for ${Math.ceil(event.durationMs / 1000)}s` +
+    (event.lockoutCount ? ` (lockout #${event.lockoutCount})` : '')
+  );
+};
+
+/**
+ * Send a 429 response with a Retry-After header
+ * @param {Object} res - Express response object
+ * @param {number} retryAfterMs - Milliseconds until the client may retry
+ * @param {string} message - Error message
+ */
+const sendTooManyRequests = (res, retryAfterMs, message) => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `${message}. Try again in ${retryAfter} seconds`,
+    retryAfter
+  });
+};
+
+/**
+ * Limit how many requests one IP address can make in a sliding window
+ * @param {Object} options - { name, windowMs, maxAttempts, message }
+ * @returns {Function} Middleware function
+ */
+const limitByIp = ({ name, windowMs, maxAttempts, message }) => {
+  return async (req, res, next) => {
+    try {
+      const key = `${name}:ip:${req.ip}`;
+      const now = Date.now();
+      let retryAfterMs = 0;
+      let blockedNow = false;
+
+      await getStore().update(key, (current) => {
+        const entry = current || emptyEntry();
+        entry.hits = pruneHits(entry.hits, windowMs, now);
+        retryAfterMs = 0;
+        blockedNow = false;
+
+        if (entry.hits.length >= maxAttempts) {
+          retryAfterMs = entry.hits[0] + windowMs - now;
+
+          // Log once when the address becomes blocked, not on every rejected request
+          if (getLockRemaining(entry, now) === 0) {
+            entry.lockedUntil = new Date(now + retryAfterMs);
+            blockedNow = true;
+          }
+          return entry;
+        }
+
+        entry.hits.push(now);
+        return entry;
+      });
+
+      if (retryAfterMs > 0) {
+        if (blockedNow) {
+          logLockout({ limiter: name, key, ip: req.ip, durationMs: retryAfterMs });
+        }
+        return sendTooManyRequests(res, retryAfterMs, message);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Settle an attempt against an account once its outcome is known.
+ * The attempt was already counted as a failure, so a 401 needs no
+ * further write; a success clears the failures and the lockout
+ * history, and any other outcome gives the attempt back.
+ * @param {string} key - Store key
+ * @param {number} attemptedAt - Hit timestamp recorded for the attempt
+ * @param {number} statusCode - Response status code
+ */
+const settleAccountAttempt = async (key, attemptedAt, statusCode) => {
+  const store = getStore();
+
+  if (statusCode < 400) {
+    await store.delete(key);
+    return;
+  }
+
+  if (statusCode === 401) {
+    return;
+  }
+
+  await store.update(key, (current) => {
+    const entry = current || emptyEntry();
+    const index = entry.hits.indexOf(attemptedAt);
+    if (index !== -1) {
+      entry.hits.splice(index, 1);
+    }
+    return entry;
+  });
+};
+
+/**
+ * Lock an account after repeated failed attempts (responses with 401).
+ * Each attempt counts as a failure before it is handled, so parallel
+ * attempts cannot get past the limit while their outcomes are pending.
+ * A successful attempt clears the failures and the lockout history.
+ * @param {Object} options - { name, getAccountKey, windowMs, maxFailures, message }
+ * @returns {Function} Middleware function
+ */
+const lockoutAccount = (options) => {
+  return async (req, res, next) => {
+    try {
+      const account = options.getAccountKey(req);
+      if (!account) {
+        return next();
+      }
+
+      const key = `${options.name}:account:${String(account).toLowerCase()}`;
+      const now = Date.now();
+      let lockRemaining = 0;
+      let lockout = null;
+
+      await getStore().update(key, (current) => {
+        const entry = current || emptyEntry();
+        lockRemaining = getLockRemaining(entry, now);
+        lockout = null;
+
+        if (lockRemaining > 0) {
+          return entry;
+        }
+
+        entry.hits = pruneHits(entry.hits, options.windowMs, now);
+
+        if (entry.hits.length >= options.maxFailures) {
+          const durations = RATE_LIMIT_CONSTANTS.LOCKOUT_DURATIONS_MS;
+          const durationMs = durations[Math.min(entry.lockoutCount, durations.length - 1)];
+
+          entry.lockoutCount += 1;
+          entry.lockedUntil = new Date(now + durationMs);
+          entry.hits = [];
+
+          lockRemaining = durationMs;
+          lockout = { durationMs, lockoutCount: entry.lockoutCount };
+          return entry;
+        }
+
+        entry.hits.push(now);
+        return entry;
+      });
+
+      if (lockRemaining > 0) {
+        if (lockout) {
+          logLockout({ limiter: options.name, key, ip: req.ip, ...lockout });
+        }
+        return sendTooManyRequests(res, lockRemaining, options.message);
+      }
+
+      res.on('finish', () => {
+        settleAccountAttempt(key, now, res.statusCode).catch((error) => {
+          console.error('Rate limit store error:', error);
+        });
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// ========== LIMITERS FOR THE AUTH ROUTES ==========
+
+const loginRateLimit = limitByIp({
+  name: 'login',
+  windowMs: RATE_LIMIT_CONSTANTS.LOGIN_IP_WINDOW_MS,
+  maxAttempts: RATE_LIMIT_CONSTANTS.LOGIN_IP_MAX_ATTEMPTS,
+  message: 'Too many login attempts from this address'
+});
+
+const registerRateLimit = limitByIp({
+  name: 'register',
+  windowMs: RATE_LIMIT_CONSTANTS.REGISTER_IP_WINDOW_MS,
+  maxAttempts: RATE_LIMIT_CONSTANTS.REGISTER_IP_MAX_ATTEMPTS,
+  message: 'Too many accounts created from this address'
+});
+
+const forgotPasswordRateLimit = limitByIp({
+  name: 'forgot-password',
+  windowMs: RATE_LIMIT_CONSTANTS.FORGOT_PASSWORD_IP_WINDOW_MS,
+  maxAttempts: RATE_LIMIT_CONSTANTS.FORGOT_PASSWORD_IP_MAX_ATTEMPTS,
+  message: 'Too many password reset requests from this address'
+});
+
+const loginAccountLockout = lockoutAccount({
+  name: 'login',
+  getAccountKey: (req) => req.body.email,
+  windowMs: RATE_LIMIT_CONSTANTS.ACCOUNT_FAILURE_WINDOW_MS,
+  maxFailures: RATE_LIMIT_CONSTANTS.ACCOUNT_MAX_FAILURES,
+  message: 'Too many failed login attempts for this account'
+});
+
+const twoFactorAccountLockout = lockoutAccount({
+  name: 'login-2fa',
+  // The mfa token is verified by the login step itself; only its subject is needed here
+  getAccountKey: (req) => jwt.decode(req.body.mfaToken)?.sub,
+  windowMs: RATE_LIMIT_CONSTANTS.ACCOUNT_FAILURE_WINDOW_MS,
+  maxFailures: RATE_LIMIT_CONSTANTS.ACCOUNT_MAX_FAILURES,
+  message: 'Too many failed two-factor attempts for this account'
+});
+
+module.exports = {
+  limitByIp,
+  lockoutAccount,
+  loginRateLimit,
+  registerRateLimit,
+  forgotPasswordRateLimit,
+  loginAccountLockout,
+  twoFactorAccountLockout
+};
@@ -6,6 +6,22 @@
  */
 
 const { body, param, query, validationResult, oneOf } = require('express-validator');
+const {
+  ACCESS_TOKEN_CONSTANTS,
+  BULK_CONSTANTS,
+  LEARNING_ITEM_CONSTANTS,
+  ROLE_CONSTANTS,
+  PROBLEM_CONSTANTS,
+  PROBLEM_LIST_CONSTANTS,
+  ROADMAP_CONSTANTS,
+  SEARCH_CONSTANTS,
+  TAG_CONSTANTS,
+  TAXONOMY_CONSTANTS,
+  TRASH_CONSTANTS,
+  VALIDATION_RULES
+} = require('../utils/constants');
+const { parseProblemLink } = require('../utils/problemLinks');
+const { parseTags } = require('../utils/helpers');
 
 /**
  * Handle validation errors
@@ -69,49 +85,1043 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+/**
+ * Second login step validation
+ */
+const validateTwoFactorLogin = [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor code is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Two-factor code validation
+ */
+const validateTwoFactorCode = [
+  body('code')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Two-factor code is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Refresh token validation
+ */
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Forgot password validation
+ */
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Password reset validation
+ */
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('password')
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Email verification validation
+ */
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Profile update validation
+ */
+const validateProfileUpdate = [
+  body('firstName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  
+  body('lastName')
+    .optional()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Last name must be between 2 and 50 characters'),
+  
+  body('profilePicture')
+    .optional({ nullable: true })
+    .isURL()
+    .withMessage('Profile picture must be a valid URL'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Password change validation
+ */
+const validatePasswordChange = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  body('newPassword')
+    .isLength({ min: 4, max: 100 })
+    .withMessage('Password must be between 4 and 100 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Role change validation
+ */
+const validateRoleUpdate = [
+  body('role')
+    .isIn(ROLE_CONSTANTS.ROLES)
+    .withMessage(`Role must be one of: ${ROLE_CONSTANTS.ROLES.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+/**
+ * Personal access token creation validation
+ */
+const validateAccessTokenCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(ACCESS_TOKEN_CONSTANTS.SCOPES)
+    .withMessage(`Scopes must be one of: ${ACCESS_TOKEN_CONSTANTS.SCOPES.join(', ')}`),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: ACCESS_TOKEN_CONSTANTS.MAX_EXPIRES_IN_DAYS })
+    .withMessage(`Expiry must be between 1 and ${ACCESS_TOKEN_CONSTANTS.MAX_EXPIRES_IN_DAYS} days`)
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Recognise a pasted problem link before validation: normalize the
+ * link and fill in platform and title when they were left empty
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const prefillFromProblemLink = (req, res, next) => {
+  const parsed = parseProblemLink(req.body?.link);
+  
+  if (parsed) {
+    req.body.link = parsed.url;
+    if (!req.body.platform) {
+      req.body.platform = parsed.platform;
+    }
+    if (!req.body.title || !String(req.body.title).trim()) {
+      req.body.title = parsed.title;
+    }
+  }
+  
+  next();
+};
+
 /**
  * Problem creation validation
  */
-const validateProblemCreation = [
-  body('title')
-    .notEmpty()
-    .withMessage('Problem title is required')
-    .isLength({ min: 1, max: 200 })
-    .withMessage('Title must be between 1 and 200 characters'),
+const validateProblemCreation = [
+  prefillFromProblemLink,
+  
+  body('title')
+    .notEmpty()
+    .withMessage('Problem title is required')
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('platform')
+    .isIn(['LeetCode', 'HackerRank', 'Codeforces', 'AtCoder', 'CodeChef', 'other'])
+    .withMessage('Invalid platform'),
+  
+  body('difficulty')
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Invalid difficulty level'),
+  
+  body('topic')
+    .notEmpty()
+    .withMessage('Topic is required'),
+  
+  body('timeSpent')
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Time spent must be between 0 and 1440 minutes'),
+  
+  body('outcome')
+    .isIn(['solved', 'attempted', 'stuck', 'skipped', 'hints', "failed"])
+    .withMessage('Invalid outcome'),
+  
+  body('link')
+    // .optional({ checkFalsy: true, nullable: true })
+    .customSanitizer(v => (v === "" ? undefined : v?.trim()))
+    .if((value) => value !== undefined)    // Only validate if value exists after sanitizer
+    .isURL()
+    .withMessage('Invalid URL format'),
+  
+  body('codeLink')
+    // .optional({ checkFalsy: true, nullable: true })
+    .customSanitizer(v => (v === "" ? undefined : v?.trim()))
+    .if((value) => value !== undefined)    // Only validate if value exists after sanitizer
+    .isURL()
+    .withMessage('Invalid URL format'),
+  
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: PROBLEM_CONSTANTS.MAX_NOTES_LENGTH })
+    .withMessage(`Notes must be at most ${PROBLEM_CONSTANTS.MAX_NOTES_LENGTH} characters`),
+  
+  body('taxonomyTopicId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('taxonomyTopicId must be a positive integer or null')
+    .toInt(),
+  
+  body('allowDuplicate')
+    .optional()
+    .isBoolean()
+    .withMessage('allowDuplicate must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem update validation; every field is optional, and links and the
+ * taxonomy topic can be cleared with null (the topic must exist, which is
+ * checked when the problem is saved)
+ */
+const validateProblemUpdate = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('platform')
+    .optional()
+    .isIn(PROBLEM_CONSTANTS.PLATFORMS)
+    .withMessage('Invalid platform'),
+  
+  body('difficulty')
+    .optional()
+    .isIn(PROBLEM_CONSTANTS.DIFFICULTIES)
+    .withMessage('Invalid difficulty level'),
+  
+  body('topic')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Topic cannot be empty'),
+  
+  body('timeSpent')
+    .optional()
+    .isInt({ min: 0, max: PROBLEM_CONSTANTS.MAX_TIME_SPENT })
+    .withMessage(`Time spent must be between 0 and ${PROBLEM_CONSTANTS.MAX_TIME_SPENT} minutes`)
+    .toInt(),
+  
+  body('outcome')
+    .optional()
+    .isIn(PROBLEM_CONSTANTS.OUTCOMES)
+    .withMessage('Invalid outcome'),
+  
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  
+  body(['link', 'codeLink'])
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isURL()
+    .withMessage('Invalid URL format'),
+  
+  body('isRevision')
+    .optional()
+    .isBoolean()
+    .withMessage('isRevision must be true or false')
+    .toBoolean(),
+  
+  body('notes')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: PROBLEM_CONSTANTS.MAX_NOTES_LENGTH })
+    .withMessage(`Notes must be at most ${PROBLEM_CONSTANTS.MAX_NOTES_LENGTH} characters`),
+  
+  body('taxonomyTopicId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('taxonomyTopicId must be a positive integer or null')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem merge validation
+ */
+const validateProblemMerge = [
+  body('sourceId')
+    .isInt({ min: 1 })
+    .withMessage('sourceId must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Bulk action validation shared by problems and learning items
+ * @param {Array<string>} fields - Fields the update action may set
+ * @param {Array} changeRules - Checks on the values in `changes`
+ * @returns {Array} Validation chain
+ */
+const bulkActionRules = (fields, changeRules) => [
+  body('action')
+    .isIn(BULK_CONSTANTS.ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_CONSTANTS.ACTIONS.join(', ')}`),
+  
+  body('ids')
+    .isArray({ min: 1, max: BULK_CONSTANTS.MAX_IDS })
+    .withMessage(`ids must list between 1 and ${BULK_CONSTANTS.MAX_IDS} item IDs`),
+  
+  body('ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Every id must be a positive integer')
+    .toInt(),
+  
+  body('changes')
+    .if(body('action').equals('update'))
+    .isObject()
+    .withMessage('changes must be an object of fields to set')
+    .custom(changes => Object.keys(changes).length > 0 && Object.keys(changes).every(field => fields.includes(field)))
+    .withMessage(`changes can set: ${fields.join(', ')}`),
+  
+  ...changeRules,
+  
+  body('tags')
+    .if(body('action').isIn(['add-tags', 'remove-tags']))
+    .custom(tags => parseTags(tags).length > 0)
+    .withMessage('At least one tag is required'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem bulk action validation
+ */
+const validateProblemBulkAction = bulkActionRules(BULK_CONSTANTS.PROBLEM_FIELDS, [
+  body('changes.platform')
+    .optional()
+    .isIn(PROBLEM_CONSTANTS.PLATFORMS)
+    .withMessage('Invalid platform'),
+  
+  body('changes.difficulty')
+    .optional()
+    .isIn(PROBLEM_CONSTANTS.DIFFICULTIES)
+    .withMessage('Invalid difficulty level'),
+  
+  body('changes.topic')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Topic cannot be empty'),
+  
+  body('changes.date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format')
+]);
+
+/**
+ * Problem listing query validation (pagination, sorting, filters and search)
+ */
+const validateProblemListQuery = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: VALIDATION_RULES.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${VALIDATION_RULES.MAX_LIMIT}`)
+    .toInt(),
+  
+  query('cursor')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('Cursor must not be empty'),
+  
+  query('sort')
+    .optional()
+    .isIn(PROBLEM_CONSTANTS.SORT_FIELDS)
+    .withMessage(`Sort must be one of: ${PROBLEM_CONSTANTS.SORT_FIELDS.join(', ')}`),
+  
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  
+  query('tags')
+    .optional()
+    .customSanitizer(value => [].concat(value)
+      .flatMap(tags => String(tags).split(','))
+      .map(tag => tag.trim())
+      .filter(Boolean)),
+  
+  query('tagMode')
+    .optional()
+    .isIn(PROBLEM_CONSTANTS.TAG_MATCH_MODES)
+    .withMessage('tagMode must be any or all'),
+  
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search text must be at most 200 characters'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem list field rules; the title is only required on creation
+ * @param {boolean} isUpdate - True for partial updates
+ * @returns {Array} Validation chains
+ */
+const problemListRules = (isUpdate) => [
+  (isUpdate ? body('title').optional() : body('title'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: VALIDATION_RULES.DESCRIPTION_MAX_LENGTH })
+    .withMessage(`Description must be at most ${VALIDATION_RULES.DESCRIPTION_MAX_LENGTH} characters`),
+  
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Problem list creation validation
+ */
+const validateProblemList = [
+  ...problemListRules(false),
+  
+  body('problemIds')
+    .optional()
+    .isArray({ max: PROBLEM_LIST_CONSTANTS.MAX_ITEMS })
+    .withMessage(`problemIds must be an array of at most ${PROBLEM_LIST_CONSTANTS.MAX_ITEMS} problem IDs`),
+  
+  body('problemIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Problem IDs must be positive integers')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem list update validation
+ */
+const validateProblemListUpdate = [
+  ...problemListRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Problem list entry validation: an existing problem, or a problem
+ * not logged yet described by a title or a link
+ */
+const validateProblemListItem = [
+  body('problemId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('problemId must be a positive integer')
+    .toInt(),
+  
+  body('title')
+    .if(body('problemId').not().exists())
+    .custom((value, { req }) => Boolean((typeof value === 'string' && value.trim()) || req.body.link))
+    .withMessage('Either problemId, or a title or link, is required'),
+  
+  body('title')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Title must be at most 200 characters'),
+  
+  body('platform')
+    .optional({ nullable: true })
+    .isIn(PROBLEM_CONSTANTS.PLATFORMS)
+    .withMessage('Invalid platform'),
+  
+  body('difficulty')
+    .optional({ nullable: true })
+    .isIn(PROBLEM_CONSTANTS.DIFFICULTIES)
+    .withMessage('Invalid difficulty level'),
+  
+  body('link')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isURL()
+    .withMessage('Invalid URL format'),
+  
+  body('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive integer')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem list reorder validation
+ */
+const validateProblemListOrder = [
+  body('itemIds')
+    .isArray()
+    .withMessage('itemIds must be an array of entry IDs'),
+  
+  body('itemIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Entry IDs must be positive integers')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem list import validation: an exported list document with a
+ * title and at most MAX_ITEMS entries (format and version are checked
+ * when the document is read)
+ */
+const validateProblemListImport = [
+  body('title')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: VALIDATION_RULES.DESCRIPTION_MAX_LENGTH })
+    .withMessage(`Description must be at most ${VALIDATION_RULES.DESCRIPTION_MAX_LENGTH} characters`),
+  
+  body('problems')
+    .optional()
+    .isArray({ max: PROBLEM_LIST_CONSTANTS.MAX_ITEMS })
+    .withMessage(`problems must be an array of at most ${PROBLEM_LIST_CONSTANTS.MAX_ITEMS} entries`),
+  
+  body('problems.*')
+    .isObject()
+    .withMessage('Each entry must be an object'),
+  
+  body('problems.*.title')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Entry titles must be at most 200 characters'),
+  
+  body('problems.*.platform')
+    .optional({ nullable: true })
+    .isIn(PROBLEM_CONSTANTS.PLATFORMS)
+    .withMessage('Invalid entry platform'),
+  
+  body('problems.*.difficulty')
+    .optional({ nullable: true })
+    .isIn(PROBLEM_CONSTANTS.DIFFICULTIES)
+    .withMessage('Invalid entry difficulty level'),
+  
+  body('problems.*.link')
+    .optional({ nullable: true, checkFalsy: true })
+    .isString()
+    .trim()
+    .isURL()
+    .withMessage('Invalid entry link URL format'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem list entry ID parameter validation
+ */
+const validateListItemId = [
+  param('itemId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid entry ID parameter'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Search query validation
+ */
+const validateSearch = [
+  query('q')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Search text (q) is required')
+    .isLength({ max: SEARCH_CONSTANTS.MAX_QUERY_LENGTH })
+    .withMessage(`Search text must be at most ${SEARCH_CONSTANTS.MAX_QUERY_LENGTH} characters`),
+  
+  query('types')
+    .optional()
+    .customSanitizer(value => [].concat(value)
+      .flatMap(types => String(types).split(','))
+      .map(type => type.trim())
+      .filter(Boolean))
+    .custom(types => types.every(type => SEARCH_CONSTANTS.TYPES.includes(type)))
+    .withMessage(`Types must be among: ${SEARCH_CONSTANTS.TYPES.join(', ')}`),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: SEARCH_CONSTANTS.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${SEARCH_CONSTANTS.MAX_LIMIT}`)
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Tag autocomplete validation
+ */
+const validateTagQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: TAG_CONSTANTS.MAX_NAME_LENGTH })
+    .withMessage(`Tag search must be at most ${TAG_CONSTANTS.MAX_NAME_LENGTH} characters`),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: TAG_CONSTANTS.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${TAG_CONSTANTS.MAX_LIMIT}`)
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Tag rename validation
+ */
+const validateTagRename = [
+  body('name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Tag name is required')
+    .isLength({ max: TAG_CONSTANTS.MAX_NAME_LENGTH })
+    .withMessage(`Tag name must be at most ${TAG_CONSTANTS.MAX_NAME_LENGTH} characters`)
+    .custom(name => !/[;|,]/.test(name))
+    .withMessage('Tag name cannot contain commas, semicolons or pipes'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Tag merge validation: the tags merged into the one in the URL
+ */
+const validateTagMerge = [
+  body('sourceIds')
+    .isArray({ min: 1, max: TAG_CONSTANTS.MAX_MERGE_SOURCES })
+    .withMessage(`sourceIds must be a list of 1 to ${TAG_CONSTANTS.MAX_MERGE_SOURCES} tag IDs`),
+  
+  body('sourceIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each source ID must be a positive integer')
+    .toInt(),
+  
+  body('sourceIds')
+    .custom((ids, { req }) => !ids.includes(Number(req.params.id)))
+    .withMessage('A tag cannot be merged into itself'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Taxonomy browsing validation
+ */
+const validateTaxonomyQuery = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: TAXONOMY_CONSTANTS.MAX_NAME_LENGTH })
+    .withMessage(`Topic search must be at most ${TAXONOMY_CONSTANTS.MAX_NAME_LENGTH} characters`),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Taxonomy topic name, shared by topics and aliases
+ * @param {string} field - Body field
+ * @returns {Object} Validation chain
+ */
+const taxonomyName = (field) => body(field)
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Topic name is required')
+  .isLength({ max: TAXONOMY_CONSTANTS.MAX_NAME_LENGTH })
+  .withMessage(`Topic names must be at most ${TAXONOMY_CONSTANTS.MAX_NAME_LENGTH} characters`);
+
+/**
+ * Taxonomy topic fields that can be set on creation or update
+ */
+const taxonomyTopicFields = [
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: TAXONOMY_CONSTANTS.MAX_DESCRIPTION_LENGTH })
+    .withMessage(`Description must be at most ${TAXONOMY_CONSTANTS.MAX_DESCRIPTION_LENGTH} characters`),
+  
+  body('parentId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('parentId must be a positive integer or null')
+    .toInt()
+];
+
+/**
+ * Taxonomy topic creation validation
+ */
+const validateTaxonomyTopic = [
+  taxonomyName('name'),
   
-  body('platform')
-    .isIn(['LeetCode', 'HackerRank', 'Codeforces', 'AtCoder', 'CodeChef', 'other'])
-    .withMessage('Invalid platform'),
+  ...taxonomyTopicFields,
   
-  body('difficulty')
-    .isIn(['easy', 'medium', 'hard'])
-    .withMessage('Invalid difficulty level'),
+  body('aliases')
+    .optional()
+    .isArray({ max: TAXONOMY_CONSTANTS.MAX_ALIASES })
+    .withMessage(`aliases must be a list of at most ${TAXONOMY_CONSTANTS.MAX_ALIASES} names`),
   
-  body('topic')
+  taxonomyName('aliases.*'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Taxonomy topic update validation
+ */
+const validateTaxonomyTopicUpdate = [
+  taxonomyName('name').optional(),
+  
+  ...taxonomyTopicFields,
+  
+  body()
+    .custom(data => ['name', 'description', 'parentId'].some(field => data[field] !== undefined))
+    .withMessage('Provide a name, description or parentId to change'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Taxonomy alias validation
+ */
+const validateTaxonomyAlias = [
+  taxonomyName('name'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Taxonomy alias ID parameter validation
+ */
+const validateAliasId = [
+  param('aliasId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid alias ID parameter'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Trash item validation: item type and ID
+ */
+const validateTrashItem = [
+  param('type')
+    .isIn(TRASH_CONSTANTS.TYPES)
+    .withMessage(`Type must be one of: ${TRASH_CONSTANTS.TYPES.join(', ')}`),
+  
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Invalid ID parameter'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem link preview validation
+ */
+const validateProblemLink = [
+  query('url')
+    .isString()
+    .trim()
     .notEmpty()
-    .withMessage('Topic is required'),
+    .withMessage('url is required'),
   
-  body('timeSpent')
-    .isInt({ min: 0, max: 1440 })
-    .withMessage('Time spent must be between 0 and 1440 minutes'),
+  handleValidationErrors
+];
+
+/**
+ * Problem attempt field rules; required fields are only enforced on creation
+ * @param {boolean} isUpdate - True for partial updates
+ * @returns {Array} Validation chains
+ */
+const problemAttemptRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+    
+    required(body('timeSpent'))
+      .isInt({ min: 0, max: 1440 })
+      .withMessage('Time spent must be between 0 and 1440 minutes')
+      .toInt(),
+    
+    required(body('outcome'))
+      .isIn(PROBLEM_CONSTANTS.OUTCOMES)
+      .withMessage('Invalid outcome'),
+    
+    body('hintsUsed')
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Hints used must be between 0 and 100')
+      .toInt(),
+    
+    body('notes')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage('Notes must be at most 5000 characters')
+  ];
+};
+
+/**
+ * Problem attempt creation validation
+ */
+const validateProblemAttempt = [
+  ...problemAttemptRules(false),
+  handleValidationErrors
+];
+
+/**
+ * Problem attempt update validation
+ */
+const validateProblemAttemptUpdate = [
+  ...problemAttemptRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Problem attempt ID parameter validation
+ */
+const validateAttemptId = [
+  param('attemptId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid attempt ID parameter'),
   
-  body('outcome')
-    .isIn(['solved', 'attempted', 'stuck', 'skipped', 'hints', "failed"])
-    .withMessage('Invalid outcome'),
+  handleValidationErrors
+];
+
+/**
+ * Optional attempt a note or snippet version is saved for
+ */
+const versionAttemptRule = () => body('attemptId')
+  .optional({ nullable: true })
+  .isInt({ min: 1 })
+  .withMessage('attemptId must be a positive integer')
+  .toInt();
+
+/**
+ * Problem notes validation
+ */
+const validateProblemNotes = [
+  body('content')
+    .isString()
+    .withMessage('Notes content must be a string')
+    .isLength({ max: PROBLEM_CONSTANTS.MAX_NOTES_LENGTH })
+    .withMessage(`Notes must be at most ${PROBLEM_CONSTANTS.MAX_NOTES_LENGTH} characters`),
   
-  body('link')
-    // .optional({ checkFalsy: true, nullable: true })
-    .customSanitizer(v => (v === "" ? undefined : v?.trim()))
-    .if((value) => value !== undefined)    // Only validate if value exists after sanitizer
-    .isURL()
-    .withMessage('Invalid URL format'),
+  versionAttemptRule(),
+  handleValidationErrors
+];
+
+/**
+ * Problem snippet field rules; required fields are only enforced on creation
+ * @param {boolean} isUpdate - True for partial updates
+ * @returns {Array} Validation chains
+ */
+const problemSnippetRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    required(body('language'))
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Language must be between 1 and 30 characters')
+      .toLowerCase(),
+    
+    body('title')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Title must be at most 100 characters'),
+    
+    required(body('code'))
+      .isString()
+      .isLength({ min: 1, max: PROBLEM_CONSTANTS.MAX_SNIPPET_LENGTH })
+      .withMessage(`Code must be between 1 and ${PROBLEM_CONSTANTS.MAX_SNIPPET_LENGTH} characters`),
+    
+    versionAttemptRule()
+  ];
+};
+
+/**
+ * Problem snippet creation validation
+ */
+const validateProblemSnippet = [
+  ...problemSnippetRules(false),
+  handleValidationErrors
+];
+
+/**
+ * Problem snippet update validation
+ */
+const validateProblemSnippetUpdate = [
+  ...problemSnippetRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Problem snippet ID parameter validation
+ */
+const validateSnippetId = [
+  param('snippetId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid snippet ID parameter'),
   
-  body('codeLink')
-    // .optional({ checkFalsy: true, nullable: true })
-    .customSanitizer(v => (v === "" ? undefined : v?.trim()))
-    .if((value) => value !== undefined)    // Only validate if value exists after sanitizer
-    .isURL()
-    .withMessage('Invalid URL format'),
+  handleValidationErrors
+];
+
+/**
+ * Version diff query validation: versions (0 is the empty text) or attempts
+ */
+const validateVersionDiff = [
+  query(['from', 'to'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Versions must be non-negative integers')
+    .toInt(),
+  
+  query(['fromAttempt', 'toAttempt'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Attempt IDs must be positive integers')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Problem import validation
+ */
+const validateProblemImport = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false')
+    .toBoolean(),
+  
+  body('format')
+    .optional()
+    .isIn(['csv', 'json'])
+    .withMessage('Format must be csv or json'),
   
   handleValidationErrors
 ];
@@ -147,9 +1157,112 @@ const validateLearningItem = [
     .isIn(['beginner', 'intermediate', 'advanced'])
     .withMessage('Invalid difficulty level'),
   
+  body('taxonomyTopicId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('taxonomyTopicId must be a positive integer or null')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Learning item update validation; every field is optional (a taxonomy
+ * topic must exist, which is checked when the item is saved)
+ */
+const validateLearningItemUpdate = [
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Learning item title cannot be empty'),
+  
+  body('type')
+    .optional()
+    .isIn(LEARNING_ITEM_CONSTANTS.TYPES)
+    .withMessage('Invalid learning item type'),
+  
+  body('category')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Category cannot be empty'),
+  
+  body('progress')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Progress must be between 0 and 100'),
+  
+  body('status')
+    .optional()
+    .isIn(LEARNING_ITEM_CONSTANTS.STATUSES)
+    .withMessage('Invalid status'),
+  
+  body('difficulty')
+    .optional()
+    .isIn(LEARNING_ITEM_CONSTANTS.DIFFICULTIES)
+    .withMessage('Invalid difficulty level'),
+  
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid date format'),
+  
+  body('isRevision')
+    .optional()
+    .isBoolean()
+    .withMessage('isRevision must be true or false')
+    .toBoolean(),
+  
+  body('taxonomyTopicId')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('taxonomyTopicId must be a positive integer or null')
+    .toInt(),
+  
   handleValidationErrors
 ];
 
+/**
+ * Learning item bulk action validation
+ */
+const validateLearningBulkAction = bulkActionRules(BULK_CONSTANTS.LEARNING_FIELDS, [
+  body('changes.type')
+    .optional()
+    .isIn(LEARNING_ITEM_CONSTANTS.TYPES)
+    .withMessage('Invalid learning item type'),
+  
+  body('changes.category')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Category cannot be empty'),
+  
+  body('changes.status')
+    .optional()
+    .isIn(LEARNING_ITEM_CONSTANTS.STATUSES)
+    .withMessage('Invalid status'),
+  
+  body('changes.progress')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Progress must be between 0 and 100')
+    .toInt(),
+  
+  body('changes.difficulty')
+    .optional()
+    .isIn(LEARNING_ITEM_CONSTANTS.DIFFICULTIES)
+    .withMessage('Invalid difficulty level'),
+  
+  body('changes.platform')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Platform must be text')
+]);
+
 /**
  * Roadmap validation
  */
@@ -231,6 +1344,56 @@ const validateSubtopic = [
     .isInt({ min: 0 })
     .withMessage('Estimated time must be a non-negative integer'),
   
+  body('autoComplete')
+    .optional()
+    .isBoolean()
+    .withMessage('autoComplete must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Subtopic link validation: problems and learning items to link
+ */
+const validateSubtopicLinks = [
+  body(['problemIds', 'learningItemIds'])
+    .optional()
+    .isArray({ max: ROADMAP_CONSTANTS.MAX_LINKS })
+    .withMessage(`problemIds and learningItemIds must be lists of at most ${ROADMAP_CONSTANTS.MAX_LINKS} IDs`),
+  
+  body(['problemIds.*', 'learningItemIds.*'])
+    .isInt({ min: 1 })
+    .withMessage('IDs must be positive integers')
+    .toInt(),
+  
+  body()
+    .custom(data => (data.problemIds?.length || 0) + (data.learningItemIds?.length || 0) > 0)
+    .withMessage('Provide problemIds or learningItemIds to link'),
+  
+  handleValidationErrors
+];
+
+/**
+ * Subtopic auto-complete validation
+ */
+const validateSubtopicAutoComplete = [
+  body('autoComplete')
+    .isBoolean()
+    .withMessage('autoComplete must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+/**
+ * Linked problem or learning item ID parameter validation
+ */
+const validateLinkedItemId = [
+  param('itemId')
+    .isInt({ min: 1 })
+    .withMessage('Invalid item ID parameter'),
+  
   handleValidationErrors
 ];
 
@@ -267,13 +1430,20 @@ const validateUserId = [
 ];
 
 /**
- * Analytics query validation
+ * OAuth provider parameter validation
  */
-const validateAnalyticsQuery = [
-  query('userId')
-    .isInt({ min: 1 })
-    .withMessage('Valid user ID is required'),
+const validateProvider = [
+  param('provider')
+    .isIn(['google', 'github'])
+    .withMessage('Provider must be google or github'),
   
+  handleValidationErrors
+];
+
+/**
+ * Analytics date range rules shared by the analytics validators
+ */
+const analyticsRangeRules = [
   query('timeframe')
     .optional()
     .isIn(['week', 'month', 'quarter'])
@@ -287,7 +1457,27 @@ const validateAnalyticsQuery = [
   query('endDate')
     .optional()
     .isISO8601()
-    .withMessage('Invalid end date format'),
+    .withMessage('Invalid end date format')
+];
+
+/**
+ * Analytics query validation (legacy ?userId= form)
+ */
+const validateAnalyticsQuery = [
+  query('userId')
+    .isInt({ min: 1 })
+    .withMessage('Valid user ID is required'),
+  
+  ...analyticsRangeRules,
+  
+  handleValidationErrors
+];
+
+/**
+ * Analytics date range validation for /api/me/analytics
+ */
+const validateAnalyticsRange = [
+  ...analyticsRangeRules,
   
   handleValidationErrors
 ];
@@ -296,12 +1486,59 @@ module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateRefreshToken,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateRoleUpdate,
+  validateAccessTokenCreation,
   validateProblemCreation,
+  validateProblemUpdate,
+  validateProblemMerge,
+  validateProblemBulkAction,
+  validateProblemListQuery,
+  validateSearch,
+  validateTagQuery,
+  validateTagRename,
+  validateTagMerge,
+  validateTaxonomyQuery,
+  validateTaxonomyTopic,
+  validateTaxonomyTopicUpdate,
+  validateTaxonomyAlias,
+  validateAliasId,
+  validateTrashItem,
+  validateProblemLink,
+  validateProblemAttempt,
+  validateProblemAttemptUpdate,
+  validateAttemptId,
+  validateProblemNotes,
+  validateProblemSnippet,
+  validateProblemSnippetUpdate,
+  validateSnippetId,
+  validateVersionDiff,
+  validateProblemList,
+  validateProblemListUpdate,
+  validateProblemListItem,
+  validateProblemListOrder,
+  validateProblemListImport,
+  validateListItemId,
+  validateProblemImport,
   validateLearningItem,
+  validateLearningItemUpdate,
+  validateLearningBulkAction,
   validateRoadmap,
   validateTopic,
   validateSubtopic,
+  validateSubtopicLinks,
+  validateSubtopicAutoComplete,
+  validateLinkedItemId,
   validateId,
   validateUserId,
-  validateAnalyticsQuery
+  validateProvider,
+  validateAnalyticsQuery,
+  validateAnalyticsRange
 };
@@ -30,6 +30,14 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             allowNull: true
         },
+        taxonomyTopicId: {
+            type: DataTypes.INTEGER,
+            allowNull: true, // Resolved from subtopic or category unless chosen explicitly
+            references: {
+                model: 'taxonomy_topics',
+                key: 'id'
+            }
+        },
         timeSpent: {
             type: DataTypes.INTEGER,
             allowNull: false,
@@ -92,7 +100,8 @@ module.exports = (sequelize) => {
         }
     }, {
         tableName: 'learning_items',
-        timestamps: true
+        timestamps: true,
+        paranoid: true // Soft delete: deletedAt marks items in the trash
     });
 
     return LearningItem;
@@ -0,0 +1,49 @@
+/**
+ * LEARNING ITEM TAG MODEL
+ * 
+ * Defines the LearningItemTag join model between LearningItems and
+ * Tags. Rows are kept in step with LearningItem.tags by the tag index
+ * hooks.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LearningItemTag = sequelize.define('LearningItemTag', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    learningItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'learning_items',
+        key: 'id'
+      }
+    },
+    tagId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tags',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'learning_item_tags',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['learningItemId', 'tagId']
+      },
+      {
+        fields: ['tagId']
+      }
+    ]
+  });
+
+  return LearningItemTag;
+};
@@ -0,0 +1,56 @@
+/**
+ * ONE-TIME TOKEN MODEL
+ *
+ * Defines the OneTimeToken model that backs signed, single-use links
+ * such as password reset and email verification. The link itself is a
+ * signed JWT; this table records its jti so it can be used only once.
+ * Also used for the short-lived intent token that starts provider linking
+ * and for the pending-login token exchanged at the second login step.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const OneTimeToken = sequelize.define('OneTimeToken', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        jti: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true
+        },
+        purpose: {
+            type: DataTypes.ENUM('password-reset', 'email-verification', 'identity-link', 'mfa-pending'),
+            allowNull: false
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        usedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        }
+    }, {
+        tableName: 'one_time_tokens',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['userId', 'purpose']
+            }
+        ]
+    });
+
+    return OneTimeToken;
+};
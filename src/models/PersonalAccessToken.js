@@ -0,0 +1,69 @@
+/**
+ * PERSONAL ACCESS TOKEN MODEL
+ *
+ * Defines the PersonalAccessToken model for named, scoped, long-lived
+ * tokens used by scripts and editor plugins. Only a SHA-256 hash of each
+ * token is stored; tokenPrefix keeps the first characters so users can
+ * recognise their tokens in a list.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const PersonalAccessToken = sequelize.define('PersonalAccessToken', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false
+        },
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true
+        },
+        tokenPrefix: {
+            type: DataTypes.STRING(16),
+            allowNull: false
+        },
+        scopes: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: []
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'Null means the token does not expire'
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        }
+    }, {
+        tableName: 'personal_access_tokens',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['userId']
+            }
+        ]
+    });
+
+    return PersonalAccessToken;
+};
@@ -3,6 +3,8 @@
  * 
  * Defines the Problem model for tracking coding problems solved by users.
  * Includes metadata like platform, difficulty, topic, time spent, and outcome.
+ * Time spent and outcome are kept in sync with the problem's attempts.
+ * Notes are versioned; solution code is stored as ProblemSnippets.
  */
 
 const { DataTypes } = require('sequelize');
@@ -43,12 +45,19 @@ module.exports = (sequelize) => {
         notEmpty: true
       }
     },
+    taxonomyTopicId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Resolved from topic unless chosen explicitly
+      references: {
+        model: 'taxonomy_topics',
+        key: 'id'
+      }
+    },
     timeSpent: {
       type: DataTypes.INTEGER,
       allowNull: false,
       validate: {
-        min: 0,
-        max: 1440 // Max 24 hours in minutes
+        min: 0 // Total minutes across all attempts
       }
     },
     outcome: {
@@ -56,7 +65,8 @@ module.exports = (sequelize) => {
       allowNull: false,
       validate: {
         isIn: [['solved', 'attempted', 'stuck', 'skipped', 'hints', 'failed']]
-      }
+      },
+      comment: 'Outcome of the latest attempt'
     },
     date: {
       type: DataTypes.DATE,
@@ -93,9 +103,26 @@ module.exports = (sequelize) => {
         isUrl: true
       }
     },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Markdown notes; earlier versions are kept as ProblemNoteVersion'
+    },
   }, {
     tableName: 'problems',
-    timestamps: true
+    timestamps: true,
+    paranoid: true, // Deleted rows keep a deletedAt and stay in the trash until purged
+    // One index per sortable column (PROBLEM_CONSTANTS.SORT_FIELDS), scoped to the owner
+    indexes: [
+      { fields: ['userId', 'date'] },
+      { fields: ['userId', 'title'] },
+      { fields: ['userId', 'difficulty'] },
+      { fields: ['userId', 'platform'] },
+      { fields: ['userId', 'outcome'] },
+      { fields: ['userId', 'timeSpent'] },
+      { fields: ['userId', 'createdAt'] },
+      { fields: ['userId', 'updatedAt'] }
+    ]
   });
 
   return Problem;
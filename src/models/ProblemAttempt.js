@@ -0,0 +1,69 @@
+/**
+ * PROBLEM ATTEMPT MODEL
+ * 
+ * Defines the ProblemAttempt model for recording each try at a problem.
+ * A problem's current outcome and total time spent are derived from
+ * its attempts (latest outcome, sum of time).
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProblemAttempt = sequelize.define('ProblemAttempt', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    date: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    timeSpent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 1440 // Max 24 hours in minutes
+      }
+    },
+    outcome: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [['solved', 'attempted', 'stuck', 'skipped', 'hints', 'failed']]
+      }
+    },
+    hintsUsed: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    problemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'problems',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'problem_attempts',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['problemId', 'date']
+      }
+    ]
+  });
+
+  return ProblemAttempt;
+};
@@ -0,0 +1,55 @@
+/**
+ * PROBLEM LIST MODEL
+ * 
+ * Defines the ProblemList model for user-defined, ordered collections
+ * of problems such as "Blind 75" or "Graph week". The entries of a
+ * list are ProblemListItems. A public list can be viewed and copied
+ * by other users.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProblemList = sequelize.define('ProblemList', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 200]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    isPublic: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'problem_lists',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return ProblemList;
+};
@@ -0,0 +1,88 @@
+/**
+ * PROBLEM LIST ITEM MODEL
+ * 
+ * Defines the ProblemListItem model, the ordered entries of a
+ * ProblemList. An entry points at one of the owner's problems, or is
+ * pending (problemId null) when the problem has not been logged yet,
+ * for example after importing someone else's list. Title, platform,
+ * difficulty and link are kept on the entry so pending entries can be
+ * shown and matched to a problem later.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProblemListItem = sequelize.define('ProblemListItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1 // 1-based, without gaps
+      }
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 200]
+      }
+    },
+    platform: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isIn: [['LeetCode', 'HackerRank', 'Codeforces', 'AtCoder', 'CodeChef', 'other']]
+      }
+    },
+    difficulty: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isIn: [['easy', 'medium', 'hard']]
+      }
+    },
+    link: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    listId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'problem_lists',
+        key: 'id'
+      }
+    },
+    problemId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'problems',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'problem_list_items',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['listId', 'position']
+      },
+      {
+        unique: true,
+        fields: ['listId', 'problemId'] // A problem appears once per list; pending entries are NULL
+      },
+      {
+        fields: ['problemId']
+      }
+    ]
+  });
+
+  return ProblemListItem;
+};
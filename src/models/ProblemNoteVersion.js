@@ -0,0 +1,56 @@
+/**
+ * PROBLEM NOTE VERSION MODEL
+ * 
+ * Defines the ProblemNoteVersion model: one saved state of a problem's
+ * markdown notes (approach, complexity, pitfalls). The current notes
+ * live on the problem; versions are numbered from 1 per problem and
+ * remember the attempt they were written for.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProblemNoteVersion = sequelize.define('ProblemNoteVersion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      defaultValue: ''
+    },
+    attemptId: {
+      type: DataTypes.INTEGER,
+      allowNull: true // Attempt the version was saved for; null once that attempt is deleted
+    },
+    problemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'problems',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'problem_note_versions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['problemId', 'version']
+      }
+    ]
+  });
+
+  return ProblemNoteVersion;
+};
@@ -0,0 +1,61 @@
+/**
+ * PROBLEM SNIPPET MODEL
+ * 
+ * Defines the ProblemSnippet model for storing solution source code
+ * under a problem. A problem can have several snippets (for example
+ * one per language or approach). Every saved change to a snippet is
+ * kept as a ProblemSnippetVersion.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProblemSnippet = sequelize.define('ProblemSnippet', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: [0, 100]
+      }
+    },
+    language: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        len: [1, 30]
+      }
+    },
+    code: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1 // Number of the latest ProblemSnippetVersion
+    },
+    problemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'problems',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'problem_snippets',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['problemId']
+      }
+    ]
+  });
+
+  return ProblemSnippet;
+};
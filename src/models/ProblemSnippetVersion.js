@@ -0,0 +1,59 @@
+/**
+ * PROBLEM SNIPPET VERSION MODEL
+ * 
+ * Defines the ProblemSnippetVersion model: one saved state of a
+ * solution snippet. Versions are numbered from 1 per snippet and
+ * remember the attempt they were written for, so a snippet can be
+ * compared between attempts.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProblemSnippetVersion = sequelize.define('ProblemSnippetVersion', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    language: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    code: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    attemptId: {
+      type: DataTypes.INTEGER,
+      allowNull: true // Attempt the version was saved for; null once that attempt is deleted
+    },
+    snippetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'problem_snippets',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'problem_snippet_versions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['snippetId', 'version']
+      }
+    ]
+  });
+
+  return ProblemSnippetVersion;
+};
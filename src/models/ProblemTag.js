@@ -0,0 +1,48 @@
+/**
+ * PROBLEM TAG MODEL
+ * 
+ * Defines the ProblemTag join model between Problems and Tags. Rows
+ * are kept in step with Problem.tags by the tag index hooks.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ProblemTag = sequelize.define('ProblemTag', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    problemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'problems',
+        key: 'id'
+      }
+    },
+    tagId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tags',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'problem_tags',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['problemId', 'tagId']
+      },
+      {
+        fields: ['tagId']
+      }
+    ]
+  });
+
+  return ProblemTag;
+};
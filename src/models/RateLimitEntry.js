@@ -0,0 +1,48 @@
+/**
+ * RATE LIMIT ENTRY MODEL
+ *
+ * Defines the RateLimitEntry model used by the database rate limit store.
+ * Each row tracks one limiter key (an IP address or an account) with the
+ * timestamps of recent hits and any active lockout, so limits survive
+ * server restarts.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const RateLimitEntry = sequelize.define('RateLimitEntry', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        key: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            unique: true
+        },
+        hits: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: [],
+            comment: 'Unix timestamps (ms) of hits inside the sliding window'
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        lockoutCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            comment: 'Consecutive lockouts, used to lengthen the next one'
+        }
+    }, {
+        tableName: 'rate_limit_entries',
+        timestamps: true,
+        // Adds a version column so concurrent updates of one entry are detected
+        version: true
+    });
+
+    return RateLimitEntry;
+};
@@ -0,0 +1,63 @@
+/**
+ * REFRESH TOKEN MODEL
+ *
+ * Defines the RefreshToken model for rotating refresh tokens.
+ * Only a SHA-256 hash of each token is stored. Tokens issued from the same
+ * login share a familyId so that a reused (already rotated) token can
+ * revoke the whole chain.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const RefreshToken = sequelize.define('RefreshToken', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        tokenHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            unique: true
+        },
+        familyId: {
+            type: DataTypes.STRING(36),
+            allowNull: false
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        replacedByTokenId: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'ID of the token issued when this one was rotated'
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        }
+    }, {
+        tableName: 'refresh_tokens',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['familyId']
+            },
+            {
+                fields: ['userId']
+            }
+        ]
+    });
+
+    return RefreshToken;
+};
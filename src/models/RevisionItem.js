@@ -55,7 +55,8 @@ module.exports = (sequelize) => {
         }
     }, {
         tableName: 'revision_items',
-        timestamps: true
+        timestamps: true,
+        paranoid: true // Removed with their problem or learning item and restored with it
     });
 
     return RevisionItem;
@@ -51,7 +51,8 @@ module.exports = (sequelize) => {
         }
     }, {
         tableName: 'roadmaps',
-        timestamps: true
+        timestamps: true,
+        paranoid: true // Soft delete; topics and subtopics are trashed with the roadmap
     });
 
     return Roadmap;
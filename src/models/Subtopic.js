@@ -59,10 +59,18 @@ module.exports = (sequelize) => {
         estimatedTime: {
             type: DataTypes.INTEGER, // in minutes
             allowNull: true
+        },
+        // Complete automatically once all linked problems are solved
+        // and all linked learning items reach 100% progress
+        autoComplete: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
         }
     }, {
         tableName: 'subtopics',
-        timestamps: true
+        timestamps: true,
+        paranoid: true // Soft delete
     });
 
     return Subtopic;
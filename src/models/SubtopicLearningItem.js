@@ -0,0 +1,49 @@
+/**
+ * SUBTOPIC LEARNING ITEM MODEL
+ * 
+ * Defines the SubtopicLearningItem join model linking roadmap
+ * Subtopics to the LearningItems (courses, books, videos...) that
+ * cover them.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SubtopicLearningItem = sequelize.define('SubtopicLearningItem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    subtopicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'subtopics',
+        key: 'id'
+      }
+    },
+    learningItemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'learning_items',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'subtopic_learning_items',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['subtopicId', 'learningItemId']
+      },
+      {
+        fields: ['learningItemId']
+      }
+    ]
+  });
+
+  return SubtopicLearningItem;
+};
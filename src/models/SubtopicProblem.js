@@ -0,0 +1,48 @@
+/**
+ * SUBTOPIC PROBLEM MODEL
+ * 
+ * Defines the SubtopicProblem join model linking roadmap Subtopics to
+ * the Problems that practise them.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SubtopicProblem = sequelize.define('SubtopicProblem', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    subtopicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'subtopics',
+        key: 'id'
+      }
+    },
+    problemId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'problems',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'subtopic_problems',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['subtopicId', 'problemId']
+      },
+      {
+        fields: ['problemId']
+      }
+    ]
+  });
+
+  return SubtopicProblem;
+};
@@ -0,0 +1,52 @@
+/**
+ * TAG MODEL
+ * 
+ * Defines the Tag model: one row per distinct tag of a user, shared by
+ * their problems and learning items through ProblemTag and
+ * LearningItemTag. normalizedName (trimmed, lower case) identifies the
+ * tag, so "Graphs" and "graphs " are the same tag; name keeps the
+ * spelling that is shown.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Tag = sequelize.define('Tag', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 50]
+      }
+    },
+    normalizedName: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'tags',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'normalizedName']
+      }
+    ]
+  });
+
+  return Tag;
+};
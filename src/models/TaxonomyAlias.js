@@ -0,0 +1,53 @@
+/**
+ * TAXONOMY ALIAS MODEL
+ * 
+ * Defines the TaxonomyAlias model: another name a taxonomy topic is
+ * known by ("DP" for Dynamic Programming). Free-text topics that match
+ * an alias resolve to its topic.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaxonomyAlias = sequelize.define('TaxonomyAlias', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    normalizedName: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    taxonomyTopicId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'taxonomy_topics',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'taxonomy_aliases',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['normalizedName']
+      },
+      {
+        fields: ['taxonomyTopicId']
+      }
+    ]
+  });
+
+  return TaxonomyAlias;
+};
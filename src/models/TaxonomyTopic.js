@@ -0,0 +1,59 @@
+/**
+ * TAXONOMY TOPIC MODEL
+ * 
+ * Defines the TaxonomyTopic model: a node of the shared topic taxonomy
+ * (for example Graphs > Shortest Paths > Dijkstra's Algorithm) that
+ * problems and learning items can be filed under. Topics are global,
+ * not owned by a user. normalizedName is unique across all topics and
+ * aliases, so free text resolves to at most one topic.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TaxonomyTopic = sequelize.define('TaxonomyTopic', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 100]
+      }
+    },
+    normalizedName: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true, // Root topics have no parent
+      references: {
+        model: 'taxonomy_topics',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'taxonomy_topics',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['normalizedName']
+      },
+      {
+        fields: ['parentId']
+      }
+    ]
+  });
+
+  return TaxonomyTopic;
+};
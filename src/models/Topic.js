@@ -61,7 +61,8 @@ module.exports = (sequelize) => {
         }
     }, {
         tableName: 'topics',
-        timestamps: true
+        timestamps: true,
+        paranoid: true // Soft delete; subtopics are trashed with the topic
     });
 
     return Topic;
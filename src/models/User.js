@@ -2,7 +2,8 @@
  * USER MODEL
  * 
  * Defines the User model for authentication and user management.
- * Supports both local (email/password) and OAuth authentication.
+ * Supports both local (email/password) and OAuth authentication,
+ * and carries the role used for role-based access control.
  */
 
 const { DataTypes } = require('sequelize');
@@ -68,6 +69,12 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'URL to user profile picture'
     },
+    role: {
+      type: DataTypes.ENUM('user', 'admin'),
+      allowNull: false,
+      defaultValue: 'user',
+      comment: 'Access role; permissions per role are defined in ROLE_CONSTANTS'
+    },
     isEmailVerified: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -0,0 +1,61 @@
+/**
+ * USER IDENTITY MODEL
+ *
+ * Defines the UserIdentity model that links external login providers
+ * (Google, GitHub) to a user. A user can have several identities, so
+ * one account can sign in with email/password and any linked provider.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const UserIdentity = sequelize.define('UserIdentity', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        provider: {
+            type: DataTypes.ENUM('google', 'github'),
+            allowNull: false
+        },
+        providerId: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            comment: 'OAuth provider user ID (Google ID, GitHub ID, etc.)'
+        },
+        email: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Email reported by the provider when the identity was linked'
+        },
+        linkedAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        }
+    }, {
+        tableName: 'user_identities',
+        timestamps: true,
+        indexes: [
+            {
+                unique: true,
+                fields: ['provider', 'providerId']
+            },
+            {
+                unique: true,
+                fields: ['userId', 'provider']
+            }
+        ]
+    });
+
+    return UserIdentity;
+};
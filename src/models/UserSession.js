@@ -0,0 +1,68 @@
+/**
+ * USER SESSION MODEL
+ *
+ * Defines the UserSession model, the registry of a user's logins.
+ * Each session is one refresh token family (familyId is the access
+ * token's sid claim) and records the device, IP address, when the
+ * user logged in and when the session was last used. A session is active while its family still
+ * has an unrevoked, unexpired refresh token.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const UserSession = sequelize.define('UserSession', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        familyId: {
+            type: DataTypes.STRING(36),
+            allowNull: false,
+            unique: true
+        },
+        userAgent: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        device: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            comment: 'Readable device summary derived from the user agent'
+        },
+        ipAddress: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            comment: 'IP address the session was last seen from'
+        },
+        authenticatedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            comment: 'When the user logged in; refreshing the session does not change it'
+        },
+        lastSeenAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        }
+    }, {
+        tableName: 'user_sessions',
+        timestamps: true,
+        indexes: [
+            {
+                fields: ['userId']
+            }
+        ]
+    });
+
+    return UserSession;
+};
@@ -0,0 +1,60 @@
+/**
+ * USER TWO-FACTOR MODEL
+ *
+ * Defines the UserTwoFactor model that holds a user's TOTP secret and
+ * recovery codes. A row with no enabledAt is an enrollment that has not
+ * been confirmed with a code yet. Recovery codes are stored as SHA-256
+ * hashes and removed once used; version is bumped with every change to
+ * them, so a code is only ever claimed by one request.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    const UserTwoFactor = sequelize.define('UserTwoFactor', {
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        secret: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: 'Base32 encoded TOTP shared secret'
+        },
+        enabledAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        lastUsedStep: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Time step of the last accepted code, to prevent replay'
+        },
+        recoveryCodes: {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: []
+        },
+        version: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            comment: 'Bumped whenever recoveryCodes change, for conditional updates'
+        },
+        userId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            }
+        }
+    }, {
+        tableName: 'user_two_factor',
+        timestamps: true
+    });
+
+    return UserTwoFactor;
+};
@@ -2,27 +2,78 @@
  * MODELS INDEX
  * 
  * This file initializes all Sequelize models and defines their associations.
- * It establishes the relationships between User, Problem, LearningItem,
- * RevisionItem, Roadmap, Topic, and Subtopic models.
+ * It establishes the relationships between User, Problem, ProblemAttempt,
+ * ProblemSnippet, ProblemSnippetVersion, ProblemNoteVersion, ProblemList,
+ * ProblemListItem, Tag, ProblemTag, LearningItemTag, LearningItem,
+ * TaxonomyTopic, TaxonomyAlias, RevisionItem, Roadmap, Topic, Subtopic,
+ * SubtopicProblem, SubtopicLearningItem, RefreshToken, OneTimeToken,
+ * UserIdentity, UserTwoFactor, PersonalAccessToken and UserSession
+ * models, initializes the standalone RateLimitEntry model, and attaches
+ * the full-text search index, tag index, taxonomy and subtopic
+ * auto-completion hooks.
  */
 
 const sequelize = require('../config/database');
 const UserModel = require('./User');
 const ProblemModel = require('./Problem');
+const ProblemAttemptModel = require('./ProblemAttempt');
+const ProblemSnippetModel = require('./ProblemSnippet');
+const ProblemSnippetVersionModel = require('./ProblemSnippetVersion');
+const ProblemNoteVersionModel = require('./ProblemNoteVersion');
+const ProblemListModel = require('./ProblemList');
+const ProblemListItemModel = require('./ProblemListItem');
+const TagModel = require('./Tag');
+const ProblemTagModel = require('./ProblemTag');
+const LearningItemTagModel = require('./LearningItemTag');
 const LearningItemModel = require('./LearningItem');
+const TaxonomyTopicModel = require('./TaxonomyTopic');
+const TaxonomyAliasModel = require('./TaxonomyAlias');
 const RevisionItemModel = require('./RevisionItem');
 const RoadmapModel = require('./Roadmap');
 const TopicModel = require('./Topic');
 const SubtopicModel = require('./Subtopic');
+const SubtopicProblemModel = require('./SubtopicProblem');
+const SubtopicLearningItemModel = require('./SubtopicLearningItem');
+const RefreshTokenModel = require('./RefreshToken');
+const OneTimeTokenModel = require('./OneTimeToken');
+const UserIdentityModel = require('./UserIdentity');
+const UserTwoFactorModel = require('./UserTwoFactor');
+const PersonalAccessTokenModel = require('./PersonalAccessToken');
+const UserSessionModel = require('./UserSession');
+const RateLimitEntryModel = require('./RateLimitEntry');
+const { attachSearchIndex } = require('../database/searchIndex');
+const { attachTagIndex } = require('../database/tagIndex');
+const { attachTaxonomyIndex } = require('../database/taxonomyIndex');
+const { attachSubtopicLinks } = require('../database/subtopicLinks');
 
 // Initialize models
 const User = UserModel(sequelize);
 const Problem = ProblemModel(sequelize);
+const ProblemAttempt = ProblemAttemptModel(sequelize);
+const ProblemSnippet = ProblemSnippetModel(sequelize);
+const ProblemSnippetVersion = ProblemSnippetVersionModel(sequelize);
+const ProblemNoteVersion = ProblemNoteVersionModel(sequelize);
+const ProblemList = ProblemListModel(sequelize);
+const ProblemListItem = ProblemListItemModel(sequelize);
+const Tag = TagModel(sequelize);
+const ProblemTag = ProblemTagModel(sequelize);
+const LearningItemTag = LearningItemTagModel(sequelize);
 const LearningItem = LearningItemModel(sequelize);
+const TaxonomyTopic = TaxonomyTopicModel(sequelize);
+const TaxonomyAlias = TaxonomyAliasModel(sequelize);
 const RevisionItem = RevisionItemModel(sequelize);
 const Roadmap = RoadmapModel(sequelize);
 const Topic = TopicModel(sequelize);
 const Subtopic = SubtopicModel(sequelize);
+const SubtopicProblem = SubtopicProblemModel(sequelize);
+const SubtopicLearningItem = SubtopicLearningItemModel(sequelize);
+const RefreshToken = RefreshTokenModel(sequelize);
+const OneTimeToken = OneTimeTokenModel(sequelize);
+const UserIdentity = UserIdentityModel(sequelize);
+const UserTwoFactor = UserTwoFactorModel(sequelize);
+const PersonalAccessToken = PersonalAccessTokenModel(sequelize);
+const UserSession = UserSessionModel(sequelize);
+const RateLimitEntry = RateLimitEntryModel(sequelize);
 
 // ========== MODEL ASSOCIATIONS ==========
 
@@ -38,6 +89,182 @@ Problem.belongsTo(User, {
   as: 'user'
 });
 
+// Problem-ProblemAttempt associations (one-to-many)
+Problem.hasMany(ProblemAttempt, {
+  foreignKey: 'problemId',
+  as: 'attempts',
+  onDelete: 'CASCADE' // Delete all attempts when problem is deleted
+});
+
+ProblemAttempt.belongsTo(Problem, {
+  foreignKey: 'problemId',
+  as: 'problem'
+});
+
+// Problem-ProblemSnippet associations (one-to-many)
+Problem.hasMany(ProblemSnippet, {
+  foreignKey: 'problemId',
+  as: 'snippets',
+  onDelete: 'CASCADE' // Delete all snippets when problem is deleted
+});
+
+ProblemSnippet.belongsTo(Problem, {
+  foreignKey: 'problemId',
+  as: 'problem'
+});
+
+// ProblemSnippet-ProblemSnippetVersion associations (one-to-many)
+ProblemSnippet.hasMany(ProblemSnippetVersion, {
+  foreignKey: 'snippetId',
+  as: 'versions',
+  onDelete: 'CASCADE' // Delete the history when a snippet is deleted
+});
+
+ProblemSnippetVersion.belongsTo(ProblemSnippet, {
+  foreignKey: 'snippetId',
+  as: 'snippet'
+});
+
+// Problem-ProblemNoteVersion associations (one-to-many)
+Problem.hasMany(ProblemNoteVersion, {
+  foreignKey: 'problemId',
+  as: 'noteVersions',
+  onDelete: 'CASCADE' // Delete the notes history when problem is deleted
+});
+
+ProblemNoteVersion.belongsTo(Problem, {
+  foreignKey: 'problemId',
+  as: 'problem'
+});
+
+// User-ProblemList associations (one-to-many)
+User.hasMany(ProblemList, {
+  foreignKey: 'userId',
+  as: 'problemLists',
+  onDelete: 'CASCADE' // Delete all problem lists when user is deleted
+});
+
+ProblemList.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// ProblemList-ProblemListItem associations (one-to-many)
+ProblemList.hasMany(ProblemListItem, {
+  foreignKey: 'listId',
+  as: 'items',
+  onDelete: 'CASCADE' // Delete all entries when a list is deleted
+});
+
+ProblemListItem.belongsTo(ProblemList, {
+  foreignKey: 'listId',
+  as: 'list'
+});
+
+// Problem-ProblemListItem associations (one-to-many)
+Problem.hasMany(ProblemListItem, {
+  foreignKey: 'problemId',
+  as: 'listItems',
+  onDelete: 'SET NULL' // Entries of a deleted problem become pending
+});
+
+ProblemListItem.belongsTo(Problem, {
+  foreignKey: 'problemId',
+  as: 'problem'
+});
+
+// User-Tag associations (one-to-many)
+User.hasMany(Tag, {
+  foreignKey: 'userId',
+  as: 'tags',
+  onDelete: 'CASCADE' // Delete all tags when user is deleted
+});
+
+Tag.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// Problem-Tag associations (many-to-many through ProblemTag)
+Problem.hasMany(ProblemTag, {
+  foreignKey: 'problemId',
+  as: 'problemTags',
+  onDelete: 'CASCADE' // Untag a deleted problem
+});
+
+ProblemTag.belongsTo(Problem, {
+  foreignKey: 'problemId',
+  as: 'problem'
+});
+
+Tag.hasMany(ProblemTag, {
+  foreignKey: 'tagId',
+  as: 'problemTags',
+  onDelete: 'CASCADE'
+});
+
+ProblemTag.belongsTo(Tag, {
+  foreignKey: 'tagId',
+  as: 'tag'
+});
+
+// LearningItem-Tag associations (many-to-many through LearningItemTag)
+LearningItem.hasMany(LearningItemTag, {
+  foreignKey: 'learningItemId',
+  as: 'learningItemTags',
+  onDelete: 'CASCADE' // Untag a deleted learning item
+});
+
+LearningItemTag.belongsTo(LearningItem, {
+  foreignKey: 'learningItemId',
+  as: 'learningItem'
+});
+
+Tag.hasMany(LearningItemTag, {
+  foreignKey: 'tagId',
+  as: 'learningItemTags',
+  onDelete: 'CASCADE'
+});
+
+LearningItemTag.belongsTo(Tag, {
+  foreignKey: 'tagId',
+  as: 'tag'
+});
+
+// TaxonomyTopic hierarchy (self-referencing one-to-many)
+TaxonomyTopic.hasMany(TaxonomyTopic, {
+  foreignKey: 'parentId',
+  as: 'children'
+});
+
+TaxonomyTopic.belongsTo(TaxonomyTopic, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
+// TaxonomyTopic-TaxonomyAlias associations (one-to-many)
+TaxonomyTopic.hasMany(TaxonomyAlias, {
+  foreignKey: 'taxonomyTopicId',
+  as: 'aliases',
+  onDelete: 'CASCADE'
+});
+
+TaxonomyAlias.belongsTo(TaxonomyTopic, {
+  foreignKey: 'taxonomyTopicId',
+  as: 'taxonomyTopic'
+});
+
+// Problems and learning items filed under a taxonomy topic
+Problem.belongsTo(TaxonomyTopic, {
+  foreignKey: 'taxonomyTopicId',
+  as: 'taxonomyTopic'
+});
+
+LearningItem.belongsTo(TaxonomyTopic, {
+  foreignKey: 'taxonomyTopicId',
+  as: 'taxonomyTopic'
+});
+
 // User-LearningItem associations (one-to-many)
 User.hasMany(LearningItem, {
   foreignKey: 'userId',
@@ -106,14 +333,170 @@ Subtopic.belongsTo(Topic, {
 // Simplified: No nested subtopics, only direct children of topics
 // Removed self-referencing associations for simplicity
 
+// Subtopic-Problem associations (many-to-many through SubtopicProblem)
+Subtopic.belongsToMany(Problem, {
+  through: SubtopicProblem,
+  foreignKey: 'subtopicId',
+  otherKey: 'problemId',
+  as: 'problems'
+});
+
+Problem.belongsToMany(Subtopic, {
+  through: SubtopicProblem,
+  foreignKey: 'problemId',
+  otherKey: 'subtopicId',
+  as: 'subtopics'
+});
+
+Subtopic.hasMany(SubtopicProblem, {
+  foreignKey: 'subtopicId',
+  as: 'problemLinks',
+  onDelete: 'CASCADE' // Unlink problems from a deleted subtopic
+});
+
+// Subtopic-LearningItem associations (many-to-many through SubtopicLearningItem)
+Subtopic.belongsToMany(LearningItem, {
+  through: SubtopicLearningItem,
+  foreignKey: 'subtopicId',
+  otherKey: 'learningItemId',
+  as: 'learningItems'
+});
+
+LearningItem.belongsToMany(Subtopic, {
+  through: SubtopicLearningItem,
+  foreignKey: 'learningItemId',
+  otherKey: 'subtopicId',
+  as: 'subtopics'
+});
+
+Subtopic.hasMany(SubtopicLearningItem, {
+  foreignKey: 'subtopicId',
+  as: 'learningItemLinks',
+  onDelete: 'CASCADE' // Unlink learning items from a deleted subtopic
+});
+
+// ========== AUTHENTICATION ASSOCIATIONS ==========
+
+// User-RefreshToken associations (one-to-many)
+User.hasMany(RefreshToken, {
+  foreignKey: 'userId',
+  as: 'refreshTokens',
+  onDelete: 'CASCADE' // Revoke all refresh tokens when user is deleted
+});
+
+RefreshToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// User-OneTimeToken associations (one-to-many)
+User.hasMany(OneTimeToken, {
+  foreignKey: 'userId',
+  as: 'oneTimeTokens',
+  onDelete: 'CASCADE' // Delete pending reset/verification links when user is deleted
+});
+
+OneTimeToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// User-UserIdentity associations (one-to-many)
+User.hasMany(UserIdentity, {
+  foreignKey: 'userId',
+  as: 'identities',
+  onDelete: 'CASCADE' // Unlink all providers when user is deleted
+});
+
+UserIdentity.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// User-UserTwoFactor associations (one-to-one)
+User.hasOne(UserTwoFactor, {
+  foreignKey: 'userId',
+  as: 'twoFactor',
+  onDelete: 'CASCADE' // Remove the TOTP secret when user is deleted
+});
+
+UserTwoFactor.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// User-PersonalAccessToken associations (one-to-many)
+User.hasMany(PersonalAccessToken, {
+  foreignKey: 'userId',
+  as: 'personalAccessTokens',
+  onDelete: 'CASCADE' // Delete all personal access tokens when user is deleted
+});
+
+PersonalAccessToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// User-UserSession associations (one-to-many)
+User.hasMany(UserSession, {
+  foreignKey: 'userId',
+  as: 'sessions',
+  onDelete: 'CASCADE' // Forget all sessions when user is deleted
+});
+
+UserSession.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// ========== SEARCH INDEX ==========
+
+// Problems, learning items and the roadmap hierarchy are indexed for /api/me/search
+attachSearchIndex({ sequelize, Problem, LearningItem, Roadmap, Topic, Subtopic });
+
+// ========== TAG INDEX ==========
+
+// Tags written to problems and learning items are linked to shared Tag rows
+attachTagIndex({ sequelize, Problem, LearningItem, Tag, ProblemTag, LearningItemTag });
+
+// ========== TAXONOMY ==========
+
+// Free-text topics of problems and learning items are matched to taxonomy topics
+attachTaxonomyIndex({ Problem, LearningItem, TaxonomyTopic, TaxonomyAlias });
+
+// ========== SUBTOPIC LINKS ==========
+
+// Solving a linked problem or finishing a linked learning item can complete a subtopic
+attachSubtopicLinks({ Problem, LearningItem, Topic, Subtopic, SubtopicProblem, SubtopicLearningItem });
+
 // Export models and sequelize instance
 module.exports = {
   sequelize,
   User,
   Problem,
+  ProblemAttempt,
+  ProblemSnippet,
+  ProblemSnippetVersion,
+  ProblemNoteVersion,
+  ProblemList,
+  ProblemListItem,
+  Tag,
+  ProblemTag,
+  LearningItemTag,
   LearningItem,
+  TaxonomyTopic,
+  TaxonomyAlias,
   RevisionItem,
   Roadmap,
   Topic,
-  Subtopic
+  Subtopic,
+  SubtopicProblem,
+  SubtopicLearningItem,
+  RefreshToken,
+  OneTimeToken,
+  UserIdentity,
+  UserTwoFactor,
+  PersonalAccessToken,
+  UserSession,
+  RateLimitEntry
 };
\ No newline at end of file
@@ -6,12 +6,22 @@
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { authorizeUser } = require('../middleware/ownership');
 const { validateAnalyticsQuery } = require('../middleware/validation');
 const { getAnalytics } = require('../controllers/analyticsController');
 
 const router = express.Router();
 
+/**
+ * Flag the ?userId= form as deprecated in favour of /api/me/analytics
+ */
+const deprecateUserIdQuery = (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', '</api/me/analytics>; rel="successor-version"');
+  next();
+};
+
 // Debug middleware for analytics routes
 router.use((req, res, next) => {
   console.log(`Analytics Route: ${req.method} ${req.originalUrl}`);
@@ -25,10 +35,14 @@ router.use((req, res, next) => {
 /**
  * GET /api/analytics
  * Get comprehensive analytics for a user
+ * Deprecated: use GET /api/me/analytics
  */
 router.get('/', 
+  deprecateUserIdQuery, 
   authenticateToken, 
+  requireScope('analytics:read'), 
   validateAnalyticsQuery, 
+  authorizeUser(), 
   getAnalytics
 );
 
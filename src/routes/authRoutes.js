@@ -7,27 +7,102 @@
 
 const express = require('express');
 const passport = require('../config/oauth');
-const jwt = require('jsonwebtoken');
-const { User } = require('../models');
-const { authenticateToken } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
-const { login, register, verify } = require('../controllers/authController');
+const { User, UserIdentity } = require('../models');
+const { authenticateToken, requireSession } = require('../middleware/auth');
+const {
+  loginRateLimit,
+  registerRateLimit,
+  forgotPasswordRateLimit,
+  loginAccountLockout,
+  twoFactorAccountLockout
+} = require('../middleware/rateLimit');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateTwoFactorLogin,
+  validateRefreshToken,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateEmailVerification
+} = require('../middleware/validation');
+const {
+  login,
+  loginTwoFactor,
+  register,
+  verify,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/authController');
+const { issueTokens, consumeOneTimeToken, createMfaChallenge, decodeAccessToken } = require('../services/authService');
+const { getClientInfo } = require('../utils/helpers');
 
 const router = express.Router();
 
 /**
- * Generate JWT token for OAuth users
+ * Build the frontend redirect URL for a completed OAuth login
  * @param {Object} user - User object
- * @returns {string} JWT token
- */
-const generateToken = (user) => {
-  return jwt.sign({ 
-    id: user.id, 
-    email: user.email,
-    authProvider: user.authProvider 
-  }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
+ * @param {string} provider - OAuth provider
+ * @param {Object} client - { ipAddress, userAgent } of the request
+ * @returns {string} Redirect URL carrying the access and refresh tokens
+ */
+const buildOAuthRedirect = async (user, provider, client) => {
+  const { token, refreshToken } = await issueTokens(user, { client });
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/auth/callback?token=${token}&refreshToken=${encodeURIComponent(refreshToken)}&provider=${provider}`;
+};
+
+/**
+ * Remember a provider link intent for the OAuth round trip.
+ * A ?linkToken= (from POST /api/me/identities/:provider/link) is consumed
+ * here and the user id is kept in the session until the callback.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const captureLinkIntent = async (req, res, next) => {
+  const { linkToken } = req.query;
+  if (!linkToken) {
+    return next();
+  }
+
+  try {
+    const user = await consumeOneTimeToken(linkToken, 'identity-link');
+    req.session.linkUserId = user.id;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build the final OAuth callback handler for a provider
+ * @param {string} provider - OAuth provider
+ * @returns {Function} Express route handler
+ */
+const completeOAuth = (provider) => async (req, res, next) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  try {
+    // Linking from account settings does not start a new session
+    if (req.oauthLinked) {
+      return res.redirect(`${frontendUrl}/settings/connections?linked=${provider}`);
+    }
+
+    // Accounts with 2FA finish the login at POST /api/auth/login/2fa
+    const mfaToken = await createMfaChallenge(req.user);
+    if (mfaToken) {
+      return res.redirect(`${frontendUrl}/auth/callback?mfaToken=${encodeURIComponent(mfaToken)}&provider=${provider}`);
+    }
+
+    const redirectUrl = await buildOAuthRedirect(req.user, provider, getClientInfo(req));
+    res.redirect(redirectUrl);
+  } catch (error) {
+    next(error);
+  }
 };
 
 // ========== LOCAL AUTHENTICATION ROUTES ==========
@@ -36,13 +111,19 @@ const generateToken = (user) => {
  * POST /api/auth/register
  * Register a new user account
  */
-router.post('/register', validateUserRegistration, register);
+router.post('/register', registerRateLimit, validateUserRegistration, register);
 
 /**
  * POST /api/auth/login
  * User login with email and password
  */
-router.post('/login', validateUserLogin, login);
+router.post('/login', loginRateLimit, validateUserLogin, loginAccountLockout, login);
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step for accounts with two-factor authentication
+ */
+router.post('/login/2fa', loginRateLimit, validateTwoFactorLogin, twoFactorAccountLockout, loginTwoFactor);
 
 /**
  * POST /api/auth/verify
@@ -50,6 +131,50 @@ router.post('/login', validateUserLogin, login);
  */
 router.post('/verify', verify);
 
+/**
+ * POST /api/auth/refresh
+ * Rotate a refresh token and issue a new access token
+ */
+router.post('/refresh', validateRefreshToken, refresh);
+
+/**
+ * POST /api/auth/logout
+ * Revoke the refresh token family of the current session
+ */
+router.post('/logout', validateRefreshToken, logout);
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke all refresh tokens of the authenticated user
+ */
+router.post('/logout-all', authenticateToken, requireSession, logoutAll);
+
+// ========== PASSWORD RESET & EMAIL VERIFICATION ROUTES ==========
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use password reset link
+ */
+router.post('/forgot-password', forgotPasswordRateLimit, validateForgotPassword, forgotPassword);
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a reset token
+ */
+router.post('/reset-password', validatePasswordReset, resetPassword);
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with a verification token
+ */
+router.post('/verify-email', validateEmailVerification, verifyEmail);
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification link to the authenticated user
+ */
+router.post('/resend-verification', authenticateToken, requireSession, resendVerification);
+
 // ========== OAUTH AUTHENTICATION ROUTES ==========
 
 // Google OAuth routes (only if configured)
@@ -58,9 +183,10 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
    * GET /api/auth/google
    * Initiate Google OAuth flow
    */
-  router.get('/google', passport.authenticate('google', {
-    scope: ['profile', 'email']
-  }));
+  router.get('/google',
+    captureLinkIntent,
+    passport.authenticate('google', { scope: ['profile', 'email'] })
+  );
 
   /**
    * GET /api/auth/google/callback
@@ -68,11 +194,7 @@ if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
    */
   router.get('/google/callback', 
     passport.authenticate('google', { failureRedirect: '/login?error=oauth_failed' }),
-    (req, res) => {
-      const token = generateToken(req.user);
-      const redirectUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/auth/callback?token=${token}&provider=google`;
-      res.redirect(redirectUrl);
-    }
+    completeOAuth('google')
   );
 } else {
   // Fallback routes when Google OAuth is not configured
@@ -90,9 +212,10 @@ if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
    * GET /api/auth/github
    * Initiate GitHub OAuth flow
    */
-  router.get('/github', passport.authenticate('github', {
-    scope: ['user:email']
-  }));
+  router.get('/github',
+    captureLinkIntent,
+    passport.authenticate('github', { scope: ['user:email'] })
+  );
 
   /**
    * GET /api/auth/github/callback
@@ -100,11 +223,7 @@ if (process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET) {
    */
   router.get('/github/callback',
     passport.authenticate('github', { failureRedirect: '/login?error=oauth_failed' }),
-    (req, res) => {
-      const token = generateToken(req.user);
-      const redirectUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/auth/callback?token=${token}&provider=github`;
-      res.redirect(redirectUrl);
-    }
+    completeOAuth('github')
   );
 } else {
   // Fallback routes when GitHub OAuth is not configured
@@ -156,8 +275,8 @@ router.post('/verify-oauth', async (req, res) => {
       });
     }
 
-    // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify JWT token (revoked sessions and single-use tokens are refused)
+    const decoded = await decodeAccessToken(token);
     
     // Find user
     const user = await User.findByPk(decoded.id);
@@ -168,8 +287,10 @@ router.post('/verify-oauth', async (req, res) => {
       });
     }
 
-    // Verify provider matches
-    if (user.authProvider !== provider) {
+    // Verify provider matches the sign-up provider or a linked identity
+    const linked = user.authProvider === provider ||
+      await UserIdentity.count({ where: { userId: user.id, provider } }) > 0;
+    if (!linked) {
       return res.status(400).json({
         success: false,
         message: 'Provider mismatch'
@@ -194,7 +315,7 @@ router.post('/verify-oauth', async (req, res) => {
     console.error('OAuth verification error:', error);
     res.status(401).json({
       success: false,
-      message: 'Invalid token'
+      message: error.statusCode === 401 ? error.message : 'Invalid token'
     });
   }
 });
@@ -11,11 +11,14 @@ const { errorHandler, notFoundHandler } = require('../middleware/errorHandler');
 // Import route modules
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
-const problemRoutes = require('./problemRoutes');
-const learningRoutes = require('./learningRoutes');
-const revisionRoutes = require('./revisionRoutes');
-const roadmapRoutes = require('./roadmapRoutes');
+const meRoutes = require('./meRoutes');
+const { router: problemRoutes } = require('./problemRoutes');
+const problemListRoutes = require('./problemListRoutes');
+const { router: learningRoutes } = require('./learningRoutes');
+const { router: revisionRoutes } = require('./revisionRoutes');
+const { router: roadmapRoutes } = require('./roadmapRoutes');
 const analyticsRoutes = require('./analyticsRoutes');
+const taxonomyRoutes = require('./taxonomyRoutes');
 
 const router = express.Router();
 
@@ -48,11 +51,14 @@ router.get('/health', (req, res) => {
 // Mount all route modules with specific paths to avoid conflicts
 router.use('/api/auth', authRoutes);
 router.use('/api/users', userRoutes);
+router.use('/api/me', meRoutes);
 router.use('/api/analytics', analyticsRoutes);
 router.use('/api/problems', problemRoutes);
+router.use('/api/problem-lists', problemListRoutes);
 router.use('/api/learning', learningRoutes);
 router.use('/api/revision', revisionRoutes);
 router.use('/api/roadmap', roadmapRoutes);
+router.use('/api/taxonomy', taxonomyRoutes);
 
 // ========== ERROR HANDLING ==========
 
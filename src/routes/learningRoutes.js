@@ -1,63 +1,106 @@
 /**
  * LEARNING ROUTES
- * 
+ *
  * Routes for learning item operations including
  * CRUD operations, progress tracking, and filtering.
+ * The collection and single-item routes are shared with /api/me.
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { validateUserId, validateLearningItem, validateId } = require('../middleware/validation');
-const { 
-  createLearningItem, 
-  getUserLearningItems, 
-  updateLearningItem, 
-  deleteLearningItem 
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { authorizeUser, authorizeResource } = require('../middleware/ownership');
+const { validateUserId, validateLearningItem, validateLearningItemUpdate, validateId } = require('../middleware/validation');
+const {
+  createLearningItem,
+  getUserLearningItems,
+  updateLearningItem,
+  deleteLearningItem
 } = require('../controllers/learningController');
 
-const router = express.Router();
-
-// ========== LEARNING ITEM ROUTES ==========
+// ========== LEARNING ITEM COLLECTION ROUTES ==========
 
 /**
- * POST /api/users/:userId/learning-items
- * Create a new learning item for a user
+ * Build the routes on a user's learning items. Mounted at
+ * /api/learning/users/:userId/learning-items and /api/me/learning-items.
+ * @param {Array<Function>} scopeUser - Middleware that resolves and authorizes req.params.userId
+ * @returns {Object} Express router
  */
-router.post('/users/:userId/learning-items', 
-  authenticateToken, 
-  validateUserId, 
-  validateLearningItem, 
-  createLearningItem
-);
+const buildUserLearningRoutes = (scopeUser) => {
+  const router = express.Router({ mergeParams: true });
 
-/**
- * GET /api/users/:userId/learning-items
- * Get all learning items for a user with optional filters
- */
-router.get('/users/:userId/learning-items', 
-  authenticateToken, 
-  validateUserId, 
-  getUserLearningItems
-);
+  /**
+   * POST /
+   * Create a new learning item for a user
+   */
+  router.post('/',
+    requireScope('learning:write'),
+    ...scopeUser,
+    validateLearningItem,
+    createLearningItem
+  );
+
+  /**
+   * GET /
+   * Get all learning items for a user with optional filters
+   */
+  router.get('/',
+    requireScope('learning:read'),
+    ...scopeUser,
+    getUserLearningItems
+  );
+
+  return router;
+};
+
+// ========== SINGLE LEARNING ITEM ROUTES ==========
+
+// Mounted at /api/learning/learning-items and /api/me/learning-items, after authentication
+const learningItemRoutes = express.Router();
 
 /**
- * PUT /api/learning-items/:id
+ * PUT /learning-items/:id
  * Update learning item
  */
-router.put('/learning-items/:id', 
-  authenticateToken, 
-  validateId, 
+learningItemRoutes.put('/:id',
+  requireScope('learning:write'),
+  validateId,
+  authorizeResource('learning'),
+  validateLearningItemUpdate,
   updateLearningItem
 );
 
 /**
- * DELETE /api/learning-items/:id
+ * DELETE /learning-items/:id
  * Delete learning item
  */
-router.delete('/learning-items/:id', 
-  authenticateToken, 
-  validateId, 
+learningItemRoutes.delete('/:id',
+  requireScope('learning:write'),
+  validateId,
+  authorizeResource('learning'),
   deleteLearningItem
 );
 
-module.exports = router;
+// ========== ROUTES UNDER /api/learning ==========
+
+const router = express.Router();
+
+/**
+ * /api/learning/users/:userId/learning-items
+ * A user's learning items
+ */
+router.use('/users/:userId/learning-items',
+  authenticateToken,
+  buildUserLearningRoutes([validateUserId, authorizeUser()])
+);
+
+/**
+ * /api/learning/learning-items/:id
+ * A single learning item
+ */
+router.use('/learning-items', authenticateToken, learningItemRoutes);
+
+module.exports = {
+  router,
+  buildUserLearningRoutes,
+  learningItemRoutes
+};
@@ -0,0 +1,498 @@
+/**
+ * CURRENT USER ROUTES
+ *
+ * Routes under /api/me that resolve the user from the access token
+ * instead of a :userId URL segment. The problem, learning, revision
+ * and roadmap routes are the ones of those routers, mounted here with
+ * the current user bound; stats and analytics mirror the user routes.
+ */
+
+const express = require('express');
+const { authenticateToken, requireScope, requireSession } = require('../middleware/auth');
+const { authorizeResource, bindCurrentUser } = require('../middleware/ownership');
+const {
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateAnalyticsRange,
+  validateId,
+  validateProvider,
+  validateTwoFactorCode,
+  validateAccessTokenCreation,
+  validateProblemBulkAction,
+  validateLearningBulkAction,
+  validateProblemList,
+  validateProblemListImport,
+  validateSearch,
+  validateTagQuery,
+  validateTagRename,
+  validateTagMerge,
+  validateTrashItem,
+  validateProblemImport
+} = require('../middleware/validation');
+const {
+  getUserById,
+  getUserStats,
+  updateCurrentUser,
+  changeCurrentUserPassword,
+  deleteCurrentUser
+} = require('../controllers/userController');
+const {
+  getUserProblemLists,
+  createProblemList,
+  importProblemList
+} = require('../controllers/problemListController');
+const { importProblemHistory } = require('../controllers/problemImportController');
+const { bulkUpdateProblems, bulkUpdateLearningItems } = require('../controllers/bulkController');
+const { exportData, importData } = require('../controllers/archiveController');
+const { searchContent } = require('../controllers/searchController');
+const { getTrash, restoreTrashItem, deleteTrashItem, emptyUserTrash } = require('../controllers/trashController');
+const { getTags, renameUserTag, mergeUserTags } = require('../controllers/tagController');
+const { getAnalytics } = require('../controllers/analyticsController');
+const { getIdentities, linkIdentity, unlinkProvider } = require('../controllers/identityController');
+const {
+  getTwoFactorSettings,
+  startTwoFactorSetup,
+  confirmTwoFactorSetup,
+  turnOffTwoFactor,
+  resetRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { getAccessTokens, createToken, revokeToken } = require('../controllers/accessTokenController');
+const { getSessions, deleteSession, deleteOtherSessions } = require('../controllers/sessionController');
+const { buildUserProblemRoutes, problemItemRoutes } = require('./problemRoutes');
+const { buildUserLearningRoutes, learningItemRoutes } = require('./learningRoutes');
+const { buildUserRevisionRoutes, revisionItemRoutes } = require('./revisionRoutes');
+const { buildUserRoadmapRoutes } = require('./roadmapRoutes');
+
+const router = express.Router();
+
+// Every /api/me route requires an authenticated user
+router.use(authenticateToken);
+
+// ========== PROFILE ROUTES ==========
+
+/**
+ * GET /api/me
+ * Get the current user with their problems
+ */
+router.get('/',
+  requireScope('profile:read'),
+  bindCurrentUser('id'),
+  getUserById
+);
+
+/**
+ * PATCH /api/me
+ * Update the current user's name and profile picture
+ */
+router.patch('/',
+  requireSession,
+  validateProfileUpdate,
+  updateCurrentUser
+);
+
+/**
+ * DELETE /api/me
+ * Delete the current user's account (requires password or a recent login)
+ */
+router.delete('/',
+  requireSession,
+  deleteCurrentUser
+);
+
+/**
+ * POST /api/me/password
+ * Change the current user's password
+ */
+router.post('/password',
+  requireSession,
+  validatePasswordChange,
+  changeCurrentUserPassword
+);
+
+/**
+ * GET /api/me/stats
+ * Get statistics for the current user
+ */
+router.get('/stats',
+  requireScope('analytics:read'),
+  bindCurrentUser(),
+  getUserStats
+);
+
+/**
+ * GET /api/me/analytics
+ * Get comprehensive analytics for the current user
+ */
+router.get('/analytics',
+  requireScope('analytics:read'),
+  validateAnalyticsRange,
+  bindCurrentUser(),
+  getAnalytics
+);
+
+// ========== DATA ARCHIVE ROUTES ==========
+
+/**
+ * GET /api/me/search?q=
+ * Search across the current user's problems, learning items and roadmaps
+ */
+router.get('/search',
+  requireScope('problems:read'),
+  requireScope('learning:read'),
+  requireScope('roadmaps:read'),
+  validateSearch,
+  searchContent
+);
+
+/**
+ * GET /api/me/export
+ * Download everything the current user owns as one JSON archive
+ */
+router.get('/export',
+  requireScope('problems:read'),
+  requireScope('learning:read'),
+  requireScope('revision:read'),
+  requireScope('roadmaps:read'),
+  exportData
+);
+
+/**
+ * POST /api/me/import
+ * Restore an exported archive into the current account
+ */
+router.post('/import',
+  requireScope('problems:write'),
+  requireScope('learning:write'),
+  requireScope('revision:write'),
+  requireScope('roadmaps:write'),
+  importData
+);
+
+// ========== LOGIN METHOD ROUTES ==========
+
+/**
+ * GET /api/me/identities
+ * List the login methods linked to the current user
+ */
+router.get('/identities',
+  requireSession,
+  getIdentities
+);
+
+/**
+ * POST /api/me/identities/:provider/link
+ * Start linking an OAuth provider to the current user
+ */
+router.post('/identities/:provider/link',
+  requireSession,
+  validateProvider,
+  linkIdentity
+);
+
+/**
+ * DELETE /api/me/identities/:provider
+ * Unlink an OAuth provider from the current user
+ */
+router.delete('/identities/:provider',
+  requireSession,
+  validateProvider,
+  unlinkProvider
+);
+
+// ========== TWO-FACTOR ROUTES ==========
+
+/**
+ * GET /api/me/2fa
+ * Get the current user's two-factor status
+ */
+router.get('/2fa',
+  requireSession,
+  getTwoFactorSettings
+);
+
+/**
+ * POST /api/me/2fa/setup
+ * Start TOTP enrollment
+ */
+router.post('/2fa/setup',
+  requireSession,
+  startTwoFactorSetup
+);
+
+/**
+ * POST /api/me/2fa/enable
+ * Confirm TOTP enrollment with a code
+ */
+router.post('/2fa/enable',
+  requireSession,
+  validateTwoFactorCode,
+  confirmTwoFactorSetup
+);
+
+/**
+ * POST /api/me/2fa/disable
+ * Turn two-factor authentication off (requires a TOTP or recovery code)
+ */
+router.post('/2fa/disable',
+  requireSession,
+  validateTwoFactorCode,
+  turnOffTwoFactor
+);
+
+/**
+ * POST /api/me/2fa/recovery-codes
+ * Replace recovery codes (requires a TOTP or recovery code)
+ */
+router.post('/2fa/recovery-codes',
+  requireSession,
+  validateTwoFactorCode,
+  resetRecoveryCodes
+);
+
+// ========== PERSONAL ACCESS TOKEN ROUTES ==========
+
+/**
+ * GET /api/me/tokens
+ * List the current user's personal access tokens
+ */
+router.get('/tokens',
+  requireSession,
+  getAccessTokens
+);
+
+/**
+ * POST /api/me/tokens
+ * Create a named, scoped personal access token
+ */
+router.post('/tokens',
+  requireSession,
+  validateAccessTokenCreation,
+  createToken
+);
+
+/**
+ * DELETE /api/me/tokens/:id
+ * Revoke a personal access token
+ */
+router.delete('/tokens/:id',
+  requireSession,
+  validateId,
+  revokeToken
+);
+
+// ========== SESSION ROUTES ==========
+
+/**
+ * GET /api/me/sessions
+ * List the devices the current user is logged in on
+ */
+router.get('/sessions',
+  requireSession,
+  getSessions
+);
+
+/**
+ * DELETE /api/me/sessions
+ * Log out every session except the current one
+ */
+router.delete('/sessions',
+  requireSession,
+  deleteOtherSessions
+);
+
+/**
+ * DELETE /api/me/sessions/:id
+ * Log out one session
+ */
+router.delete('/sessions/:id',
+  requireSession,
+  validateId,
+  deleteSession
+);
+
+// ========== PROBLEM ROUTES ==========
+
+/**
+ * POST /api/me/problems/import
+ * Import problem history from CSV (text/csv body) or JSON
+ */
+router.post('/problems/import',
+  requireScope('problems:write'),
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  validateProblemImport,
+  importProblemHistory
+);
+
+/**
+ * POST /api/me/problems/bulk
+ * Update, delete, tag or mark several problems for revision at once
+ */
+router.post('/problems/bulk',
+  requireScope('problems:write'),
+  validateProblemBulkAction,
+  bulkUpdateProblems
+);
+
+/**
+ * /api/me/problems
+ * The current user's problems, and single problems with their
+ * attempts, notes and snippets (shared with /api/problems)
+ */
+router.use('/problems', buildUserProblemRoutes([bindCurrentUser()]));
+router.use('/problems', problemItemRoutes);
+
+// ========== PROBLEM LIST ROUTES ==========
+
+/**
+ * GET /api/me/problem-lists
+ * List the current user's problem lists with their progress
+ */
+router.get('/problem-lists',
+  requireScope('problems:read'),
+  getUserProblemLists
+);
+
+/**
+ * POST /api/me/problem-lists
+ * Create a problem list for the current user
+ */
+router.post('/problem-lists',
+  requireScope('problems:write'),
+  validateProblemList,
+  createProblemList
+);
+
+/**
+ * POST /api/me/problem-lists/import
+ * Import an exported problem list as a new list
+ */
+router.post('/problem-lists/import',
+  requireScope('problems:write'),
+  validateProblemListImport,
+  importProblemList
+);
+
+// ========== LEARNING ITEM ROUTES ==========
+
+/**
+ * POST /api/me/learning-items/bulk
+ * Update, delete, tag or mark several learning items for revision at once
+ */
+router.post('/learning-items/bulk',
+  requireScope('learning:write'),
+  validateLearningBulkAction,
+  bulkUpdateLearningItems
+);
+
+/**
+ * /api/me/learning-items
+ * The current user's learning items (shared with /api/learning)
+ */
+router.use('/learning-items', buildUserLearningRoutes([bindCurrentUser()]));
+router.use('/learning-items', learningItemRoutes);
+
+// ========== REVISION ITEM ROUTES ==========
+
+/**
+ * /api/me/revision-items
+ * The current user's revision items (shared with /api/revision)
+ */
+router.use('/revision-items', buildUserRevisionRoutes([bindCurrentUser()]));
+router.use('/revision-items', revisionItemRoutes);
+
+// ========== ROADMAP ROUTES ==========
+
+/**
+ * /api/me/roadmaps
+ * The current user's roadmaps (shared with /api/roadmap)
+ */
+router.use('/roadmaps', buildUserRoadmapRoutes([bindCurrentUser()]));
+
+// ========== TAG ROUTES ==========
+
+/**
+ * GET /api/me/tags
+ * List the current user's tags with usage counts (autocomplete with ?q=)
+ */
+router.get('/tags',
+  requireScope('problems:read'),
+  requireScope('learning:read'),
+  validateTagQuery,
+  getTags
+);
+
+/**
+ * PUT /api/me/tags/:id
+ * Rename a tag on every problem and learning item
+ */
+router.put('/tags/:id',
+  requireScope('problems:write'),
+  requireScope('learning:write'),
+  validateId,
+  authorizeResource('tag'),
+  validateTagRename,
+  renameUserTag
+);
+
+/**
+ * POST /api/me/tags/:id/merge
+ * Merge other tags into this one
+ */
+router.post('/tags/:id/merge',
+  requireScope('problems:write'),
+  requireScope('learning:write'),
+  validateId,
+  authorizeResource('tag'),
+  validateTagMerge,
+  mergeUserTags
+);
+
+// ========== TRASH ROUTES ==========
+
+/**
+ * GET /api/me/trash
+ * List the current user's deleted items
+ */
+router.get('/trash',
+  requireScope('problems:read'),
+  requireScope('learning:read'),
+  requireScope('roadmaps:read'),
+  getTrash
+);
+
+/**
+ * DELETE /api/me/trash
+ * Permanently delete everything in the trash
+ */
+router.delete('/trash',
+  requireScope('problems:write'),
+  requireScope('learning:write'),
+  requireScope('roadmaps:write'),
+  emptyUserTrash
+);
+
+/**
+ * POST /api/me/trash/:type/:id/restore
+ * Restore a deleted item
+ */
+router.post('/trash/:type/:id/restore',
+  requireScope('problems:write'),
+  requireScope('learning:write'),
+  requireScope('roadmaps:write'),
+  validateTrashItem,
+  restoreTrashItem
+);
+
+/**
+ * DELETE /api/me/trash/:type/:id
+ * Permanently delete a trashed item
+ */
+router.delete('/trash/:type/:id',
+  requireScope('problems:write'),
+  requireScope('learning:write'),
+  requireScope('roadmaps:write'),
+  validateTrashItem,
+  deleteTrashItem
+);
+
+module.exports = router;
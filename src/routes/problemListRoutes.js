@@ -0,0 +1,121 @@
+/**
+ * PROBLEM LIST ROUTES
+ * 
+ * Routes for a single problem list: viewing and exporting (public
+ * lists for anyone), editing, and adding, removing and reordering
+ * its problems. Listing, creating and importing lists is under /api/me.
+ */
+
+const express = require('express');
+const { authenticateToken, optionalAuth, requireScope } = require('../middleware/auth');
+const { authorizeResource } = require('../middleware/ownership');
+const {
+  validateId,
+  validateProblemListUpdate,
+  validateProblemListItem,
+  validateProblemListOrder,
+  validateListItemId
+} = require('../middleware/validation');
+const {
+  getProblemList,
+  exportProblemList,
+  updateProblemList,
+  deleteProblemList,
+  addProblemListItem,
+  removeProblemListItem,
+  reorderProblemList
+} = require('../controllers/problemListController');
+
+const router = express.Router();
+
+// ========== LIST ROUTES ==========
+
+/**
+ * GET /api/problem-lists/:id
+ * Get a list with progress, or someone else's public list
+ */
+router.get('/:id', 
+  optionalAuth, 
+  requireScope('problems:read'), 
+  validateId, 
+  getProblemList
+);
+
+/**
+ * GET /api/problem-lists/:id/export
+ * Download a list (own or public) as JSON
+ */
+router.get('/:id/export', 
+  optionalAuth, 
+  requireScope('problems:read'), 
+  validateId, 
+  exportProblemList
+);
+
+/**
+ * PUT /api/problem-lists/:id
+ * Update a list's title, description or visibility
+ */
+router.put('/:id', 
+  authenticateToken, 
+  requireScope('problems:write'), 
+  validateId, 
+  authorizeResource('problemList'), 
+  validateProblemListUpdate, 
+  updateProblemList
+);
+
+/**
+ * DELETE /api/problem-lists/:id
+ * Delete a list (its problems are kept)
+ */
+router.delete('/:id', 
+  authenticateToken, 
+  requireScope('problems:write'), 
+  validateId, 
+  authorizeResource('problemList'), 
+  deleteProblemList
+);
+
+// ========== ENTRY ROUTES ==========
+
+/**
+ * POST /api/problem-lists/:id/items
+ * Add a problem to a list
+ */
+router.post('/:id/items', 
+  authenticateToken, 
+  requireScope('problems:write'), 
+  validateId, 
+  authorizeResource('problemList'), 
+  validateProblemListItem, 
+  addProblemListItem
+);
+
+/**
+ * DELETE /api/problem-lists/:id/items/:itemId
+ * Remove an entry from a list
+ */
+router.delete('/:id/items/:itemId', 
+  authenticateToken, 
+  requireScope('problems:write'), 
+  validateId, 
+  validateListItemId, 
+  authorizeResource('problemList'), 
+  removeProblemListItem
+);
+
+/**
+ * PUT /api/problem-lists/:id/order
+ * Reorder a list's entries
+ */
+router.put('/:id/order', 
+  authenticateToken, 
+  requireScope('problems:write'), 
+  validateId, 
+  authorizeResource('problemList'), 
+  validateProblemListOrder, 
+  reorderProblemList
+);
+
+module.exports = router;
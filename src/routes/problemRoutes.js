@@ -3,57 +3,119 @@
  * 
  * Routes for coding problem operations including
  * CRUD operations, filtering, and statistics.
+ * The collection and single-problem routes are shared with /api/me.
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { validateUserId, validateProblemCreation, validateId } = require('../middleware/validation');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { authorizeUser, authorizeResource } = require('../middleware/ownership');
+const {
+  validateUserId,
+  validateProblemCreation,
+  validateProblemUpdate,
+  validateId,
+  validateProblemAttempt,
+  validateProblemAttemptUpdate,
+  validateAttemptId,
+  validateProblemMerge,
+  validateProblemNotes,
+  validateProblemSnippet,
+  validateProblemSnippetUpdate,
+  validateSnippetId,
+  validateVersionDiff,
+  validateProblemListQuery,
+  validateProblemLink
+} = require('../middleware/validation');
 const { 
   createProblem, 
   getUserProblems, 
   getProblemById, 
   updateProblem, 
-  deleteProblem 
+  deleteProblem, 
+  mergeProblem, 
+  previewProblemLink 
 } = require('../controllers/problemController');
+const {
+  getProblemAttempts,
+  createProblemAttempt,
+  updateProblemAttempt,
+  deleteProblemAttempt
+} = require('../controllers/problemAttemptController');
+const {
+  getProblemNotes,
+  updateProblemNotes,
+  getProblemNoteVersions,
+  diffProblemNotes,
+  getProblemSnippets,
+  createProblemSnippet,
+  getProblemSnippet,
+  updateProblemSnippet,
+  deleteProblemSnippet,
+  getProblemSnippetVersions,
+  diffProblemSnippet
+} = require('../controllers/problemContentController');
 
-const router = express.Router();
-
-// ========== PROBLEM ROUTES ==========
+// ========== PROBLEM COLLECTION ROUTES ==========
 
 /**
- * POST /api/users/:userId/problems
- * Create a new coding problem for a user
+ * Build the routes on a user's problem collection. Mounted at
+ * /api/problems/users/:userId/problems and /api/me/problems.
+ * @param {Array<Function>} scopeUser - Middleware that resolves and authorizes req.params.userId
+ * @returns {Object} Express router
  */
-router.post('/users/:userId/problems', 
-  authenticateToken, 
-  validateUserId, 
-  validateProblemCreation, 
-  createProblem
-);
+const buildUserProblemRoutes = (scopeUser) => {
+  const router = express.Router({ mergeParams: true });
 
-/**
- * GET /api/users/:userId/problems
- * Get all problems for a specific user with optional filters
- */
-router.get('/users/:userId/problems', 
-  authenticateToken, 
-  validateUserId, 
-  getUserProblems
-);
+  /**
+   * POST /
+   * Create a new coding problem for a user
+   */
+  router.post('/', 
+    requireScope('problems:write'), 
+    ...scopeUser, 
+    validateProblemCreation, 
+    createProblem
+  );
+
+  /**
+   * GET /
+   * Get a page of a user's problems with optional filters, sorting and search
+   */
+  router.get('/', 
+    requireScope('problems:read'), 
+    ...scopeUser, 
+    validateProblemListQuery, 
+    getUserProblems
+  );
+
+  return router;
+};
+
+// ========== SINGLE PROBLEM ROUTES ==========
+
+// Mounted at /api/problems and /api/me/problems, after authentication
+const problemItemRoutes = express.Router();
 
 /**
  * GET /problems/:id
  * Get problem by ID
  */
-router.get('/:id', validateId, getProblemById);
+problemItemRoutes.get('/:id', 
+  requireScope('problems:read'), 
+  validateId, 
+  authorizeResource('problem'), 
+  getProblemById
+);
 
 /**
  * PUT /problems/:id
  * Update problem
  */
-router.put('/:id', 
-  authenticateToken, 
+problemItemRoutes.put('/:id', 
+  requireScope('problems:write'), 
   validateId, 
+  authorizeResource('problem'), 
+  validateProblemUpdate, 
   updateProblem
 );
 
@@ -61,10 +123,240 @@ router.put('/:id',
  * DELETE /problems/:id
  * Delete problem
  */
-router.delete('/:id', 
-  authenticateToken, 
+problemItemRoutes.delete('/:id', 
+  requireScope('problems:write'), 
   validateId, 
+  authorizeResource('problem'), 
   deleteProblem
 );
 
-module.exports = router;
+/**
+ * POST /problems/:id/merge
+ * Merge a duplicate problem into this one
+ */
+problemItemRoutes.post('/:id/merge', 
+  requireScope('problems:write'), 
+  validateId, 
+  authorizeResource('problem'), 
+  validateProblemMerge, 
+  mergeProblem
+);
+
+// ========== ATTEMPT ROUTES ==========
+
+/**
+ * GET /problems/:id/attempts
+ * List the attempts of a problem
+ */
+problemItemRoutes.get('/:id/attempts', 
+  requireScope('problems:read'), 
+  validateId, 
+  authorizeResource('problem'), 
+  getProblemAttempts
+);
+
+/**
+ * POST /problems/:id/attempts
+ * Record a new attempt at a problem
+ */
+problemItemRoutes.post('/:id/attempts', 
+  requireScope('problems:write'), 
+  validateId, 
+  authorizeResource('problem'), 
+  validateProblemAttempt, 
+  createProblemAttempt
+);
+
+/**
+ * PUT /problems/:id/attempts/:attemptId
+ * Update an attempt
+ */
+problemItemRoutes.put('/:id/attempts/:attemptId', 
+  requireScope('problems:write'), 
+  validateId, 
+  validateAttemptId, 
+  authorizeResource('problem'), 
+  validateProblemAttemptUpdate, 
+  updateProblemAttempt
+);
+
+/**
+ * DELETE /problems/:id/attempts/:attemptId
+ * Delete an attempt
+ */
+problemItemRoutes.delete('/:id/attempts/:attemptId', 
+  requireScope('problems:write'), 
+  validateId, 
+  validateAttemptId, 
+  authorizeResource('problem'), 
+  deleteProblemAttempt
+);
+
+// ========== NOTE AND SNIPPET ROUTES ==========
+
+/**
+ * GET /problems/:id/notes
+ * Get a problem's notes
+ */
+problemItemRoutes.get('/:id/notes', 
+  requireScope('problems:read'), 
+  validateId, 
+  authorizeResource('problem'), 
+  getProblemNotes
+);
+
+/**
+ * PUT /problems/:id/notes
+ * Save a problem's notes; changes are versioned
+ */
+problemItemRoutes.put('/:id/notes', 
+  requireScope('problems:write'), 
+  validateId, 
+  authorizeResource('problem'), 
+  validateProblemNotes, 
+  updateProblemNotes
+);
+
+/**
+ * GET /problems/:id/notes/versions
+ * List the versions of a problem's notes
+ */
+problemItemRoutes.get('/:id/notes/versions', 
+  requireScope('problems:read'), 
+  validateId, 
+  authorizeResource('problem'), 
+  getProblemNoteVersions
+);
+
+/**
+ * GET /problems/:id/notes/diff
+ * Diff two versions of a problem's notes
+ */
+problemItemRoutes.get('/:id/notes/diff', 
+  requireScope('problems:read'), 
+  validateId, 
+  authorizeResource('problem'), 
+  validateVersionDiff, 
+  diffProblemNotes
+);
+
+/**
+ * GET /problems/:id/snippets
+ * List a problem's solution snippets
+ */
+problemItemRoutes.get('/:id/snippets', 
+  requireScope('problems:read'), 
+  validateId, 
+  authorizeResource('problem'), 
+  getProblemSnippets
+);
+
+/**
+ * POST /problems/:id/snippets
+ * Add a solution snippet to a problem
+ */
+problemItemRoutes.post('/:id/snippets', 
+  requireScope('problems:write'), 
+  validateId, 
+  authorizeResource('problem'), 
+  validateProblemSnippet, 
+  createProblemSnippet
+);
+
+/**
+ * GET /problems/:id/snippets/:snippetId
+ * Get a solution snippet
+ */
+problemItemRoutes.get('/:id/snippets/:snippetId', 
+  requireScope('problems:read'), 
+  validateId, 
+  validateSnippetId, 
+  authorizeResource('problem'), 
+  getProblemSnippet
+);
+
+/**
+ * PUT /problems/:id/snippets/:snippetId
+ * Update a snippet; code changes are versioned
+ */
+problemItemRoutes.put('/:id/snippets/:snippetId', 
+  requireScope('problems:write'), 
+  validateId, 
+  validateSnippetId, 
+  authorizeResource('problem'), 
+  validateProblemSnippetUpdate, 
+  updateProblemSnippet
+);
+
+/**
+ * DELETE /problems/:id/snippets/:snippetId
+ * Delete a snippet and its history
+ */
+problemItemRoutes.delete('/:id/snippets/:snippetId', 
+  requireScope('problems:write'), 
+  validateId, 
+  validateSnippetId, 
+  authorizeResource('problem'), 
+  deleteProblemSnippet
+);
+
+/**
+ * GET /problems/:id/snippets/:snippetId/versions
+ * List the versions of a snippet
+ */
+problemItemRoutes.get('/:id/snippets/:snippetId/versions', 
+  requireScope('problems:read'), 
+  validateId, 
+  validateSnippetId, 
+  authorizeResource('problem'), 
+  getProblemSnippetVersions
+);
+
+/**
+ * GET /problems/:id/snippets/:snippetId/diff
+ * Diff two versions of a snippet
+ */
+problemItemRoutes.get('/:id/snippets/:snippetId/diff', 
+  requireScope('problems:read'), 
+  validateId, 
+  validateSnippetId, 
+  authorizeResource('problem'), 
+  validateVersionDiff, 
+  diffProblemSnippet
+);
+
+// ========== ROUTES UNDER /api/problems ==========
+
+const router = express.Router();
+
+/**
+ * /api/problems/users/:userId/problems
+ * A user's problems
+ */
+router.use('/users/:userId/problems', 
+  authenticateToken, 
+  buildUserProblemRoutes([validateUserId, authorizeUser()])
+);
+
+/**
+ * GET /problems/parse-link?url=
+ * Preview the platform, id, normalized URL and title of a problem link
+ */
+router.get('/parse-link', 
+  authenticateToken, 
+  requireScope('problems:read'), 
+  validateProblemLink, 
+  previewProblemLink
+);
+
+/**
+ * /api/problems/:id/...
+ * A single problem with its attempts, notes and snippets
+ */
+router.use('/', authenticateToken, problemItemRoutes);
+
+module.exports = {
+  router,
+  buildUserProblemRoutes,
+  problemItemRoutes
+};
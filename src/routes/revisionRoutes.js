@@ -1,51 +1,92 @@
 /**
  * REVISION ROUTES
- * 
+ *
  * Routes for spaced repetition system operations including
  * revision item creation, retrieval, and completion tracking.
+ * The collection and single-item routes are shared with /api/me.
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { authorizeUser, authorizeResource } = require('../middleware/ownership');
 const { validateUserId, validateId } = require('../middleware/validation');
-const { 
-  createRevisionItem, 
-  getUserRevisionItems, 
-  completeRevisionItem 
+const {
+  createRevisionItem,
+  getUserRevisionItems,
+  completeRevisionItem
 } = require('../controllers/revisionController');
 
-const router = express.Router();
+// ========== REVISION ITEM COLLECTION ROUTES ==========
+
+/**
+ * Build the routes on a user's revision items. Mounted at
+ * /api/revision/users/:userId/revision-items and /api/me/revision-items.
+ * @param {Array<Function>} scopeUser - Middleware that resolves and authorizes req.params.userId
+ * @returns {Object} Express router
+ */
+const buildUserRevisionRoutes = (scopeUser) => {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * POST /
+   * Create a new revision item for spaced repetition
+   */
+  router.post('/',
+    requireScope('revision:write'),
+    ...scopeUser,
+    createRevisionItem
+  );
+
+  /**
+   * GET /
+   * Get all revision items for a user with optional filters
+   */
+  router.get('/',
+    requireScope('revision:read'),
+    ...scopeUser,
+    getUserRevisionItems
+  );
+
+  return router;
+};
+
+// ========== SINGLE REVISION ITEM ROUTES ==========
 
-// ========== REVISION ITEM ROUTES ==========
+// Mounted at /api/revision/revision-items and /api/me/revision-items, after authentication
+const revisionItemRoutes = express.Router();
 
 /**
- * POST /api/users/:userId/revision-items
- * Create a new revision item for spaced repetition
+ * PUT /revision-items/:id/complete
+ * Mark revision item as completed and create next revision
  */
-router.post('/users/:userId/revision-items', 
-  authenticateToken, 
-  validateUserId, 
-  createRevisionItem
+revisionItemRoutes.put('/:id/complete',
+  requireScope('revision:write'),
+  validateId,
+  authorizeResource('revision'),
+  completeRevisionItem
 );
 
+// ========== ROUTES UNDER /api/revision ==========
+
+const router = express.Router();
+
 /**
- * GET /api/users/:userId/revision-items
- * Get all revision items for a user with optional filters
+ * /api/revision/users/:userId/revision-items
+ * A user's revision items
  */
-router.get('/users/:userId/revision-items', 
-  authenticateToken, 
-  validateUserId, 
-  getUserRevisionItems
+router.use('/users/:userId/revision-items',
+  authenticateToken,
+  buildUserRevisionRoutes([validateUserId, authorizeUser()])
 );
 
 /**
- * PUT /api/revision-items/:id/complete
- * Mark revision item as completed and create next revision
+ * /api/revision/revision-items/:id
+ * A single revision item
  */
-router.put('/revision-items/:id/complete', 
-  authenticateToken, 
-  validateId, 
-  completeRevisionItem
-);
+router.use('/revision-items', authenticateToken, revisionItemRoutes);
 
-module.exports = router;
+module.exports = {
+  router,
+  buildUserRevisionRoutes,
+  revisionItemRoutes
+};
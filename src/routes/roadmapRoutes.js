@@ -2,16 +2,22 @@
  * ROADMAP ROUTES
  * 
  * Routes for roadmap operations including
- * roadmap creation, topic/subtopic management, and progress tracking.
+ * roadmap creation, topic/subtopic management, progress tracking, and
+ * subtopic links to problems and learning items.
+ * The roadmap collection routes are shared with /api/me.
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { authorizeUser, authorizeResource } = require('../middleware/ownership');
 const { 
   validateUserId, 
   validateRoadmap, 
   validateTopic, 
   validateSubtopic, 
+  validateSubtopicLinks, 
+  validateSubtopicAutoComplete, 
+  validateLinkedItemId, 
   validateId 
 } = require('../middleware/validation');
 const { 
@@ -23,42 +29,86 @@ const {
   completeTopic, 
   completeSubtopic, 
   uncompleteTopic, 
-  uncompleteSubtopic 
+  uncompleteSubtopic, 
+  deleteRoadmap, 
+  deleteTopic, 
+  deleteSubtopic, 
+  linkSubtopicWork, 
+  unlinkSubtopicProblem, 
+  unlinkSubtopicLearningItem, 
+  updateSubtopicAutoComplete 
 } = require('../controllers/roadmapController');
 
+// ========== ROADMAP COLLECTION ROUTES ==========
+
+/**
+ * Build the routes on a user's roadmaps. Mounted at
+ * /api/roadmap/users/:userId/roadmaps and /api/me/roadmaps.
+ * @param {Array<Function>} scopeUser - Middleware that resolves and authorizes req.params.userId
+ * @returns {Object} Express router
+ */
+const buildUserRoadmapRoutes = (scopeUser) => {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * POST /
+   * Create a new roadmap for a user
+   */
+  router.post('/', 
+    requireScope('roadmaps:write'), 
+    ...scopeUser, 
+    validateRoadmap, 
+    createRoadmap
+  );
+
+  /**
+   * GET /
+   * Get all roadmaps for a user with topics and subtopics
+   */
+  router.get('/', 
+    requireScope('roadmaps:read'), 
+    ...scopeUser, 
+    getUserRoadmaps
+  );
+
+  return router;
+};
+
 const router = express.Router();
 
 // ========== ROADMAP ROUTES ==========
 
 /**
- * POST /api/users/:userId/roadmaps
- * Create a new roadmap for a user
+ * /api/roadmap/users/:userId/roadmaps
+ * A user's roadmaps
  */
-router.post('/users/:userId/roadmaps', 
+router.use('/users/:userId/roadmaps', 
   authenticateToken, 
-  validateUserId, 
-  validateRoadmap, 
-  createRoadmap
+  buildUserRoadmapRoutes([validateUserId, authorizeUser()])
 );
 
 /**
- * GET /api/users/:userId/roadmaps
- * Get all roadmaps for a user with topics and subtopics
+ * GET /api/roadmaps/:roadmapId
+ * Get single roadmap with topics, subtopics and their linked work
  */
-router.get('/users/:userId/roadmaps', 
+router.get('/roadmaps/:roadmapId', 
   authenticateToken, 
-  validateUserId, 
-  getUserRoadmaps
+  requireScope('roadmaps:read'), 
+  validateId, 
+  authorizeResource('roadmap', 'roadmapId'), 
+  getRoadmapById
 );
 
 /**
- * GET /api/roadmaps/:roadmapId
- * Get single roadmap with topics and subtopics
+ * DELETE /api/roadmaps/:roadmapId
+ * Move a roadmap with its topics and subtopics to the trash
  */
-router.get('/roadmaps/:roadmapId', 
+router.delete('/roadmaps/:roadmapId', 
   authenticateToken, 
+  requireScope('roadmaps:write'), 
   validateId, 
-  getRoadmapById
+  authorizeResource('roadmap', 'roadmapId'), 
+  deleteRoadmap
 );
 
 // ========== TOPIC ROUTES ==========
@@ -69,7 +119,9 @@ router.get('/roadmaps/:roadmapId',
  */
 router.post('/roadmaps/:roadmapId/topics', 
   authenticateToken, 
+  requireScope('roadmaps:write'), 
   validateId, 
+  authorizeResource('roadmap', 'roadmapId'), 
   validateTopic, 
   createTopic
 );
@@ -80,7 +132,9 @@ router.post('/roadmaps/:roadmapId/topics',
  */
 router.put('/topics/:id/complete', 
   authenticateToken, 
+  requireScope('roadmaps:write'), 
   validateId, 
+  authorizeResource('topic'), 
   completeTopic
 );
 
@@ -90,10 +144,24 @@ router.put('/topics/:id/complete',
  */
 router.put('/topics/:id/uncomplete', 
   authenticateToken, 
+  requireScope('roadmaps:write'), 
   validateId, 
+  authorizeResource('topic'), 
   uncompleteTopic
 );
 
+/**
+ * DELETE /api/topics/:id
+ * Move a topic with its subtopics to the trash
+ */
+router.delete('/topics/:id', 
+  authenticateToken, 
+  requireScope('roadmaps:write'), 
+  validateId, 
+  authorizeResource('topic'), 
+  deleteTopic
+);
+
 // ========== SUBTOPIC ROUTES ==========
 
 /**
@@ -102,7 +170,9 @@ router.put('/topics/:id/uncomplete',
  */
 router.post('/topics/:topicId/subtopics', 
   authenticateToken, 
+  requireScope('roadmaps:write'), 
   validateId, 
+  authorizeResource('topic', 'topicId'), 
   validateSubtopic, 
   createSubtopic
 );
@@ -113,7 +183,9 @@ router.post('/topics/:topicId/subtopics',
  */
 router.put('/subtopics/:id/complete', 
   authenticateToken, 
+  requireScope('roadmaps:write'), 
   validateId, 
+  authorizeResource('subtopic'), 
   completeSubtopic
 );
 
@@ -123,8 +195,79 @@ router.put('/subtopics/:id/complete',
  */
 router.put('/subtopics/:id/uncomplete', 
   authenticateToken, 
+  requireScope('roadmaps:write'), 
   validateId, 
+  authorizeResource('subtopic'), 
   uncompleteSubtopic
 );
 
-module.exports = router;
+/**
+ * DELETE /api/subtopics/:id
+ * Move a subtopic to the trash
+ */
+router.delete('/subtopics/:id', 
+  authenticateToken, 
+  requireScope('roadmaps:write'), 
+  validateId, 
+  authorizeResource('subtopic'), 
+  deleteSubtopic
+);
+
+/**
+ * PUT /api/subtopics/:id/auto-complete
+ * Turn completing the subtopic from its linked work on or off
+ */
+router.put('/subtopics/:id/auto-complete', 
+  authenticateToken, 
+  requireScope('roadmaps:write'), 
+  validateId, 
+  authorizeResource('subtopic'), 
+  validateSubtopicAutoComplete, 
+  updateSubtopicAutoComplete
+);
+
+// ========== SUBTOPIC LINK ROUTES ==========
+
+/**
+ * POST /api/subtopics/:id/links
+ * Link problems and learning items to a subtopic
+ */
+router.post('/subtopics/:id/links', 
+  authenticateToken, 
+  requireScope('roadmaps:write'), 
+  validateId, 
+  authorizeResource('subtopic'), 
+  validateSubtopicLinks, 
+  linkSubtopicWork
+);
+
+/**
+ * DELETE /api/subtopics/:id/links/problems/:itemId
+ * Unlink a problem from a subtopic
+ */
+router.delete('/subtopics/:id/links/problems/:itemId', 
+  authenticateToken, 
+  requireScope('roadmaps:write'), 
+  validateId, 
+  validateLinkedItemId, 
+  authorizeResource('subtopic'), 
+  unlinkSubtopicProblem
+);
+
+/**
+ * DELETE /api/subtopics/:id/links/learning-items/:itemId
+ * Unlink a learning item from a subtopic
+ */
+router.delete('/subtopics/:id/links/learning-items/:itemId', 
+  authenticateToken, 
+  requireScope('roadmaps:write'), 
+  validateId, 
+  validateLinkedItemId, 
+  authorizeResource('subtopic'), 
+  unlinkSubtopicLearningItem
+);
+
+module.exports = {
+  router,
+  buildUserRoadmapRoutes
+};
@@ -0,0 +1,118 @@
+/**
+ * TAXONOMY ROUTES
+ * 
+ * Routes for the shared topic taxonomy. Any signed-in user can browse
+ * and search it; adding, changing and deleting topics and aliases
+ * needs the taxonomy:manage permission (admins).
+ */
+
+const express = require('express');
+const { authenticateToken, requirePermission, requireSession } = require('../middleware/auth');
+const {
+  validateId,
+  validateAliasId,
+  validateTaxonomyQuery,
+  validateTaxonomyTopic,
+  validateTaxonomyTopicUpdate,
+  validateTaxonomyAlias
+} = require('../middleware/validation');
+const {
+  getTaxonomy,
+  getTopic,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+  addAlias,
+  removeAlias
+} = require('../controllers/taxonomyController');
+
+const router = express.Router();
+
+// ========== TAXONOMY ROUTES ==========
+
+/**
+ * GET /api/taxonomy
+ * Get the taxonomy tree, or search topics and aliases with ?q=
+ */
+router.get('/', 
+  authenticateToken, 
+  validateTaxonomyQuery, 
+  getTaxonomy
+);
+
+/**
+ * GET /api/taxonomy/:id
+ * Get a topic with its path, aliases and subtopics
+ */
+router.get('/:id', 
+  authenticateToken, 
+  validateId, 
+  getTopic
+);
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * POST /api/taxonomy
+ * Add a topic
+ */
+router.post('/', 
+  authenticateToken, 
+  requireSession, 
+  requirePermission('taxonomy:manage'), 
+  validateTaxonomyTopic, 
+  createTopic
+);
+
+/**
+ * PUT /api/taxonomy/:id
+ * Rename, describe or move a topic
+ */
+router.put('/:id', 
+  authenticateToken, 
+  requireSession, 
+  requirePermission('taxonomy:manage'), 
+  validateId, 
+  validateTaxonomyTopicUpdate, 
+  updateTopic
+);
+
+/**
+ * DELETE /api/taxonomy/:id
+ * Delete a topic; its subtopics and items move to its parent
+ */
+router.delete('/:id', 
+  authenticateToken, 
+  requireSession, 
+  requirePermission('taxonomy:manage'), 
+  validateId, 
+  deleteTopic
+);
+
+/**
+ * POST /api/taxonomy/:id/aliases
+ * Add an alias to a topic
+ */
+router.post('/:id/aliases', 
+  authenticateToken, 
+  requireSession, 
+  requirePermission('taxonomy:manage'), 
+  validateId, 
+  validateTaxonomyAlias, 
+  addAlias
+);
+
+/**
+ * DELETE /api/taxonomy/:id/aliases/:aliasId
+ * Remove an alias from a topic
+ */
+router.delete('/:id/aliases/:aliasId', 
+  authenticateToken, 
+  requireSession, 
+  requirePermission('taxonomy:manage'), 
+  validateId, 
+  validateAliasId, 
+  removeAlias
+);
+
+module.exports = router;
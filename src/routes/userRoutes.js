@@ -6,9 +6,21 @@
  */
 
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const { validateUserId } = require('../middleware/validation');
-const { getAllUsers, getUserById, getUserStats } = require('../controllers/userController');
+const {
+  authenticateToken,
+  requirePermission,
+  requireScope,
+  requireSession
+} = require('../middleware/auth');
+const { authorizeUser } = require('../middleware/ownership');
+const { validateUserId, validateId, validateRoleUpdate } = require('../middleware/validation');
+const {
+  getAllUsers,
+  getUserById,
+  getUserStats,
+  changeUserRole,
+  deleteUser
+} = require('../controllers/userController');
 
 const router = express.Router();
 
@@ -16,20 +28,64 @@ const router = express.Router();
 
 /**
  * GET /api/users
- * Get all users with their associated problems
+ * Get all users with their associated problems (admin only)
  */
-router.get('/', getAllUsers);
+router.get('/', 
+  authenticateToken, 
+  requireSession, 
+  requirePermission('users:read'), 
+  getAllUsers
+);
 
 /**
  * GET /users/:id
  * Get user by ID with their problems
  */
-router.get('/:id', validateUserId, getUserById);
+router.get('/:id', 
+  authenticateToken, 
+  requireScope('profile:read'), 
+  validateId, 
+  authorizeUser('id', { permission: 'users:read' }), 
+  getUserById
+);
 
 /**
  * GET /users/:userId/stats
  * Get user statistics including problems solved, time spent, and breakdowns
  */
-router.get('/:userId/stats', validateUserId, getUserStats);
+router.get('/:userId/stats', 
+  authenticateToken, 
+  requireScope('analytics:read'), 
+  validateUserId, 
+  authorizeUser('userId', { permission: 'users:read' }), 
+  getUserStats
+);
+
+// ========== ADMIN ROUTES ==========
+
+/**
+ * PATCH /users/:id/role
+ * Change a user's role (admin only)
+ */
+router.patch('/:id/role', 
+  authenticateToken, 
+  requireSession, 
+  requirePermission('users:manage'), 
+  validateId, 
+  validateRoleUpdate, 
+  changeUserRole
+);
+
+/**
+ * DELETE /users/:id
+ * Delete a user and all their data (admin only)
+ */
+router.delete('/:id', 
+  authenticateToken, 
+  requireSession, 
+  requirePermission('users:manage'), 
+  validateId, 
+  deleteUser
+);
 
 module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * ADMIN BOOTSTRAP COMMAND
+ *
+ * Promotes an existing user to the admin role. The first admin has to be
+ * created this way because only admins can change roles over the API.
+ *
+ * Usage: npm run create-admin -- <email>
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const initializeDatabase = require('../database/init');
+
+async function createAdmin() {
+  const email = process.argv[2];
+
+  if (!email) {
+    console.error('Usage: npm run create-admin -- <email>');
+    process.exit(1);
+  }
+
+  await initializeDatabase();
+
+  const user = await User.findOne({
+    where: { email: { [Op.in]: [email, email.toLowerCase()] } }
+  });
+  if (!user) {
+    console.error(`❌ No user found with email ${email}. Register the account first.`);
+    process.exit(1);
+  }
+
+  if (user.role === 'admin') {
+    console.log(`ℹ️ ${email} is already an admin.`);
+  } else {
+    await user.update({ role: 'admin' });
+    console.log(`✅ ${email} is now an admin.`);
+  }
+
+  await User.sequelize.close();
+}
+
+createAdmin().catch((error) => {
+  console.error('❌ Failed to create admin:', error);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+/**
+ * TRASH PURGE COMMAND
+ *
+ * Permanently deletes trashed items older than the retention period
+ * (TRASH_RETENTION_DAYS, 30 days by default). The server also runs this
+ * once a day; the command is for running it from cron instead, or with
+ * a different age.
+ *
+ * Usage: npm run purge-trash -- [days]
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { sequelize } = require('../models');
+const initializeDatabase = require('../database/init');
+const { purgeExpiredTrash } = require('../services/trashService');
+const { TRASH_CONSTANTS } = require('../utils/constants');
+
+async function purgeTrash() {
+  const days = process.argv[2] === undefined ? TRASH_CONSTANTS.RETENTION_DAYS : Number(process.argv[2]);
+
+  if (!Number.isInteger(days) || days < 0) {
+    console.error('Usage: npm run purge-trash -- [days]');
+    process.exit(1);
+  }
+
+  await initializeDatabase();
+
+  const purged = await purgeExpiredTrash({ olderThanDays: days });
+  const summary = Object.entries(purged).map(([type, count]) => `${type}: ${count}`).join(', ');
+  console.log(`✅ Purged items trashed more than ${days} days ago (${summary}).`);
+
+  await sequelize.close();
+}
+
+purgeTrash().catch((error) => {
+  console.error('❌ Failed to purge trash:', error);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+/**
+ * PERSONAL ACCESS TOKEN SERVICE
+ *
+ * Business logic for personal access tokens: creating, listing,
+ * revoking and resolving them to a user on each request.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, PersonalAccessToken } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { ACCESS_TOKEN_CONSTANTS } = require('../utils/constants');
+const { hashToken } = require('./authService');
+
+/**
+ * Check whether a bearer token looks like a personal access token
+ * @param {string} token - Raw bearer token
+ * @returns {boolean} True for personal access tokens
+ */
+const isPersonalAccessToken = (token) => {
+  return typeof token === 'string' && token.startsWith(ACCESS_TOKEN_CONSTANTS.PREFIX);
+};
+
+/**
+ * Shape a token record for API responses (never includes the hash)
+ * @param {Object} record - PersonalAccessToken record
+ * @returns {Object} Public token data
+ */
+const toTokenSummary = (record) => ({
+  id: record.id,
+  name: record.name,
+  tokenPrefix: record.tokenPrefix,
+  scopes: record.scopes,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  createdAt: record.createdAt
+});
+
+/**
+ * Active (not revoked, not expired) tokens condition
+ * @returns {Object} Sequelize where clause
+ */
+const activeTokenWhere = () => ({
+  revokedAt: null,
+  [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: new Date() } }]
+});
+
+/**
+ * Create a personal access token
+ * @param {Object} user - User object
+ * @param {Object} tokenData - { name, scopes, expiresInDays }
+ * @returns {Object} Token summary plus the raw token (shown once)
+ */
+const createAccessToken = async (user, tokenData) => {
+  try {
+    const { name, scopes, expiresInDays } = tokenData;
+
+    const activeCount = await PersonalAccessToken.count({
+      where: { userId: user.id, ...activeTokenWhere() }
+    });
+    if (activeCount >= ACCESS_TOKEN_CONSTANTS.MAX_PER_USER) {
+      throw new AppError(`You can have at most ${ACCESS_TOKEN_CONSTANTS.MAX_PER_USER} active tokens`, 409);
+    }
+
+    const token = ACCESS_TOKEN_CONSTANTS.PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = await PersonalAccessToken.create({
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, ACCESS_TOKEN_CONSTANTS.PREFIX.length + 8),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+      userId: user.id
+    });
+
+    return { ...toTokenSummary(record), token };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to create access token', 500);
+  }
+};
+
+/**
+ * List a user's active personal access tokens
+ * @param {Object} user - User object
+ * @returns {Array} Token summaries
+ */
+const listAccessTokens = async (user) => {
+  try {
+    const records = await PersonalAccessToken.findAll({
+      where: { userId: user.id, ...activeTokenWhere() },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return records.map(toTokenSummary);
+  } catch (error) {
+    throw new AppError('Failed to retrieve access tokens', 500);
+  }
+};
+
+/**
+ * Revoke one of a user's personal access tokens
+ * @param {Object} user - User object
+ * @param {number} tokenId - Token ID
+ * @returns {boolean} Success status
+ */
+const revokeAccessToken = async (user, tokenId) => {
+  const [revoked] = await PersonalAccessToken.update(
+    { revokedAt: new Date() },
+    { where: { id: tokenId, userId: user.id, revokedAt: null } }
+  );
+
+  if (revoked === 0) {
+    throw new AppError('Access token not found', 404);
+  }
+
+  return true;
+};
+
+/**
+ * Resolve a raw personal access token to its user
+ * @param {string} token - Raw bearer token
+ * @returns {Object|null} { user, record }, or null if the token is invalid, revoked or expired
+ */
+const resolveAccessToken = async (token) => {
+  const record = await PersonalAccessToken.findOne({
+    where: { tokenHash: hashToken(token), ...activeTokenWhere() },
+    include: [{ model: User, as: 'user' }]
+  });
+
+  if (!record || !record.user) {
+    return null;
+  }
+
+  const lastUsed = record.lastUsedAt ? record.lastUsedAt.getTime() : 0;
+  if (Date.now() - lastUsed > ACCESS_TOKEN_CONSTANTS.LAST_USED_RESOLUTION_MS) {
+    await record.update({ lastUsedAt: new Date() });
+  }
+
+  return { user: record.user, record };
+};
+
+module.exports = {
+  isPersonalAccessToken,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+  resolveAccessToken
+};
@@ -8,6 +8,7 @@
 const { Problem, LearningItem, RevisionItem, Roadmap } = require('../models');
 const { Op } = require('sequelize');
 const { AppError } = require('../middleware/errorHandler');
+const { loadTaxonomy } = require('./taxonomyService');
 
 /**
  * Get comprehensive analytics for a user
@@ -23,18 +24,19 @@ const getAnalytics = async (userId, options = {}) => {
     const dateFilters = buildDateFilters(timeframe, startDate, endDate);
 
     // Get data with filters
-    const [problems, learningItems, revisionItems, roadmaps] = await Promise.all([
+    const [problems, learningItems, revisionItems, roadmaps, taxonomy] = await Promise.all([
       Problem.findAll({ where: { userId, ...dateFilters.problems } }),
       LearningItem.findAll({ where: { userId, ...dateFilters.learning } }),
       RevisionItem.findAll({ where: { userId, ...dateFilters.revision } }),
-      Roadmap.findAll({ where: { userId } })
+      Roadmap.findAll({ where: { userId } }),
+      loadTaxonomy()
     ]);
 
     // Calculate analytics
     const analytics = {
       overview: calculateOverviewMetrics(problems, learningItems, roadmaps),
       performanceMetrics: calculatePerformanceMetrics(problems, learningItems),
-      topicAnalysis: calculateTopicAnalysis(problems),
+      topicAnalysis: calculateTopicAnalysis(problems, taxonomy),
       difficultyAnalysis: calculateDifficultyAnalysis(problems),
       timeAnalysis: calculateTimeAnalysis(problems),
       aiInsights: generateAIInsights(problems, learningItems),
@@ -252,31 +254,114 @@ const calculatePerformanceMetrics = (problems, learningItems) => {
 };
 
 /**
- * Calculate topic analysis
+ * Add a problem to running topic totals
+ * @param {Object} stats - { total, solved, time }
+ * @param {Object} problem - Problem
+ */
+const addToTopicStats = (stats, problem) => {
+  stats.total++;
+  stats.time += problem.timeSpent || 0;
+  if (problem.outcome === 'solved') {
+    stats.solved++;
+  }
+};
+
+/**
+ * Turn topic totals into the numbers reported per topic
+ * @param {Object} stats - { total, solved, time }
+ * @returns {Object} Topic metrics
+ */
+const summarizeTopicStats = (stats) => ({
+  totalProblems: stats.total,
+  solvedProblems: stats.solved,
+  successRate: Math.round((stats.solved / stats.total) * 100),
+  averageTime: Math.round(stats.time / stats.total)
+});
+
+/**
+ * Build the taxonomy tree of a user's problems. Each topic's numbers
+ * include the problems filed under its subtopics; topics without any
+ * problems are left out.
+ * @param {Array} problems - Problems array
+ * @param {Array} taxonomy - Taxonomy topics { id, name, parentId }
+ * @returns {Array} Root topics with nested children
+ */
+const buildTopicHierarchy = (problems, taxonomy) => {
+  const ownStats = new Map();
+  problems.forEach(problem => {
+    if (!problem.taxonomyTopicId) {
+      return;
+    }
+    if (!ownStats.has(problem.taxonomyTopicId)) {
+      ownStats.set(problem.taxonomyTopicId, { total: 0, solved: 0, time: 0 });
+    }
+    addToTopicStats(ownStats.get(problem.taxonomyTopicId), problem);
+  });
+
+  const childrenOf = new Map();
+  taxonomy.forEach(topic => {
+    const parentId = topic.parentId || null;
+    if (!childrenOf.has(parentId)) {
+      childrenOf.set(parentId, []);
+    }
+    childrenOf.get(parentId).push(topic);
+  });
+
+  const buildNode = (topic) => {
+    const children = (childrenOf.get(topic.id) || []).map(buildNode).filter(Boolean);
+    const stats = children.reduce((total, child) => ({
+      total: total.total + child.stats.total,
+      solved: total.solved + child.stats.solved,
+      time: total.time + child.stats.time
+    }), { ...(ownStats.get(topic.id) || { total: 0, solved: 0, time: 0 }) });
+
+    if (stats.total === 0) {
+      return null;
+    }
+    return { topic, stats, children };
+  };
+
+  const format = ({ topic, stats, children }) => ({
+    id: topic.id,
+    topic: topic.name,
+    ...summarizeTopicStats(stats),
+    children: children
+      .sort((a, b) => b.stats.total - a.stats.total)
+      .map(format)
+  });
+
+  return (childrenOf.get(null) || [])
+    .map(buildNode)
+    .filter(Boolean)
+    .sort((a, b) => b.stats.total - a.stats.total)
+    .map(format);
+};
+
+/**
+ * Calculate topic analysis. Problems filed under a taxonomy topic are
+ * grouped by its name, so synonyms such as "DP" and "Dynamic
+ * Programming" count together; other problems are grouped by their
+ * free-text topic. topicHierarchy rolls subtopics up into their parents.
  * @param {Array} problems - Problems array
+ * @param {Array} [taxonomy] - Taxonomy topics { id, name, parentId }
  * @returns {Object} Topic analysis
  */
-const calculateTopicAnalysis = (problems) => {
+const calculateTopicAnalysis = (problems, taxonomy = []) => {
+  const taxonomyById = new Map(taxonomy.map(topic => [topic.id, topic]));
   const topicStats = {};
   problems.forEach(problem => {
-    if (!topicStats[problem.topic]) {
-      topicStats[problem.topic] = { total: 0, solved: 0 };
-    }
-    topicStats[problem.topic].total++;
-    if (problem.outcome === 'solved') {
-      topicStats[problem.topic].solved++;
+    const filedUnder = taxonomyById.get(problem.taxonomyTopicId);
+    const topic = filedUnder ? filedUnder.name : problem.topic;
+    if (!topicStats[topic]) {
+      topicStats[topic] = { total: 0, solved: 0, time: 0 };
     }
+    addToTopicStats(topicStats[topic], problem);
   });
 
   const topicAnalysis = Object.entries(topicStats)
     .map(([topic, stats]) => ({
       topic,
-      totalProblems: stats.total,
-      solvedProblems: stats.solved,
-      successRate: Math.round((stats.solved / stats.total) * 100),
-      averageTime: Math.round(problems
-        .filter(p => p.topic === topic)
-        .reduce((total, p) => total + (p.timeSpent || 0), 0) / stats.total)
+      ...summarizeTopicStats(stats)
     }))
     .sort((a, b) => b.successRate - a.successRate);
 
@@ -294,7 +379,8 @@ const calculateTopicAnalysis = (problems) => {
   return {
     strongestTopics,
     weakestTopics,
-    topicDistribution
+    topicDistribution,
+    topicHierarchy: buildTopicHierarchy(problems, taxonomy)
   };
 };
 
@@ -398,8 +484,8 @@ const generateAIInsights = (problems, learningItems) => {
       },
       {
         metric: 'Success Rate',
-        current: problems.length > 0 ? Math.round((problems.filter(p => p.outcome === 'solved').length / problems.length) * 100 : 0,
-        predicted: Math.min((problems.length > 0 ? Math.round((problems.filter(p => p.outcome === 'solved').length / problems.length) * 100 : 0) + 5, 100),
+        current: problems.length > 0 ? Math.round((problems.filter(p => p.outcome === 'solved').length / problems.length) * 100) : 0,
+        predicted: Math.min((problems.length > 0 ? Math.round((problems.filter(p => p.outcome === 'solved').length / problems.length) * 100) : 0) + 5, 100),
         timeframe: 'Next Month'
       }
     ],
@@ -456,5 +542,6 @@ const calculateRoadmapProgress = (roadmaps) => {
 };
 
 module.exports = {
-  getAnalytics
+  getAnalytics,
+  calculateTopicAnalysis
 };
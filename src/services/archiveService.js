@@ -0,0 +1,488 @@
+/**
+ * ARCHIVE SERVICE
+ *
+ * Full export of everything a user owns as one versioned JSON document,
+ * and the matching import that restores an archive into an account.
+ * Exports are streamed in batches so large histories never sit in
+ * memory at once. Imports run in one transaction and remap every id,
+ * including the itemId references on revision items, the problem
+ * references of problem list entries and the work linked to subtopics.
+ */
+
+const { once } = require('events');
+const {
+  Problem,
+  ProblemAttempt,
+  ProblemSnippet,
+  ProblemSnippetVersion,
+  ProblemNoteVersion,
+  ProblemList,
+  ProblemListItem,
+  LearningItem,
+  RevisionItem,
+  Roadmap,
+  Topic,
+  Subtopic,
+  SubtopicProblem,
+  SubtopicLearningItem,
+  sequelize
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { ARCHIVE_CONSTANTS } = require('../utils/constants');
+const { recordInitialAttempt, syncProblemFromAttempts } = require('./problemAttemptService');
+const { saveNotes } = require('./problemContentService');
+
+// Owner and parent ids are implied by nesting; timestamps are not restored.
+// Taxonomy ids differ between servers, so imported items are filed again from their topic text.
+// Trashed records are not exported, and imported records never start out in the trash.
+const OMITTED_FIELDS = [
+  'userId', 'problemId', 'snippetId', 'listId', 'roadmapId', 'topicId', 'taxonomyTopicId', 'createdAt', 'updatedAt', 'deletedAt'
+];
+
+/**
+ * List the columns of a model that go into an archive
+ * @param {Object} model - Sequelize model
+ * @param {boolean} [withId] - Keep the id (exports keep it so references can be remapped)
+ * @returns {Array<string>} Field names
+ */
+const archiveFields = (model, withId = true) => {
+  return Object.keys(model.rawAttributes)
+    .filter(field => !OMITTED_FIELDS.includes(field) && (withId || field !== 'id'));
+};
+
+/**
+ * Copy the given fields of a record or plain object
+ * @param {Object} source - Model instance or plain object
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} Plain object with the fields that are present
+ */
+const pickFields = (source, fields) => {
+  const data = typeof source.get === 'function' ? source.get({ plain: true }) : source;
+  return fields.reduce((picked, field) => {
+    if (data[field] !== undefined) {
+      picked[field] = data[field];
+    }
+    return picked;
+  }, {});
+};
+
+// ========== EXPORT ==========
+
+/**
+ * Serializers for each archive section, with the query that loads it.
+ * The queries are paranoid, so trashed records (and trashed work linked
+ * to subtopics) are left out.
+ */
+const exportSections = [
+  {
+    name: 'problems',
+    model: Problem,
+    // Snippets and note versions load separately to avoid multiplying rows with attempts
+    include: [
+      { model: ProblemAttempt, as: 'attempts' },
+      {
+        model: ProblemSnippet,
+        as: 'snippets',
+        separate: true,
+        include: [{ model: ProblemSnippetVersion, as: 'versions' }],
+        order: [['id', 'ASC'], [{ model: ProblemSnippetVersion, as: 'versions' }, 'version', 'ASC']]
+      },
+      { model: ProblemNoteVersion, as: 'noteVersions', separate: true, order: [['version', 'ASC']] }
+    ],
+    order: [['id', 'ASC'], [{ model: ProblemAttempt, as: 'attempts' }, 'date', 'ASC']],
+    // Attempts keep their ids so the versions that point at them can be remapped
+    serialize: (problem) => ({
+      ...pickFields(problem, archiveFields(Problem)),
+      attempts: problem.attempts.map(attempt => pickFields(attempt, archiveFields(ProblemAttempt))),
+      snippets: problem.snippets.map(snippet => ({
+        ...pickFields(snippet, archiveFields(ProblemSnippet, false)),
+        versions: snippet.versions.map(version => pickFields(version, archiveFields(ProblemSnippetVersion, false)))
+      })),
+      noteVersions: problem.noteVersions.map(version => pickFields(version, archiveFields(ProblemNoteVersion, false)))
+    })
+  },
+  {
+    name: 'problemLists',
+    model: ProblemList,
+    include: [{ model: ProblemListItem, as: 'items' }],
+    order: [['id', 'ASC'], [{ model: ProblemListItem, as: 'items' }, 'position', 'ASC']],
+    // Entries keep the id of their problem so it can be remapped
+    serialize: (list) => ({
+      ...pickFields(list, archiveFields(ProblemList)),
+      items: list.items.map(item => ({
+        ...pickFields(item, archiveFields(ProblemListItem, false)),
+        problemId: item.problemId
+      }))
+    })
+  },
+  {
+    name: 'learningItems',
+    model: LearningItem,
+    order: [['id', 'ASC']],
+    serialize: (item) => pickFields(item, archiveFields(LearningItem))
+  },
+  {
+    name: 'revisionItems',
+    model: RevisionItem,
+    order: [['id', 'ASC']],
+    serialize: (item) => pickFields(item, archiveFields(RevisionItem))
+  },
+  {
+    name: 'roadmaps',
+    model: Roadmap,
+    include: [{
+      model: Topic,
+      as: 'topics',
+      include: [{
+        model: Subtopic,
+        as: 'subtopics',
+        include: [
+          { model: Problem, as: 'problems', attributes: ['id'], through: { attributes: [] } },
+          { model: LearningItem, as: 'learningItems', attributes: ['id'], through: { attributes: [] } }
+        ]
+      }]
+    }],
+    order: [
+      ['id', 'ASC'],
+      [{ model: Topic, as: 'topics' }, 'order', 'ASC'],
+      [{ model: Topic, as: 'topics' }, { model: Subtopic, as: 'subtopics' }, 'order', 'ASC']
+    ],
+    serialize: (roadmap) => ({
+      ...pickFields(roadmap, archiveFields(Roadmap)),
+      topics: roadmap.topics.map(topic => ({
+        ...pickFields(topic, archiveFields(Topic, false)),
+        // Subtopics keep the ids of their linked work so it can be remapped
+        subtopics: topic.subtopics.map(subtopic => ({
+          ...pickFields(subtopic, archiveFields(Subtopic, false)),
+          problemIds: subtopic.problems.map(problem => problem.id),
+          learningItemIds: subtopic.learningItems.map(item => item.id)
+        }))
+      }))
+    })
+  }
+];
+
+/**
+ * Write to a stream, waiting when its buffer is full
+ * @param {Object} stream - Writable stream (e.g. the Express response)
+ * @param {string} chunk - Text to write
+ */
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+};
+
+/**
+ * Load a user's records of one section in id-ordered batches
+ * @param {Object} section - Entry of exportSections
+ * @param {number} userId - User ID
+ * @returns {AsyncGenerator} Records
+ */
+async function* findInBatches(section, userId) {
+  const batchSize = ARCHIVE_CONSTANTS.EXPORT_BATCH_SIZE;
+
+  for (let offset = 0; ; offset += batchSize) {
+    const records = await section.model.findAll({
+      where: { userId },
+      include: section.include,
+      order: section.order,
+      limit: batchSize,
+      offset
+    });
+
+    yield* records;
+
+    if (records.length < batchSize) {
+      return;
+    }
+  }
+}
+
+/**
+ * Stream a user's archive as JSON
+ * @param {Object} user - User object
+ * @param {Object} stream - Writable stream (e.g. the Express response)
+ */
+const streamArchive = async (user, stream) => {
+  const header = {
+    format: ARCHIVE_CONSTANTS.FORMAT,
+    version: ARCHIVE_CONSTANTS.VERSION,
+    exportedAt: new Date().toISOString(),
+    account: {
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName
+    }
+  };
+
+  // Write the header fields, then open each section and stream its records
+  await writeChunk(stream, JSON.stringify(header, null, 2).replace(/\n}$/, ''));
+
+  for (const section of exportSections) {
+    await writeChunk(stream, `,\n  ${JSON.stringify(section.name)}: [`);
+
+    let count = 0;
+    for await (const record of findInBatches(section, user.id)) {
+      await writeChunk(stream, `${count > 0 ? ',' : ''}\n    ${JSON.stringify(section.serialize(record))}`);
+      count++;
+    }
+
+    await writeChunk(stream, count > 0 ? '\n  ]' : ']');
+  }
+
+  await writeChunk(stream, '\n}\n');
+};
+
+// ========== IMPORT ==========
+
+/**
+ * Check that a document is an archive this version can read
+ * @param {Object} archive - Parsed archive
+ * @returns {Object} Sections, with missing ones as empty arrays
+ */
+const readArchive = (archive) => {
+  if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_CONSTANTS.FORMAT) {
+    throw new AppError(`Not a ${ARCHIVE_CONSTANTS.FORMAT} document`, 400);
+  }
+
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_CONSTANTS.VERSION) {
+    throw new AppError(`Unsupported archive version ${archive.version}; this server reads up to version ${ARCHIVE_CONSTANTS.VERSION}`, 400);
+  }
+
+  return exportSections.reduce((sections, { name }) => {
+    const records = archive[name] === undefined ? [] : archive[name];
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+      throw new AppError(`Archive section "${name}" must be an array of objects`, 400);
+    }
+    sections[name] = records;
+    return sections;
+  }, {});
+};
+
+/**
+ * Create a record, reporting validation failures with their place in the archive
+ * @param {Object} model - Sequelize model
+ * @param {Object} values - Attributes
+ * @param {string} location - Where the record is in the archive (e.g. 'problems[3]')
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Object} Created record
+ */
+const createFromArchive = async (model, values, location, transaction) => {
+  try {
+    return await model.create(values, { transaction });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError' || error.name === 'SequelizeDatabaseError') {
+      const detail = error.errors ? error.errors.map(e => e.message).join(', ') : error.message;
+      throw new AppError(`Invalid record at ${location}: ${detail}`, 400);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Restore an archive into a user's account. Records are added next to
+ * anything the account already has; every id is newly assigned.
+ * @param {Object} user - User object
+ * @param {Object} archive - Parsed archive
+ * @returns {Object} { imported: counts per section, skipped }
+ */
+const importArchive = async (user, archive) => {
+  const sections = readArchive(archive);
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const userId = user.id;
+      const imported = {
+        problems: 0,
+        attempts: 0,
+        snippets: 0,
+        noteVersions: 0,
+        problemLists: 0,
+        learningItems: 0,
+        revisionItems: 0,
+        roadmaps: 0,
+        topics: 0,
+        subtopics: 0
+      };
+      const skipped = [];
+
+      // Old id -> new id, used to remap revision item references
+      const newIds = { problem: new Map(), learning: new Map() };
+
+      // New ids of linked work; links to work that is not in the archive are dropped
+      const remapLinks = (ids, type) => [...new Set((Array.isArray(ids) ? ids : [])
+        .map(id => newIds[type].get(String(id)))
+        .filter(Boolean))];
+
+      for (const [index, data] of sections.problems.entries()) {
+        const location = `problems[${index}]`;
+        const problem = await createFromArchive(Problem, {
+          ...pickFields(data, archiveFields(Problem, false)),
+          userId
+        }, location, transaction);
+        newIds.problem.set(String(data.id), problem.id);
+        imported.problems++;
+
+        // Old attempt id -> new attempt id, for the versions saved during an attempt
+        const attemptIds = new Map();
+        const attempts = Array.isArray(data.attempts) ? data.attempts : [];
+        if (attempts.length === 0) {
+          await recordInitialAttempt(problem, transaction);
+          imported.attempts++;
+        }
+
+        for (const [attemptIndex, attempt] of attempts.entries()) {
+          const created = await createFromArchive(ProblemAttempt, {
+            ...pickFields(attempt, archiveFields(ProblemAttempt, false)),
+            problemId: problem.id
+          }, `${location}.attempts[${attemptIndex}]`, transaction);
+          if (attempt.id !== undefined) {
+            attemptIds.set(String(attempt.id), created.id);
+          }
+          imported.attempts++;
+        }
+        if (attempts.length > 0) {
+          await syncProblemFromAttempts(problem, transaction);
+        }
+
+        const remapAttempt = (attemptId) => attemptIds.get(String(attemptId)) || null;
+
+        const snippets = Array.isArray(data.snippets) ? data.snippets : [];
+        for (const [snippetIndex, snippetData] of snippets.entries()) {
+          const snippetLocation = `${location}.snippets[${snippetIndex}]`;
+          const snippet = await createFromArchive(ProblemSnippet, {
+            ...pickFields(snippetData, archiveFields(ProblemSnippet, false)),
+            problemId: problem.id
+          }, snippetLocation, transaction);
+          imported.snippets++;
+
+          // Archives without history get the current code as version 1
+          const versions = Array.isArray(snippetData.versions) && snippetData.versions.length > 0
+            ? snippetData.versions
+            : [{ version: snippet.version, language: snippet.language, code: snippet.code }];
+          for (const [versionIndex, versionData] of versions.entries()) {
+            await createFromArchive(ProblemSnippetVersion, {
+              ...pickFields(versionData, archiveFields(ProblemSnippetVersion, false)),
+              attemptId: remapAttempt(versionData.attemptId),
+              snippetId: snippet.id
+            }, `${snippetLocation}.versions[${versionIndex}]`, transaction);
+          }
+        }
+
+        const noteVersions = Array.isArray(data.noteVersions) ? data.noteVersions : [];
+        for (const [versionIndex, versionData] of noteVersions.entries()) {
+          await createFromArchive(ProblemNoteVersion, {
+            ...pickFields(versionData, archiveFields(ProblemNoteVersion, false)),
+            attemptId: remapAttempt(versionData.attemptId),
+            problemId: problem.id
+          }, `${location}.noteVersions[${versionIndex}]`, transaction);
+          imported.noteVersions++;
+        }
+        if (noteVersions.length === 0 && problem.notes) {
+          await saveNotes(problem, problem.notes, { transaction });
+          imported.noteVersions++;
+        }
+      }
+
+      // Entries whose problem is not in the archive are kept as pending entries
+      for (const [index, data] of sections.problemLists.entries()) {
+        const location = `problemLists[${index}]`;
+        const list = await createFromArchive(ProblemList, {
+          ...pickFields(data, archiveFields(ProblemList, false)),
+          userId
+        }, location, transaction);
+        imported.problemLists++;
+
+        const items = Array.isArray(data.items) ? data.items : [];
+        const used = new Set();
+        for (const [itemIndex, itemData] of items.entries()) {
+          const problemId = newIds.problem.get(String(itemData.problemId)) || null;
+          await createFromArchive(ProblemListItem, {
+            ...pickFields(itemData, archiveFields(ProblemListItem, false)),
+            problemId: problemId && !used.has(problemId) ? problemId : null,
+            position: itemIndex + 1,
+            listId: list.id
+          }, `${location}.items[${itemIndex}]`, transaction);
+          used.add(problemId);
+        }
+      }
+
+      for (const [index, data] of sections.learningItems.entries()) {
+        const item = await createFromArchive(LearningItem, {
+          ...pickFields(data, archiveFields(LearningItem, false)),
+          userId
+        }, `learningItems[${index}]`, transaction);
+        newIds.learning.set(String(data.id), item.id);
+        imported.learningItems++;
+      }
+
+      for (const [index, data] of sections.revisionItems.entries()) {
+        const itemId = newIds[data.itemType]?.get(String(data.itemId));
+        if (!itemId) {
+          skipped.push({
+            location: `revisionItems[${index}]`,
+            reason: `Refers to ${data.itemType} ${data.itemId}, which is not in the archive`
+          });
+          continue;
+        }
+
+        await createFromArchive(RevisionItem, {
+          ...pickFields(data, archiveFields(RevisionItem, false)),
+          itemId,
+          userId
+        }, `revisionItems[${index}]`, transaction);
+        imported.revisionItems++;
+      }
+
+      for (const [index, data] of sections.roadmaps.entries()) {
+        const location = `roadmaps[${index}]`;
+        const roadmap = await createFromArchive(Roadmap, {
+          ...pickFields(data, archiveFields(Roadmap, false)),
+          userId
+        }, location, transaction);
+        imported.roadmaps++;
+
+        const topics = Array.isArray(data.topics) ? data.topics : [];
+        for (const [topicIndex, topicData] of topics.entries()) {
+          const topicLocation = `${location}.topics[${topicIndex}]`;
+          const topic = await createFromArchive(Topic, {
+            ...pickFields(topicData, archiveFields(Topic, false)),
+            roadmapId: roadmap.id
+          }, topicLocation, transaction);
+          imported.topics++;
+
+          const subtopics = Array.isArray(topicData.subtopics) ? topicData.subtopics : [];
+          for (const [subtopicIndex, subtopicData] of subtopics.entries()) {
+            const subtopic = await createFromArchive(Subtopic, {
+              ...pickFields(subtopicData, archiveFields(Subtopic, false)),
+              topicId: topic.id
+            }, `${topicLocation}.subtopics[${subtopicIndex}]`, transaction);
+            imported.subtopics++;
+
+            await SubtopicProblem.bulkCreate(
+              remapLinks(subtopicData.problemIds, 'problem').map(problemId => ({ subtopicId: subtopic.id, problemId })),
+              { transaction }
+            );
+            await SubtopicLearningItem.bulkCreate(
+              remapLinks(subtopicData.learningItemIds, 'learning').map(learningItemId => ({ subtopicId: subtopic.id, learningItemId })),
+              { transaction }
+            );
+          }
+        }
+      }
+
+      return { imported, skipped };
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to import archive', 500);
+  }
+};
+
+module.exports = {
+  streamArchive,
+  importArchive
+};
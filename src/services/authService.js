@@ -6,35 +6,245 @@
  */
 
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { User } = require('../models');
+const { Op } = require('sequelize');
+const { User, RefreshToken, OneTimeToken, UserIdentity, UserSession } = require('../models');
 const { AppError } = require('../middleware/errorHandler');
+const { JWT_CONSTANTS } = require('../utils/constants');
+const { describeUserAgent } = require('../utils/helpers');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('./mailService');
+const { isTwoFactorEnabled, verifySecondFactor } = require('./twoFactorService');
 
 /**
- * Generate JWT token for user authentication
+ * Generate short-lived JWT access token for user authentication
  * @param {Object} user - User object
+ * @param {string} [sessionId] - Refresh token family the access token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   return jwt.sign(
     { 
       id: user.id,
       email: user.email,
-      authProvider: user.authProvider 
+      authProvider: user.authProvider,
+      ...(sessionId && { sid: sessionId })
     }, 
     process.env.JWT_SECRET, 
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+      expiresIn: process.env.JWT_EXPIRES_IN || JWT_CONSTANTS.DEFAULT_EXPIRES_IN
     }
   );
 };
 
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Issue an access token and a new refresh token.
+ * A new login (no familyId) also registers a session for the device.
+ * @param {Object} user - User object
+ * @param {Object} [options] - Issue options
+ * @param {string} [options.familyId] - Existing token family when rotating, omitted for a new login
+ * @param {Object} [options.client] - { ipAddress, userAgent } of the request
+ * @returns {Object} Access token, raw refresh token and stored refresh token record
+ */
+const issueTokens = async (user, options = {}) => {
+  const { client = {} } = options;
+  const isNewSession = !options.familyId;
+  const familyId = options.familyId || crypto.randomUUID();
+
+  if (isNewSession) {
+    await UserSession.create({
+      familyId,
+      userAgent: client.userAgent || null,
+      device: describeUserAgent(client.userAgent),
+      ipAddress: client.ipAddress || null,
+      authenticatedAt: new Date(),
+      lastSeenAt: new Date(),
+      userId: user.id
+    });
+  }
+
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const ttlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || JWT_CONSTANTS.REFRESH_TOKEN_TTL_DAYS;
+
+  const record = await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    familyId,
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    userId: user.id
+  });
+
+  return {
+    token: generateToken(user, familyId),
+    refreshToken,
+    record
+  };
+};
+
+/**
+ * Revoke every active refresh token in a family
+ * @param {string} familyId - Token family ID
+ * @returns {number} Number of revoked tokens
+ */
+const revokeTokenFamily = async (familyId) => {
+  const [revokedCount] = await RefreshToken.update(
+    { revokedAt: new Date() },
+    { where: { familyId, revokedAt: null } }
+  );
+  return revokedCount;
+};
+
+/**
+ * Check whether the refresh token family behind an access token is still active
+ * @param {string} familyId - Token family ID (the access token's sid claim)
+ * @returns {boolean} True if the session has not been revoked or expired
+ */
+const isSessionActive = async (familyId) => {
+  const activeCount = await RefreshToken.count({
+    where: {
+      familyId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+  return activeCount > 0;
+};
+
+/**
+ * Record activity on a session. Writes at most once per
+ * JWT_CONSTANTS.SESSION_LAST_SEEN_RESOLUTION_MS to keep requests cheap.
+ * @param {string} familyId - Token family ID (the access token's sid claim)
+ * @param {Object} [client] - { ipAddress, userAgent } of the request
+ * @returns {boolean} True if the session was updated
+ */
+const touchSession = async (familyId, client = {}) => {
+  const now = new Date();
+  const changes = { lastSeenAt: now };
+  if (client.ipAddress) {
+    changes.ipAddress = client.ipAddress;
+  }
+
+  const [updated] = await UserSession.update(changes, {
+    where: {
+      familyId,
+      lastSeenAt: { [Op.lt]: new Date(now.getTime() - JWT_CONSTANTS.SESSION_LAST_SEEN_RESOLUTION_MS) }
+    }
+  });
+  return updated > 0;
+};
+
+/**
+ * Create a signed, single-use token for an account action.
+ * Any earlier unused token for the same purpose is invalidated.
+ * @param {Object} user - User object
+ * @param {string} purpose - 'password-reset' or 'email-verification'
+ * @param {string} expiresIn - Token lifetime (e.g. '1h')
+ * @returns {string} Signed token
+ */
+const createOneTimeToken = async (user, purpose, expiresIn) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: String(user.id), purpose },
+    process.env.JWT_SECRET,
+    { expiresIn, jwtid: jti }
+  );
+  const { exp } = jwt.decode(token);
+
+  await OneTimeToken.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, purpose, usedAt: null } }
+  );
+  await OneTimeToken.create({
+    jti,
+    purpose,
+    expiresAt: new Date(exp * 1000),
+    userId: user.id
+  });
+
+  return token;
+};
+
+/**
+ * Verify a single-use token's signature, expiry and purpose without consuming it
+ * @param {string} token - Signed token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} Decoded token payload
+ */
+const decodeOneTimeToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError(error.name === 'TokenExpiredError' ? 'This link has expired' : 'Invalid link', 400);
+  }
+
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw new AppError('Invalid link', 400);
+  }
+
+  return decoded;
+};
+
+/**
+ * Mark a single-use token as used
+ * @param {Object} decoded - Decoded token payload
+ */
+const claimOneTimeToken = async (decoded) => {
+  // Mark as used atomically so the same link cannot be redeemed twice
+  const [claimed] = await OneTimeToken.update(
+    { usedAt: new Date() },
+    { where: { jti: decoded.jti, purpose: decoded.purpose, usedAt: null } }
+  );
+  if (claimed === 0) {
+    throw new AppError('This link has already been used', 400);
+  }
+};
+
+/**
+ * Verify and consume a single-use token
+ * @param {string} token - Signed token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} User the token was issued for
+ */
+const consumeOneTimeToken = async (token, purpose) => {
+  const decoded = decodeOneTimeToken(token, purpose);
+  await claimOneTimeToken(decoded);
+
+  const user = await User.findByPk(decoded.sub);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  return user;
+};
+
+/**
+ * Start the second login step if the user has 2FA enabled
+ * @param {Object} user - User object
+ * @returns {string|null} Short-lived mfa-pending token, or null if 2FA is off
+ */
+const createMfaChallenge = async (user) => {
+  if (!(await isTwoFactorEnabled(user.id))) {
+    return null;
+  }
+  return createOneTimeToken(user, 'mfa-pending', JWT_CONSTANTS.MFA_PENDING_EXPIRES_IN);
+};
+
 /**
  * Register a new user
  * @param {Object} userData - User registration data
+ * @param {Object} [client] - { ipAddress, userAgent } of the request
  * @returns {Object} Created user and token
  */
-const registerUser = async (userData) => {
+const registerUser = async (userData, client) => {
   try {
     const { firstName, lastName, email, password } = userData;
 
@@ -56,8 +266,13 @@ const registerUser = async (userData) => {
       authProvider: 'local'
     });
 
-    // Generate token
-    const token = generateToken(user);
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, { client });
+
+    // Send the verification link without failing the registration
+    sendEmailVerification(user).catch((error) => {
+      console.error('Failed to send verification email:', error);
+    });
 
     return {
       user: {
@@ -66,10 +281,12 @@ const registerUser = async (userData) => {
         lastName: user.lastName,
         email: user.email,
         authProvider: user.authProvider,
+        role: user.role,
         isEmailVerified: user.isEmailVerified,
         createdAt: user.createdAt
       },
-      token
+      token,
+      refreshToken
     };
   } catch (error) {
     if (error instanceof AppError) {
@@ -79,12 +296,43 @@ const registerUser = async (userData) => {
   }
 };
 
+/**
+ * Record a successful login and issue tokens
+ * @param {Object} user - User object
+ * @param {Object} [client] - { ipAddress, userAgent } of the request
+ * @returns {Object} User data and tokens
+ */
+const completeLogin = async (user, client) => {
+  // Update last login
+  await user.update({ lastLoginAt: new Date() });
+
+  // Generate tokens
+  const { token, refreshToken } = await issueTokens(user, { client });
+
+  return {
+    user: {
+      id: user.id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      authProvider: user.authProvider,
+      role: user.role,
+      profilePicture: user.profilePicture,
+      isEmailVerified: user.isEmailVerified,
+      lastLoginAt: user.lastLoginAt
+    },
+    token,
+    refreshToken
+  };
+};
+
 /**
  * Authenticate user login
  * @param {Object} loginData - Login credentials
- * @returns {Object} User data and token
+ * @param {Object} [client] - { ipAddress, userAgent } of the request
+ * @returns {Object} User data and token, or { mfaRequired, mfaToken } when 2FA is enabled
  */
-const loginUser = async (loginData) => {
+const loginUser = async (loginData, client) => {
   try {
     const { email, password } = loginData;
 
@@ -105,25 +353,47 @@ const loginUser = async (loginData) => {
       throw new AppError('Invalid credentials', 401);
     }
 
-    // Update last login
-    await user.update({ lastLoginAt: new Date() });
+    // Password is correct; accounts with 2FA need a second step
+    const mfaToken = await createMfaChallenge(user);
+    if (mfaToken) {
+      return { mfaRequired: true, mfaToken };
+    }
 
-    // Generate token
-    const token = generateToken(user);
+    return await completeLogin(user, client);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Login failed', 500);
+  }
+};
 
-    return {
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        authProvider: user.authProvider,
-        profilePicture: user.profilePicture,
-        isEmailVerified: user.isEmailVerified,
-        lastLoginAt: user.lastLoginAt
-      },
-      token
-    };
+/**
+ * Finish the second login step with a TOTP or recovery code
+ * @param {string} mfaToken - Token returned by loginUser
+ * @param {string} code - TOTP or recovery code
+ * @param {Object} [client] - { ipAddress, userAgent } of the request
+ * @returns {Object} User data and tokens
+ */
+const loginWithSecondFactor = async (mfaToken, code, client) => {
+  try {
+    const decoded = decodeOneTimeToken(mfaToken, 'mfa-pending');
+    const pending = await OneTimeToken.findOne({ where: { jti: decoded.jti, usedAt: null } });
+    if (!pending) {
+      throw new AppError('This login attempt has expired; please log in again', 400);
+    }
+
+    const user = await User.findByPk(decoded.sub);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Check the code before spending the token so a typo does not restart the login
+    const method = await verifySecondFactor(user, code);
+    await claimOneTimeToken(decoded);
+
+    const result = await completeLogin(user, client);
+    return { ...result, method };
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
@@ -132,6 +402,26 @@ const loginUser = async (loginData) => {
   }
 };
 
+/**
+ * Decode a login access token with the same checks as authenticateToken:
+ * single-use action tokens are refused, and so are the access tokens of
+ * a session that was logged out
+ * @param {string} token - JWT token
+ * @returns {Object} Decoded claims
+ */
+const decodeAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose) {
+    throw new AppError('Invalid token', 401);
+  }
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+    throw new AppError('Session has been revoked', 401);
+  }
+
+  return decoded;
+};
+
 /**
  * Verify JWT token and get user
  * @param {string} token - JWT token
@@ -139,8 +429,7 @@ const loginUser = async (loginData) => {
  */
 const verifyToken = async (token) => {
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await decodeAccessToken(token);
     
     // Find user
     const user = await User.findByPk(decoded.id);
@@ -154,6 +443,7 @@ const verifyToken = async (token) => {
       lastName: user.lastName,
       email: user.email,
       authProvider: user.authProvider,
+      role: user.role,
       profilePicture: user.profilePicture,
       isEmailVerified: user.isEmailVerified,
       lastLoginAt: user.lastLoginAt
@@ -173,86 +463,320 @@ const verifyToken = async (token) => {
 };
 
 /**
- * Handle OAuth user creation or login
+ * Resolve the user for an OAuth login, or link the provider to a user.
+ * Identities are matched by provider + providerId in user_identities. An
+ * unknown identity is attached to the account with the same email, or to
+ * a new account when there is none.
  * @param {Object} profile - OAuth profile data
  * @param {string} provider - OAuth provider
- * @returns {Object} User data and token
+ * @param {Object} [options] - { linkUserId } to link the identity to a signed-in user
+ * @returns {Object} User model instance
  */
-const handleOAuthUser = async (profile, provider) => {
+const handleOAuthUser = async (profile, provider, options = {}) => {
   try {
-    const email = profile.emails[0].value;
-    
-    // Check if user exists with this provider
-    let user = await User.findOne({
-      where: {
-        providerId: profile.id,
-        authProvider: provider
-      }
+    const email = profile.emails?.[0]?.value;
+    const { linkUserId } = options;
+
+    const identity = await UserIdentity.findOne({
+      where: { provider, providerId: String(profile.id) },
+      include: [{ model: User, as: 'user' }]
     });
 
+    // Explicit linking from account settings
+    if (linkUserId) {
+      if (identity && identity.userId !== linkUserId) {
+        throw new AppError(`This ${provider} account is already linked to another user`, 409);
+      }
+
+      const user = await User.findByPk(linkUserId);
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (!identity) {
+        const existing = await UserIdentity.findOne({ where: { userId: user.id, provider } });
+        if (existing) {
+          throw new AppError(`A different ${provider} account is already linked; unlink it first`, 409);
+        }
+        await UserIdentity.create({ provider, providerId: String(profile.id), email, userId: user.id });
+      }
+
+      return user;
+    }
+
+    // Returning user signing in with a linked provider
+    if (identity) {
+      await identity.user.update({ lastLoginAt: new Date() });
+      return identity.user;
+    }
+
+    // Check if user exists with same email (link OAuth account to existing user)
+    let user = email ? await User.findOne({ where: { email } }) : null;
+
     if (user) {
-      // Update last login
-      await user.update({ lastLoginAt: new Date() });
-    } else {
-      // Check if user exists with same email but different provider
-      const existingUser = await User.findOne({ where: { email } });
-      
-      if (existingUser) {
-        // Link OAuth account to existing user
-        await existingUser.update({
-          authProvider: provider,
-          providerId: profile.id,
-          profilePicture: profile.photos[0]?.value,
-          isEmailVerified: true,
-          lastLoginAt: new Date()
-        });
-        user = existingUser;
-      } else {
-        // Create new user
-        const nameParts = provider === 'google' 
-          ? { firstName: profile.name.givenName, lastName: profile.name.familyName }
-          : { 
-              firstName: profile.displayName.split(' ')[0] || profile.username,
-              lastName: profile.displayName.split(' ').slice(1).join(' ') || ''
-            };
-
-        user = await User.create({
-          ...nameParts,
-          email,
-          authProvider: provider,
-          providerId: profile.id,
-          profilePicture: profile.photos[0]?.value,
-          isEmailVerified: true,
-          lastLoginAt: new Date()
-        });
+      const existing = await UserIdentity.findOne({ where: { userId: user.id, provider } });
+      if (existing) {
+        throw new AppError(`A different ${provider} account is already linked to this email`, 409);
       }
+
+      await user.update({
+        profilePicture: user.profilePicture || profile.photos?.[0]?.value,
+        isEmailVerified: true,
+        lastLoginAt: new Date()
+      });
+    } else {
+      // Create new user
+      const nameParts = provider === 'google' 
+        ? { firstName: profile.name.givenName, lastName: profile.name.familyName }
+        : { 
+            firstName: (profile.displayName || '').split(' ')[0] || profile.username,
+            lastName: (profile.displayName || '').split(' ').slice(1).join(' ') || ''
+          };
+
+      user = await User.create({
+        ...nameParts,
+        email,
+        authProvider: provider,
+        providerId: String(profile.id),
+        profilePicture: profile.photos?.[0]?.value,
+        isEmailVerified: true,
+        lastLoginAt: new Date()
+      });
+    }
+
+    await UserIdentity.create({ provider, providerId: String(profile.id), email, userId: user.id });
+
+    return user;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('OAuth authentication failed', 500);
+  }
+};
+
+/**
+ * Rotate a refresh token: revoke it and issue a new pair in the same family.
+ * Presenting a token that was already rotated or revoked is treated as
+ * theft and revokes the whole family.
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {Object} [client] - { ipAddress, userAgent } of the request
+ * @returns {Object} New access token and refresh token
+ */
+const rotateRefreshToken = async (rawToken, client) => {
+  try {
+    const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(rawToken) } });
+    if (!stored) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    if (stored.revokedAt) {
+      await revokeTokenFamily(stored.familyId);
+      console.warn(`Refresh token reuse detected for user ${stored.userId}, family ${stored.familyId} revoked`);
+      throw new AppError('Refresh token has already been used; please log in again', 401);
+    }
+
+    if (stored.expiresAt < new Date()) {
+      throw new AppError('Refresh token has expired', 401);
+    }
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const [claimed] = await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where: { id: stored.id, revokedAt: null } }
+    );
+    if (claimed === 0) {
+      await revokeTokenFamily(stored.familyId);
+      throw new AppError('Refresh token has already been used; please log in again', 401);
+    }
+
+    const user = await User.findByPk(stored.userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    const { token, refreshToken, record } = await issueTokens(user, { familyId: stored.familyId });
+    await stored.update({ replacedByTokenId: record.id });
+    await touchSession(stored.familyId, client);
+
+    return { token, refreshToken };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Token refresh failed', 500);
+  }
+};
+
+/**
+ * Log out a single session by revoking its refresh token family
+ * @param {string} rawToken - Refresh token presented by the client
+ * @returns {boolean} Success status
+ */
+const logoutUser = async (rawToken) => {
+  try {
+    const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(rawToken) } });
+    if (!stored) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    await revokeTokenFamily(stored.familyId);
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Logout failed', 500);
+  }
+};
+
+/**
+ * Log out every session of a user by revoking all of their refresh tokens
+ * @param {number} userId - User ID
+ * @returns {number} Number of revoked tokens
+ */
+const logoutAllSessions = async (userId) => {
+  try {
+    const [revokedCount] = await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where: { userId, revokedAt: null } }
+    );
+    return revokedCount;
+  } catch (error) {
+    throw new AppError('Logout failed', 500);
+  }
+};
+
+/**
+ * Log out every session of a user except one
+ * @param {number} userId - User ID
+ * @param {string} [keepFamilyId] - Token family of the session to keep
+ * @returns {number} Number of revoked tokens
+ */
+const logoutOtherSessions = async (userId, keepFamilyId) => {
+  try {
+    const where = { userId, revokedAt: null };
+    if (keepFamilyId) {
+      where.familyId = { [Op.ne]: keepFamilyId };
+    }
+
+    const [revokedCount] = await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where }
+    );
+    return revokedCount;
+  } catch (error) {
+    throw new AppError('Logout failed', 500);
+  }
+};
+
+/**
+ * Start a password reset. Always resolves so that callers cannot
+ * learn whether an email address is registered; it never rejects,
+ * so it can run in the background of the request.
+ * @param {string} email - Account email
+ * @returns {boolean} Success status
+ */
+const requestPasswordReset = async (email) => {
+  try {
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+      return true;
     }
 
-    // Generate token
-    const token = generateToken(user);
+    const token = await createOneTimeToken(user, 'password-reset', JWT_CONSTANTS.PASSWORD_RESET_EXPIRES_IN);
+    await sendPasswordResetEmail(user, token);
+    return true;
+  } catch (error) {
+    console.error('Password reset request failed:', error);
+    return true;
+  }
+};
+
+/**
+ * Complete a password reset and sign the user out everywhere
+ * @param {string} token - Signed password reset token
+ * @param {string} password - New password
+ * @returns {boolean} Success status
+ */
+const resetPassword = async (token, password) => {
+  try {
+    const user = await consumeOneTimeToken(token, 'password-reset');
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    // Receiving the reset link also proves ownership of the email address
+    await user.update({ password: hashedPassword, isEmailVerified: true });
+    await logoutAllSessions(user.id);
+
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Password reset failed', 500);
+  }
+};
+
+/**
+ * Send (or resend) the email verification link
+ * @param {Object} user - User object
+ * @returns {boolean} Success status
+ */
+const sendEmailVerification = async (user) => {
+  if (user.isEmailVerified) {
+    throw new AppError('Email is already verified', 400);
+  }
+
+  const token = await createOneTimeToken(user, 'email-verification', JWT_CONSTANTS.EMAIL_VERIFICATION_EXPIRES_IN);
+  await sendVerificationEmail(user, token);
+  return true;
+};
+
+/**
+ * Mark a user's email as verified
+ * @param {string} token - Signed email verification token
+ * @returns {Object} User data
+ */
+const verifyEmail = async (token) => {
+  try {
+    const user = await consumeOneTimeToken(token, 'email-verification');
+    await user.update({ isEmailVerified: true });
 
     return {
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        authProvider: user.authProvider,
-        profilePicture: user.profilePicture,
-        isEmailVerified: user.isEmailVerified,
-        lastLoginAt: user.lastLoginAt
-      },
-      token
+      id: user.id,
+      email: user.email,
+      isEmailVerified: user.isEmailVerified
     };
   } catch (error) {
-    throw new AppError('OAuth authentication failed', 500);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Email verification failed', 500);
   }
 };
 
 module.exports = {
   generateToken,
+  hashToken,
+  issueTokens,
+  revokeTokenFamily,
+  isSessionActive,
+  touchSession,
+  createOneTimeToken,
+  consumeOneTimeToken,
+  createMfaChallenge,
+  rotateRefreshToken,
+  logoutUser,
+  logoutAllSessions,
+  logoutOtherSessions,
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
   registerUser,
   loginUser,
+  loginWithSecondFactor,
+  decodeAccessToken,
   verifyToken,
   handleOAuthUser
 };
@@ -0,0 +1,159 @@
+/**
+ * BULK SERVICE
+ *
+ * Applies one action to many of a user's problems or learning items:
+ * updating fields, moving them to the trash, adding or removing tags,
+ * or marking them for revision. Every id is checked before anything
+ * changes and the batch runs in a single transaction, so either all
+ * items are changed or none are.
+ */
+
+const { Problem, LearningItem, RevisionItem, sequelize } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { REVISION_CONSTANTS } = require('../utils/constants');
+const { formatDate, parseTags } = require('../utils/helpers');
+const { moveToTrash } = require('./trashService');
+
+/**
+ * Item types that support bulk actions. Problems store tags as a JSON
+ * array and learning items as comma-separated text.
+ */
+const BULK_TARGETS = {
+  problem: {
+    model: Problem,
+    formatTags: (tags) => tags
+  },
+  learning: {
+    model: LearningItem,
+    formatTags: (tags) => tags.join(', ')
+  }
+};
+
+/**
+ * Save a new tag list if it differs from the current one
+ * @param {string} type - 'problem' or 'learning'
+ * @param {Object} item - Item instance
+ * @param {Array<string>} tags - New tags
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Object} Per-item result
+ */
+const saveTags = async (type, item, tags, transaction) => {
+  const current = parseTags(item.tags);
+  const changed = tags.length !== current.length || tags.some((tag, index) => tag !== current[index]);
+
+  if (changed) {
+    await item.update({ tags: BULK_TARGETS[type].formatTags(tags) }, { transaction });
+  }
+
+  // Saving spells tags the way the user's existing tags are spelled
+  return { status: changed ? 'updated' : 'unchanged', tags: parseTags(item.tags) };
+};
+
+/**
+ * Bulk actions. Each applies the request to one owned item and returns
+ * its result; `status` says what happened to it.
+ */
+const BULK_ACTIONS = {
+  update: async (type, item, { changes }, transaction) => {
+    await item.update(changes, { transaction });
+    return { status: 'updated' };
+  },
+
+  delete: async (type, item, request, transaction) => {
+    await moveToTrash(type, item, transaction);
+    return { status: 'trashed' };
+  },
+
+  'add-tags': (type, item, { tags }, transaction) => {
+    const current = parseTags(item.tags);
+    const known = new Set(current.map(tag => tag.toLowerCase()));
+    const added = parseTags(tags).filter(tag => !known.has(tag.toLowerCase()));
+
+    return saveTags(type, item, [...current, ...added], transaction);
+  },
+
+  'remove-tags': (type, item, { tags }, transaction) => {
+    const removed = new Set(parseTags(tags).map(tag => tag.toLowerCase()));
+    const remaining = parseTags(item.tags).filter(tag => !removed.has(tag.toLowerCase()));
+
+    return saveTags(type, item, remaining, transaction);
+  },
+
+  'mark-for-revision': async (type, item, request, transaction) => {
+    // An item already waiting for revision keeps its schedule
+    const scheduled = await RevisionItem.findOne({
+      where: { itemType: type, itemId: item.id, isCompleted: false },
+      transaction
+    });
+    if (scheduled) {
+      return { status: 'unchanged', revisionItemId: scheduled.id };
+    }
+
+    const nextRevisionDate = new Date();
+    nextRevisionDate.setDate(nextRevisionDate.getDate() + REVISION_CONSTANTS.INTERVALS[0]);
+
+    const revisionItem = await RevisionItem.create({
+      itemId: item.id,
+      itemType: type,
+      originalDate: formatDate(item.date || new Date()),
+      nextRevisionDate: formatDate(nextRevisionDate),
+      revisionCycle: 1,
+      isCompleted: false,
+      userId: item.userId
+    }, { transaction });
+    await item.update({ isRevision: true }, { transaction });
+
+    return { status: 'scheduled', revisionItemId: revisionItem.id };
+  }
+};
+
+/**
+ * Apply one action to several of a user's items. If any id is missing
+ * or owned by someone else nothing is changed, and the report says
+ * which ids failed.
+ * @param {Object} user - User object
+ * @param {string} type - 'problem' or 'learning'
+ * @param {Object} request - { action, ids, changes, tags }
+ * @returns {Object} { action, applied, total, succeeded, results }
+ */
+const applyBulkAction = async (user, type, request) => {
+  const { model } = BULK_TARGETS[type];
+  const { action } = request;
+  const ids = [...new Set(request.ids)];
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const items = await model.findAll({ where: { id: ids }, transaction });
+      const itemsById = new Map(items.map(item => [item.id, item]));
+
+      const checks = ids.map((id) => {
+        const item = itemsById.get(id);
+        if (!item) {
+          return { id, status: 'not-found' };
+        }
+        return { id, status: item.userId === user.id ? 'skipped' : 'forbidden' };
+      });
+
+      if (checks.some(check => check.status !== 'skipped')) {
+        return { action, applied: false, total: ids.length, succeeded: 0, results: checks };
+      }
+
+      const results = [];
+      for (const id of ids) {
+        const result = await BULK_ACTIONS[action](type, itemsById.get(id), request, transaction);
+        results.push({ id, ...result });
+      }
+
+      return { action, applied: true, total: ids.length, succeeded: ids.length, results };
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to apply bulk action', 500);
+  }
+};
+
+module.exports = {
+  applyBulkAction
+};
@@ -0,0 +1,121 @@
+/**
+ * IDENTITY SERVICE
+ *
+ * Business logic for the login methods attached to an account:
+ * listing linked providers, starting a provider link, and unlinking
+ * while always keeping at least one way to sign in.
+ */
+
+const { UserIdentity } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { JWT_CONSTANTS } = require('../utils/constants');
+const { createOneTimeToken } = require('./authService');
+
+const PROVIDER_CREDENTIALS = {
+  google: ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET'],
+  github: ['GITHUB_CLIENT_ID', 'GITHUB_CLIENT_SECRET']
+};
+
+/**
+ * Check whether an OAuth provider is configured on this server
+ * @param {string} provider - OAuth provider
+ * @returns {boolean} True if the provider's credentials are set
+ */
+const isProviderConfigured = (provider) => {
+  const keys = PROVIDER_CREDENTIALS[provider];
+  return Boolean(keys && keys.every(key => process.env[key]));
+};
+
+/**
+ * List the login methods of a user
+ * @param {Object} user - User object
+ * @returns {Object} { hasPassword, identities }
+ */
+const listIdentities = async (user) => {
+  try {
+    const identities = await UserIdentity.findAll({
+      where: { userId: user.id },
+      attributes: ['provider', 'email', 'linkedAt'],
+      order: [['linkedAt', 'ASC']]
+    });
+
+    return {
+      hasPassword: Boolean(user.password),
+      identities
+    };
+  } catch (error) {
+    throw new AppError('Failed to retrieve login methods', 500);
+  }
+};
+
+/**
+ * Start linking a provider to a user. Returns the URL the browser should
+ * open; it carries a short-lived, single-use link token.
+ * @param {Object} user - User object
+ * @param {string} provider - OAuth provider
+ * @returns {Object} { url, expiresIn }
+ */
+const createLinkIntent = async (user, provider) => {
+  if (!isProviderConfigured(provider)) {
+    throw new AppError(`${provider} OAuth is not configured`, 501);
+  }
+
+  const existing = await UserIdentity.findOne({ where: { userId: user.id, provider } });
+  if (existing) {
+    throw new AppError(`A ${provider} account is already linked`, 409);
+  }
+
+  const linkToken = await createOneTimeToken(user, 'identity-link', JWT_CONSTANTS.IDENTITY_LINK_EXPIRES_IN);
+
+  return {
+    url: `/api/auth/${provider}?linkToken=${encodeURIComponent(linkToken)}`,
+    expiresIn: JWT_CONSTANTS.IDENTITY_LINK_EXPIRES_IN
+  };
+};
+
+/**
+ * Unlink a provider from a user. Refuses to remove the last login method.
+ * @param {Object} user - User object
+ * @param {string} provider - OAuth provider
+ * @returns {boolean} Success status
+ */
+const unlinkIdentity = async (user, provider) => {
+  try {
+    const identities = await UserIdentity.findAll({ where: { userId: user.id } });
+    const identity = identities.find(i => i.provider === provider);
+
+    if (!identity) {
+      throw new AppError(`No ${provider} account is linked`, 404);
+    }
+
+    const remaining = identities.filter(i => i.provider !== provider);
+    if (!user.password && remaining.length === 0) {
+      throw new AppError('Cannot remove your last login method; set a password or link another provider first', 409);
+    }
+
+    await identity.destroy();
+
+    // Keep the legacy single-provider columns pointing at a method that still works
+    if (user.authProvider === provider) {
+      const fallback = user.password ? null : remaining[0];
+      await user.update({
+        authProvider: fallback ? fallback.provider : 'local',
+        providerId: fallback ? fallback.providerId : null
+      });
+    }
+
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to unlink login method', 500);
+  }
+};
+
+module.exports = {
+  isProviderConfigured,
+  listIdentities,
+  createLinkIntent,
+  unlinkIdentity
+};
@@ -0,0 +1,63 @@
+/**
+ * MAIL SERVICE
+ *
+ * Composes transactional emails (password reset, email verification)
+ * and hands them to the configured mail transport.
+ */
+
+const { getTransport } = require('../config/mailer');
+
+const FRONTEND_URL = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+const MAIL_FROM = () => process.env.MAIL_FROM || 'Brick By Brick <no-reply@brickbybrick.local>';
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} Transport result
+ */
+const sendMail = async (message) => {
+  return getTransport().send({
+    from: MAIL_FROM(),
+    ...message
+  });
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User object
+ * @param {string} token - Signed password reset token
+ * @returns {Object} Transport result
+ */
+const sendPasswordResetEmail = async (user, token) => {
+  const link = `${FRONTEND_URL()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Brick By Brick password',
+    text: `Hi ${user.firstName},\n\nUse the link below to choose a new password. It expires in one hour and can only be used once.\n\n${link}\n\nIf you did not ask for a reset, you can ignore this email.`,
+    html: `<p>Hi ${user.firstName},</p><p>Use the link below to choose a new password. It expires in one hour and can only be used once.</p><p><a href="${link}">Reset password</a></p><p>If you did not ask for a reset, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Send an email verification link
+ * @param {Object} user - User object
+ * @param {string} token - Signed email verification token
+ * @returns {Object} Transport result
+ */
+const sendVerificationEmail = async (user, token) => {
+  const link = `${FRONTEND_URL()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Brick By Brick email address',
+    text: `Hi ${user.firstName},\n\nPlease confirm your email address by opening the link below. It expires in 24 hours.\n\n${link}`,
+    html: `<p>Hi ${user.firstName},</p><p>Please confirm your email address by opening the link below. It expires in 24 hours.</p><p><a href="${link}">Verify email</a></p>`
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
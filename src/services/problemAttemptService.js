@@ -0,0 +1,266 @@
+/**
+ * PROBLEM ATTEMPT SERVICE
+ *
+ * Business logic for the attempts recorded under a problem: CRUD,
+ * keeping the problem's derived outcome and total time in sync, and
+ * first-try statistics for analytics.
+ */
+
+const { ProblemAttempt, ProblemSnippetVersion, ProblemNoteVersion, sequelize } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+// Attempts are ordered by when they happened; id breaks ties on the same date
+const ATTEMPT_ORDER = [['date', 'ASC'], ['id', 'ASC']];
+
+const ATTEMPT_FIELDS = ['date', 'timeSpent', 'outcome', 'hintsUsed', 'notes'];
+
+/**
+ * Keep only the attempt fields a client may set
+ * @param {Object} data - Request data
+ * @returns {Object} Attempt fields that were provided
+ */
+const pickAttemptFields = (data) => {
+  return ATTEMPT_FIELDS.reduce((fields, key) => {
+    if (data[key] !== undefined) {
+      fields[key] = data[key];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Recalculate a problem's outcome (latest attempt) and time spent (sum of attempts)
+ * @param {Object} problem - Problem instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Updated problem
+ */
+const syncProblemFromAttempts = async (problem, transaction) => {
+  const attempts = await ProblemAttempt.findAll({
+    where: { problemId: problem.id },
+    order: ATTEMPT_ORDER,
+    transaction
+  });
+
+  if (attempts.length === 0) {
+    return problem;
+  }
+
+  const latest = attempts[attempts.length - 1];
+  await problem.update({
+    outcome: latest.outcome,
+    timeSpent: attempts.reduce((total, attempt) => total + attempt.timeSpent, 0)
+  }, { transaction });
+
+  return problem;
+};
+
+/**
+ * Record the first attempt of a newly created problem from its own fields
+ * @param {Object} problem - Problem instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Created attempt
+ */
+const recordInitialAttempt = (problem, transaction) => {
+  return ProblemAttempt.create({
+    problemId: problem.id,
+    date: problem.date,
+    timeSpent: problem.timeSpent,
+    outcome: problem.outcome
+  }, { transaction });
+};
+
+/**
+ * Apply an outcome or time change made on the problem itself to its latest attempt
+ * @param {Object} problem - Problem instance
+ * @param {Object} changes - { outcome, timeSpent }
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Updated problem
+ */
+const updateLatestAttempt = async (problem, changes, transaction) => {
+  const fields = pickAttemptFields(changes);
+  const latest = await ProblemAttempt.findOne({
+    where: { problemId: problem.id },
+    order: [['date', 'DESC'], ['id', 'DESC']],
+    transaction
+  });
+
+  if (latest) {
+    await latest.update(fields, { transaction });
+  } else {
+    await ProblemAttempt.create({
+      problemId: problem.id,
+      date: problem.date,
+      timeSpent: problem.timeSpent,
+      outcome: problem.outcome,
+      ...fields
+    }, { transaction });
+  }
+
+  return syncProblemFromAttempts(problem, transaction);
+};
+
+/**
+ * List the attempts of a problem, oldest first
+ * @param {Object} problem - Problem instance
+ * @returns {Array} Attempts
+ */
+const listAttempts = async (problem) => {
+  try {
+    return await ProblemAttempt.findAll({
+      where: { problemId: problem.id },
+      order: ATTEMPT_ORDER
+    });
+  } catch (error) {
+    throw new AppError('Failed to retrieve attempts', 500);
+  }
+};
+
+/**
+ * Find one attempt of a problem
+ * @param {Object} problem - Problem instance
+ * @param {number} attemptId - Attempt ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Attempt
+ */
+const findAttempt = async (problem, attemptId, transaction) => {
+  const attempt = await ProblemAttempt.findOne({
+    where: { id: attemptId, problemId: problem.id },
+    transaction
+  });
+
+  if (!attempt) {
+    throw new AppError('Attempt not found', 404);
+  }
+
+  return attempt;
+};
+
+/**
+ * Rethrow an error from an attempt write as an AppError
+ * @param {Error} error - Caught error
+ * @param {string} message - Message for unexpected errors
+ */
+const rethrowAttemptError = (error, message) => {
+  if (error instanceof AppError) {
+    throw error;
+  }
+  if (error.name === 'SequelizeValidationError') {
+    throw new AppError(error.errors.map(e => e.message).join(', '), 400);
+  }
+  throw new AppError(message, 500);
+};
+
+/**
+ * Record a new attempt at a problem
+ * @param {Object} problem - Problem instance
+ * @param {Object} attemptData - { date, timeSpent, outcome, hintsUsed, notes }
+ * @returns {Object} { attempt, problem }
+ */
+const createAttempt = async (problem, attemptData) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const attempt = await ProblemAttempt.create({
+        ...pickAttemptFields(attemptData),
+        problemId: problem.id
+      }, { transaction });
+
+      await syncProblemFromAttempts(problem, transaction);
+      return { attempt, problem };
+    });
+  } catch (error) {
+    rethrowAttemptError(error, 'Failed to create attempt');
+  }
+};
+
+/**
+ * Update an attempt
+ * @param {Object} problem - Problem instance
+ * @param {number} attemptId - Attempt ID
+ * @param {Object} updateData - Attempt fields to change
+ * @returns {Object} { attempt, problem }
+ */
+const updateAttempt = async (problem, attemptId, updateData) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const attempt = await findAttempt(problem, attemptId, transaction);
+      await attempt.update(pickAttemptFields(updateData), { transaction });
+
+      await syncProblemFromAttempts(problem, transaction);
+      return { attempt, problem };
+    });
+  } catch (error) {
+    rethrowAttemptError(error, 'Failed to update attempt');
+  }
+};
+
+/**
+ * Delete an attempt. A problem keeps at least one attempt;
+ * delete the problem itself to remove the last one.
+ * @param {Object} problem - Problem instance
+ * @param {number} attemptId - Attempt ID
+ * @returns {Object} Updated problem
+ */
+const deleteAttempt = async (problem, attemptId) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const attempt = await findAttempt(problem, attemptId, transaction);
+
+      const attemptCount = await ProblemAttempt.count({ where: { problemId: problem.id }, transaction });
+      if (attemptCount <= 1) {
+        throw new AppError('A problem needs at least one attempt; delete the problem instead', 409);
+      }
+
+      // Note and snippet versions saved during the attempt are kept without it
+      await ProblemNoteVersion.update({ attemptId: null }, { where: { attemptId: attempt.id }, transaction });
+      await ProblemSnippetVersion.update({ attemptId: null }, { where: { attemptId: attempt.id }, transaction });
+      await attempt.destroy({ transaction });
+      return syncProblemFromAttempts(problem, transaction);
+    });
+  } catch (error) {
+    rethrowAttemptError(error, 'Failed to delete attempt');
+  }
+};
+
+/**
+ * Calculate first-try statistics for a set of problems.
+ * A problem counts as solved on the first try when its earliest attempt was solved.
+ * @param {Array} problems - Problem instances
+ * @returns {Object} { totalAttempts, averageAttempts, firstTrySolved, firstTrySolveRate }
+ */
+const getFirstTryStats = async (problems) => {
+  const attempts = problems.length > 0
+    ? await ProblemAttempt.findAll({
+      where: { problemId: problems.map(p => p.id) },
+      attributes: ['id', 'problemId', 'date', 'outcome'],
+      order: ATTEMPT_ORDER
+    })
+    : [];
+
+  const firstAttempts = new Map();
+  attempts.forEach(attempt => {
+    if (!firstAttempts.has(attempt.problemId)) {
+      firstAttempts.set(attempt.problemId, attempt);
+    }
+  });
+
+  const attemptedProblems = firstAttempts.size;
+  const firstTrySolved = [...firstAttempts.values()].filter(a => a.outcome === 'solved').length;
+
+  return {
+    totalAttempts: attempts.length,
+    averageAttempts: attemptedProblems > 0 ? Math.round((attempts.length / attemptedProblems) * 10) / 10 : 0,
+    firstTrySolved,
+    firstTrySolveRate: attemptedProblems > 0 ? Math.round((firstTrySolved / attemptedProblems) * 100) : 0
+  };
+};
+
+module.exports = {
+  syncProblemFromAttempts,
+  recordInitialAttempt,
+  updateLatestAttempt,
+  listAttempts,
+  createAttempt,
+  updateAttempt,
+  deleteAttempt,
+  getFirstTryStats
+};
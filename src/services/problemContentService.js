@@ -0,0 +1,441 @@
+/**
+ * PROBLEM CONTENT SERVICE
+ *
+ * Business logic for what a user writes about a problem: markdown
+ * notes (approach, complexity, pitfalls) and solution snippets. Every
+ * saved change becomes a numbered version tied to an attempt, so the
+ * history can be listed and two versions (or attempts) can be diffed.
+ */
+
+const {
+  ProblemAttempt,
+  ProblemSnippet,
+  ProblemSnippetVersion,
+  ProblemNoteVersion,
+  sequelize
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { PROBLEM_CONSTANTS } = require('../utils/constants');
+const { diffLines, splitLines } = require('../utils/diff');
+
+const VERSION_ORDER = [['version', 'ASC']];
+
+/**
+ * Rethrow an error from a content write as an AppError
+ * @param {Error} error - Caught error
+ * @param {string} message - Message for unexpected errors
+ */
+const rethrowContentError = (error, message) => {
+  if (error instanceof AppError) {
+    throw error;
+  }
+  if (error.name === 'SequelizeValidationError') {
+    throw new AppError(error.errors.map(e => e.message).join(', '), 400);
+  }
+  throw new AppError(message, 500);
+};
+
+/**
+ * Resolve the attempt a new version belongs to: the given one, which
+ * must be an attempt of the problem, or else the latest attempt
+ * @param {Object} problem - Problem instance
+ * @param {number} [attemptId] - Attempt ID chosen by the client
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {number|null} Attempt ID
+ */
+const resolveAttemptId = async (problem, attemptId, transaction) => {
+  if (attemptId) {
+    const attempt = await ProblemAttempt.findOne({
+      where: { id: attemptId, problemId: problem.id },
+      attributes: ['id'],
+      transaction
+    });
+    if (!attempt) {
+      throw new AppError('Attempt not found', 404);
+    }
+    return attempt.id;
+  }
+
+  const latest = await ProblemAttempt.findOne({
+    where: { problemId: problem.id },
+    attributes: ['id'],
+    order: [['date', 'DESC'], ['id', 'DESC']],
+    transaction
+  });
+  return latest ? latest.id : null;
+};
+
+// ========== NOTES ==========
+
+/**
+ * Save a problem's notes, recording a new version when they changed
+ * @param {Object} problem - Problem instance
+ * @param {string|null} content - Markdown notes
+ * @param {Object} [options] - { attemptId, transaction }
+ * @returns {Object|null} Created version, or null if nothing changed
+ */
+const saveNotes = async (problem, content, options = {}) => {
+  const { transaction } = options;
+  const text = content || '';
+
+  if (text.length > PROBLEM_CONSTANTS.MAX_NOTES_LENGTH) {
+    throw new AppError(`Notes must be at most ${PROBLEM_CONSTANTS.MAX_NOTES_LENGTH} characters`, 400);
+  }
+
+  const latest = await ProblemNoteVersion.max('version', { where: { problemId: problem.id }, transaction });
+  if (text === (problem.notes || '') && (latest || !text)) {
+    return null;
+  }
+
+  await problem.update({ notes: text || null }, { transaction });
+
+  return ProblemNoteVersion.create({
+    problemId: problem.id,
+    version: (latest || 0) + 1,
+    content: text,
+    attemptId: await resolveAttemptId(problem, options.attemptId, transaction)
+  }, { transaction });
+};
+
+/**
+ * Get a problem's current notes
+ * @param {Object} problem - Problem instance
+ * @returns {Object} { content, version, attemptId, updatedAt }
+ */
+const getNotes = async (problem) => {
+  const latest = await ProblemNoteVersion.findOne({
+    where: { problemId: problem.id },
+    order: [['version', 'DESC']]
+  });
+
+  return {
+    content: problem.notes || '',
+    version: latest ? latest.version : 0,
+    attemptId: latest ? latest.attemptId : null,
+    updatedAt: latest ? latest.createdAt : null
+  };
+};
+
+/**
+ * Replace a problem's notes
+ * @param {Object} problem - Problem instance
+ * @param {Object} notesData - { content, attemptId }
+ * @returns {Object} Current notes
+ */
+const updateNotes = async (problem, notesData) => {
+  try {
+    await sequelize.transaction(transaction => saveNotes(problem, notesData.content, {
+      attemptId: notesData.attemptId,
+      transaction
+    }));
+    return getNotes(problem);
+  } catch (error) {
+    rethrowContentError(error, 'Failed to update notes');
+  }
+};
+
+/**
+ * List every saved version of a problem's notes, oldest first
+ * @param {Object} problem - Problem instance
+ * @returns {Array} Note versions
+ */
+const listNoteVersions = (problem) => {
+  return ProblemNoteVersion.findAll({
+    where: { problemId: problem.id },
+    order: VERSION_ORDER
+  });
+};
+
+// ========== SNIPPETS ==========
+
+/**
+ * Find one snippet of a problem
+ * @param {Object} problem - Problem instance
+ * @param {number} snippetId - Snippet ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Snippet
+ */
+const findSnippet = async (problem, snippetId, transaction) => {
+  const snippet = await ProblemSnippet.findOne({
+    where: { id: snippetId, problemId: problem.id },
+    transaction
+  });
+
+  if (!snippet) {
+    throw new AppError('Snippet not found', 404);
+  }
+
+  return snippet;
+};
+
+/**
+ * List the snippets of a problem
+ * @param {Object} problem - Problem instance
+ * @returns {Array} Snippets
+ */
+const listSnippets = (problem) => {
+  return ProblemSnippet.findAll({
+    where: { problemId: problem.id },
+    order: [['id', 'ASC']]
+  });
+};
+
+/**
+ * Get one snippet of a problem
+ * @param {Object} problem - Problem instance
+ * @param {number} snippetId - Snippet ID
+ * @returns {Object} Snippet
+ */
+const getSnippet = (problem, snippetId) => findSnippet(problem, snippetId);
+
+/**
+ * Add a snippet to a problem; its first version is saved with it
+ * @param {Object} problem - Problem instance
+ * @param {Object} snippetData - { language, title, code, attemptId }
+ * @returns {Object} Created snippet
+ */
+const createSnippet = async (problem, snippetData) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const count = await ProblemSnippet.count({ where: { problemId: problem.id }, transaction });
+      if (count >= PROBLEM_CONSTANTS.MAX_SNIPPETS) {
+        throw new AppError(`A problem can have at most ${PROBLEM_CONSTANTS.MAX_SNIPPETS} snippets`, 409);
+      }
+
+      const snippet = await ProblemSnippet.create({
+        problemId: problem.id,
+        language: snippetData.language,
+        title: snippetData.title || null,
+        code: snippetData.code,
+        version: 1
+      }, { transaction });
+
+      await ProblemSnippetVersion.create({
+        snippetId: snippet.id,
+        version: 1,
+        language: snippet.language,
+        code: snippet.code,
+        attemptId: await resolveAttemptId(problem, snippetData.attemptId, transaction)
+      }, { transaction });
+
+      return snippet;
+    });
+  } catch (error) {
+    rethrowContentError(error, 'Failed to create snippet');
+  }
+};
+
+/**
+ * Update a snippet. Changing the code or language saves a new version;
+ * renaming it does not.
+ * @param {Object} problem - Problem instance
+ * @param {number} snippetId - Snippet ID
+ * @param {Object} updateData - { language, title, code, attemptId }
+ * @returns {Object} Updated snippet
+ */
+const updateSnippet = async (problem, snippetId, updateData) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const snippet = await findSnippet(problem, snippetId, transaction);
+      const language = updateData.language !== undefined ? updateData.language : snippet.language;
+      const code = updateData.code !== undefined ? updateData.code : snippet.code;
+      const changed = language !== snippet.language || code !== snippet.code;
+
+      await snippet.update({
+        language,
+        code,
+        title: updateData.title !== undefined ? updateData.title || null : snippet.title,
+        version: changed ? snippet.version + 1 : snippet.version
+      }, { transaction });
+
+      if (changed) {
+        await ProblemSnippetVersion.create({
+          snippetId: snippet.id,
+          version: snippet.version,
+          language,
+          code,
+          attemptId: await resolveAttemptId(problem, updateData.attemptId, transaction)
+        }, { transaction });
+      }
+
+      return snippet;
+    });
+  } catch (error) {
+    rethrowContentError(error, 'Failed to update snippet');
+  }
+};
+
+/**
+ * Delete a snippet and its history
+ * @param {Object} problem - Problem instance
+ * @param {number} snippetId - Snippet ID
+ * @returns {boolean} Success status
+ */
+const deleteSnippet = async (problem, snippetId) => {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      const snippet = await findSnippet(problem, snippetId, transaction);
+      await ProblemSnippetVersion.destroy({ where: { snippetId: snippet.id }, transaction });
+      await snippet.destroy({ transaction });
+    });
+    return true;
+  } catch (error) {
+    rethrowContentError(error, 'Failed to delete snippet');
+  }
+};
+
+/**
+ * List every saved version of a snippet, oldest first
+ * @param {Object} problem - Problem instance
+ * @param {number} snippetId - Snippet ID
+ * @returns {Array} Snippet versions
+ */
+const listSnippetVersions = async (problem, snippetId) => {
+  const snippet = await findSnippet(problem, snippetId);
+
+  return ProblemSnippetVersion.findAll({
+    where: { snippetId: snippet.id },
+    order: VERSION_ORDER
+  });
+};
+
+// ========== DIFFS ==========
+
+/**
+ * Pick the version to compare for one side of a diff
+ * @param {Array} versions - Versions, oldest first
+ * @param {Object} selector - { version, attemptId } (version 0 is the empty text)
+ * @param {Object|null} fallback - Version used when nothing was selected
+ * @returns {Object|null} Version, or null for the empty text
+ */
+const selectVersion = (versions, selector, fallback) => {
+  if (selector.version === 0) {
+    return null;
+  }
+
+  if (selector.version) {
+    const version = versions.find(v => v.version === selector.version);
+    if (!version) {
+      throw new AppError(`Version ${selector.version} not found`, 404);
+    }
+    return version;
+  }
+
+  if (selector.attemptId) {
+    // The last version saved for that attempt is what the user ended up with
+    const version = [...versions].reverse().find(v => v.attemptId === selector.attemptId);
+    if (!version) {
+      throw new AppError(`No version was saved for attempt ${selector.attemptId}`, 404);
+    }
+    return version;
+  }
+
+  return fallback;
+};
+
+/**
+ * Diff two versions. By default the latest version is compared with the one before it.
+ * @param {Array} versions - Versions, oldest first
+ * @param {Object} query - { from, to, fromAttempt, toAttempt }
+ * @param {Function} textOf - Gets the compared text of a version
+ * @returns {Object} { from, to, added, removed, changes }
+ */
+const diffVersions = (versions, query, textOf) => {
+  const to = selectVersion(versions, { version: query.to, attemptId: query.toAttempt }, versions[versions.length - 1] || null);
+  const toIndex = to ? versions.indexOf(to) : 0;
+  const from = selectVersion(versions, { version: query.from, attemptId: query.fromAttempt }, versions[toIndex - 1] || null);
+
+  const oldText = from ? textOf(from) : '';
+  const newText = to ? textOf(to) : '';
+  if (splitLines(oldText).length > PROBLEM_CONSTANTS.MAX_DIFF_LINES ||
+      splitLines(newText).length > PROBLEM_CONSTANTS.MAX_DIFF_LINES) {
+    throw new AppError(`Versions longer than ${PROBLEM_CONSTANTS.MAX_DIFF_LINES} lines cannot be diffed`, 400);
+  }
+
+  const describe = (version) => (version
+    ? { version: version.version, attemptId: version.attemptId, createdAt: version.createdAt }
+    : { version: 0, attemptId: null, createdAt: null });
+
+  return {
+    from: describe(from),
+    to: describe(to),
+    ...diffLines(oldText, newText)
+  };
+};
+
+/**
+ * Diff two versions of a problem's notes
+ * @param {Object} problem - Problem instance
+ * @param {Object} query - { from, to, fromAttempt, toAttempt }
+ * @returns {Object} Diff
+ */
+const diffNoteVersions = async (problem, query) => {
+  const versions = await listNoteVersions(problem);
+  return diffVersions(versions, query, version => version.content);
+};
+
+/**
+ * Diff two versions of a snippet
+ * @param {Object} problem - Problem instance
+ * @param {number} snippetId - Snippet ID
+ * @param {Object} query - { from, to, fromAttempt, toAttempt }
+ * @returns {Object} Diff
+ */
+const diffSnippetVersions = async (problem, snippetId, query) => {
+  const versions = await listSnippetVersions(problem, snippetId);
+  return diffVersions(versions, query, version => version.code);
+};
+
+// ========== HOUSEKEEPING ==========
+
+/**
+ * Delete the snippets and history of problems that are being deleted
+ * @param {Array<number>} problemIds - Problem IDs
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const removeProblemContent = async (problemIds, transaction) => {
+  const snippets = await ProblemSnippet.findAll({
+    where: { problemId: problemIds },
+    attributes: ['id'],
+    transaction
+  });
+
+  await ProblemSnippetVersion.destroy({ where: { snippetId: snippets.map(s => s.id) }, transaction });
+  await ProblemSnippet.destroy({ where: { problemId: problemIds }, transaction });
+  await ProblemNoteVersion.destroy({ where: { problemId: problemIds }, transaction });
+};
+
+/**
+ * Move a duplicate's snippets to the problem it is merged into and
+ * add its notes below the kept problem's notes (as a new version)
+ * @param {Object} source - Problem being merged away
+ * @param {Object} target - Problem that is kept
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const mergeProblemContent = async (source, target, transaction) => {
+  await ProblemSnippet.update({ problemId: target.id }, { where: { problemId: source.id }, transaction });
+
+  if (source.notes) {
+    const notes = target.notes ? `${target.notes}\n\n---\n\n${source.notes}` : source.notes;
+    await saveNotes(target, notes, { transaction });
+  }
+
+  await ProblemNoteVersion.destroy({ where: { problemId: source.id }, transaction });
+};
+
+module.exports = {
+  saveNotes,
+  getNotes,
+  updateNotes,
+  listNoteVersions,
+  diffNoteVersions,
+  listSnippets,
+  getSnippet,
+  createSnippet,
+  updateSnippet,
+  deleteSnippet,
+  listSnippetVersions,
+  diffSnippetVersions,
+  removeProblemContent,
+  mergeProblemContent
+};
@@ -0,0 +1,149 @@
+/**
+ * PROBLEM DUPLICATE SERVICE
+ *
+ * Finds problems a user has already logged that match a new one
+ * (same normalized link, or a similar title on the same platform)
+ * and merges a duplicate into the problem that is kept.
+ */
+
+const { Op } = require('sequelize');
+const { Problem, ProblemAttempt, RevisionItem, sequelize } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { PROBLEM_CONSTANTS } = require('../utils/constants');
+const { stringSimilarity, parseTags } = require('../utils/helpers');
+const { normalizeProblemLink } = require('../utils/problemLinks');
+const { syncProblemFromAttempts } = require('./problemAttemptService');
+const { mergeProblemContent } = require('./problemContentService');
+const { mergeListItems } = require('./problemListService');
+const { mergeSubtopicLinks } = require('./roadmapService');
+const { removeItemTags } = require('./tagService');
+
+/**
+ * Normalize a title for fuzzy comparison
+ * @param {string} title - Problem title
+ * @returns {string} Lowercase title with punctuation and extra spaces removed
+ */
+const normalizeTitle = (title) => {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Find problems of a user that look like the given one
+ * @param {number} userId - User ID
+ * @param {Object} problemData - { title, platform, link }
+ * @param {Object} [options] - { excludeId }
+ * @returns {Array} Candidates { id, title, platform, link, date, outcome, reason, similarity },
+ *   link matches first, then by similarity
+ */
+const findDuplicateCandidates = async (userId, problemData, options = {}) => {
+  const link = normalizeProblemLink(problemData.link);
+  const title = normalizeTitle(problemData.title);
+
+  const scope = [{ link: { [Op.ne]: null } }];
+  if (problemData.platform) {
+    scope.push({ platform: problemData.platform });
+  }
+
+  const where = { userId, [Op.or]: scope };
+  if (options.excludeId) {
+    where.id = { [Op.ne]: options.excludeId };
+  }
+
+  const problems = await Problem.findAll({
+    where,
+    attributes: ['id', 'title', 'platform', 'link', 'date', 'outcome']
+  });
+
+  const candidates = [];
+  for (const problem of problems) {
+    if (link && normalizeProblemLink(problem.link) === link) {
+      candidates.push({ problem, reason: 'link', similarity: 1 });
+      continue;
+    }
+
+    if (title && problemData.platform && problem.platform === problemData.platform) {
+      const similarity = stringSimilarity(title, normalizeTitle(problem.title));
+      if (similarity >= PROBLEM_CONSTANTS.DUPLICATE_TITLE_SIMILARITY) {
+        candidates.push({ problem, reason: 'title', similarity: Math.round(similarity * 100) / 100 });
+      }
+    }
+  }
+
+  return candidates
+    .sort((a, b) => (a.reason === b.reason ? b.similarity - a.similarity : a.reason === 'link' ? -1 : 1))
+    .slice(0, PROBLEM_CONSTANTS.MAX_DUPLICATE_CANDIDATES)
+    .map(({ problem, reason, similarity }) => ({
+      id: problem.id,
+      title: problem.title,
+      platform: problem.platform,
+      link: problem.link,
+      date: problem.date,
+      outcome: problem.outcome,
+      reason,
+      similarity
+    }));
+};
+
+/**
+ * Merge a duplicate problem into the one that is kept. The duplicate's
+ * attempts, revision items and roadmap subtopic links move over, tags
+ * are combined, empty fields are filled in, and the duplicate is deleted.
+ * @param {Object} target - Problem instance that is kept
+ * @param {number} sourceId - ID of the problem folded into the target
+ * @returns {Object} Merged problem with its attempts
+ */
+const mergeProblems = async (target, sourceId) => {
+  if (Number(sourceId) === target.id) {
+    throw new AppError('A problem cannot be merged into itself', 400);
+  }
+
+  const source = await Problem.findOne({ where: { id: sourceId, userId: target.userId } });
+  if (!source) {
+    throw new AppError('Problem to merge not found', 404);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await ProblemAttempt.update(
+      { problemId: target.id },
+      { where: { problemId: source.id }, transaction }
+    );
+
+    await RevisionItem.update(
+      { itemId: target.id },
+      { where: { itemType: 'problem', itemId: source.id, userId: target.userId }, transaction }
+    );
+
+    await target.update({
+      tags: [...parseTags(target.tags), ...parseTags(source.tags)],
+      date: source.date < target.date ? source.date : target.date,
+      link: target.link || source.link,
+      codeLink: target.codeLink || source.codeLink,
+      isRevision: target.isRevision || source.isRevision
+    }, { transaction });
+
+    await mergeProblemContent(source, target, transaction);
+    await mergeListItems(source, target, transaction);
+    await mergeSubtopicLinks(source, target, transaction);
+    await removeItemTags('problem', [source.id], transaction);
+    await source.destroy({ transaction, force: true });
+
+    // Outcome and total time now come from both problems' attempts
+    await syncProblemFromAttempts(target, transaction);
+  });
+
+  return Problem.findByPk(target.id, {
+    include: [{ model: ProblemAttempt, as: 'attempts' }],
+    order: [
+      [{ model: ProblemAttempt, as: 'attempts' }, 'date', 'ASC'],
+      [{ model: ProblemAttempt, as: 'attempts' }, 'id', 'ASC']
+    ]
+  });
+};
+
+module.exports = {
+  findDuplicateCandidates,
+  mergeProblems
+};
@@ -0,0 +1,260 @@
+/**
+ * PROBLEM IMPORT SERVICE
+ *
+ * Bulk import of problem history from CSV or JSON: maps columns to
+ * Problem fields, checks every row against PROBLEM_CONSTANTS, skips
+ * rows whose link is already logged, and writes the import in a
+ * single transaction (or only reports what would happen on a dry run).
+ */
+
+const { Op } = require('sequelize');
+const { Problem, sequelize } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { PROBLEM_CONSTANTS } = require('../utils/constants');
+const { isValidUrl, parseTags } = require('../utils/helpers');
+const { parseCsvRecords } = require('../utils/csv');
+const { parseProblemLink, normalizeProblemLink } = require('../utils/problemLinks');
+const { recordInitialAttempt } = require('./problemAttemptService');
+
+/**
+ * Accepted column names per Problem field, compared after
+ * lowercasing and removing everything but letters
+ */
+const COLUMN_ALIASES = {
+  title: ['title', 'name', 'problem'],
+  platform: ['platform', 'site', 'judge'],
+  difficulty: ['difficulty', 'level'],
+  topic: ['topic', 'category'],
+  timeSpent: ['timespent', 'time', 'minutes', 'timeminutes'],
+  outcome: ['outcome', 'result', 'status'],
+  date: ['date', 'solvedat', 'solvedon'],
+  link: ['link', 'url'],
+  tags: ['tags', 'labels']
+};
+
+/**
+ * Normalize a column name for alias matching
+ * @param {string} key - Column name
+ * @returns {string} Lowercase letters only
+ */
+const normalizeColumn = (key) => String(key).toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Map a raw record (CSV row or JSON object) to Problem field names
+ * @param {Object} record - Raw record
+ * @returns {Object} Values keyed by Problem field
+ */
+const mapColumns = (record) => {
+  const byColumn = Object.entries(record).reduce((columns, [key, value]) => {
+    columns[normalizeColumn(key)] = value;
+    return columns;
+  }, {});
+
+  return Object.entries(COLUMN_ALIASES).reduce((fields, [field, aliases]) => {
+    const alias = aliases.find(name => byColumn[name] !== undefined);
+    if (alias) {
+      fields[field] = byColumn[alias];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Check whether a value was left empty
+ * @param {*} value - Raw value
+ * @returns {boolean} True for undefined, null or blank strings
+ */
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Find a value in a list of allowed values, ignoring case
+ * @param {*} value - Raw value
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {string|undefined} The allowed value as spelled in the list
+ */
+const matchAllowed = (value, allowed) => {
+  const needle = String(value).trim().toLowerCase();
+  return allowed.find(option => option.toLowerCase() === needle);
+};
+
+/**
+ * Validate and convert one mapped row into Problem attributes
+ * @param {Object} fields - Values keyed by Problem field
+ * @returns {Object} { values, errors }
+ */
+const normalizeRow = (fields) => {
+  const errors = [];
+  const values = {};
+
+  // Recognised problem links fill in a missing platform and title
+  const parsedLink = parseProblemLink(isBlank(fields.link) ? '' : String(fields.link));
+  if (parsedLink) {
+    fields = {
+      ...fields,
+      link: parsedLink.url,
+      platform: isBlank(fields.platform) ? parsedLink.platform : fields.platform,
+      title: isBlank(fields.title) ? parsedLink.title : fields.title
+    };
+  }
+
+  const title = isBlank(fields.title) ? '' : String(fields.title).trim();
+  if (!title) {
+    errors.push('Title is required');
+  } else if (title.length > 200) {
+    errors.push('Title must be at most 200 characters');
+  }
+  values.title = title;
+
+  values.platform = isBlank(fields.platform) ? undefined : matchAllowed(fields.platform, PROBLEM_CONSTANTS.PLATFORMS);
+  if (!values.platform) {
+    errors.push(`Platform must be one of: ${PROBLEM_CONSTANTS.PLATFORMS.join(', ')}`);
+  }
+
+  values.difficulty = isBlank(fields.difficulty) ? undefined : matchAllowed(fields.difficulty, PROBLEM_CONSTANTS.DIFFICULTIES);
+  if (!values.difficulty) {
+    errors.push(`Difficulty must be one of: ${PROBLEM_CONSTANTS.DIFFICULTIES.join(', ')}`);
+  }
+
+  values.topic = isBlank(fields.topic) ? '' : String(fields.topic).trim();
+  if (!values.topic) {
+    errors.push('Topic is required');
+  }
+
+  const timeSpent = Number(isBlank(fields.timeSpent) ? NaN : fields.timeSpent);
+  if (!Number.isInteger(timeSpent) || timeSpent < 0 || timeSpent > PROBLEM_CONSTANTS.MAX_TIME_SPENT) {
+    errors.push(`Time spent must be a whole number of minutes between 0 and ${PROBLEM_CONSTANTS.MAX_TIME_SPENT}`);
+  }
+  values.timeSpent = timeSpent;
+
+  values.outcome = isBlank(fields.outcome) ? undefined : matchAllowed(fields.outcome, PROBLEM_CONSTANTS.OUTCOMES);
+  if (!values.outcome) {
+    errors.push(`Outcome must be one of: ${PROBLEM_CONSTANTS.OUTCOMES.join(', ')}`);
+  }
+
+  values.date = isBlank(fields.date) ? new Date() : new Date(String(fields.date).trim());
+  if (Number.isNaN(values.date.getTime())) {
+    errors.push('Date is not a valid date');
+  }
+
+  if (!isBlank(fields.link)) {
+    values.link = String(fields.link).trim();
+    if (!isValidUrl(values.link) || !/^https?:\/\//i.test(values.link)) {
+      errors.push('Link must be a valid http(s) URL');
+    }
+  }
+
+  values.tags = parseTags(fields.tags);
+
+  return { values, errors };
+};
+
+/**
+ * Parse the uploaded content into raw records
+ * @param {string} format - 'csv' or 'json'
+ * @param {string|Array} content - CSV text or an array of objects
+ * @returns {Array<Object>} Raw records
+ */
+const parseRecords = (format, content) => {
+  if (format === 'csv') {
+    try {
+      return parseCsvRecords(content);
+    } catch (error) {
+      throw new AppError(`Invalid CSV: ${error.message}`, 400);
+    }
+  }
+
+  if (!Array.isArray(content) || content.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+    throw new AppError('JSON imports must be an array of problem objects', 400);
+  }
+  return content;
+};
+
+/**
+ * Import problems for a user.
+ * Rows are numbered from 1, counting data rows only (not the CSV header).
+ * If any row is invalid nothing is written; a dry run never writes.
+ * @param {Object} user - User object
+ * @param {Object} upload - { format: 'csv'|'json', content }
+ * @param {Object} [options] - { dryRun }
+ * @returns {Object} Report: { dryRun, total, valid, imported, duplicates, errors }
+ */
+const importProblems = async (user, upload, options = {}) => {
+  const records = parseRecords(upload.format, upload.content);
+
+  if (records.length === 0) {
+    throw new AppError('No rows to import', 400);
+  }
+  if (records.length > PROBLEM_CONSTANTS.IMPORT_MAX_ROWS) {
+    throw new AppError(`An import can contain at most ${PROBLEM_CONSTANTS.IMPORT_MAX_ROWS} rows`, 400);
+  }
+
+  try {
+    const existing = await Problem.findAll({
+      where: { userId: user.id, link: { [Op.ne]: null } },
+      attributes: ['link']
+    });
+    const knownLinks = new Set(existing.map(problem => normalizeProblemLink(problem.link)));
+    const fileLinks = new Set();
+
+    const rows = [];
+    const errors = [];
+    const duplicates = [];
+
+    records.forEach((record, index) => {
+      const row = index + 1;
+      const { values, errors: rowErrors } = normalizeRow(mapColumns(record));
+
+      if (rowErrors.length > 0) {
+        errors.push({ row, errors: rowErrors });
+        return;
+      }
+
+      if (values.link) {
+        const key = normalizeProblemLink(values.link);
+        if (knownLinks.has(key) || fileLinks.has(key)) {
+          duplicates.push({
+            row,
+            link: values.link,
+            reason: knownLinks.has(key) ? 'Already in your problems' : 'Repeated in this import'
+          });
+          return;
+        }
+        fileLinks.add(key);
+      }
+
+      rows.push(values);
+    });
+
+    const report = {
+      dryRun: Boolean(options.dryRun),
+      total: records.length,
+      valid: rows.length,
+      imported: 0,
+      duplicates,
+      errors
+    };
+
+    if (options.dryRun || errors.length > 0 || rows.length === 0) {
+      return report;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      for (const values of rows) {
+        const problem = await Problem.create({ ...values, userId: user.id }, { transaction });
+        await recordInitialAttempt(problem, transaction);
+      }
+    });
+
+    report.imported = rows.length;
+    return report;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to import problems', 500);
+  }
+};
+
+module.exports = {
+  importProblems
+};
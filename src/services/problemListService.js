@@ -0,0 +1,588 @@
+/**
+ * PROBLEM LIST SERVICE
+ *
+ * Business logic for problem lists: ordered collections such as
+ * "Blind 75" with add, remove and reorder, progress derived from the
+ * outcomes of their problems, JSON export and import, and read-only
+ * access to public lists for other users.
+ */
+
+const { Op } = require('sequelize');
+const { Problem, ProblemList, ProblemListItem, sequelize } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { PROBLEM_CONSTANTS, PROBLEM_LIST_CONSTANTS } = require('../utils/constants');
+const { parseProblemLink, normalizeProblemLink } = require('../utils/problemLinks');
+
+// Entries are ordered by position; id breaks ties while positions are rewritten
+const ITEM_ORDER = [['position', 'ASC'], ['id', 'ASC']];
+
+// Problem fields shown on the entries of the owner's lists
+const PROBLEM_ATTRIBUTES = ['id', 'title', 'platform', 'difficulty', 'outcome', 'link', 'date'];
+
+// Entry fields that describe the problem, shared with other users and exported
+const ENTRY_FIELDS = ['title', 'platform', 'difficulty', 'link'];
+
+/**
+ * Copy the describing fields of a problem onto an entry
+ * @param {Object} problem - Problem instance
+ * @returns {Object} { title, platform, difficulty, link }
+ */
+const entryFromProblem = (problem) => ENTRY_FIELDS.reduce((entry, field) => {
+  entry[field] = problem[field] || null;
+  return entry;
+}, {});
+
+/**
+ * Read the describing fields of a pending entry; a recognised
+ * link is normalized and fills in a missing title and platform
+ * @param {Object} data - { title, platform, difficulty, link }
+ * @returns {Object} { title, platform, difficulty, link }
+ */
+const entryFromData = (data) => {
+  const parsed = parseProblemLink(data.link);
+  const title = typeof data.title === 'string' ? data.title.trim() : '';
+
+  return {
+    title: title || (parsed ? parsed.title : null),
+    platform: data.platform || (parsed ? parsed.platform : null),
+    difficulty: data.difficulty || null,
+    link: parsed ? parsed.url : (data.link || null)
+  };
+};
+
+/**
+ * Load the entries of lists with their problems, in list order
+ * @param {Array<number>} listIds - List IDs
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Array} Entries
+ */
+const loadItems = (listIds, transaction) => {
+  return ProblemListItem.findAll({
+    where: { listId: listIds },
+    include: [{ model: Problem, as: 'problem', attributes: PROBLEM_ATTRIBUTES }],
+    order: ITEM_ORDER,
+    transaction
+  });
+};
+
+/**
+ * Point pending entries at the owner's problem with the same link,
+ * once that problem has been logged
+ * @param {number} userId - Owner ID
+ * @param {Array} items - Entries of the owner's lists
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const linkPendingItems = async (userId, items, transaction) => {
+  const pending = items.filter(item => !item.problemId && item.link);
+  if (pending.length === 0) {
+    return;
+  }
+
+  const problems = await Problem.findAll({
+    where: { userId, link: { [Op.ne]: null } },
+    attributes: PROBLEM_ATTRIBUTES,
+    transaction
+  });
+  const problemsByLink = new Map();
+  problems.forEach((problem) => {
+    const key = normalizeProblemLink(problem.link);
+    if (key && !problemsByLink.has(key)) {
+      problemsByLink.set(key, problem);
+    }
+  });
+
+  for (const item of pending) {
+    const problem = problemsByLink.get(normalizeProblemLink(item.link));
+    const inList = problem && items.some(other => other.listId === item.listId && other.problemId === problem.id);
+    if (problem && !inList) {
+      await item.update({ problemId: problem.id }, { transaction });
+      item.problem = problem;
+    }
+  }
+};
+
+/**
+ * Progress of a list from the outcomes of its problems
+ * @param {Array} items - Entries with their problems
+ * @returns {Object} { total, solved, attempted, notStarted, completionRate, outcomes }
+ */
+const buildProgress = (items) => {
+  const outcomes = Object.fromEntries(PROBLEM_CONSTANTS.OUTCOMES.map(outcome => [outcome, 0]));
+  let notStarted = 0;
+
+  items.forEach((item) => {
+    if (item.problem) {
+      outcomes[item.problem.outcome] = (outcomes[item.problem.outcome] || 0) + 1;
+    } else {
+      notStarted++;
+    }
+  });
+
+  const total = items.length;
+  return {
+    total,
+    solved: outcomes.solved,
+    attempted: total - notStarted - outcomes.solved,
+    notStarted,
+    completionRate: total > 0 ? Math.round((outcomes.solved / total) * 100) : 0,
+    outcomes
+  };
+};
+
+/**
+ * Serialize an entry; other users only see what describes the problem
+ * @param {Object} item - Entry with its problem
+ * @param {boolean} isOwner - Whether the list belongs to the viewer
+ * @returns {Object} Entry
+ */
+const serializeItem = (item, isOwner) => {
+  const entry = {
+    id: item.id,
+    position: item.position,
+    ...ENTRY_FIELDS.reduce((fields, field) => ({ ...fields, [field]: item[field] }), {})
+  };
+
+  if (!isOwner) {
+    return entry;
+  }
+
+  return {
+    ...entry,
+    problemId: item.problemId,
+    status: item.problem ? item.problem.outcome : 'not-started',
+    problem: item.problem || null
+  };
+};
+
+/**
+ * Serialize a list with its entries
+ * @param {Object} list - ProblemList instance
+ * @param {Array} items - Its entries, in order
+ * @param {boolean} isOwner - Whether the list belongs to the viewer
+ * @returns {Object} List; the owner also gets progress
+ */
+const serializeList = (list, items, isOwner) => {
+  const { id, title, description, isPublic, createdAt, updatedAt } = list;
+
+  return {
+    id,
+    title,
+    description,
+    isPublic,
+    createdAt,
+    updatedAt,
+    ...(isOwner && { progress: buildProgress(items) }),
+    items: items.map(item => serializeItem(item, isOwner))
+  };
+};
+
+/**
+ * Load a list's entries and serialize it for its owner
+ * @param {Object} list - ProblemList instance
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} List with entries and progress
+ */
+const presentOwnList = async (list, transaction) => {
+  const items = await loadItems([list.id], transaction);
+  await linkPendingItems(list.userId, items, transaction);
+  return serializeList(list, items, true);
+};
+
+/**
+ * Renumber a list's entries 1..n in their current order
+ * @param {number} listId - List ID
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const compactPositions = async (listId, transaction) => {
+  const items = await ProblemListItem.findAll({ where: { listId }, order: ITEM_ORDER, transaction });
+
+  for (const [index, item] of items.entries()) {
+    if (item.position !== index + 1) {
+      await item.update({ position: index + 1 }, { transaction });
+    }
+  }
+};
+
+/**
+ * Build the entry for a problem or a pending problem of a list's owner
+ * @param {Object} list - ProblemList instance
+ * @param {Object} itemData - { problemId } or { title, platform, difficulty, link }
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Entry fields including problemId
+ */
+const resolveEntry = async (list, itemData, transaction) => {
+  if (!itemData.problemId) {
+    return { ...entryFromData(itemData), problemId: null };
+  }
+
+  const problem = await Problem.findOne({
+    where: { id: itemData.problemId, userId: list.userId },
+    transaction
+  });
+  if (!problem) {
+    throw new AppError('Problem not found', 404);
+  }
+
+  const existing = await ProblemListItem.count({ where: { listId: list.id, problemId: problem.id }, transaction });
+  if (existing > 0) {
+    throw new AppError('Problem is already in this list', 409);
+  }
+
+  return { ...entryFromProblem(problem), problemId: problem.id };
+};
+
+// ========== LISTS ==========
+
+/**
+ * List a user's problem lists with their progress
+ * @param {number} userId - User ID
+ * @returns {Array} Lists (without entries), newest first
+ */
+const listUserLists = async (userId) => {
+  const lists = await ProblemList.findAll({
+    where: { userId },
+    order: [['createdAt', 'DESC'], ['id', 'DESC']]
+  });
+
+  const items = await loadItems(lists.map(list => list.id));
+  await linkPendingItems(userId, items);
+
+  return lists.map((list) => {
+    const { items: entries, ...summary } = serializeList(list, items.filter(item => item.listId === list.id), true);
+    return { ...summary, itemCount: entries.length };
+  });
+};
+
+/**
+ * Get one of the viewer's lists, or another user's public list
+ * @param {number} listId - List ID
+ * @param {Object|null} user - Viewer, if signed in
+ * @returns {Object} List; other users do not see problems or progress
+ */
+const getList = async (listId, user) => {
+  const list = await ProblemList.findByPk(listId);
+  const isOwner = Boolean(list && user && list.userId === user.id);
+
+  // Private lists of other users are reported as missing
+  if (!list || (!isOwner && !list.isPublic)) {
+    throw new AppError('Problem list not found', 404);
+  }
+
+  if (isOwner) {
+    return presentOwnList(list);
+  }
+
+  return serializeList(list, await loadItems([list.id]), false);
+};
+
+/**
+ * Create a problem list
+ * @param {number} userId - Owner ID
+ * @param {Object} listData - { title, description, isPublic, problemIds }
+ * @returns {Object} Created list with entries and progress
+ */
+const createList = async (userId, listData) => {
+  const problemIds = [...new Set(listData.problemIds || [])];
+  if (problemIds.length > PROBLEM_LIST_CONSTANTS.MAX_ITEMS) {
+    throw new AppError(`A list can hold at most ${PROBLEM_LIST_CONSTANTS.MAX_ITEMS} problems`, 400);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const list = await ProblemList.create({
+      title: listData.title,
+      description: listData.description,
+      isPublic: listData.isPublic || false,
+      userId
+    }, { transaction });
+
+    for (const [index, problemId] of problemIds.entries()) {
+      const entry = await resolveEntry(list, { problemId }, transaction);
+      await ProblemListItem.create({ ...entry, listId: list.id, position: index + 1 }, { transaction });
+    }
+
+    return presentOwnList(list, transaction);
+  });
+};
+
+/**
+ * Update a list's title, description or visibility
+ * @param {Object} list - ProblemList instance
+ * @param {Object} updateData - { title, description, isPublic }
+ * @returns {Object} Updated list with entries and progress
+ */
+const updateList = async (list, updateData) => {
+  const updates = ['title', 'description', 'isPublic'].reduce((fields, field) => {
+    if (updateData[field] !== undefined) {
+      fields[field] = updateData[field];
+    }
+    return fields;
+  }, {});
+
+  await list.update(updates);
+  return presentOwnList(list);
+};
+
+/**
+ * Delete a list and its entries; the problems are kept
+ * @param {Object} list - ProblemList instance
+ */
+const deleteList = async (list) => {
+  await sequelize.transaction(async (transaction) => {
+    await ProblemListItem.destroy({ where: { listId: list.id }, transaction });
+    await list.destroy({ transaction });
+  });
+};
+
+// ========== ENTRIES ==========
+
+/**
+ * Add a problem, or a problem not logged yet, to a list
+ * @param {Object} list - ProblemList instance
+ * @param {Object} itemData - { problemId } or { title, platform, difficulty, link }, plus optional position
+ * @returns {Object} Updated list with entries and progress
+ */
+const addItem = async (list, itemData) => {
+  return sequelize.transaction(async (transaction) => {
+    const count = await ProblemListItem.count({ where: { listId: list.id }, transaction });
+    if (count >= PROBLEM_LIST_CONSTANTS.MAX_ITEMS) {
+      throw new AppError(`A list can hold at most ${PROBLEM_LIST_CONSTANTS.MAX_ITEMS} problems`, 409);
+    }
+
+    const entry = await resolveEntry(list, itemData, transaction);
+    const position = Math.min(itemData.position || count + 1, count + 1);
+
+    // Make room at the requested position
+    await ProblemListItem.increment('position', {
+      by: 1,
+      where: { listId: list.id, position: { [Op.gte]: position } },
+      transaction
+    });
+    await ProblemListItem.create({ ...entry, listId: list.id, position }, { transaction });
+
+    return presentOwnList(list, transaction);
+  });
+};
+
+/**
+ * Remove an entry from a list
+ * @param {Object} list - ProblemList instance
+ * @param {number} itemId - Entry ID
+ * @returns {Object} Updated list with entries and progress
+ */
+const removeItem = async (list, itemId) => {
+  return sequelize.transaction(async (transaction) => {
+    const item = await ProblemListItem.findOne({ where: { id: itemId, listId: list.id }, transaction });
+    if (!item) {
+      throw new AppError('List entry not found', 404);
+    }
+
+    await item.destroy({ transaction });
+    await compactPositions(list.id, transaction);
+    return presentOwnList(list, transaction);
+  });
+};
+
+/**
+ * Put a list's entries in a new order
+ * @param {Object} list - ProblemList instance
+ * @param {Array<number>} itemIds - Every entry ID of the list, in the new order
+ * @returns {Object} Updated list with entries and progress
+ */
+const reorderItems = async (list, itemIds) => {
+  return sequelize.transaction(async (transaction) => {
+    const items = await ProblemListItem.findAll({ where: { listId: list.id }, transaction });
+    const known = new Set(items.map(item => item.id));
+
+    if (itemIds.length !== items.length || new Set(itemIds).size !== itemIds.length || !itemIds.every(id => known.has(id))) {
+      throw new AppError('itemIds must list every entry of the list exactly once', 400);
+    }
+
+    const positions = new Map(itemIds.map((id, index) => [id, index + 1]));
+    for (const item of items) {
+      if (item.position !== positions.get(item.id)) {
+        await item.update({ position: positions.get(item.id) }, { transaction });
+      }
+    }
+
+    return presentOwnList(list, transaction);
+  });
+};
+
+// ========== EXPORT AND IMPORT ==========
+
+/**
+ * Export a list as a JSON document that can be imported by anyone
+ * @param {number} listId - List ID
+ * @param {Object|null} user - Viewer; other users can export public lists
+ * @returns {Object} List document
+ */
+const exportList = async (listId, user) => {
+  const list = await getList(listId, user);
+
+  return {
+    format: PROBLEM_LIST_CONSTANTS.FORMAT,
+    version: PROBLEM_LIST_CONSTANTS.VERSION,
+    exportedAt: new Date().toISOString(),
+    title: list.title,
+    description: list.description,
+    problems: list.items.map(item => ENTRY_FIELDS.reduce((entry, field) => {
+      if (item[field] !== null && item[field] !== undefined) {
+        entry[field] = item[field];
+      }
+      return entry;
+    }, {}))
+  };
+};
+
+/**
+ * Check that a document is a list this version can read
+ * @param {Object} document - Parsed document
+ * @returns {Array} Its problems
+ */
+const readListDocument = (document) => {
+  if (!document || typeof document !== 'object' || document.format !== PROBLEM_LIST_CONSTANTS.FORMAT) {
+    throw new AppError(`Not a ${PROBLEM_LIST_CONSTANTS.FORMAT} document`, 400);
+  }
+
+  if (!Number.isInteger(document.version) || document.version < 1 || document.version > PROBLEM_LIST_CONSTANTS.VERSION) {
+    throw new AppError(`Unsupported list version ${document.version}; this server reads up to version ${PROBLEM_LIST_CONSTANTS.VERSION}`, 400);
+  }
+
+  const problems = document.problems === undefined ? [] : document.problems;
+  if (!Array.isArray(problems) || problems.some(problem => !problem || typeof problem !== 'object')) {
+    throw new AppError('"problems" must be an array of objects', 400);
+  }
+  if (problems.length > PROBLEM_LIST_CONSTANTS.MAX_ITEMS) {
+    throw new AppError(`A list can hold at most ${PROBLEM_LIST_CONSTANTS.MAX_ITEMS} problems`, 400);
+  }
+
+  return problems;
+};
+
+/**
+ * Import a list document as a new list of the user. Entries are linked
+ * to the user's problems with the same link, or the same title on the
+ * same platform; the others are added as pending.
+ * @param {number} userId - User ID
+ * @param {Object} document - List document (see exportList)
+ * @returns {Object} { list, matched, pending }
+ */
+const importList = async (userId, document) => {
+  const problems = readListDocument(document);
+
+  const owned = await Problem.findAll({ where: { userId }, attributes: PROBLEM_ATTRIBUTES });
+  const byLink = new Map();
+  const byTitle = new Map();
+  owned.forEach((problem) => {
+    const link = normalizeProblemLink(problem.link);
+    const title = `${problem.platform}:${problem.title.trim().toLowerCase()}`;
+    if (link && !byLink.has(link)) {
+      byLink.set(link, problem);
+    }
+    if (!byTitle.has(title)) {
+      byTitle.set(title, problem);
+    }
+  });
+
+  return sequelize.transaction(async (transaction) => {
+    const list = await ProblemList.create({
+      title: document.title,
+      description: document.description || null,
+      userId
+    }, { transaction });
+
+    const used = new Set();
+    let matched = 0;
+    for (const [index, data] of problems.entries()) {
+      const entry = entryFromData(data);
+      const problem = byLink.get(normalizeProblemLink(entry.link)) ||
+        (entry.title && byTitle.get(`${entry.platform}:${entry.title.toLowerCase()}`));
+      const problemId = problem && !used.has(problem.id) ? problem.id : null;
+
+      try {
+        await ProblemListItem.create({
+          ...entry,
+          problemId,
+          listId: list.id,
+          position: index + 1
+        }, { transaction });
+      } catch (error) {
+        if (error.name === 'SequelizeValidationError') {
+          throw new AppError(`Invalid entry at problems[${index}]: ${error.errors.map(e => e.message).join(', ')}`, 400);
+        }
+        throw error;
+      }
+
+      if (problemId) {
+        used.add(problemId);
+        matched++;
+      }
+    }
+
+    return {
+      list: await presentOwnList(list, transaction),
+      matched,
+      pending: problems.length - matched
+    };
+  });
+};
+
+// ========== PROBLEM LIFECYCLE ==========
+
+/**
+ * Turn the entries of problems that are being deleted into pending entries
+ * @param {Array<number>} problemIds - Problem IDs
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const detachProblems = async (problemIds, transaction) => {
+  await ProblemListItem.update({ problemId: null }, { where: { problemId: problemIds }, transaction });
+};
+
+/**
+ * Point a duplicate's entries at the problem it is merged into; where a
+ * list already holds both, the duplicate's entry is dropped
+ * @param {Object} source - Problem being merged away
+ * @param {Object} target - Problem that is kept
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const mergeListItems = async (source, target, transaction) => {
+  const items = await ProblemListItem.findAll({ where: { problemId: source.id }, transaction });
+
+  for (const item of items) {
+    const hasTarget = await ProblemListItem.count({ where: { listId: item.listId, problemId: target.id }, transaction });
+    if (hasTarget > 0) {
+      await item.destroy({ transaction });
+      await compactPositions(item.listId, transaction);
+    } else {
+      await item.update({ problemId: target.id }, { transaction });
+    }
+  }
+};
+
+/**
+ * Delete every list of a user
+ * @param {number} userId - User ID
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const removeUserLists = async (userId, transaction) => {
+  const lists = await ProblemList.findAll({ where: { userId }, attributes: ['id'], transaction });
+
+  await ProblemListItem.destroy({ where: { listId: lists.map(list => list.id) }, transaction });
+  await ProblemList.destroy({ where: { userId }, transaction });
+};
+
+module.exports = {
+  listUserLists,
+  getList,
+  createList,
+  updateList,
+  deleteList,
+  addItem,
+  removeItem,
+  reorderItems,
+  exportList,
+  importList,
+  detachProblems,
+  mergeListItems,
+  removeUserLists
+};
@@ -8,6 +8,11 @@
 const { User, Problem, RevisionItem, sequelize } = require('../models');
 const { Op } = require('sequelize');
 const { AppError } = require('../middleware/errorHandler');
+const { PROBLEM_CONSTANTS, VALIDATION_RULES } = require('../utils/constants');
+const { generatePagination } = require('../utils/helpers');
+const { recordInitialAttempt, updateLatestAttempt, getFirstTryStats } = require('./problemAttemptService');
+const { normalizeTagName } = require('../database/tagIndex');
+const { moveToTrash } = require('./trashService');
 
 /**
  * Create a new problem for a user
@@ -23,11 +28,16 @@ const createProblem = async (userId, problemData) => {
       throw new AppError('User not found', 404);
     }
 
-    // Create problem
-    const problem = await Problem.create({
-      ...problemData,
-      userId,
-      date: problemData.date || new Date()
+    // Create problem along with its first attempt
+    const problem = await sequelize.transaction(async (transaction) => {
+      const created = await Problem.create({
+        ...problemData,
+        userId,
+        date: problemData.date || new Date()
+      }, { transaction });
+
+      await recordInitialAttempt(created, transaction);
+      return created;
     });
 
     // Create revision item if marked for revision
@@ -56,38 +66,186 @@ const createProblem = async (userId, problemData) => {
   }
 };
 
+// Sort columns holding dates; cursor values are converted back to Date for comparison
+const DATE_SORT_FIELDS = ['date', 'createdAt', 'updatedAt'];
+
 /**
- * Get problems for a user with filters
+ * Encode the position of a row in a sorted listing as an opaque cursor
+ * @param {Object} problem - Problem instance
+ * @param {Object} sorting - { sort, order }
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (problem, { sort, order }, direction) => {
+  return Buffer.from(JSON.stringify({
+    sort,
+    order,
+    value: problem.get(sort),
+    id: problem.id,
+    direction
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor and check it belongs to the requested sorting
+ * @param {string} cursor - Base64url cursor
+ * @param {Object} sorting - { sort, order }
+ * @returns {Object} { value, id, direction }
+ */
+const decodeCursor = (cursor, { sort, order }) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  if (!data || data.sort !== sort || data.order !== order || !Number.isInteger(data.id) ||
+      !['next', 'prev'].includes(data.direction) || data.value === undefined || data.value === null) {
+    throw new AppError('Cursor does not match the requested sort', 400);
+  }
+
+  return {
+    value: DATE_SORT_FIELDS.includes(sort) ? new Date(data.value) : data.value,
+    id: data.id,
+    direction: data.direction
+  };
+};
+
+/**
+ * Build the where clause shared by the page and the total count
  * @param {number} userId - User ID
- * @param {Object} filters - Filter options
- * @returns {Array} Array of problems
+ * @param {Object} filters - Listing filters
+ * @returns {Object} Sequelize where clause
  */
-const getUserProblems = async (userId, filters = {}) => {
+const buildProblemFilters = (userId, filters) => {
+  const { difficulty, platform, outcome, topic, from, to, tags, tagMode, q } = filters;
+  const where = { userId };
+  const conditions = [];
+
+  if (difficulty) where.difficulty = difficulty;
+  if (platform) where.platform = platform;
+  if (outcome) where.outcome = outcome;
+  if (topic) where.topic = { [Op.like]: `%${topic}%` };
+
+  if (from || to) {
+    where.date = {};
+    if (from) where.date[Op.gte] = new Date(from);
+    if (to) where.date[Op.lte] = new Date(to);
+  }
+
+  if (tags && tags.length > 0) {
+    // Match through the problem's linked Tags, so case and spacing don't matter
+    const tagConditions = tags.map(tag => sequelize.literal(
+      'EXISTS (SELECT 1 FROM `problem_tags` INNER JOIN `tags` ON `tags`.`id` = `problem_tags`.`tagId` ' +
+      `WHERE \`problem_tags\`.\`problemId\` = \`Problem\`.\`id\` AND \`tags\`.\`normalizedName\` = ${sequelize.escape(normalizeTagName(tag))})`
+    ));
+    conditions.push(tagMode === 'all' ? { [Op.and]: tagConditions } : { [Op.or]: tagConditions });
+  }
+
+  if (q) {
+    // Free text matches the title, the problem's notes or the notes of any attempt
+    const pattern = sequelize.escape(`%${q}%`);
+    conditions.push({
+      [Op.or]: [
+        { title: { [Op.like]: `%${q}%` } },
+        { notes: { [Op.like]: `%${q}%` } },
+        sequelize.literal(
+          `EXISTS (SELECT 1 FROM \`problem_attempts\` WHERE \`problem_attempts\`.\`problemId\` = \`Problem\`.\`id\` ` +
+          `AND \`problem_attempts\`.\`notes\` LIKE ${pattern})`
+        )
+      ]
+    });
+  }
+
+  if (conditions.length > 0) {
+    where[Op.and] = conditions;
+  }
+
+  return where;
+};
+
+/**
+ * Get a page of a user's problems. Supports page numbers or cursors
+ * (keyset pagination on the sort column and id), sorting on any indexed
+ * column, date-range and tag filters and free-text search.
+ * @param {number} userId - User ID
+ * @param {Object} [filters] - { difficulty, platform, outcome, topic, from, to,
+ *   tags, tagMode, q, sort, order, page, limit, cursor }
+ * @returns {Object} { problems, pagination }
+ */
+const listUserProblems = async (userId, filters = {}) => {
   try {
-    const { difficulty, platform, outcome, topic, limit, offset } = filters;
-    
-    // Build where clause
-    let whereClause = { userId };
-    
-    if (difficulty) whereClause.difficulty = difficulty;
-    if (platform) whereClause.platform = platform;
-    if (outcome) whereClause.outcome = outcome;
-    if (topic) whereClause.topic = { [Op.like]: `%${topic}%` };
+    const sorting = {
+      sort: filters.sort || PROBLEM_CONSTANTS.DEFAULT_SORT,
+      order: filters.order || PROBLEM_CONSTANTS.DEFAULT_ORDER
+    };
+    const limit = filters.limit || VALIDATION_RULES.DEFAULT_LIMIT;
+    const page = filters.page || 1;
+    const cursor = filters.cursor ? decodeCursor(filters.cursor, sorting) : null;
+
+    const where = buildProblemFilters(userId, filters);
+    const total = await Problem.count({ where });
+
+    // A "prev" cursor walks backwards: flip the order, then reverse the rows
+    const backwards = cursor && cursor.direction === 'prev';
+    const ascending = (sorting.order === 'asc') !== Boolean(backwards);
+    const direction = ascending ? 'ASC' : 'DESC';
+
+    const pageWhere = { ...where };
+    if (cursor) {
+      const comparison = ascending ? Op.gt : Op.lt;
+      pageWhere[Op.and] = [
+        ...(where[Op.and] || []),
+        {
+          [Op.or]: [
+            { [sorting.sort]: { [comparison]: cursor.value } },
+            { [sorting.sort]: cursor.value, id: { [comparison]: cursor.id } }
+          ]
+        }
+      ];
+    }
 
-    const problems = await Problem.findAll({
-      where: whereClause,
+    const rows = await Problem.findAll({
+      where: pageWhere,
       include: [{
         model: User,
         as: 'user',
         attributes: ['firstName', 'lastName']
       }],
-      order: [['date', 'DESC']],
-      limit: limit || null,
-      offset: offset || 0
+      order: [[sorting.sort, direction], ['id', direction]],
+      limit: limit + 1,
+      offset: cursor ? 0 : (page - 1) * limit
     });
 
-    return problems;
+    const hasMore = rows.length > limit;
+    const problems = rows.slice(0, limit);
+    if (backwards) {
+      problems.reverse();
+    }
+
+    let pagination;
+    if (cursor) {
+      pagination = {
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: backwards ? true : hasMore,
+        hasPrevPage: backwards ? hasMore : true
+      };
+    } else {
+      pagination = generatePagination(page, limit, total);
+    }
+
+    const first = problems[0];
+    const last = problems[problems.length - 1];
+    pagination.nextCursor = pagination.hasNextPage && last ? encodeCursor(last, sorting, 'next') : null;
+    pagination.prevCursor = pagination.hasPrevPage && first ? encodeCursor(first, sorting, 'prev') : null;
+
+    return { problems, pagination };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     throw new AppError('Failed to retrieve problems', 500);
   }
 };
@@ -134,7 +292,15 @@ const updateProblem = async (problemId, updateData) => {
       throw new AppError('Problem not found', 404);
     }
 
-    await problem.update(updateData);
+    // Outcome and time spent are derived from attempts; they edit the latest attempt
+    const { outcome, timeSpent, ...updates } = updateData;
+    await sequelize.transaction(async (transaction) => {
+      await problem.update(updates, { transaction });
+
+      if (outcome !== undefined || timeSpent !== undefined) {
+        await updateLatestAttempt(problem, { outcome, timeSpent }, transaction);
+      }
+    });
     return problem;
   } catch (error) {
     if (error instanceof AppError) {
@@ -145,7 +311,7 @@ const updateProblem = async (problemId, updateData) => {
 };
 
 /**
- * Delete problem
+ * Move a problem to the trash
  * @param {number} problemId - Problem ID
  * @returns {boolean} Success status
  */
@@ -157,7 +323,7 @@ const deleteProblem = async (problemId) => {
       throw new AppError('Problem not found', 404);
     }
 
-    await problem.destroy();
+    await moveToTrash('problem', problem);
     return true;
   } catch (error) {
     if (error instanceof AppError) {
@@ -200,11 +366,17 @@ const getUserProblemStats = async (userId) => {
       raw: true
     });
 
+    const problems = await Problem.findAll({ where: { userId }, attributes: ['id'] });
+    const { totalAttempts, firstTrySolved, firstTrySolveRate } = await getFirstTryStats(problems);
+
     return {
       totalProblems,
       solvedProblems,
       totalTimeSpent: totalTimeSpent || 0,
       solveRate: totalProblems > 0 ? ((solvedProblems / totalProblems) * 100).toFixed(2) : 0,
+      totalAttempts,
+      firstTrySolved,
+      firstTrySolveRate,
       difficultyBreakdown: difficultyStats,
       platformBreakdown: platformStats
     };
@@ -215,7 +387,7 @@ const getUserProblemStats = async (userId) => {
 
 module.exports = {
   createProblem,
-  getUserProblems,
+  listUserProblems,
   getProblemById,
   updateProblem,
   deleteProblem,
@@ -0,0 +1,206 @@
+/**
+ * ROADMAP SERVICE
+ *
+ * Business logic shared by the roadmap controller and the trash:
+ * keeping a topic's subtopic counts in step with its subtopics, and
+ * linking subtopics to the problems and learning items that cover them.
+ */
+
+const models = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { LINKED_TYPES, completeLinkedSubtopics } = require('../database/subtopicLinks');
+
+const { Topic, Subtopic, sequelize } = models;
+
+// What a roadmap shows of linked problems and learning items
+const LINKED_ATTRIBUTES = {
+  problem: ['id', 'title', 'platform', 'difficulty', 'outcome'],
+  learning: ['id', 'title', 'type', 'status', 'progress']
+};
+
+/**
+ * Recount a topic's subtopics (trashed subtopics are not counted)
+ * @param {number} topicId - Topic ID to update
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Progress statistics
+ */
+const updateTopicProgress = async (topicId, transaction) => {
+  try {
+    const totalSubtopics = await Subtopic.count({
+      where: { topicId: parseInt(topicId) },
+      transaction
+    });
+
+    const completedSubtopics = await Subtopic.count({
+      where: {
+        topicId: parseInt(topicId),
+        isCompleted: true
+      },
+      transaction
+    });
+
+    await Topic.update(
+      {
+        totalSubtopics,
+        completedSubtopics
+      },
+      { where: { id: topicId }, transaction }
+    );
+
+    return { totalSubtopics, completedSubtopics };
+  } catch (error) {
+    console.error('Error updating topic progress:', error);
+    return { totalSubtopics: 0, completedSubtopics: 0 };
+  }
+};
+
+// ========== SUBTOPIC LINKS ==========
+
+/**
+ * Includes that load a subtopic's linked problems and learning items
+ * (trashed items are left out)
+ * @returns {Array<Object>} Sequelize includes
+ */
+const linkedWorkIncludes = () => Object.entries(LINKED_TYPES).map(([type, linked]) => ({
+  model: models[linked.model],
+  as: linked.as,
+  attributes: LINKED_ATTRIBUTES[type],
+  through: { attributes: [] }
+}));
+
+/**
+ * Load a subtopic with its linked problems and learning items
+ * @param {number} id - Subtopic ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Subtopic instance
+ */
+const getSubtopicWithLinks = (id, transaction) => {
+  return Subtopic.findByPk(id, { include: linkedWorkIncludes(), transaction });
+};
+
+/**
+ * Link problems and learning items of the roadmap's owner to a subtopic.
+ * Items that are already linked are left as they are.
+ * @param {Object} subtopic - Subtopic loaded with its topic and roadmap
+ * @param {Object} ids - { problemIds, learningItemIds }
+ * @returns {Object} Subtopic with its linked work
+ */
+const linkSubtopicItems = async (subtopic, { problemIds = [], learningItemIds = [] }) => {
+  const userId = subtopic.topic.roadmap.userId;
+  const requested = { problem: problemIds, learning: learningItemIds };
+
+  await sequelize.transaction(async (transaction) => {
+    for (const [type, linked] of Object.entries(LINKED_TYPES)) {
+      const ids = [...new Set(requested[type])];
+      if (ids.length === 0) {
+        continue;
+      }
+
+      const items = await models[linked.model].findAll({ where: { id: ids, userId }, attributes: ['id'], transaction });
+      if (items.length !== ids.length) {
+        throw new AppError(`${type === 'problem' ? 'Problem' : 'Learning item'} not found`, 404);
+      }
+
+      await models[linked.join].bulkCreate(
+        ids.map(id => ({ subtopicId: subtopic.id, [linked.foreignKey]: id })),
+        { ignoreDuplicates: true, transaction }
+      );
+    }
+
+    await completeLinkedSubtopics(models, [subtopic.id], transaction);
+  });
+
+  return getSubtopicWithLinks(subtopic.id);
+};
+
+/**
+ * Unlink a problem or learning item from a subtopic
+ * @param {Object} subtopic - Subtopic instance
+ * @param {string} type - 'problem' or 'learning'
+ * @param {number} itemId - Problem or learning item ID
+ * @returns {Object} Subtopic with its linked work
+ */
+const unlinkSubtopicItem = async (subtopic, type, itemId) => {
+  const linked = LINKED_TYPES[type];
+
+  await sequelize.transaction(async (transaction) => {
+    const removed = await models[linked.join].destroy({
+      where: { subtopicId: subtopic.id, [linked.foreignKey]: itemId },
+      transaction
+    });
+    if (!removed) {
+      throw new AppError(`${type === 'problem' ? 'Problem' : 'Learning item'} is not linked to this subtopic`, 404);
+    }
+
+    // What is left may now all be done
+    await completeLinkedSubtopics(models, [subtopic.id], transaction);
+  });
+
+  return getSubtopicWithLinks(subtopic.id);
+};
+
+/**
+ * Turn auto-completion of a subtopic on or off. Turning it on
+ * completes the subtopic straight away if its linked work is done.
+ * @param {Object} subtopic - Subtopic instance
+ * @param {boolean} autoComplete - New setting
+ * @returns {Object} Subtopic with its linked work
+ */
+const setSubtopicAutoComplete = async (subtopic, autoComplete) => {
+  await sequelize.transaction(async (transaction) => {
+    await subtopic.update({ autoComplete }, { transaction });
+    await completeLinkedSubtopics(models, [subtopic.id], transaction);
+  });
+
+  return getSubtopicWithLinks(subtopic.id);
+};
+
+/**
+ * Move a problem's subtopic links to the problem it is merged into
+ * @param {Object} source - Problem being merged away
+ * @param {Object} target - Problem that is kept
+ * @param {Object} transaction - Sequelize transaction
+ */
+const mergeSubtopicLinks = async (source, target, transaction) => {
+  const { join, foreignKey } = LINKED_TYPES.problem;
+  const links = await models[join].findAll({ where: { [foreignKey]: source.id }, attributes: ['subtopicId'], transaction });
+
+  await models[join].bulkCreate(
+    links.map(link => ({ subtopicId: link.subtopicId, [foreignKey]: target.id })),
+    { ignoreDuplicates: true, transaction }
+  );
+  await models[join].destroy({ where: { [foreignKey]: source.id }, transaction });
+};
+
+/**
+ * Remove the subtopic links of problems or learning items deleted for good
+ * @param {string} type - 'problem' or 'learning'
+ * @param {Array<number>} ids - Item IDs
+ * @param {Object} transaction - Sequelize transaction
+ */
+const removeItemLinks = async (type, ids, transaction) => {
+  const { join, foreignKey } = LINKED_TYPES[type];
+  await models[join].destroy({ where: { [foreignKey]: ids }, transaction });
+};
+
+/**
+ * Remove the links of subtopics deleted for good
+ * @param {Array<number>} subtopicIds - Subtopic IDs
+ * @param {Object} transaction - Sequelize transaction
+ */
+const removeSubtopicLinks = async (subtopicIds, transaction) => {
+  for (const { join } of Object.values(LINKED_TYPES)) {
+    await models[join].destroy({ where: { subtopicId: subtopicIds }, transaction });
+  }
+};
+
+module.exports = {
+  updateTopicProgress,
+  linkedWorkIncludes,
+  linkSubtopicItems,
+  unlinkSubtopicItem,
+  setSubtopicAutoComplete,
+  mergeSubtopicLinks,
+  removeItemLinks,
+  removeSubtopicLinks
+};
@@ -0,0 +1,243 @@
+/**
+ * SEARCH SERVICE
+ *
+ * Searches everything a user owns at once: problem titles, tags and notes,
+ * learning item titles, notes and categories, and roadmap, topic and
+ * subtopic titles and descriptions. Results are ranked and carry their
+ * type. Uses the FTS5 index when it is available and LIKE queries on
+ * the source tables otherwise.
+ */
+
+const { Op, QueryTypes } = require('sequelize');
+const models = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { SEARCH_CONSTANTS } = require('../utils/constants');
+const { SEARCH_DOCUMENTS, isFullTextEnabled, removeDocument } = require('../database/searchIndex');
+const { escapeHtml } = require('../utils/helpers');
+
+const { sequelize, Roadmap, Topic } = models;
+const TABLE = SEARCH_CONSTANTS.TABLE;
+
+// Private-use characters FTS5 puts around matches; swapped for <mark>
+// once the snippet text has been escaped
+const MARK_START = '\uE000';
+const MARK_END = '\uE001';
+
+/**
+ * Turn a snippet with sentinel-marked matches into safe HTML: user text
+ * is escaped and only the <mark> tags are markup
+ * @param {string} snippet - Snippet with matches between MARK_START and MARK_END
+ * @returns {string} Escaped snippet with matches wrapped in <mark>
+ */
+const markSnippet = (snippet) => escapeHtml(snippet || '')
+  .split(MARK_START).join('<mark>')
+  .split(MARK_END).join('</mark>');
+
+/**
+ * Round a score for responses
+ * @param {number} score - Raw score
+ * @returns {number} Score with three decimals
+ */
+const roundScore = (score) => Math.round(score * 1000) / 1000;
+
+/**
+ * Turn free text into an FTS5 query: every word must match, as a prefix
+ * @param {string} text - Search text
+ * @returns {string} FTS5 MATCH expression (empty if there are no words)
+ */
+const buildMatchQuery = (text) => {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map(word => `"${word}"*`).join(' ');
+};
+
+/**
+ * Find options limiting a type's records to those a user owns
+ * @param {string} type - Search document type
+ * @param {number} userId - User ID
+ * @param {Object} where - Extra conditions on the record
+ * @returns {Object} Sequelize find options
+ */
+const ownedBy = (type, userId, where) => {
+  if (type === 'topic') {
+    return {
+      where,
+      include: [{ model: Roadmap, as: 'roadmap', attributes: [], where: { userId } }]
+    };
+  }
+
+  if (type === 'subtopic') {
+    return {
+      where,
+      include: [{
+        model: Topic,
+        as: 'topic',
+        attributes: [],
+        required: true,
+        include: [{ model: Roadmap, as: 'roadmap', attributes: [], where: { userId } }]
+      }]
+    };
+  }
+
+  return { where: { ...where, userId } };
+};
+
+/**
+ * Search the FTS5 index, best matches first
+ * @param {number} userId - User ID
+ * @param {string} match - FTS5 MATCH expression
+ * @param {Array} types - Document types to search
+ * @param {number} limit - Maximum number of results
+ * @returns {Object} { total, results }
+ */
+const searchFullText = async (userId, match, types, limit) => {
+  const where = `${TABLE} MATCH ? AND user_id = ? AND item_type IN (${types.map(() => '?').join(', ')})`;
+  const replacements = [match, userId, ...types];
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM ${TABLE} WHERE ${where}`,
+    { replacements, type: QueryTypes.SELECT }
+  );
+
+  // bm25 weights follow the column order; titles count ten times as much as bodies
+  const hits = await sequelize.query(
+    `SELECT item_type AS type, item_id AS id, bm25(${TABLE}, 0, 0, 0, 10.0, 1.0) AS rank, ` +
+    `snippet(${TABLE}, -1, ?, ?, '…', 12) AS snippet ` +
+    `FROM ${TABLE} WHERE ${where} ORDER BY rank LIMIT ?`,
+    { replacements: [MARK_START, MARK_END, ...replacements, limit], type: QueryTypes.SELECT }
+  );
+
+  // Load the records the hits point at; hits whose record is gone are dropped from the index
+  const records = new Map();
+  for (const type of new Set(hits.map(hit => hit.type))) {
+    const ids = hits.filter(hit => hit.type === type).map(hit => hit.id);
+    const found = await models[SEARCH_DOCUMENTS[type].model].findAll(ownedBy(type, userId, { id: ids }));
+    found.forEach(record => records.set(`${type}:${record.id}`, record));
+  }
+
+  const results = [];
+  for (const hit of hits) {
+    const record = records.get(`${hit.type}:${hit.id}`);
+    if (!record) {
+      await removeDocument(sequelize, hit.type, hit.id);
+      continue;
+    }
+
+    results.push({
+      type: hit.type,
+      id: record.id,
+      title: SEARCH_DOCUMENTS[hit.type].title(record),
+      snippet: markSnippet(hit.snippet),
+      score: roundScore(-hit.rank),
+      item: record
+    });
+  }
+
+  return { total: Math.max(0, total - (hits.length - results.length)), results };
+};
+
+/**
+ * Build a snippet around the first occurrence of the search text
+ * @param {string} value - Text containing the match
+ * @param {string} text - Search text
+ * @returns {string} Escaped excerpt with the match wrapped in <mark>
+ */
+const buildSnippet = (value, text) => {
+  const index = value.toLowerCase().indexOf(text.toLowerCase());
+  if (index === -1) {
+    return escapeHtml(value.slice(0, SEARCH_CONSTANTS.SNIPPET_LENGTH));
+  }
+
+  const radius = Math.max(0, Math.floor((SEARCH_CONSTANTS.SNIPPET_LENGTH - text.length) / 2));
+  const start = Math.max(0, index - radius);
+  const end = Math.min(value.length, index + text.length + radius);
+
+  return (start > 0 ? '…' : '') +
+    escapeHtml(value.slice(start, index)) +
+    `<mark>${escapeHtml(value.slice(index, index + text.length))}</mark>` +
+    escapeHtml(value.slice(index + text.length, end)) +
+    (end < value.length ? '…' : '');
+};
+
+/**
+ * Search the source tables with LIKE (dialects without FTS5). Title
+ * matches rank above matches in the other fields, newer records first.
+ * @param {number} userId - User ID
+ * @param {string} text - Search text
+ * @param {Array} types - Document types to search
+ * @param {number} limit - Maximum number of results
+ * @returns {Object} { total, results }
+ */
+const searchWithLike = async (userId, text, types, limit) => {
+  const dialect = sequelize.getDialect();
+  const like = dialect === 'postgres' ? Op.iLike : Op.like;
+  const textType = ['mysql', 'mariadb'].includes(dialect) ? 'CHAR' : 'TEXT';
+
+  const matches = [];
+  for (const type of types) {
+    const document = SEARCH_DOCUMENTS[type];
+    const model = models[document.model];
+
+    // JSON columns (tags) are compared as text
+    const conditions = document.fields.map(field => sequelize.where(
+      model.rawAttributes[field].type.key === 'JSON'
+        ? sequelize.cast(sequelize.col(`${model.name}.${field}`), textType)
+        : sequelize.col(`${model.name}.${field}`),
+      { [like]: `%${text}%` }
+    ));
+
+    const records = await model.findAll(ownedBy(type, userId, { [Op.or]: conditions }));
+    records.forEach((record) => {
+      const title = document.title(record) || '';
+      const body = document.body(record) || '';
+      const inTitle = title.toLowerCase().includes(text.toLowerCase());
+
+      matches.push({
+        type,
+        id: record.id,
+        title,
+        snippet: buildSnippet(inTitle ? title : body, text),
+        score: inTitle ? 2 : 1,
+        updatedAt: record.updatedAt,
+        item: record
+      });
+    });
+  }
+
+  matches.sort((a, b) => b.score - a.score || new Date(b.updatedAt) - new Date(a.updatedAt));
+
+  return {
+    total: matches.length,
+    results: matches.slice(0, limit).map(({ updatedAt, ...result }) => result)
+  };
+};
+
+/**
+ * Search a user's content
+ * @param {Object} user - User object
+ * @param {Object} params - { q, types, limit }
+ * @returns {Object} { query, total, results } - results are { type, id, title, snippet, score, item }
+ */
+const searchUserContent = async (user, params) => {
+  const text = params.q.trim();
+  const types = params.types && params.types.length > 0 ? params.types : SEARCH_CONSTANTS.TYPES;
+  const limit = params.limit || SEARCH_CONSTANTS.DEFAULT_LIMIT;
+
+  try {
+    if (isFullTextEnabled()) {
+      const match = buildMatchQuery(text);
+      if (!match) {
+        return { query: text, total: 0, results: [] };
+      }
+
+      return { query: text, ...(await searchFullText(user.id, match, types, limit)) };
+    }
+
+    return { query: text, ...(await searchWithLike(user.id, text, types, limit)) };
+  } catch (error) {
+    throw new AppError('Failed to search', 500);
+  }
+};
+
+module.exports = {
+  searchUserContent
+};
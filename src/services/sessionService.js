@@ -0,0 +1,97 @@
+/**
+ * SESSION SERVICE
+ *
+ * Business logic for the session registry: listing the devices a user
+ * is logged in on and revoking them. A session is one refresh token
+ * family and stays active while the family has a usable refresh token.
+ */
+
+const { Op } = require('sequelize');
+const { RefreshToken, UserSession } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { revokeTokenFamily, logoutOtherSessions } = require('./authService');
+
+/**
+ * Find the token families of a user that still have a usable refresh token
+ * @param {number} userId - User ID
+ * @returns {Array} Active family IDs
+ */
+const findActiveFamilyIds = async (userId) => {
+  const tokens = await RefreshToken.findAll({
+    attributes: ['familyId'],
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+
+  return [...new Set(tokens.map(token => token.familyId))];
+};
+
+/**
+ * Shape a session record for API responses
+ * @param {Object} session - UserSession record
+ * @param {string} [currentFamilyId] - Family of the session making the request
+ * @returns {Object} Public session data
+ */
+const toSessionSummary = (session, currentFamilyId) => ({
+  id: session.id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  current: session.familyId === currentFamilyId
+});
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {Object} user - User object
+ * @param {string} [currentFamilyId] - Family of the session making the request
+ * @returns {Array} Session summaries
+ */
+const listSessions = async (user, currentFamilyId) => {
+  try {
+    const familyIds = await findActiveFamilyIds(user.id);
+    const sessions = await UserSession.findAll({
+      where: { userId: user.id, familyId: { [Op.in]: familyIds } },
+      order: [['lastSeenAt', 'DESC']]
+    });
+
+    return sessions.map(session => toSessionSummary(session, currentFamilyId));
+  } catch (error) {
+    throw new AppError('Failed to retrieve sessions', 500);
+  }
+};
+
+/**
+ * Revoke one of a user's sessions (revoking the current one logs it out)
+ * @param {Object} user - User object
+ * @param {number} sessionId - Session ID
+ * @returns {boolean} Success status
+ */
+const revokeSession = async (user, sessionId) => {
+  const session = await UserSession.findOne({ where: { id: sessionId, userId: user.id } });
+  if (!session || (await revokeTokenFamily(session.familyId)) === 0) {
+    throw new AppError('Session not found', 404);
+  }
+
+  return true;
+};
+
+/**
+ * Revoke every session of a user except the current one
+ * @param {Object} user - User object
+ * @param {string} [currentFamilyId] - Family of the session to keep
+ * @returns {number} Number of revoked refresh tokens
+ */
+const revokeOtherSessions = (user, currentFamilyId) => {
+  return logoutOtherSessions(user.id, currentFamilyId);
+};
+
+module.exports = {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+};
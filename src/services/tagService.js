@@ -0,0 +1,227 @@
+/**
+ * TAG SERVICE
+ *
+ * A user's tags are shared by their problems and learning items. This
+ * service lists them for autocomplete with usage counts, renames them
+ * and merges several into one. Renames and merges rewrite the tags of
+ * every item that uses them, trashed items included, so a restored
+ * item comes back with the new names.
+ */
+
+const { Op, fn, col } = require('sequelize');
+const models = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { TAG_CONSTANTS } = require('../utils/constants');
+const { parseTags } = require('../utils/helpers');
+const {
+  TAGGED_TYPES,
+  cleanTagName,
+  normalizeTagName,
+  unlinkItemTags,
+  pruneUnusedTags
+} = require('../database/tagIndex');
+
+const { Tag, ProblemTag, LearningItemTag, sequelize } = models;
+
+/**
+ * Count how many live items use each tag. Trashed items are left out
+ * by the paranoid include.
+ * @param {string} type - 'problem' or 'learning'
+ * @param {Array<number>} tagIds - Tag IDs
+ * @returns {Map<number, number>} Tag ID to usage count
+ */
+const countUsage = async (type, tagIds) => {
+  const { model, join, itemAlias } = TAGGED_TYPES[type];
+
+  const rows = await models[join].findAll({
+    where: { tagId: tagIds },
+    attributes: ['tagId', [fn('COUNT', col(`${join}.id`)), 'count']],
+    include: [{ model: models[model], as: itemAlias, attributes: [], required: true }],
+    group: [`${join}.tagId`],
+    raw: true
+  });
+
+  return new Map(rows.map(row => [row.tagId, parseInt(row.count, 10)]));
+};
+
+/**
+ * Format a tag with its usage counts
+ * @param {Object} tag - Tag instance
+ * @param {Map} problemCounts - Problem usage by tag ID
+ * @param {Map} learningCounts - Learning item usage by tag ID
+ * @returns {Object} Tag summary
+ */
+const formatTag = (tag, problemCounts, learningCounts) => {
+  const problemCount = problemCounts.get(tag.id) || 0;
+  const learningItemCount = learningCounts.get(tag.id) || 0;
+
+  return {
+    id: tag.id,
+    name: tag.name,
+    problemCount,
+    learningItemCount,
+    usageCount: problemCount + learningItemCount
+  };
+};
+
+/**
+ * Summarise one tag with its current usage
+ * @param {Object} tag - Tag instance
+ * @returns {Object} Tag summary
+ */
+const summarizeTag = async (tag) => {
+  const [problemCounts, learningCounts] = await Promise.all([
+    countUsage('problem', [tag.id]),
+    countUsage('learning', [tag.id])
+  ]);
+  return formatTag(tag, problemCounts, learningCounts);
+};
+
+/**
+ * Rewrite the tags of every item linked to some Tags, trashed ones
+ * included. The tag hooks then relink the items.
+ * @param {Array<Object>} tags - Tags being replaced
+ * @param {string} name - Name that replaces them
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {number} Number of items rewritten
+ */
+const rewriteItemTags = async (tags, name, transaction) => {
+  const tagIds = tags.map(tag => tag.id);
+  const replaced = new Set(tags.map(tag => tag.normalizedName));
+  let rewritten = 0;
+
+  for (const [type, tagged] of Object.entries(TAGGED_TYPES)) {
+    const links = await models[tagged.join].findAll({
+      where: { tagId: tagIds },
+      attributes: [tagged.foreignKey],
+      transaction
+    });
+    const itemIds = [...new Set(links.map(link => link[tagged.foreignKey]))];
+    if (itemIds.length === 0) {
+      continue;
+    }
+
+    const items = await models[tagged.model].findAll({ where: { id: itemIds }, paranoid: false, transaction });
+    for (const item of items) {
+      const names = parseTags(item.tags).map(tag => (replaced.has(normalizeTagName(tag)) ? name : tag));
+      // Saving silently keeps the items' own updatedAt; the hooks dedupe the names
+      await item.update({ tags: tagged.formatTags(names) }, { transaction, silent: true });
+      rewritten += 1;
+    }
+  }
+
+  return rewritten;
+};
+
+/**
+ * List a user's tags with usage counts, most used first
+ * @param {Object} user - User object
+ * @param {Object} query - { q, limit }; q matches the start of the name
+ * @returns {Array} Tag summaries
+ */
+const listTags = async (user, query = {}) => {
+  const limit = Math.min(parseInt(query.limit, 10) || TAG_CONSTANTS.DEFAULT_LIMIT, TAG_CONSTANTS.MAX_LIMIT);
+  const where = { userId: user.id };
+
+  if (query.q) {
+    where.normalizedName = { [Op.like]: `${normalizeTagName(query.q)}%` };
+  }
+
+  const tags = await Tag.findAll({ where });
+  const tagIds = tags.map(tag => tag.id);
+  const [problemCounts, learningCounts] = await Promise.all([
+    countUsage('problem', tagIds),
+    countUsage('learning', tagIds)
+  ]);
+
+  return tags
+    .map(tag => formatTag(tag, problemCounts, learningCounts))
+    .sort((a, b) => b.usageCount - a.usageCount || a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+
+/**
+ * Rename a tag everywhere it is used
+ * @param {Object} tag - Tag instance
+ * @param {string} name - New name
+ * @returns {Object} { tag, updatedItems }
+ */
+const renameTag = async (tag, name) => {
+  const newName = cleanTagName(name);
+  const normalizedName = normalizeTagName(newName);
+
+  if (normalizedName !== tag.normalizedName) {
+    const existing = await Tag.findOne({ where: { userId: tag.userId, normalizedName } });
+    if (existing) {
+      throw new AppError(`Tag "${existing.name}" already exists; merge the tags instead`, 409);
+    }
+  }
+
+  const updatedItems = await sequelize.transaction(async (transaction) => {
+    const previous = { id: tag.id, normalizedName: tag.normalizedName };
+    await tag.update({ name: newName, normalizedName }, { transaction });
+    return rewriteItemTags([previous], newName, transaction);
+  });
+
+  return { tag: await summarizeTag(tag), updatedItems };
+};
+
+/**
+ * Merge tags into another: items tagged with any of them get the
+ * target tag instead and the merged tags are deleted
+ * @param {Object} target - Tag instance that is kept
+ * @param {Array<number>} sourceIds - IDs of the tags merged into it
+ * @returns {Object} { tag, mergedTags, updatedItems }
+ */
+const mergeTags = async (target, sourceIds) => {
+  const ids = [...new Set(sourceIds)].filter(id => id !== target.id);
+  const sources = await Tag.findAll({ where: { id: ids, userId: target.userId } });
+
+  if (sources.length !== ids.length) {
+    throw new AppError('Tag not found', 404);
+  }
+
+  const updatedItems = await sequelize.transaction(async (transaction) => {
+    const rewritten = await rewriteItemTags(sources, target.name, transaction);
+    await pruneUnusedTags(models, ids, transaction);
+    return rewritten;
+  });
+
+  return {
+    tag: await summarizeTag(target),
+    mergedTags: sources.map(source => source.name),
+    updatedItems
+  };
+};
+
+// ========== HOUSEKEEPING ==========
+
+/**
+ * Unlink the tags of items that are being permanently deleted
+ * @param {string} type - 'problem' or 'learning'
+ * @param {Array<number>} itemIds - Item IDs
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const removeItemTags = (type, itemIds, transaction) => unlinkItemTags(models, type, itemIds, transaction);
+
+/**
+ * Delete all of a user's tags and their links
+ * @param {number} userId - User ID
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+const removeUserTags = async (userId, transaction) => {
+  const tags = await Tag.findAll({ where: { userId }, attributes: ['id'], transaction });
+  const tagIds = tags.map(tag => tag.id);
+
+  await ProblemTag.destroy({ where: { tagId: tagIds }, transaction });
+  await LearningItemTag.destroy({ where: { tagId: tagIds }, transaction });
+  await Tag.destroy({ where: { userId }, transaction });
+};
+
+module.exports = {
+  listTags,
+  renameTag,
+  mergeTags,
+  removeItemTags,
+  removeUserTags
+};
@@ -0,0 +1,329 @@
+/**
+ * TAXONOMY SERVICE
+ *
+ * The shared topic taxonomy: a tree of topics with aliases that
+ * problems and learning items are filed under. Everyone can read it;
+ * admins add, rename, move and delete topics and manage aliases. When
+ * names or aliases are added, unfiled items that now match are filed.
+ */
+
+const models = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { TAXONOMY_CONSTANTS } = require('../utils/constants');
+const { normalizeTopicName, linkUnmatchedItems, TAXONOMY_SOURCES } = require('../database/taxonomyIndex');
+
+const { TaxonomyTopic, TaxonomyAlias, sequelize } = models;
+
+/**
+ * Load every topic with its aliases
+ * @returns {Array<Object>} Topics
+ */
+const loadTopics = () => TaxonomyTopic.findAll({
+  include: [{ model: TaxonomyAlias, as: 'aliases', attributes: ['id', 'name'] }],
+  order: [['name', 'ASC']]
+});
+
+/**
+ * Load the taxonomy as a flat list for grouping statistics
+ * @returns {Array<Object>} { id, name, parentId }
+ */
+const loadTaxonomy = async () => {
+  const topics = await TaxonomyTopic.findAll({ attributes: ['id', 'name', 'parentId'] });
+  return topics.map(topic => topic.get({ plain: true }));
+};
+
+/**
+ * Find a topic or fail with 404
+ * @param {number} id - Topic ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object} Topic instance
+ */
+const findTopic = async (id, transaction) => {
+  const topic = await TaxonomyTopic.findByPk(id, { transaction });
+  if (!topic) {
+    throw new AppError('Taxonomy topic not found', 404);
+  }
+  return topic;
+};
+
+/**
+ * Make sure no other topic or alias already uses a name
+ * @param {string} name - Topic name or alias
+ * @param {Object} [options] - { exceptTopicId, transaction }
+ * @returns {string} Normalized name
+ */
+const assertNameAvailable = async (name, { exceptTopicId, transaction } = {}) => {
+  const normalizedName = normalizeTopicName(name);
+  if (!normalizedName) {
+    throw new AppError('Topic names need at least one letter or digit', 400);
+  }
+
+  const topic = await TaxonomyTopic.findOne({ where: { normalizedName }, transaction });
+  if (topic && topic.id !== exceptTopicId) {
+    throw new AppError(`"${name}" is already the topic "${topic.name}"`, 409);
+  }
+
+  const alias = await TaxonomyAlias.findOne({
+    where: { normalizedName },
+    include: [{ model: TaxonomyTopic, as: 'taxonomyTopic', attributes: ['name'] }],
+    transaction
+  });
+  if (alias) {
+    throw new AppError(`"${name}" is already an alias of "${alias.taxonomyTopic.name}"`, 409);
+  }
+
+  return normalizedName;
+};
+
+/**
+ * Format a topic with its aliases
+ * @param {Object} topic - Topic instance (aliases included)
+ * @returns {Object} Topic node without children
+ */
+const formatTopic = (topic) => ({
+  id: topic.id,
+  name: topic.name,
+  description: topic.description,
+  parentId: topic.parentId,
+  aliases: (topic.aliases || []).map(alias => ({ id: alias.id, name: alias.name }))
+});
+
+/**
+ * Name the path from the root down to each topic
+ * @param {Array<Object>} topics - All topics
+ * @returns {Map<number, string>} Topic ID to "Graphs > Shortest Paths"
+ */
+const buildPaths = (topics) => {
+  const byId = new Map(topics.map(topic => [topic.id, topic]));
+  const paths = new Map();
+
+  const pathOf = (topic) => {
+    if (!paths.has(topic.id)) {
+      const parent = byId.get(topic.parentId);
+      paths.set(topic.id, parent ? `${pathOf(parent)} > ${topic.name}` : topic.name);
+    }
+    return paths.get(topic.id);
+  };
+
+  topics.forEach(pathOf);
+  return paths;
+};
+
+/**
+ * Get the whole taxonomy as a tree, topics sorted by name
+ * @returns {Array<Object>} Root topics with nested children
+ */
+const getTaxonomyTree = async () => {
+  const topics = await loadTopics();
+  const nodes = new Map(topics.map(topic => [topic.id, { ...formatTopic(topic), children: [] }]));
+  const roots = [];
+
+  topics.forEach((topic) => {
+    const parent = nodes.get(topic.parentId);
+    (parent ? parent.children : roots).push(nodes.get(topic.id));
+  });
+
+  return roots;
+};
+
+/**
+ * Find topics whose name or an alias starts with the search text
+ * @param {string} q - Search text
+ * @param {number} [limit] - Maximum results
+ * @returns {Array<Object>} { id, name, path, aliases, matchedAlias }
+ */
+const searchTaxonomy = async (q, limit = TAXONOMY_CONSTANTS.SEARCH_LIMIT) => {
+  const prefix = normalizeTopicName(q);
+  const topics = await loadTopics();
+  const paths = buildPaths(topics);
+  const results = [];
+
+  for (const topic of topics) {
+    const matchedAlias = (topic.aliases || []).find(alias => normalizeTopicName(alias.name).startsWith(prefix));
+    if (!topic.normalizedName.startsWith(prefix) && !matchedAlias) {
+      continue;
+    }
+    results.push({
+      ...formatTopic(topic),
+      path: paths.get(topic.id),
+      matchedAlias: topic.normalizedName.startsWith(prefix) ? null : matchedAlias.name
+    });
+  }
+
+  // Exact matches first, then by name
+  return results
+    .sort((a, b) => Number(normalizeTopicName(b.name) === prefix) - Number(normalizeTopicName(a.name) === prefix) ||
+      a.name.localeCompare(b.name))
+    .slice(0, limit);
+};
+
+/**
+ * Get one topic with its path and direct children
+ * @param {number} id - Topic ID
+ * @returns {Object} Topic
+ */
+const getTaxonomyTopic = async (id) => {
+  await findTopic(id);
+  const topics = await loadTopics();
+  const topic = topics.find(candidate => candidate.id === id);
+
+  return {
+    ...formatTopic(topic),
+    path: buildPaths(topics).get(id),
+    children: topics.filter(child => child.parentId === id).map(child => ({ id: child.id, name: child.name }))
+  };
+};
+
+/**
+ * Add a topic, optionally under a parent and with aliases
+ * @param {Object} data - { name, description, parentId, aliases }
+ * @returns {Object} Created topic
+ */
+const createTaxonomyTopic = async ({ name, description, parentId, aliases = [] }) => {
+  const id = await sequelize.transaction(async (transaction) => {
+    if (parentId) {
+      await findTopic(parentId, transaction);
+    }
+
+    const normalizedName = await assertNameAvailable(name, { transaction });
+    const aliasKeys = new Set([normalizedName]);
+    for (const alias of aliases) {
+      const key = await assertNameAvailable(alias, { transaction });
+      if (aliasKeys.has(key)) {
+        throw new AppError(`"${alias}" is listed twice`, 400);
+      }
+      aliasKeys.add(key);
+    }
+
+    const topic = await TaxonomyTopic.create({
+      name,
+      normalizedName,
+      description: description || null,
+      parentId: parentId || null
+    }, { transaction });
+    await TaxonomyAlias.bulkCreate(aliases.map(alias => ({
+      name: alias,
+      normalizedName: normalizeTopicName(alias),
+      taxonomyTopicId: topic.id
+    })), { transaction });
+
+    await linkUnmatchedItems(models, transaction);
+    return topic.id;
+  });
+
+  return getTaxonomyTopic(id);
+};
+
+/**
+ * Rename, describe or move a topic
+ * @param {number} id - Topic ID
+ * @param {Object} data - { name, description, parentId }
+ * @returns {Object} Updated topic
+ */
+const updateTaxonomyTopic = async (id, data) => {
+  await sequelize.transaction(async (transaction) => {
+    const topic = await findTopic(id, transaction);
+    const updates = {};
+
+    if (data.name !== undefined) {
+      updates.name = data.name;
+      updates.normalizedName = await assertNameAvailable(data.name, { exceptTopicId: id, transaction });
+    }
+    if (data.description !== undefined) {
+      updates.description = data.description || null;
+    }
+    if (data.parentId !== undefined) {
+      // Walk up from the new parent; meeting the topic itself would make a cycle
+      let ancestorId = data.parentId;
+      while (ancestorId) {
+        if (ancestorId === id) {
+          throw new AppError('A topic cannot be moved under itself or one of its subtopics', 400);
+        }
+        ancestorId = (await findTopic(ancestorId, transaction)).parentId;
+      }
+      updates.parentId = data.parentId;
+    }
+
+    await topic.update(updates, { transaction });
+    if (updates.normalizedName) {
+      await linkUnmatchedItems(models, transaction);
+    }
+  });
+
+  return getTaxonomyTopic(id);
+};
+
+/**
+ * Delete a topic. Its subtopics and the items filed under it move up
+ * to its parent (or become roots and unfiled); its aliases go with it.
+ * @param {number} id - Topic ID
+ * @returns {Object} { movedTopics, movedItems }
+ */
+const deleteTaxonomyTopic = async (id) => {
+  return sequelize.transaction(async (transaction) => {
+    const topic = await findTopic(id, transaction);
+    const parentId = topic.parentId;
+
+    const [movedTopics] = await TaxonomyTopic.update({ parentId }, { where: { parentId: id }, transaction });
+
+    let movedItems = 0;
+    for (const source of Object.values(TAXONOMY_SOURCES)) {
+      const [count] = await models[source.model].update(
+        { taxonomyTopicId: parentId },
+        { where: { taxonomyTopicId: id }, hooks: false, paranoid: false, silent: true, transaction }
+      );
+      movedItems += count;
+    }
+
+    await TaxonomyAlias.destroy({ where: { taxonomyTopicId: id }, transaction });
+    await topic.destroy({ transaction });
+
+    return { movedTopics, movedItems };
+  });
+};
+
+/**
+ * Add an alias to a topic
+ * @param {number} id - Topic ID
+ * @param {string} name - Alias
+ * @returns {Object} Updated topic
+ */
+const addTaxonomyAlias = async (id, name) => {
+  await sequelize.transaction(async (transaction) => {
+    await findTopic(id, transaction);
+    const normalizedName = await assertNameAvailable(name, { transaction });
+
+    await TaxonomyAlias.create({ name, normalizedName, taxonomyTopicId: id }, { transaction });
+    await linkUnmatchedItems(models, transaction);
+  });
+
+  return getTaxonomyTopic(id);
+};
+
+/**
+ * Remove an alias from a topic. Items already filed stay filed.
+ * @param {number} id - Topic ID
+ * @param {number} aliasId - Alias ID
+ * @returns {Object} Updated topic
+ */
+const removeTaxonomyAlias = async (id, aliasId) => {
+  await findTopic(id);
+  const removed = await TaxonomyAlias.destroy({ where: { id: aliasId, taxonomyTopicId: id } });
+  if (!removed) {
+    throw new AppError('Alias not found', 404);
+  }
+
+  return getTaxonomyTopic(id);
+};
+
+module.exports = {
+  loadTaxonomy,
+  getTaxonomyTree,
+  searchTaxonomy,
+  getTaxonomyTopic,
+  createTaxonomyTopic,
+  updateTaxonomyTopic,
+  deleteTaxonomyTopic,
+  addTaxonomyAlias,
+  removeTaxonomyAlias
+};
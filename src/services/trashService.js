@@ -0,0 +1,370 @@
+/**
+ * TRASH SERVICE
+ *
+ * Soft delete for problems, learning items, roadmaps, topics and
+ * subtopics. Deleting moves an item to the trash together with what
+ * depends on it (its revision items, or a roadmap's topics and
+ * subtopics) and restoring brings them back. Trashed items are purged
+ * for good when the user empties the trash, or by the purge job once
+ * they are older than TRASH_CONSTANTS.RETENTION_DAYS.
+ */
+
+const { Op } = require('sequelize');
+const {
+  Problem,
+  ProblemAttempt,
+  LearningItem,
+  RevisionItem,
+  Roadmap,
+  Topic,
+  Subtopic,
+  sequelize
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { TRASH_CONSTANTS } = require('../utils/constants');
+const { removeProblemContent } = require('./problemContentService');
+const { detachProblems } = require('./problemListService');
+const { updateTopicProgress, removeItemLinks, removeSubtopicLinks } = require('./roadmapService');
+const { removeItemTags } = require('./tagService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trashable types. Problems and learning items take their revision
+ * items (revisionType) with them.
+ */
+const TRASH_TYPES = {
+  problem: { model: Problem, label: 'Problem', revisionType: 'problem' },
+  learning: { model: LearningItem, label: 'Learning item', revisionType: 'learning' },
+  roadmap: { model: Roadmap, label: 'Roadmap' },
+  topic: { model: Topic, label: 'Topic' },
+  subtopic: { model: Subtopic, label: 'Subtopic' }
+};
+
+/**
+ * Condition matching rows trashed together with, or after, an item.
+ * Dependents are trashed right after their parent, so anything trashed
+ * earlier was deleted on its own and stays in the trash.
+ * @param {Date} deletedAt - When the item was trashed
+ * @returns {Object} Sequelize condition on deletedAt
+ */
+const trashedSince = (deletedAt) => ({ [Op.gte]: deletedAt });
+
+/**
+ * Load an item of a user, whether trashed or not. Topics and subtopics
+ * are owned through their roadmap, which is loaded with them.
+ * @param {string} type - Trash type
+ * @param {number} id - Item ID
+ * @param {number} userId - Owner ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Object|null} Item
+ */
+const findOwned = (type, id, userId, transaction) => {
+  const roadmap = { model: Roadmap, as: 'roadmap', where: { userId }, paranoid: false };
+
+  if (type === 'topic') {
+    return Topic.findOne({ where: { id }, include: [roadmap], paranoid: false, transaction });
+  }
+
+  if (type === 'subtopic') {
+    return Subtopic.findOne({
+      where: { id },
+      include: [{ model: Topic, as: 'topic', required: true, paranoid: false, include: [roadmap] }],
+      paranoid: false,
+      transaction
+    });
+  }
+
+  return TRASH_TYPES[type].model.findOne({ where: { id, userId }, paranoid: false, transaction });
+};
+
+/**
+ * Name the trashed parent that has to be restored before an item
+ * @param {string} type - Trash type
+ * @param {Object} item - Item loaded by findOwned
+ * @returns {string|null} 'roadmap' or 'topic', or null if the parents are not trashed
+ */
+const trashedParent = (type, item) => {
+  if (type === 'topic') {
+    return item.roadmap.deletedAt ? 'roadmap' : null;
+  }
+
+  if (type === 'subtopic') {
+    if (item.topic.roadmap.deletedAt) {
+      return 'roadmap';
+    }
+    return item.topic.deletedAt ? 'topic' : null;
+  }
+
+  return null;
+};
+
+/**
+ * Trash what depends on an item that was just trashed
+ * @param {string} type - Trash type
+ * @param {Object} item - Trashed item
+ * @param {Object} transaction - Sequelize transaction
+ */
+const trashDependents = async (type, item, transaction) => {
+  // Per-row hooks keep the search index in step
+  const options = { individualHooks: true, transaction };
+  const { revisionType } = TRASH_TYPES[type];
+
+  if (revisionType) {
+    await RevisionItem.destroy({ where: { itemType: revisionType, itemId: item.id }, transaction });
+  }
+
+  if (type === 'roadmap') {
+    const topics = await Topic.findAll({ where: { roadmapId: item.id }, attributes: ['id'], transaction });
+    await Topic.destroy({ where: { roadmapId: item.id }, ...options });
+    await Subtopic.destroy({ where: { topicId: topics.map(topic => topic.id) }, ...options });
+  } else if (type === 'topic') {
+    await Subtopic.destroy({ where: { topicId: item.id }, ...options });
+  } else if (type === 'subtopic') {
+    await updateTopicProgress(item.topicId, transaction);
+  }
+};
+
+/**
+ * Restore what was trashed together with an item
+ * @param {string} type - Trash type
+ * @param {Object} item - Restored item
+ * @param {Date} deletedAt - When the item had been trashed
+ * @param {Object} transaction - Sequelize transaction
+ */
+const restoreDependents = async (type, item, deletedAt, transaction) => {
+  const options = { individualHooks: true, transaction };
+  const { revisionType } = TRASH_TYPES[type];
+
+  if (revisionType) {
+    await RevisionItem.restore({
+      where: { itemType: revisionType, itemId: item.id, deletedAt: trashedSince(deletedAt) },
+      transaction
+    });
+  }
+
+  if (type === 'roadmap') {
+    const topics = await Topic.findAll({
+      where: { roadmapId: item.id, deletedAt: trashedSince(deletedAt) },
+      attributes: ['id'],
+      paranoid: false,
+      transaction
+    });
+    const topicIds = topics.map(topic => topic.id);
+    await Topic.restore({ where: { id: topicIds }, ...options });
+    await Subtopic.restore({ where: { topicId: topicIds, deletedAt: trashedSince(deletedAt) }, ...options });
+  } else if (type === 'topic') {
+    await Subtopic.restore({ where: { topicId: item.id, deletedAt: trashedSince(deletedAt) }, ...options });
+  } else if (type === 'subtopic') {
+    await updateTopicProgress(item.topicId, transaction);
+  }
+};
+
+/**
+ * Permanently delete items of one type and everything that depends on them
+ * @param {string} type - Trash type
+ * @param {Array<number>} ids - Item IDs
+ * @param {Object} transaction - Sequelize transaction
+ */
+const destroyForever = async (type, ids, transaction) => {
+  if (ids.length === 0) {
+    return;
+  }
+
+  const options = { force: true, transaction };
+  const { revisionType } = TRASH_TYPES[type];
+
+  if (revisionType) {
+    await RevisionItem.destroy({ where: { itemType: revisionType, itemId: ids }, ...options });
+  }
+
+  if (type === 'problem' || type === 'learning') {
+    await removeItemTags(type, ids, transaction);
+    await removeItemLinks(type, ids, transaction);
+  }
+
+  if (type === 'problem') {
+    await ProblemAttempt.destroy({ where: { problemId: ids }, transaction });
+    await removeProblemContent(ids, transaction);
+    await detachProblems(ids, transaction);
+  } else if (type === 'roadmap') {
+    const topics = await Topic.findAll({ where: { roadmapId: ids }, attributes: ['id'], paranoid: false, transaction });
+    await destroyForever('topic', topics.map(topic => topic.id), transaction);
+  } else if (type === 'topic') {
+    const subtopics = await Subtopic.findAll({ where: { topicId: ids }, attributes: ['id'], paranoid: false, transaction });
+    await destroyForever('subtopic', subtopics.map(subtopic => subtopic.id), transaction);
+  } else if (type === 'subtopic') {
+    await removeSubtopicLinks(ids, transaction);
+  }
+
+  await TRASH_TYPES[type].model.destroy({ where: { id: ids }, ...options });
+};
+
+// ========== TRASH ==========
+
+/**
+ * Move an item to the trash with its dependents
+ * @param {string} type - Trash type
+ * @param {Object} item - Item instance
+ * @param {Object} [transaction] - Sequelize transaction to join; a new one is used otherwise
+ */
+const moveToTrash = async (type, item, transaction) => {
+  const trash = async (t) => {
+    await item.destroy({ transaction: t });
+    await trashDependents(type, item, t);
+  };
+
+  await (transaction ? trash(transaction) : sequelize.transaction(trash));
+};
+
+/**
+ * List a user's trashed items, most recently deleted first. Topics and
+ * subtopics trashed along with their roadmap or topic are not listed
+ * on their own; they come back with it.
+ * @param {Object} user - User object
+ * @returns {Array} { type, id, title, deletedAt, purgeAt, parent }
+ */
+const listTrash = async (user) => {
+  const userId = user.id;
+  const trashed = { deletedAt: { [Op.ne]: null } };
+  const fields = ['id', 'title', 'deletedAt'];
+
+  // Includes skip trashed parents by default
+  const [problems, learningItems, roadmaps, topics, subtopics] = await Promise.all([
+    Problem.findAll({ where: { ...trashed, userId }, attributes: fields, paranoid: false }),
+    LearningItem.findAll({ where: { ...trashed, userId }, attributes: fields, paranoid: false }),
+    Roadmap.findAll({ where: { ...trashed, userId }, attributes: fields, paranoid: false }),
+    Topic.findAll({
+      where: trashed,
+      attributes: fields,
+      include: [{ model: Roadmap, as: 'roadmap', attributes: ['id', 'title'], where: { userId } }],
+      paranoid: false
+    }),
+    Subtopic.findAll({
+      where: trashed,
+      attributes: fields,
+      include: [{
+        model: Topic,
+        as: 'topic',
+        attributes: ['id', 'title'],
+        required: true,
+        include: [{ model: Roadmap, as: 'roadmap', attributes: [], where: { userId } }]
+      }],
+      paranoid: false
+    })
+  ]);
+
+  const entry = (type, item, parent = null) => ({
+    type,
+    id: item.id,
+    title: item.title,
+    deletedAt: item.deletedAt,
+    purgeAt: new Date(new Date(item.deletedAt).getTime() + TRASH_CONSTANTS.RETENTION_DAYS * DAY_MS),
+    parent
+  });
+
+  return [
+    ...problems.map(problem => entry('problem', problem)),
+    ...learningItems.map(item => entry('learning', item)),
+    ...roadmaps.map(roadmap => entry('roadmap', roadmap)),
+    ...topics.map(topic => entry('topic', topic, { type: 'roadmap', id: topic.roadmap.id, title: topic.roadmap.title })),
+    ...subtopics.map(subtopic => entry('subtopic', subtopic, { type: 'topic', id: subtopic.topic.id, title: subtopic.topic.title }))
+  ].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+};
+
+/**
+ * Restore a trashed item with everything that was trashed with it
+ * @param {Object} user - User object
+ * @param {string} type - Trash type
+ * @param {number} id - Item ID
+ * @returns {Object} Restored item
+ */
+const restoreFromTrash = async (user, type, id) => {
+  return sequelize.transaction(async (transaction) => {
+    const item = await findOwned(type, id, user.id, transaction);
+    if (!item || !item.deletedAt) {
+      throw new AppError(`${TRASH_TYPES[type].label} not found in trash`, 404);
+    }
+
+    const parent = trashedParent(type, item);
+    if (parent) {
+      throw new AppError(`Restore the ${parent} it belongs to first`, 409);
+    }
+
+    const { deletedAt } = item;
+    await item.restore({ transaction });
+    await restoreDependents(type, item, deletedAt, transaction);
+
+    return item;
+  });
+};
+
+/**
+ * Permanently delete one trashed item
+ * @param {Object} user - User object
+ * @param {string} type - Trash type
+ * @param {number} id - Item ID
+ */
+const purgeFromTrash = async (user, type, id) => {
+  await sequelize.transaction(async (transaction) => {
+    const item = await findOwned(type, id, user.id, transaction);
+    if (!item || !item.deletedAt) {
+      throw new AppError(`${TRASH_TYPES[type].label} not found in trash`, 404);
+    }
+
+    await destroyForever(type, [item.id], transaction);
+  });
+};
+
+/**
+ * Permanently delete everything in a user's trash
+ * @param {Object} user - User object
+ * @returns {number} Number of purged items
+ */
+const emptyTrash = async (user) => {
+  const items = await listTrash(user);
+
+  await sequelize.transaction(async (transaction) => {
+    for (const type of TRASH_CONSTANTS.TYPES) {
+      const ids = items.filter(item => item.type === type).map(item => item.id);
+      await destroyForever(type, ids, transaction);
+    }
+  });
+
+  return items.length;
+};
+
+/**
+ * Permanently delete every item that has been in the trash for longer
+ * than the retention period (the purge job)
+ * @param {Object} [options] - { olderThanDays }
+ * @returns {Object} Number of purged items per type
+ */
+const purgeExpiredTrash = async (options = {}) => {
+  const days = options.olderThanDays ?? TRASH_CONSTANTS.RETENTION_DAYS;
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  const purged = {};
+
+  // Parents first: purging a roadmap or topic takes its expired children with it
+  for (const type of ['problem', 'learning', 'roadmap', 'topic', 'subtopic']) {
+    const items = await TRASH_TYPES[type].model.findAll({
+      where: { deletedAt: { [Op.lt]: cutoff } },
+      attributes: ['id'],
+      paranoid: false
+    });
+
+    await sequelize.transaction(transaction => destroyForever(type, items.map(item => item.id), transaction));
+    purged[type] = items.length;
+  }
+
+  return purged;
+};
+
+module.exports = {
+  moveToTrash,
+  listTrash,
+  restoreFromTrash,
+  purgeFromTrash,
+  emptyTrash,
+  purgeExpiredTrash
+};
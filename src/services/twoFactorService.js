@@ -0,0 +1,240 @@
+/**
+ * TWO-FACTOR SERVICE
+ *
+ * Business logic for TOTP two-factor authentication: enrollment,
+ * confirmation, verification of codes at login, recovery codes
+ * and disabling.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { UserTwoFactor, sequelize } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { TOTP_CONSTANTS } = require('../utils/constants');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+/**
+ * Normalize and hash a recovery code for storage and lookup
+ * @param {string} code - Recovery code as entered by the user
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} { codes, hashes } - plain codes for the user, hashes for storage
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: TOTP_CONSTANTS.RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Find the confirmed two-factor settings of a user
+ * @param {number} userId - User ID
+ * @returns {Object|null} UserTwoFactor record, or null if 2FA is off
+ */
+const findEnabledTwoFactor = (userId) => {
+  return UserTwoFactor.findOne({
+    where: { userId, enabledAt: { [Op.ne]: null } }
+  });
+};
+
+/**
+ * Check whether a user has two-factor authentication turned on
+ * @param {number} userId - User ID
+ * @returns {boolean} True if 2FA is enabled
+ */
+const isTwoFactorEnabled = async (userId) => {
+  return Boolean(await findEnabledTwoFactor(userId));
+};
+
+/**
+ * Get the two-factor status of a user
+ * @param {Object} user - User object
+ * @returns {Object} { enabled, enabledAt, recoveryCodesRemaining }
+ */
+const getTwoFactorStatus = async (user) => {
+  const twoFactor = await findEnabledTwoFactor(user.id);
+
+  return {
+    enabled: Boolean(twoFactor),
+    enabledAt: twoFactor ? twoFactor.enabledAt : null,
+    recoveryCodesRemaining: twoFactor ? twoFactor.recoveryCodes.length : 0
+  };
+};
+
+/**
+ * Start enrollment: create a new, unconfirmed secret.
+ * Starting again replaces any earlier unconfirmed secret.
+ * @param {Object} user - User object
+ * @returns {Object} { secret, otpauthUri }
+ */
+const beginEnrollment = async (user) => {
+  const existing = await UserTwoFactor.findOne({ where: { userId: user.id } });
+  if (existing && existing.enabledAt) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateSecret();
+  if (existing) {
+    await existing.update({ secret, lastUsedStep: null, recoveryCodes: [] });
+  } else {
+    await UserTwoFactor.create({ userId: user.id, secret });
+  }
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.email)
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @param {Object} user - User object
+ * @param {string} code - TOTP code
+ * @returns {Object} { recoveryCodes } - shown to the user once
+ */
+const enableTwoFactor = async (user, code) => {
+  const twoFactor = await UserTwoFactor.findOne({ where: { userId: user.id } });
+  if (!twoFactor) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+  if (twoFactor.enabledAt) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const step = verifyTotp(twoFactor.secret, code);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await twoFactor.update({
+    enabledAt: new Date(),
+    lastUsedStep: step,
+    recoveryCodes: hashes
+  });
+
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Use up a recovery code. The codes are only written if the row still
+ * has the version they were read at, so of two requests with the same
+ * code only one succeeds; the other re-reads the row and no longer
+ * finds the code.
+ * @param {Object} twoFactor - UserTwoFactor instance
+ * @param {string} hash - Hash of the entered recovery code
+ * @returns {boolean} True if the code was valid and is now used up
+ */
+const claimRecoveryCode = async (twoFactor, hash) => {
+  let current = twoFactor;
+
+  for (let attempt = 0; attempt < TOTP_CONSTANTS.RECOVERY_CODE_MAX_RETRIES; attempt++) {
+    if (!current || !current.recoveryCodes.includes(hash)) {
+      return false;
+    }
+
+    const [claimed] = await UserTwoFactor.update(
+      {
+        recoveryCodes: current.recoveryCodes.filter(h => h !== hash),
+        version: current.version + 1
+      },
+      { where: { id: current.id, version: current.version } }
+    );
+    if (claimed > 0) {
+      return true;
+    }
+
+    current = await UserTwoFactor.findByPk(current.id);
+  }
+
+  throw new AppError('Two-factor verification is busy, please try again', 409);
+};
+
+/**
+ * Verify a second factor for a user with 2FA enabled.
+ * Accepts a TOTP code (each time step only once) or an unused recovery code.
+ * @param {Object} user - User object
+ * @param {string} code - TOTP or recovery code
+ * @returns {string} Method used: 'totp' or 'recovery'
+ */
+const verifySecondFactor = async (user, code) => {
+  const twoFactor = await findEnabledTwoFactor(user.id);
+  if (!twoFactor) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  const step = verifyTotp(twoFactor.secret, code);
+  if (step !== null) {
+    // Claim the time step atomically so a code cannot be replayed
+    const [claimed] = await UserTwoFactor.update(
+      { lastUsedStep: step },
+      {
+        where: {
+          id: twoFactor.id,
+          [Op.or]: [{ lastUsedStep: null }, { lastUsedStep: { [Op.lt]: step } }]
+        }
+      }
+    );
+    if (claimed > 0) {
+      return 'totp';
+    }
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  const hash = hashRecoveryCode(code || '');
+  if (await claimRecoveryCode(twoFactor, hash)) {
+    return 'recovery';
+  }
+
+  throw new AppError('Invalid two-factor code', 401);
+};
+
+/**
+ * Turn two-factor authentication off
+ * @param {Object} user - User object
+ * @param {string} code - TOTP or recovery code
+ * @returns {boolean} Success status
+ */
+const disableTwoFactor = async (user, code) => {
+  await verifySecondFactor(user, code);
+  await UserTwoFactor.destroy({ where: { userId: user.id } });
+  return true;
+};
+
+/**
+ * Replace all recovery codes with a new set
+ * @param {Object} user - User object
+ * @param {string} code - TOTP or recovery code
+ * @returns {Object} { recoveryCodes } - shown to the user once
+ */
+const regenerateRecoveryCodes = async (user, code) => {
+  await verifySecondFactor(user, code);
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await UserTwoFactor.update(
+    { recoveryCodes: hashes, version: sequelize.literal('version + 1') },
+    { where: { userId: user.id } }
+  );
+
+  return { recoveryCodes: codes };
+};
+
+module.exports = {
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  beginEnrollment,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,286 @@
+/**
+ * USER SERVICE
+ *
+ * Business logic for account settings including
+ * profile updates, password changes, and account deletion.
+ */
+
+const bcrypt = require('bcryptjs');
+const {
+  User,
+  Problem,
+  ProblemAttempt,
+  LearningItem,
+  RevisionItem,
+  Roadmap,
+  Topic,
+  Subtopic,
+  RefreshToken,
+  OneTimeToken,
+  UserIdentity,
+  UserTwoFactor,
+  PersonalAccessToken,
+  UserSession,
+  sequelize
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { JWT_CONSTANTS } = require('../utils/constants');
+const { removeUserDocuments } = require('../database/searchIndex');
+const { removeProblemContent } = require('./problemContentService');
+const { removeUserLists } = require('./problemListService');
+const { removeUserTags } = require('./tagService');
+const { removeSubtopicLinks } = require('./roadmapService');
+const { logoutOtherSessions } = require('./authService');
+
+/**
+ * Build the public profile of a user (never includes secrets)
+ * @param {Object} user - User object
+ * @returns {Object} Profile data
+ */
+const toProfile = (user) => {
+  return {
+    id: user.id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    authProvider: user.authProvider,
+    role: user.role,
+    profilePicture: user.profilePicture,
+    isEmailVerified: user.isEmailVerified,
+    lastLoginAt: user.lastLoginAt,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+};
+
+/**
+ * Update the editable profile fields of a user
+ * @param {Object} user - User object
+ * @param {Object} profileData - { firstName, lastName, profilePicture }
+ * @returns {Object} Updated profile
+ */
+const updateProfile = async (user, profileData) => {
+  try {
+    const updates = {};
+    ['firstName', 'lastName', 'profilePicture'].forEach((field) => {
+      if (profileData[field] !== undefined) {
+        updates[field] = profileData[field];
+      }
+    });
+
+    await user.update(updates);
+    return toProfile(user);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      throw error;
+    }
+    throw new AppError('Failed to update profile', 500);
+  }
+};
+
+/**
+ * Change the password of a user after checking the current one.
+ * Every other session is signed out.
+ * @param {Object} user - User object
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @param {string} [currentSessionId] - Token family of the session making the change
+ * @returns {boolean} Success status
+ */
+const changePassword = async (user, currentPassword, newPassword, currentSessionId) => {
+  try {
+    if (!user.password) {
+      throw new AppError('This account has no password; use forgot-password to set one', 400);
+    }
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    if (!isPasswordValid) {
+      throw new AppError('Current password is incorrect', 401);
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await user.update({ password: hashedPassword });
+    await logoutOtherSessions(user.id, currentSessionId);
+
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to change password', 500);
+  }
+};
+
+/**
+ * Confirm the caller recently proved who they are.
+ * Accounts with a password must send it again; passwordless (OAuth)
+ * accounts must have logged in within the last few minutes. The login
+ * time is kept on the session, so refreshing the access token does not
+ * count as logging in again.
+ * @param {Object} user - User object
+ * @param {string} [password] - Password supplied with the request
+ * @param {Object} [tokenClaims] - Decoded access token
+ */
+const assertRecentlyAuthenticated = async (user, password, tokenClaims) => {
+  if (user.password) {
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      throw new AppError('Password confirmation is incorrect', 401);
+    }
+    return;
+  }
+
+  const session = tokenClaims?.sid
+    ? await UserSession.findOne({ where: { familyId: tokenClaims.sid, userId: user.id } })
+    : null;
+  const loginAgeMs = session?.authenticatedAt ? Date.now() - session.authenticatedAt.getTime() : Infinity;
+  if (loginAgeMs > JWT_CONSTANTS.RECENT_LOGIN_WINDOW_SECONDS * 1000) {
+    throw new AppError('Please log in again before deleting your account', 401);
+  }
+};
+
+/**
+ * Refuse to remove the only remaining admin
+ * @param {Object} user - User about to lose the admin role or be deleted
+ */
+const assertNotLastAdmin = async (user) => {
+  if (user.role !== 'admin') {
+    return;
+  }
+
+  const adminCount = await User.count({ where: { role: 'admin' } });
+  if (adminCount <= 1) {
+    throw new AppError('Cannot remove the last admin', 409);
+  }
+};
+
+/**
+ * Delete a user and everything they own in one transaction
+ * @param {Object} user - User object
+ */
+const purgeUser = async (user) => {
+  await sequelize.transaction(async (transaction) => {
+    const userId = user.id;
+
+    // Revision items reference problems/learning items by id only (no FK),
+    // so remove them explicitly rather than relying on CASCADE.
+    // Trashed rows are included and removed for good.
+    const force = { force: true, transaction };
+    await RevisionItem.destroy({ where: { userId }, ...force });
+    const problems = await Problem.findAll({ where: { userId }, attributes: ['id'], paranoid: false, transaction });
+    await ProblemAttempt.destroy({ where: { problemId: problems.map(p => p.id) }, transaction });
+    await removeProblemContent(problems.map(p => p.id), transaction);
+    await removeUserLists(userId, transaction);
+    await removeUserTags(userId, transaction);
+
+    // Subtopics only link to their owner's work, so this unlinks every problem and learning item too
+    const roadmaps = await Roadmap.findAll({ where: { userId }, attributes: ['id'], paranoid: false, transaction });
+    const roadmapIds = roadmaps.map(r => r.id);
+    const topics = await Topic.findAll({ where: { roadmapId: roadmapIds }, attributes: ['id'], paranoid: false, transaction });
+    const subtopics = await Subtopic.findAll({ where: { topicId: topics.map(t => t.id) }, attributes: ['id'], paranoid: false, transaction });
+    await removeSubtopicLinks(subtopics.map(s => s.id), transaction);
+
+    await Problem.destroy({ where: { userId }, ...force });
+    await LearningItem.destroy({ where: { userId }, ...force });
+    await Subtopic.destroy({ where: { topicId: topics.map(t => t.id) }, ...force });
+    await Topic.destroy({ where: { roadmapId: roadmapIds }, ...force });
+    await Roadmap.destroy({ where: { userId }, ...force });
+
+    await RefreshToken.destroy({ where: { userId }, transaction });
+    await OneTimeToken.destroy({ where: { userId }, transaction });
+    await UserIdentity.destroy({ where: { userId }, transaction });
+    await UserTwoFactor.destroy({ where: { userId }, transaction });
+    await PersonalAccessToken.destroy({ where: { userId }, transaction });
+    await UserSession.destroy({ where: { userId }, transaction });
+    await removeUserDocuments(sequelize, userId, { transaction });
+    await user.destroy({ transaction });
+  });
+};
+
+/**
+ * Permanently delete a user and everything they own
+ * @param {Object} user - User object
+ * @param {string} [password] - Password confirmation
+ * @param {Object} [tokenClaims] - Decoded access token
+ * @returns {boolean} Success status
+ */
+const deleteAccount = async (user, password, tokenClaims) => {
+  try {
+    await assertRecentlyAuthenticated(user, password, tokenClaims);
+    await assertNotLastAdmin(user);
+    await purgeUser(user);
+
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to delete account', 500);
+  }
+};
+
+/**
+ * Change the role of a user (admin operation)
+ * @param {number} userId - ID of the user to change
+ * @param {string} role - New role
+ * @returns {Object} Updated profile
+ */
+const updateUserRole = async (userId, role) => {
+  try {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    if (user.role !== role) {
+      if (role !== 'admin') {
+        await assertNotLastAdmin(user);
+      }
+      await user.update({ role });
+    }
+
+    return toProfile(user);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to update user role', 500);
+  }
+};
+
+/**
+ * Delete another user's account (admin operation)
+ * @param {Object} actor - Admin performing the deletion
+ * @param {number} userId - ID of the user to delete
+ * @returns {boolean} Success status
+ */
+const deleteUserById = async (actor, userId) => {
+  try {
+    if (actor.id === userId) {
+      throw new AppError('Use DELETE /api/me to delete your own account', 400);
+    }
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    await assertNotLastAdmin(user);
+    await purgeUser(user);
+
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Failed to delete user', 500);
+  }
+};
+
+module.exports = {
+  toProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  updateUserRole,
+  deleteUserById
+};
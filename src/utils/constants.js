@@ -119,7 +119,26 @@ const VALIDATION_RULES = {
 const PROBLEM_CONSTANTS = {
   PLATFORMS: ['LeetCode', 'HackerRank', 'Codeforces', 'AtCoder', 'CodeChef', 'other'],
   DIFFICULTIES: ['easy', 'medium', 'hard'],
-  OUTCOMES: ['solved', 'attempted', 'stuck', 'skipped', 'hints', 'failed']
+  OUTCOMES: ['solved', 'attempted', 'stuck', 'skipped', 'hints', 'failed'],
+  MAX_TIME_SPENT: 1440, // Minutes
+  IMPORT_MAX_ROWS: 5000,
+  DUPLICATE_TITLE_SIMILARITY: 0.85, // 0..1, titles at least this similar are duplicate candidates
+  MAX_DUPLICATE_CANDIDATES: 5,
+  SORT_FIELDS: ['date', 'title', 'difficulty', 'platform', 'outcome', 'timeSpent', 'createdAt', 'updatedAt'], // Indexed columns
+  DEFAULT_SORT: 'date',
+  DEFAULT_ORDER: 'desc',
+  TAG_MATCH_MODES: ['any', 'all'],
+  MAX_NOTES_LENGTH: 50000, // Characters of markdown
+  MAX_SNIPPET_LENGTH: 100000, // Characters of source code
+  MAX_SNIPPETS: 20, // Per problem
+  MAX_DIFF_LINES: 2000 // Per side; longer versions are not diffed
+};
+
+// Problem List Constants
+const PROBLEM_LIST_CONSTANTS = {
+  FORMAT: 'mindstack-problem-list', // Exported list documents
+  VERSION: 1,
+  MAX_ITEMS: 500 // Per list
 };
 
 // Learning Item Constants
@@ -152,8 +171,134 @@ const DATABASE_CONSTANTS = {
 
 // JWT Constants
 const JWT_CONSTANTS = {
-  DEFAULT_EXPIRES_IN: '7d',
-  ALGORITHM: 'HS256'
+  DEFAULT_EXPIRES_IN: '15m', // Short-lived access tokens
+  ALGORITHM: 'HS256',
+  REFRESH_TOKEN_TTL_DAYS: 30,
+  PASSWORD_RESET_EXPIRES_IN: '1h',
+  EMAIL_VERIFICATION_EXPIRES_IN: '24h',
+  IDENTITY_LINK_EXPIRES_IN: '5m',
+  MFA_PENDING_EXPIRES_IN: '5m',
+  RECENT_LOGIN_WINDOW_SECONDS: 5 * 60, // Re-authentication window for sensitive actions
+  SESSION_LAST_SEEN_RESOLUTION_MS: 60 * 1000 // Update a session's lastSeenAt at most once a minute
+};
+
+// Two-Factor Authentication Constants
+const TOTP_CONSTANTS = {
+  ISSUER: process.env.TOTP_ISSUER || 'MindStack',
+  SECRET_BYTES: 20,
+  STEP_SECONDS: 30,
+  DIGITS: 6,
+  WINDOW: 1, // Accepted clock drift in steps either side
+  RECOVERY_CODE_COUNT: 10,
+  RECOVERY_CODE_MAX_RETRIES: 5 // Attempts at using a recovery code while the row keeps changing
+};
+
+// Role-Based Access Control Constants
+const ROLE_CONSTANTS = {
+  ROLES: ['user', 'admin'],
+  DEFAULT_ROLE: 'user',
+  // Permissions granted to each role
+  PERMISSIONS: {
+    user: [],
+    admin: ['users:read', 'users:manage', 'taxonomy:manage']
+  }
+};
+
+// Rate Limiting Constants
+const RATE_LIMIT_CONSTANTS = {
+  LOGIN_IP_WINDOW_MS: 15 * 60 * 1000,
+  LOGIN_IP_MAX_ATTEMPTS: 20, // Login attempts per IP per window, successful or not
+  REGISTER_IP_WINDOW_MS: 60 * 60 * 1000,
+  REGISTER_IP_MAX_ATTEMPTS: 10,
+  FORGOT_PASSWORD_IP_WINDOW_MS: 60 * 60 * 1000,
+  FORGOT_PASSWORD_IP_MAX_ATTEMPTS: 5, // Reset emails requested per IP per window
+  ACCOUNT_FAILURE_WINDOW_MS: 15 * 60 * 1000,
+  ACCOUNT_MAX_FAILURES: 5, // Failed logins per account before a lockout
+  // Lockout lengths; each consecutive lockout uses the next (the last one repeats)
+  LOCKOUT_DURATIONS_MS: [
+    60 * 1000,
+    5 * 60 * 1000,
+    15 * 60 * 1000,
+    60 * 60 * 1000,
+    24 * 60 * 60 * 1000
+  ],
+  STALE_AFTER_MS: 24 * 60 * 60 * 1000,
+  MEMORY_SWEEP_THRESHOLD: 10000,
+  DATABASE_SWEEP_INTERVAL_MS: 60 * 60 * 1000, // How often the database store deletes stale rows
+  UPDATE_MAX_RETRIES: 10 // Attempts at an entry update that keeps losing to concurrent writes
+};
+
+// Personal Access Token Constants
+const ACCESS_TOKEN_CONSTANTS = {
+  PREFIX: 'mst_',
+  SCOPES: [
+    'profile:read',
+    'problems:read',
+    'problems:write',
+    'learning:read',
+    'learning:write',
+    'revision:read',
+    'revision:write',
+    'roadmaps:read',
+    'roadmaps:write',
+    'analytics:read'
+  ],
+  MAX_PER_USER: 20,
+  MAX_EXPIRES_IN_DAYS: 365,
+  LAST_USED_RESOLUTION_MS: 60 * 1000 // Update lastUsedAt at most once a minute
+};
+
+// Data Archive Constants
+const ARCHIVE_CONSTANTS = {
+  FORMAT: 'mindstack-archive',
+  VERSION: 1,
+  EXPORT_BATCH_SIZE: 500 // Records read per query while streaming an export
+};
+
+// Search Constants
+const SEARCH_CONSTANTS = {
+  TABLE: 'search_index', // FTS5 virtual table on SQLite
+  TYPES: ['problem', 'learning', 'roadmap', 'topic', 'subtopic'],
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  MAX_QUERY_LENGTH: 200,
+  SNIPPET_LENGTH: 120 // Characters around the match in LIKE fallback snippets
+};
+
+// Trash Constants
+const TRASH_CONSTANTS = {
+  TYPES: ['problem', 'learning', 'roadmap', 'topic', 'subtopic'],
+  RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS) || 30, // Trashed items are purged after this
+  PURGE_INTERVAL_MS: 24 * 60 * 60 * 1000 // How often the server purges expired items
+};
+
+// Tag Constants
+const TAG_CONSTANTS = {
+  MAX_NAME_LENGTH: 50,
+  DEFAULT_LIMIT: 10, // Autocomplete suggestions
+  MAX_LIMIT: 50,
+  MAX_MERGE_SOURCES: 50
+};
+
+// Topic Taxonomy Constants
+const TAXONOMY_CONSTANTS = {
+  MAX_NAME_LENGTH: 100,
+  MAX_DESCRIPTION_LENGTH: 500,
+  MAX_ALIASES: 20, // Aliases accepted when a topic is created
+  SEARCH_LIMIT: 10
+};
+
+// Roadmap Constants
+const ROADMAP_CONSTANTS = {
+  MAX_LINKS: 100 // Problems or learning items linked to a subtopic per request
+};
+
+// Bulk Operation Constants
+const BULK_CONSTANTS = {
+  ACTIONS: ['update', 'delete', 'add-tags', 'remove-tags', 'mark-for-revision'],
+  MAX_IDS: 500, // Per request
+  PROBLEM_FIELDS: ['platform', 'difficulty', 'topic', 'date'], // Settable with the update action
+  LEARNING_FIELDS: ['type', 'category', 'status', 'progress', 'difficulty', 'platform']
 };
 
 // CORS Constants
@@ -175,11 +320,23 @@ module.exports = {
   SUCCESS_MESSAGES,
   VALIDATION_RULES,
   PROBLEM_CONSTANTS,
+  PROBLEM_LIST_CONSTANTS,
   LEARNING_ITEM_CONSTANTS,
   REVISION_CONSTANTS,
   ANALYTICS_CONSTANTS,
   DATABASE_CONSTANTS,
   JWT_CONSTANTS,
+  TOTP_CONSTANTS,
+  ROLE_CONSTANTS,
+  RATE_LIMIT_CONSTANTS,
+  ACCESS_TOKEN_CONSTANTS,
+  ARCHIVE_CONSTANTS,
+  SEARCH_CONSTANTS,
+  TRASH_CONSTANTS,
+  TAG_CONSTANTS,
+  TAXONOMY_CONSTANTS,
+  ROADMAP_CONSTANTS,
+  BULK_CONSTANTS,
   CORS_CONSTANTS,
   SESSION_CONSTANTS
 };
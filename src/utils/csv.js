@@ -0,0 +1,88 @@
+/**
+ * CSV UTILITIES
+ *
+ * Minimal RFC 4180 parsing: comma separated fields, double-quoted
+ * fields that may contain commas, quotes ("") and line breaks, and
+ * LF or CRLF line endings. A leading byte order mark is ignored.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows; blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(key => key.trim());
+
+  return rows.map(row => keys.reduce((record, key, index) => {
+    if (key) {
+      record[key] = row[index] !== undefined ? row[index] : '';
+    }
+    return record;
+  }, {}));
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords
+};
@@ -0,0 +1,94 @@
+/**
+ * DIFF UTILITIES
+ *
+ * Line-based diff between two versions of a text (notes or code),
+ * using the longest common subsequence of lines. Returns every line
+ * tagged as unchanged, added or removed, with its line numbers.
+ */
+
+/**
+ * Split text into lines (LF or CRLF)
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines; empty text has no lines
+ */
+const splitLines = (text) => {
+  if (!text) {
+    return [];
+  }
+  return String(text).replace(/\r\n/g, '\n').split('\n');
+};
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Object} { changes, added, removed } - changes are
+ *   { type: 'equal' | 'add' | 'remove', line, oldLine, newLine }
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  // lengths[i][j] = LCS length of a[i..endA) and b[j..endB), stored row by row
+  const rows = endA - start;
+  const cols = endB - start;
+  const lengths = new Uint32Array((rows + 1) * (cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * (cols + 1) + j] = a[start + i] === b[start + j]
+        ? lengths[(i + 1) * (cols + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (cols + 1) + j], lengths[i * (cols + 1) + j + 1]);
+    }
+  }
+
+  const changes = [];
+  const equal = (i, j) => changes.push({ type: 'equal', line: a[i], oldLine: i + 1, newLine: j + 1 });
+
+  for (let k = 0; k < start; k++) {
+    equal(k, k);
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && a[start + i] === b[start + j]) {
+      equal(start + i, start + j);
+      i++;
+      j++;
+    } else if (i < rows && (j === cols || lengths[(i + 1) * (cols + 1) + j] >= lengths[i * (cols + 1) + j + 1])) {
+      // Removals come before additions where either order is possible
+      changes.push({ type: 'remove', line: a[start + i], oldLine: start + i + 1, newLine: null });
+      i++;
+    } else {
+      changes.push({ type: 'add', line: b[start + j], oldLine: null, newLine: start + j + 1 });
+      j++;
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    equal(endA + k, endB + k);
+  }
+
+  return {
+    changes,
+    added: changes.filter(change => change.type === 'add').length,
+    removed: changes.filter(change => change.type === 'remove').length
+  };
+};
+
+module.exports = {
+  splitLines,
+  diffLines
+};
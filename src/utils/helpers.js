@@ -92,6 +92,26 @@ const generatePagination = (page, limit, total) => {
   };
 };
 
+/**
+ * Build a link to the current request with some query parameters replaced
+ * @param {Object} req - Express request object
+ * @param {Object} params - Query parameters to set (null or undefined removes one)
+ * @returns {string} Path and query string
+ */
+const buildPageLink = (req, params) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, String(value));
+    }
+  });
+  
+  return url.pathname + url.search;
+};
+
 /**
  * Sanitize string input
  * @param {string} input - Input string
@@ -102,6 +122,16 @@ const sanitizeString = (input) => {
   return input.trim().replace(/[<>]/g, '');
 };
 
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Plain text
+ * @returns {string} Text with &, <, >, " and ' escaped
+ */
+const escapeHtml = (text) => {
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+  return String(text).replace(/[&<>"']/g, char => entities[char]);
+};
+
 /**
  * Generate random string
  * @param {number} length - Length of string
@@ -171,6 +201,42 @@ const slugify = (str) => {
     .replace(/^-+|-+$/g, '');
 };
 
+/**
+ * Compare two strings by edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (different) to 1 (identical)
+ */
+const stringSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  // Levenshtein distance, keeping only the previous row
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+/**
+ * Parse tags from an array or a string separated by ; | or ,
+ * @param {*} value - Raw tags
+ * @returns {Array<string>} Unique, trimmed tags
+ */
+const parseTags = (value) => {
+  if (value === undefined || value === null) return [];
+
+  const list = Array.isArray(value) ? value : String(value).split(/[;|,]/);
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+};
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -195,6 +261,59 @@ const isValidUrl = (url) => {
   }
 };
 
+/**
+ * Get the client details of a request for session tracking
+ * @param {Object} req - Express request object
+ * @returns {Object} { ipAddress, userAgent }
+ */
+const getClientInfo = (req) => {
+  return {
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null
+  };
+};
+
+/**
+ * Summarize a user agent string as "Browser on OS"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} Readable device description
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    // Non-browser clients (curl, scripts) usually start with "name/version"
+    return userAgent.split(/[\s/]/)[0].slice(0, 100);
+  }
+
+  if (browser && system) {
+    return `${browser[0]} on ${system[0]}`;
+  }
+
+  return (browser || system)[0];
+};
+
 /**
  * Calculate age from birth date
  * @param {Date|string} birthDate - Birth date
@@ -297,14 +416,20 @@ module.exports = {
   formatDuration,
   calculateSuccessRate,
   generatePagination,
+  buildPageLink,
   sanitizeString,
+  escapeHtml,
   generateRandomString,
   deepClone,
   isEmpty,
   capitalize,
   slugify,
+  stringSimilarity,
+  parseTags,
   isValidEmail,
   isValidUrl,
+  getClientInfo,
+  describeUserAgent,
   calculateAge,
   getCurrentTimestamp,
   sleep,
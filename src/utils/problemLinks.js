@@ -0,0 +1,204 @@
+/**
+ * PROBLEM LINK UTILITIES
+ *
+ * Offline recognition of problem URLs for the platforms in
+ * PROBLEM_CONSTANTS.PLATFORMS: detects the platform, extracts the
+ * canonical problem slug or id, and builds a normalized URL and a
+ * readable title. No network requests are made. Also normalizes
+ * links for duplicate detection.
+ */
+
+const ROMAN_NUMERALS = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x'];
+
+/**
+ * Turn a URL slug into a title ("two-sum-ii" -> "Two Sum II")
+ * @param {string} slug - URL slug
+ * @returns {string} Readable title
+ */
+const titleFromSlug = (slug) => {
+  return slug
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map(word => (ROMAN_NUMERALS.includes(word.toLowerCase())
+      ? word.toUpperCase()
+      : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+    .join(' ');
+};
+
+/**
+ * URL patterns per platform. Each matcher receives the path segments
+ * of the URL and returns { problemId, url, title } or null.
+ */
+const platformMatchers = [
+  {
+    platform: 'LeetCode',
+    hosts: ['leetcode.com', 'leetcode.cn'],
+    // /problems/<slug>/..., also under /contest/<id>/problems/<slug>
+    match: (segments, host) => {
+      const index = segments.indexOf('problems');
+      const slug = index >= 0 ? segments[index + 1] : null;
+      if (!slug) {
+        return null;
+      }
+      return {
+        problemId: slug.toLowerCase(),
+        url: `https://${host}/problems/${slug.toLowerCase()}/`,
+        title: titleFromSlug(slug)
+      };
+    }
+  },
+  {
+    platform: 'Codeforces',
+    hosts: ['codeforces.com'],
+    // /problemset/problem/<contest>/<index>, /contest/<contest>/problem/<index>, /gym/<id>/problem/<index>
+    match: (segments) => {
+      const [first, second, third, fourth] = segments;
+      let contest;
+      let index;
+      let isGym = false;
+
+      if (first === 'problemset' && second === 'problem') {
+        [contest, index] = [third, fourth];
+      } else if ((first === 'contest' || first === 'gym') && third === 'problem') {
+        [contest, index] = [second, fourth];
+        isGym = first === 'gym';
+      }
+
+      if (!/^\d+$/.test(contest || '') || !/^[A-Za-z]\d*$/.test(index || '')) {
+        return null;
+      }
+
+      index = index.toUpperCase();
+      return {
+        problemId: `${contest}${index}`,
+        url: isGym
+          ? `https://codeforces.com/gym/${contest}/problem/${index}`
+          : `https://codeforces.com/problemset/problem/${contest}/${index}`,
+        title: `Codeforces ${contest}${index}`
+      };
+    }
+  },
+  {
+    platform: 'AtCoder',
+    hosts: ['atcoder.jp'],
+    // /contests/<contest>/tasks/<task>
+    match: (segments) => {
+      const [first, contest, third, task] = segments;
+      if (first !== 'contests' || third !== 'tasks' || !contest || !task) {
+        return null;
+      }
+
+      const taskId = task.toLowerCase();
+      const suffix = taskId.startsWith(`${contest.toLowerCase()}_`) ? taskId.slice(contest.length + 1) : taskId;
+      return {
+        problemId: taskId,
+        url: `https://atcoder.jp/contests/${contest.toLowerCase()}/tasks/${taskId}`,
+        title: `${contest.toUpperCase()} ${suffix.toUpperCase()}`
+      };
+    }
+  },
+  {
+    platform: 'HackerRank',
+    hosts: ['hackerrank.com'],
+    // /challenges/<slug>/..., also under /contests/<contest>/challenges/<slug>
+    match: (segments) => {
+      const index = segments.indexOf('challenges');
+      const slug = index >= 0 ? segments[index + 1] : null;
+      if (!slug) {
+        return null;
+      }
+      return {
+        problemId: slug.toLowerCase(),
+        url: `https://www.hackerrank.com/challenges/${slug.toLowerCase()}/problem`,
+        title: titleFromSlug(slug)
+      };
+    }
+  },
+  {
+    platform: 'CodeChef',
+    hosts: ['codechef.com'],
+    // /problems/<CODE>, also under /<CONTEST>/problems/<CODE>
+    match: (segments) => {
+      const index = segments.indexOf('problems');
+      const code = index >= 0 ? segments[index + 1] : null;
+      if (!code || !/^[A-Za-z0-9_]+$/.test(code)) {
+        return null;
+      }
+      return {
+        problemId: code.toUpperCase(),
+        url: `https://www.codechef.com/problems/${code.toUpperCase()}`,
+        title: code.toUpperCase()
+      };
+    }
+  }
+];
+
+/**
+ * Recognise a problem URL
+ * @param {string} link - URL as pasted by the user
+ * @returns {Object|null} { platform, problemId, url, title }, or null if the link is not recognised
+ */
+const parseProblemLink = (link) => {
+  if (typeof link !== 'string' || !link.trim()) {
+    return null;
+  }
+
+  let url;
+  try {
+    const text = link.trim();
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^(www|m)\./, '');
+  const matcher = platformMatchers.find(candidate => candidate.hosts.includes(host));
+  if (!matcher) {
+    return null;
+  }
+
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+  const result = matcher.match(segments, host);
+
+  return result ? { platform: matcher.platform, ...result } : null;
+};
+
+/**
+ * Normalize a link for duplicate detection: the canonical URL for
+ * recognised platforms, otherwise without trailing slash or fragment
+ * @param {string} link - Problem link
+ * @returns {string|null} Comparable link, or null for an empty link
+ */
+const normalizeProblemLink = (link) => {
+  if (typeof link !== 'string' || !link.trim()) {
+    return null;
+  }
+
+  const parsed = parseProblemLink(link);
+  if (parsed) {
+    return parsed.url;
+  }
+
+  try {
+    const url = new URL(link.trim());
+    url.hash = '';
+    url.pathname = url.pathname.replace(/\/+$/, '') || '/';
+    return url.toString();
+  } catch {
+    return link.trim();
+  }
+};
+
+module.exports = {
+  parseProblemLink,
+  normalizeProblemLink
+};
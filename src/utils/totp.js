@@ -0,0 +1,165 @@
+/**
+ * TOTP UTILITIES
+ *
+ * Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226),
+ * plus the base32 encoding used by authenticator apps.
+ * Every function takes an optional `time` (ms) so codes can be tested
+ * against a fixed clock.
+ */
+
+const crypto = require('crypto');
+const { TOTP_CONSTANTS } = require('./constants');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case, spaces and padding are ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random shared secret
+ * @returns {string} Base32 encoded secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(TOTP_CONSTANTS.SECRET_BYTES));
+};
+
+/**
+ * Get the time step counter for a moment in time
+ * @param {number} [time] - Unix time in milliseconds
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / TOTP_CONSTANTS.STEP_SECONDS);
+};
+
+/**
+ * Generate an HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Counter value
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_CONSTANTS.DIGITS).padStart(TOTP_CONSTANTS.DIGITS, '0');
+};
+
+/**
+ * Generate the TOTP code for a moment in time
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [time] - Unix time in milliseconds
+ * @returns {string} Zero-padded code
+ */
+const generateTotp = (secret, time = Date.now()) => {
+  return generateHotp(secret, getTimeStep(time));
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift of a few steps
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [time] - Unix time in milliseconds
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+const verifyTotp = (secret, code, time = Date.now()) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_CONSTANTS.DIGITS) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+  for (let drift = -TOTP_CONSTANTS.WINDOW; drift <= TOTP_CONSTANTS.WINDOW; drift++) {
+    const expected = generateHotp(secret, current + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return current + drift;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account label, usually the email
+ * @param {string} [issuer] - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName, issuer = TOTP_CONSTANTS.ISSUER) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_CONSTANTS.DIGITS),
+    period: String(TOTP_CONSTANTS.STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};